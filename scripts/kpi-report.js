@@ -1,7 +1,11 @@
 #!/usr/bin/env node
 import fs from 'node:fs'
-const path = process.argv[2] || 'logs/sgn-daemon.jsonl'
-const lines = fs.existsSync(path) ? fs.readFileSync(path,'utf8').trim().split('\n') : []
+import { loadConfig } from '../src/daemon/config.mjs'
+import { listLogFiles } from '../src/daemon/logger.mjs'
+
+// Default: the daemon's own log files (storage.logs_dir/sgn-daemon.jsonl plus its rotated files)
+const files = process.argv[2] ? [process.argv[2]] : listLogFiles(loadConfig({ argv: [], env: process.env }).config.storage.logs_dir)
+const lines = files.filter(f => fs.existsSync(f)).flatMap(f => fs.readFileSync(f,'utf8').trim().split('\n'))
 const evts = lines.map(l=>{ try{ return JSON.parse(l) } catch{ return null } }).filter(Boolean)
 
 const lat = evts.filter(e=>e.evt==='publish' && typeof e.lat_ms==='number').map(e=>e.lat_ms).sort((a,b)=>a-b)
@@ -11,6 +11,7 @@
  *   - GH_REPOS: comma-separated list of owner/repo (overrides CLI if set)
  *   - GH_TOKEN: GitHub Personal Access Token (required for private repos and higher rate limits)
  *   - SGN_DAEMON: Daemon base URL (default http://localhost:8787)
+ *   - SGN_TOKEN: API token with the publish scope, sent as a Bearer token (daemon with SGN_AUTH=tokens)
  */
 
 // Load .env file if it exists
@@ -33,6 +34,7 @@ try {
 
 const DAEMON = (process.env.SGN_DAEMON || 'http://localhost:8787').replace(/\/$/, '')
 const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN || ''
+const SGN_TOKEN = process.env.SGN_TOKEN || ''
 
 if (!GH_TOKEN) {
   console.error('GH_TOKEN (or GITHUB_TOKEN) is required for seeding. Create one at https://github.com/settings/tokens')
@@ -103,13 +105,15 @@ function mapIssueToKU(repoFullName, issue) {
   }
 }
 
+// Retries network errors, 5xx and 429; any other answer (2xx, or a 4xx the retry would not change) is returned
 async function jpostRetry(path, body, tries = 5) {
   const url = DAEMON + path
+  const headers = { 'content-type': 'application/json', ...(SGN_TOKEN ? { authorization: `Bearer ${SGN_TOKEN}` } : {}) }
   let d = 150
   for (let i = 0; i < tries; i++) {
     try {
-      const r = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
-      if (r.status === 200 || r.status === 403) {
+      const r = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) })
+      if (r.status < 500 && r.status !== 429) {
         const json = await r.json().catch(() => ({}))
         return { status: r.status, json }
       }
@@ -129,14 +133,18 @@ async function seedRepo(repoFullName) {
   while (seeded < maxTotal) {
     const items = await ghFetch(`/repos/${owner}/${repo}/issues`, { state, per_page: String(per), page: String(page) })
     if (!items.length) break
-    for (const issue of items) {
-      if (seeded >= maxTotal) break
-      const ku = mapIssueToKU(repoFullName, issue)
-      const res = await jpostRetry('/publish', { ku, verify: false })
-      if (res.status === 200) seeded++
-      const cid = res.json?.cid || 'n/a'
-      console.log(`  • ${repoFullName}#${issue.number} -> ${res.status} cid=${cid}`)
+    const batch = items.slice(0, maxTotal - seeded)
+    const res = await jpostRetry('/publish/batch', batch.map(issue => ({ ku: mapIssueToKU(repoFullName, issue), verify: false })))
+    // A batch-level error (e.g. 403) has no per-item results: report it instead of the issues
+    if (res.status !== 200 || !Array.isArray(res.json?.results)) {
+      throw new Error(`publish batch failed: HTTP ${res.status} ${JSON.stringify(res.json)}`)
     }
+    batch.forEach((issue, i) => {
+      const r = res.json.results[i] || {}
+      if (r.stored) seeded++
+      const status = r.error ? `error=${r.error}` : (r.dedup ? 'dedup' : 'stored')
+      console.log(`  • ${repoFullName}#${issue.number} -> ${status} cid=${r.cid || 'n/a'}`)
+    })
     page++
   }
   console.log(`✅ ${repoFullName}: seeded ${seeded} KUs`)
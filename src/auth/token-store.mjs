@@ -0,0 +1,124 @@
+import { readFileSync, existsSync, writeFileSync, statSync } from 'node:fs'
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto'
+
+export const SCOPES = ['read', 'publish', 'edges', 'trust:admin', 'admin']
+
+const TOKEN_PREFIX = 'sgn_'
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * API tokens with scopes, persisted as sha256 hashes in a JSON file.
+ * Like TrustManager, the file is re-read when its mtime changes so that
+ * tokens issued or revoked by the CLI apply to a running daemon.
+ */
+export class TokenStore {
+  constructor(tokensPath = './tokens.json') {
+    this.tokensPath = tokensPath
+    this.config = null
+    this.lastModified = 0
+  }
+
+  load() {
+    try {
+      if (!existsSync(this.tokensPath)) {
+        this.config = { tokens: {} }
+        this.lastModified = 0
+        return this.config
+      }
+      const stat = statSync(this.tokensPath)
+      if (this.config && stat.mtimeMs === this.lastModified) {
+        return this.config // cached
+      }
+      this.config = JSON.parse(readFileSync(this.tokensPath, 'utf8'))
+      this.config.tokens = this.config.tokens || {}
+      this.lastModified = stat.mtimeMs
+      return this.config
+    } catch (error) {
+      console.warn(`Failed to load tokens: ${error.message}`)
+      return { tokens: {} }
+    }
+  }
+
+  save() {
+    try {
+      writeFileSync(this.tokensPath, JSON.stringify(this.config, null, 2), { mode: 0o600 })
+      this.lastModified = statSync(this.tokensPath).mtimeMs
+    } catch (error) {
+      throw new Error(`Failed to save tokens: ${error.message}`)
+    }
+  }
+
+  /**
+   * Issue a new token. The plaintext is returned once and never stored.
+   * A token bound to a namespace only reaches that namespace on the daemon. events_policy overrides the
+   * daemon's events.backpressure.policy for /events clients using the token.
+   * @returns {{ id: string, token: string, scopes: string[], namespace: string|null }}
+   */
+  issue({ scopes = ['read'], label = null, expires_at = null, namespace = null, events_policy = null } = {}) {
+    const unknown = scopes.filter(s => !SCOPES.includes(s))
+    if (unknown.length) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`)
+    if (!scopes.length) throw new Error('At least one scope is required')
+    if (expires_at && Number.isNaN(Date.parse(expires_at))) throw new Error(`Invalid expiry: ${expires_at}`)
+
+    const config = this.load()
+    const id = randomBytes(6).toString('hex')
+    const token = `${TOKEN_PREFIX}${id}_${randomBytes(24).toString('base64url')}`
+    config.tokens[id] = {
+      hash: hashToken(token),
+      scopes,
+      label,
+      created_at: new Date().toISOString(),
+      expires_at,
+      namespace,
+      events_policy
+    }
+    this.config = config
+    this.save()
+    return { id, token, scopes, namespace }
+  }
+
+  revoke(id) {
+    const config = this.load()
+    const entry = config.tokens[id]
+    if (!entry) throw new Error(`Unknown token id: ${id}`)
+    entry.revoked_at = new Date().toISOString()
+    this.config = config
+    this.save()
+  }
+
+  list() {
+    const config = this.load()
+    return Object.entries(config.tokens).map(([id, { hash, ...meta }]) => ({ id, ...meta }))
+  }
+
+  // True when at least one usable token exists
+  hasTokens() {
+    return this.list().some(t => !t.revoked_at)
+  }
+
+  /**
+   * Resolve a presented token to { token_id, scopes, namespace, events_policy } or { error }
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return { error: 'invalid_token' }
+    const id = token.slice(TOKEN_PREFIX.length).split('_')[0]
+    const entry = this.load().tokens[id]
+    if (!entry) return { error: 'invalid_token' }
+    const presented = Buffer.from(hashToken(token), 'hex')
+    const stored = Buffer.from(entry.hash, 'hex')
+    if (presented.length !== stored.length || !timingSafeEqual(presented, stored)) return { error: 'invalid_token' }
+    if (entry.revoked_at) return { error: 'token_revoked' }
+    if (entry.expires_at && Date.now() > new Date(entry.expires_at).getTime()) return { error: 'token_expired' }
+    return { token_id: id, scopes: entry.scopes, namespace: entry.namespace || null, events_policy: entry.events_policy || null }
+  }
+}
+
+// `admin` implies every other scope
+export function hasScope(auth, scope) {
+  if (!scope) return true
+  const scopes = auth?.scopes || []
+  return scopes.includes('admin') || scopes.includes(scope)
+}
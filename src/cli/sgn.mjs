@@ -4,13 +4,41 @@
 import { readFileSync } from 'fs';
 import { RealSQLiteStorageTier } from '../persistence/sqlite-real-storage.mjs';
 import { validateKU } from '../ku/schema.mjs';
+import { validateKU_v1, SCHEMA_ID_V1 } from '../ku/schema_v1.mjs';
 import { cidForKU } from '../ku/cid.mjs';
 import { signKU, verifyKU } from '../ku/sign.mjs';
 
+// Every KU gets the strict ku.v1 schema, as on the daemon; --legacy-v0 lets non-v1 KUs through the old v0 checks
+function validateForSchema(ku, { legacyV0 = false } = {}) {
+  if (legacyV0 && ku?.schema_id !== SCHEMA_ID_V1) return validateKU(ku);
+  const { valid, errors } = validateKU_v1(ku);
+  return { valid, errors: errors.map(e => `${e.path || '(root)'}: ${e.message}`) };
+}
+
+function exitIfInvalid(ku, opts) {
+  const { valid, errors } = validateForSchema(ku, opts);
+  if (!valid) {
+    console.error('Invalid KU:', errors.join('; '));
+    process.exit(3);
+  }
+}
+
+// Path prefix of the daemon namespace named by SGN_NAMESPACE ('' for the token's or the default one)
+function namespacePrefix() {
+  const ns = process.env.SGN_NAMESPACE;
+  return ns ? `/ns/${encodeURIComponent(ns)}` : '';
+}
+
+// Daemon base URL: SGN_URL, else http://localhost:$SGN_HTTP_PORT, then the SGN_NAMESPACE prefix
+function daemonBase() {
+  return (process.env.SGN_URL || `http://localhost:${process.env.SGN_HTTP_PORT || '8787'}`) + namespacePrefix();
+}
+
 async function main() {
   const [,, cmd, ...args] = process.argv;
+  const legacyV0 = args.includes('--legacy-v0');
   if (!cmd) {
-    console.log('Usage: node src/cli/sgn.mjs <publish|fetch|verify|ku|daemon> [options]');
+    console.log('Usage: node src/cli/sgn.mjs <publish|fetch|verify|ku|daemon|config|export|import|retract> [options]');
     process.exit(1);
   }
 
@@ -25,9 +53,18 @@ async function main() {
       console.log(JSON.stringify({ cid: cidToString(cid), bytes_len: bytes.length }, null, 2));
       process.exit(0);
     }
+    if (sub === 'validate') {
+      const file = args[1];
+      if (!file) { console.error('Usage: sgn ku validate <file> [--legacy-v0]'); process.exit(2); }
+      const ku = JSON.parse(readFileSync(file, 'utf8'));
+      const res = validateForSchema(ku, { legacyV0 });
+      console.log(JSON.stringify(res, null, 2));
+      process.exit(res.valid ? 0 : 3);
+    }
     if (sub === 'sign') {
       const file = args[1]; const privPath = args[2]; const pubPath = args[3];
       const ku = JSON.parse(readFileSync(file, 'utf8'));
+      exitIfInvalid(ku, { legacyV0 });
       const privPem = readFileSync(privPath, 'utf8');
       const pubPem = readFileSync(pubPath, 'utf8');
       const { signKU_v1 } = await import('../ku/sign_v1.mjs');
@@ -98,7 +135,7 @@ async function main() {
       console.log(new TextDecoder().decode(dagJson));
       process.exit(0);
     }
-    console.error('Usage: node src/cli/sgn.mjs ku <canonicalize|sign|verify|print --dag-json> <args>');
+    console.error('Usage: node src/cli/sgn.mjs ku <canonicalize|validate|sign|verify|print --dag-json> <args>');
     process.exit(2);
   }
 
@@ -110,27 +147,110 @@ async function main() {
       const { dirname, join } = await import('node:path');
       const __filename = fileURLToPath(import.meta.url);
       const __dirname = dirname(__filename);
-      const port = process.env.SGN_HTTP_PORT || '8787';
       const db = process.env.SGN_DB || './sgn.db';
       const daemonPath = join(__dirname, '../daemon/daemon.mjs');
-      const p = spawn(process.execPath, [daemonPath], {
-        env: { ...process.env, SGN_HTTP_PORT: port, SGN_DB: db }, stdio: 'inherit'
+      // Remaining args (--config, --port, --set) go to the daemon's config loader
+      const p = spawn(process.execPath, [daemonPath, ...args.slice(1)], {
+        env: { ...process.env, SGN_DB: db }, stdio: 'inherit'
       });
       p.on('exit', (code)=>process.exit(code ?? 0));
       return;
     }
     if (sub === 'health') {
-      const http = await import('node:http');
-      const req = http.request({ host:'localhost', port:process.env.SGN_HTTP_PORT||'8787', path:'/health' }, res=>{
-        let b=''; res.on('data',c=>b+=c); res.on('end',()=>{ console.log(b); process.exit(0) });
+      // Transport: --socket / SGN_SOCKET (Unix domain socket), else --url / SGN_URL (http or https),
+      // else http://localhost:$SGN_HTTP_PORT; --ca / SGN_CA trusts a self-signed cert, --insecure skips the check
+      const opt = (flag, env) => { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : process.env[env]; };
+      const socketPath = opt('--socket', 'SGN_SOCKET');
+      const url = new URL(opt('--url', 'SGN_URL') || `http://localhost:${process.env.SGN_HTTP_PORT || '8787'}`);
+      const ca = opt('--ca', 'SGN_CA');
+      const tls = !socketPath && url.protocol === 'https:';
+      const mod = await import(tls ? 'node:https' : 'node:http');
+      const path = `${namespacePrefix()}/health`;
+      const options = socketPath
+        ? { socketPath, path }
+        : { host: url.hostname, port: url.port, path };
+      if (tls) Object.assign(options, { ca: ca ? readFileSync(ca) : undefined, rejectUnauthorized: !args.includes('--insecure') });
+      if (process.env.SGN_TOKEN) options.headers = { authorization: `Bearer ${process.env.SGN_TOKEN}` };
+      const req = mod.request(options, res=>{
+        let b=''; res.on('data',c=>b+=c); res.on('end',()=>{ console.log(b); process.exit(res.statusCode === 200 ? 0 : 1) });
       });
       req.on('error', (e)=>{ console.error(String(e)); process.exit(1) }); req.end();
       return;
     }
-    console.error('Usage: node src/cli/sgn.mjs daemon <start|health>');
+    console.error('Usage: node src/cli/sgn.mjs daemon <start|health [--socket PATH | --url URL] [--ca PEM] [--insecure]>');
     process.exit(2);
   }
 
+  // Effective daemon config, layered the same way the daemon does (file < SGN_* env < --set/--port)
+  if (cmd === 'config') {
+    if (args[0] !== 'print') {
+      console.error('Usage: sgn config print [--config <file>] [--port N] [--set <path>=<value>]');
+      process.exit(2);
+    }
+    const { loadConfig, redactConfig } = await import('../daemon/config.mjs');
+    const { config, sources, file, errors } = loadConfig({ argv: args.slice(1) });
+    console.log(JSON.stringify({ file, config: redactConfig(config), sources, errors }, null, 2));
+    process.exit(errors.length ? 1 : 0);
+  }
+
+  // CAR transfer goes through a running daemon (daemonBase(); SGN_TOKEN if auth is on)
+  if (cmd === 'export' || cmd === 'import') {
+    const base = daemonBase();
+    const headers = process.env.SGN_TOKEN ? { authorization: `Bearer ${process.env.SGN_TOKEN}` } : {};
+    const fs = await import('node:fs/promises');
+    if (cmd === 'export') {
+      const outIdx = args.indexOf('--out');
+      const out = outIdx !== -1 ? args[outIdx + 1] : 'sgn-export.car';
+      const qs = new URLSearchParams();
+      for (const [flag, name] of [['--type', 'type'], ['--tag', 'tag'], ['--severity', 'severity'], ['--affected', 'affected'],
+        ['--key-id', 'key_id'], ['--since', 'since'], ['--until', 'until'], ['--q', 'q']]) {
+        args.forEach((a, i) => { if (a === flag && args[i + 1]) qs.append(name, args[i + 1]); });
+      }
+      const res = await fetch(`${base}/export.car${qs.size ? `?${qs}` : ''}`, { headers });
+      if (!res.ok) { console.error(`export failed: ${res.status} ${await res.text()}`); process.exit(1); }
+      const bytes = Buffer.from(await res.arrayBuffer());
+      await fs.writeFile(out, bytes);
+      console.log(JSON.stringify({ file: out, root: res.headers.get('x-sgn-car-root'), bytes: bytes.length }, null, 2));
+      process.exit(0);
+    }
+    const file = args.find(a => !a.startsWith('--'));
+    if (!file) { console.error('Usage: sgn import <file.car> [--verify]'); process.exit(2); }
+    const verify = args.includes('--verify') ? '?verify=1' : '';
+    const res = await fetch(`${base}/import${verify}`, {
+      method: 'POST', headers: { ...headers, 'content-type': 'application/vnd.ipld.car' }, body: await fs.readFile(file)
+    });
+    const report = await res.json();
+    const { blocks, ...summary } = report;
+    console.log(JSON.stringify(summary, null, 2));
+    for (const b of blocks || []) {
+      console.log(`  ${b.status.padEnd(9)} ${b.kind.padEnd(9)} ${b.cid}${b.error ? ` (${b.error})` : ''}`);
+    }
+    process.exit(res.ok && report.ok ? 0 : 1);
+  }
+
+  if (cmd === 'retract') {
+    // Sign a ku.tombstone for <cid> and publish it to the daemon (SGN_URL / SGN_TOKEN as for export)
+    const target = args[0];
+    const opt = (flag) => { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : undefined; };
+    if (!target || target.startsWith('--') || !opt('--priv') || !opt('--pub')) {
+      console.error('Usage: sgn retract <cid> --priv <pem> --pub <pem> [--reason TEXT]');
+      process.exit(2);
+    }
+    const pubPem = readFileSync(opt('--pub'), 'utf8');
+    const tombstone = {
+      type: 'ku.tombstone', schema_id: SCHEMA_ID_V1, content_type: 'application/json',
+      payload: { target, ...(opt('--reason') ? { reason: opt('--reason') } : {}) },
+      parents: [target], sources: [], tests: [], provenance: { agent_pubkey: pubPem }, tags: []
+    };
+    const { signKU_v1 } = await import('../ku/sign_v1.mjs');
+    const signed = await signKU_v1(tombstone, readFileSync(opt('--priv'), 'utf8'), pubPem);
+    const base = daemonBase();
+    const headers = { 'content-type': 'application/json', ...(process.env.SGN_TOKEN ? { authorization: `Bearer ${process.env.SGN_TOKEN}` } : {}) };
+    const res = await fetch(`${base}/publish`, { method: 'POST', headers, body: JSON.stringify({ ku: signed, pub_pem: pubPem }) });
+    console.log(JSON.stringify(await res.json(), null, 2));
+    process.exit(res.ok ? 0 : 1);
+  }
+
   // Optional --db <path> to isolate tests
   const dbIdx = args.indexOf('--db');
   const dbPath = dbIdx !== -1 ? args[dbIdx + 1] : 'data/sgn-ku.db';
@@ -146,11 +266,7 @@ async function main() {
     }
     const filePath = args[fileIdx + 1];
     const ku = JSON.parse(readFileSync(filePath, 'utf8'));
-    const { valid, errors } = validateKU(ku);
-    if (!valid) {
-      console.error('Invalid KU:', errors.join('; '));
-      process.exit(3);
-    }
+    exitIfInvalid(ku, { legacyV0 });
     if (signIdx !== -1) {
       const pkIdx = args.indexOf('--priv');
       const pubIdx = args.indexOf('--pub');
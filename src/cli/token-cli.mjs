@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+import { TokenStore, SCOPES } from '../auth/token-store.mjs'
+import { BACKPRESSURE_POLICIES } from '../daemon/events.mjs'
+
+const tokenStore = new TokenStore(process.env.SGN_TOKENS_PATH || './tokens.json')
+
+function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  try {
+    switch (command) {
+      case 'issue': {
+        const scopes = args.find(arg => arg.startsWith('--scopes='))?.split('=')[1]
+        const label = args.find(arg => arg.startsWith('--label='))?.split('=')[1] || null
+        const expiresAt = args.find(arg => arg.startsWith('--expires='))?.split('=')[1] || null
+        const namespace = args.find(arg => arg.startsWith('--namespace='))?.split('=')[1] || null
+        const eventsPolicy = args.find(arg => arg.startsWith('--events-policy='))?.split('=')[1] || null
+        if (!scopes) {
+          console.error('Usage: token-cli issue --scopes=read,publish [--label=ci] [--expires=2025-12-31T23:59:59Z] [--namespace=team-a] [--events-policy=coalesce]')
+          console.error(`Scopes: ${SCOPES.join(', ')}`)
+          process.exit(1)
+        }
+        if (eventsPolicy && !BACKPRESSURE_POLICIES.includes(eventsPolicy)) {
+          console.error(`Unknown events policy: ${eventsPolicy} (${BACKPRESSURE_POLICIES.join(', ')})`)
+          process.exit(1)
+        }
+        const { id, token } = tokenStore.issue({ scopes: scopes.split(',').filter(Boolean), label, expires_at: expiresAt, namespace, events_policy: eventsPolicy })
+        console.log(`🔑 Issued token ${id} (scopes: ${scopes})`)
+        if (expiresAt) console.log(`   Expires: ${expiresAt}`)
+        if (namespace) console.log(`   Namespace: ${namespace}`)
+        if (eventsPolicy) console.log(`   Events policy: ${eventsPolicy}`)
+        console.log('   Store it now, it cannot be shown again:')
+        console.log(token)
+        break
+      }
+
+      case 'revoke': {
+        const id = args[1]
+        if (!id) {
+          console.error('Usage: token-cli revoke <token_id>')
+          process.exit(1)
+        }
+        tokenStore.revoke(id)
+        console.log(`❌ Revoked token ${id}`)
+        break
+      }
+
+      case 'list': {
+        const tokens = tokenStore.list()
+        console.log(`API tokens: ${tokens.length}`)
+        tokens.forEach(t => {
+          let status = '✅ active'
+          if (t.revoked_at) status = `❌ revoked ${t.revoked_at}`
+          else if (t.expires_at) {
+            const expired = new Date(t.expires_at).getTime() < Date.now()
+            status = expired ? '⏰ expired' : `⏰ expires ${t.expires_at}`
+          }
+          console.log(`    ${t.id} [${t.scopes.join(',')}]${t.namespace ? ` ns:${t.namespace}` : ''}${t.label ? ` ${t.label}` : ''} - ${status}`)
+        })
+        break
+      }
+
+      default:
+        console.log('SGN Token CLI')
+        console.log('Commands:')
+        console.log('  issue --scopes=LIST [--label=TEXT] [--expires=ISO_DATE] [--namespace=NAME] [--events-policy=POLICY]  - Issue a token')
+        console.log('  revoke <token_id>                                        - Revoke a token')
+        console.log('  list                                                     - List tokens (no secrets)')
+        console.log(`Scopes: ${SCOPES.join(', ')} (admin implies all)`)
+        process.exit(command ? 1 : 0)
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
@@ -0,0 +1,280 @@
+/**
+ * Daemon configuration: defaults < config file < env (SGN_*) < CLI flags
+ * - file: --config <path> | SGN_CONFIG | config/sgn.config.json; JSON or YAML (.yaml/.yml),
+ *   settings live under its `daemon` key (or at the top level of a file without one)
+ * - CLI: --config <path>, --port <n>, --set <dotted.path>=<value> (repeatable)
+ * Only RELOADABLE paths are applied by a reload; other changes need a restart.
+ */
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, join, resolve, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import { parseRate } from './limits.mjs';
+import { BACKPRESSURE_POLICIES, KEY_AUTH_MODES } from './events.mjs';
+
+const require = createRequire(import.meta.url);
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const TRUST_MODES = ['warn', 'enforce'];
+const AUTH_MODES = ['off', 'tokens'];
+
+export const DEFAULT_CONFIG_PATH = join(ROOT, 'config/sgn.config.json');
+
+export function defaultConfig() {
+  return {
+    // port/socket/tls.port: null disables that listener; cors_origins: comma-separated list or '*'
+    http: { port: 8787, socket: null, socket_mode: '0600', cors_origins: null },
+    tls: { port: null, cert: null, key: null, self_signed: false, dir: join(ROOT, 'data/tls') },
+    storage: {
+      db: join(ROOT, 'data/sgn.db.json'),
+      kus_dir: join(ROOT, 'data/kus'),
+      quarantine_dir: null, // <kus_dir>/quarantine when unset; corrupt KU files moved by /admin/repair
+      edges_db: null, // derived from storage.db when unset
+      logs_dir: join(ROOT, 'logs')
+    },
+    // mode null: use the mode in the trust file; keys_path: public keys registered by POST /keys
+    trust: { path: join(ROOT, 'trust.json'), mode: null, keys_path: join(ROOT, 'keys.json') },
+    // <dir>/<name>/ holds each namespace created by POST /admin/namespaces; `default` uses storage.* and trust.path
+    namespaces: { dir: join(ROOT, 'data/namespaces') },
+    auth: { mode: 'off', tokens_path: join(ROOT, 'tokens.json') },
+    // log_max: ku/edge events kept (with their seq) for clients resuming with resume_from
+    // backpressure: per-client send queue (events.mjs); policy is the default, tokens may set their own
+    // inline_max_bytes: bigger KUs are sent CID-only to clients that asked for inline KUs
+    // key_auth: off | optional | required, Ed25519 challenge/response bound to a trusted key_id
+    events: {
+      origin: null, bearer: null, log_max: 10000, inline_max_bytes: 65536, key_auth: 'optional',
+      backpressure: { policy: 'drop_oldest', queue_max: 1000, high_water_bytes: 1048576, low_water_bytes: 262144 }
+    },
+    // POST /subscriptions callbacks: per-request timeout, attempts before a delivery fails, first retry delay
+    // (x4 after each failure) and how often the queue is polled
+    webhooks: { timeout_ms: 5000, max_attempts: 6, backoff_ms: 2000, poll_ms: 1000 },
+    broadcast: true,
+    limits: {
+      rate: { publish: null, verify: null, edges: null },
+      quota: { kus: 0, bytes: 0 },
+      publish_batch_max: 1000,
+      body_max_bytes: 4 * 1024 * 1024,
+      import_max_bytes: 64 * 1024 * 1024,
+      // how long an Idempotency-Key replays its publish response, and how many keys are kept
+      idempotency_ttl_s: 86400,
+      idempotency_max: 10000
+    },
+    // rotation: at max_bytes or every rotate_hours (0 = off), keeping `retain` rotated files (0 = all)
+    log: { level: 'info', max_bytes: 10 * 1024 * 1024, rotate_hours: 24, retain: 7 }
+  };
+}
+
+// Changes to these paths (or anything below them) apply on reload
+export const RELOADABLE = ['limits.rate', 'limits.quota', 'trust.mode', 'log', 'http.cors_origins'];
+
+const ENV_MAP = {
+  SGN_HTTP_PORT: 'http.port',
+  SGN_CORS_ORIGINS: 'http.cors_origins',
+  SGN_SOCKET: 'http.socket',
+  SGN_SOCKET_MODE: 'http.socket_mode',
+  SGN_TLS_PORT: 'tls.port',
+  SGN_TLS_CERT: 'tls.cert',
+  SGN_TLS_KEY: 'tls.key',
+  SGN_TLS_SELF_SIGNED: 'tls.self_signed',
+  SGN_TLS_DIR: 'tls.dir',
+  SGN_DB: 'storage.db',
+  SGN_KUS_DIR: 'storage.kus_dir',
+  SGN_EDGES_DB: 'storage.edges_db',
+  SGN_QUARANTINE_DIR: 'storage.quarantine_dir',
+  SGN_LOGS_DIR: 'storage.logs_dir',
+  SGN_TRUST_PATH: 'trust.path',
+  SGN_TRUST_MODE: 'trust.mode',
+  SGN_KEYS_PATH: 'trust.keys_path',
+  SGN_NAMESPACES_DIR: 'namespaces.dir',
+  SGN_AUTH: 'auth.mode',
+  SGN_TOKENS_PATH: 'auth.tokens_path',
+  SGN_EVENTS_ORIGIN: 'events.origin',
+  SGN_EVENTS_BEARER: 'events.bearer',
+  SGN_EVENTS_LOG_MAX: 'events.log_max',
+  SGN_EVENTS_INLINE_MAX: 'events.inline_max_bytes',
+  SGN_EVENTS_KEY_AUTH: 'events.key_auth',
+  SGN_EVENTS_POLICY: 'events.backpressure.policy',
+  SGN_EVENTS_QUEUE_MAX: 'events.backpressure.queue_max',
+  SGN_EVENTS_HIGH_WATER: 'events.backpressure.high_water_bytes',
+  SGN_EVENTS_LOW_WATER: 'events.backpressure.low_water_bytes',
+  SGN_WEBHOOK_TIMEOUT_MS: 'webhooks.timeout_ms',
+  SGN_WEBHOOK_MAX_ATTEMPTS: 'webhooks.max_attempts',
+  SGN_WEBHOOK_BACKOFF_MS: 'webhooks.backoff_ms',
+  SGN_WEBHOOK_POLL_MS: 'webhooks.poll_ms',
+  SGN_BROADCAST: 'broadcast',
+  SGN_RATE_PUBLISH: 'limits.rate.publish',
+  SGN_RATE_VERIFY: 'limits.rate.verify',
+  SGN_RATE_EDGES: 'limits.rate.edges',
+  SGN_QUOTA_KUS: 'limits.quota.kus',
+  SGN_QUOTA_BYTES: 'limits.quota.bytes',
+  SGN_PUBLISH_BATCH_MAX: 'limits.publish_batch_max',
+  SGN_BODY_MAX_BYTES: 'limits.body_max_bytes',
+  SGN_IMPORT_MAX_BYTES: 'limits.import_max_bytes',
+  SGN_IDEMPOTENCY_TTL_S: 'limits.idempotency_ttl_s',
+  SGN_IDEMPOTENCY_MAX: 'limits.idempotency_max',
+  SGN_LOG_LEVEL: 'log.level',
+  SGN_LOG_MAX_BYTES: 'log.max_bytes',
+  SGN_LOG_ROTATE_HOURS: 'log.rotate_hours',
+  SGN_LOG_RETAIN: 'log.retain'
+};
+
+const SECRET_PATHS = ['events.bearer'];
+const PORT_PATHS = ['http.port', 'tls.port']; // a port number, or null for no listener
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let o = obj;
+  for (const k of keys.slice(0, -1)) {
+    if (!isObject(o[k])) o[k] = {};
+    o = o[k];
+  }
+  o[keys[keys.length - 1]] = value;
+}
+
+// Flatten to leaf paths, e.g. { limits: { quota: { kus: 1 } } } -> [['limits.quota.kus', 1]]
+function leaves(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([k, v]) => {
+    const path = prefix ? `${prefix}.${k}` : k;
+    return isObject(v) ? leaves(v, path) : [[path, v]];
+  });
+}
+
+// Env and CLI values are strings: coerce to the type of the default
+function coerce(path, raw) {
+  const def = getPath(defaultConfig(), path);
+  if (typeof def === 'boolean') return !['off', 'false', '0', 'no'].includes(String(raw));
+  if (raw === '' || raw === 'null') return null;
+  if (typeof def === 'number' || PORT_PATHS.includes(path)) return Number(raw);
+  return raw;
+}
+
+function readConfigFile(path) {
+  const text = readFileSync(path, 'utf8');
+  const doc = ['.yaml', '.yml'].includes(extname(path)) ? require('js-yaml').load(text) : JSON.parse(text);
+  if (!isObject(doc)) throw new Error('config file must contain an object');
+  return isObject(doc.daemon) ? doc.daemon : doc;
+}
+
+function parseArgs(argv) {
+  const out = { config: null, sets: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--config') out.config = argv[++i];
+    else if (a.startsWith('--config=')) out.config = a.slice('--config='.length);
+    else if (a === '--port') out.sets.push(['http.port', argv[++i]]);
+    else if (a === '--set') {
+      const [path, ...rest] = String(argv[++i] || '').split('=');
+      out.sets.push([path, rest.join('=')]);
+    }
+  }
+  return out;
+}
+
+/**
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateConfig(cfg) {
+  const errors = [];
+  const defaults = defaultConfig();
+  const known = new Set(leaves(defaults).map(([p]) => p));
+  for (const [path, value] of leaves(cfg)) {
+    if (!known.has(path)) {
+      errors.push({ path, message: 'unknown setting' });
+      continue;
+    }
+    if (PORT_PATHS.includes(path)) continue; // checked below
+    const def = getPath(defaults, path);
+    if (typeof def === 'number' && !(Number.isFinite(value) && value >= 0)) errors.push({ path, message: 'must be a non-negative number' });
+    if (typeof def === 'boolean' && typeof value !== 'boolean') errors.push({ path, message: 'must be a boolean' });
+    if (typeof def === 'string' && typeof value !== 'string') errors.push({ path, message: 'must be a string' });
+  }
+  for (const path of PORT_PATHS) {
+    const port = getPath(cfg, path);
+    if (port != null && (!Number.isInteger(port) || port < 0 || port > 65535)) errors.push({ path, message: 'must be a port number or null' });
+  }
+  if (cfg.http?.port == null && !cfg.http?.socket && cfg.tls?.port == null) {
+    errors.push({ path: 'http.port', message: 'no listener: set http.port, http.socket or tls.port' });
+  }
+  if (!/^0?[0-7]{3}$/.test(String(cfg.http?.socket_mode))) errors.push({ path: 'http.socket_mode', message: 'must be an octal mode like "0660"' });
+  if (cfg.tls?.port != null && !(cfg.tls.cert && cfg.tls.key) && !cfg.tls.self_signed) {
+    errors.push({ path: 'tls', message: 'tls.port needs tls.cert and tls.key, or tls.self_signed' });
+  }
+  if (!LOG_LEVELS.includes(cfg.log?.level)) errors.push({ path: 'log.level', message: `must be one of ${LOG_LEVELS.join(', ')}` });
+  if (cfg.trust?.mode != null && !TRUST_MODES.includes(cfg.trust.mode)) errors.push({ path: 'trust.mode', message: `must be one of ${TRUST_MODES.join(', ')}` });
+  if (!AUTH_MODES.includes(cfg.auth?.mode)) errors.push({ path: 'auth.mode', message: `must be one of ${AUTH_MODES.join(', ')}` });
+  for (const path of ['webhooks.max_attempts', 'webhooks.poll_ms', 'webhooks.timeout_ms', 'limits.idempotency_ttl_s', 'limits.idempotency_max', 'events.log_max', 'events.inline_max_bytes',
+    'events.backpressure.queue_max', 'events.backpressure.high_water_bytes', 'events.backpressure.low_water_bytes']) {
+    const n = getPath(cfg, path);
+    if (!(Number.isInteger(n) && n >= 1)) errors.push({ path, message: 'must be a positive integer' });
+  }
+  if (!KEY_AUTH_MODES.includes(cfg.events?.key_auth)) errors.push({ path: 'events.key_auth', message: `must be one of ${KEY_AUTH_MODES.join(', ')}` });
+  const bp = cfg.events?.backpressure;
+  if (!BACKPRESSURE_POLICIES.includes(bp?.policy)) errors.push({ path: 'events.backpressure.policy', message: `must be one of ${BACKPRESSURE_POLICIES.join(', ')}` });
+  if (bp?.low_water_bytes > bp?.high_water_bytes) errors.push({ path: 'events.backpressure.low_water_bytes', message: 'must not exceed high_water_bytes' });
+  for (const [route, spec] of Object.entries(cfg.limits?.rate || {})) {
+    if (spec != null && !parseRate(spec) && Number(spec) !== 0) {
+      errors.push({ path: `limits.rate.${route}`, message: 'must be "<per_sec>[:<burst>]", 0 or null' });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Build the effective configuration
+ * @returns {{ config: object, sources: Record<string, string>, file: string|null, errors: object[] }}
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const config = defaultConfig();
+  const sources = Object.fromEntries(leaves(config).map(([p]) => [p, 'default']));
+  const errors = [];
+  const args = parseArgs(argv);
+
+  const explicit = args.config || env.SGN_CONFIG || null;
+  const file = explicit ? resolve(explicit) : (existsSync(DEFAULT_CONFIG_PATH) ? DEFAULT_CONFIG_PATH : null);
+  if (file) {
+    try {
+      for (const [path, value] of leaves(readConfigFile(file))) { setPath(config, path, value); sources[path] = 'file'; }
+    } catch (e) {
+      errors.push({ path: '', message: `cannot read ${file}: ${e.message}` });
+    }
+  }
+  for (const [name, path] of Object.entries(ENV_MAP)) {
+    if (env[name] == null || env[name] === '') continue;
+    setPath(config, path, coerce(path, env[name]));
+    sources[path] = `env:${name}`;
+  }
+  for (const [path, raw] of args.sets) {
+    setPath(config, path, coerce(path, raw));
+    sources[path] = 'cli';
+  }
+
+  errors.push(...validateConfig(config));
+  return { config, sources, file, errors };
+}
+
+/**
+ * Split the changes between two configs into those a reload applies and those needing a restart
+ * @returns {{ applied: string[], restart_required: string[] }}
+ */
+export function diffConfig(prev, next) {
+  const a = Object.fromEntries(leaves(prev));
+  const b = Object.fromEntries(leaves(next));
+  const changed = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(p => JSON.stringify(a[p]) !== JSON.stringify(b[p]));
+  const reloadable = (p) => RELOADABLE.some(r => p === r || p.startsWith(`${r}.`));
+  return { applied: changed.filter(reloadable), restart_required: changed.filter(p => !reloadable(p)) };
+}
+
+// Effective config for display, secrets masked
+export function redactConfig(cfg) {
+  const copy = JSON.parse(JSON.stringify(cfg));
+  for (const path of SECRET_PATHS) if (getPath(copy, path)) setPath(copy, path, '***');
+  return copy;
+}
@@ -0,0 +1,135 @@
+/**
+ * DB/FS reconciliation: every DB record should have a KU file `<kus_dir>/<cid>.json` that still
+ * hashes to its CID, and every KU file a DB record
+ * - db_only: record without a file; fs_only: intact file without a record
+ * - content_mismatch: a file that cannot be parsed or no longer hashes to the CID in its name
+ *   ({ cid, reason, indexed }); such files are never counted as fs_only
+ * Repair re-indexes fs_only files, moves corrupt files to the quarantine dir and rewrites missing
+ * files from an intact copy (recoverKU) where one exists; everything else is reported unrecoverable.
+ */
+import { readFile, readdir, rename, writeFile, mkdir, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * @param {object} deps
+ * @param {() => string[]} deps.listDbIds CIDs of every DB record
+ * @param {string} deps.kusDir
+ * @param {string} deps.quarantineDir
+ * @param {(ku: object) => Promise<string>} deps.cidOf
+ * @param {(cid: string) => Promise<{ ku: object, source: string }|null>} deps.recoverKU an intact copy, else null
+ * @param {(cid: string, ku: object, sizeBytes: number) => Promise<void>} deps.reindex store the DB record of a file
+ * @param {(entry: object) => any} [deps.onLog]
+ */
+export function createReconciler({ listDbIds, kusDir, quarantineDir, cidOf, recoverKU, reindex, onLog }) {
+  let running = false;
+
+  async function readKUFile(cid) {
+    const path = join(kusDir, `${cid}.json`);
+    let ku;
+    try {
+      ku = JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+      return { path, reason: e instanceof SyntaxError ? 'unparseable' : 'unreadable' };
+    }
+    try {
+      if (await cidOf(ku) !== cid) return { path, reason: 'hash_mismatch' };
+    } catch {
+      return { path, reason: 'hash_mismatch' };
+    }
+    return { path, ku, size: (await stat(path)).size };
+  }
+
+  async function scan() {
+    const dbIds = new Set(listDbIds());
+    const fsIds = existsSync(kusDir)
+      ? (await readdir(kusDir)).filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length))
+      : [];
+    const report = {
+      db_only: [],
+      fs_only: [],
+      content_mismatch: [],
+      mismatches: 0,
+      total_db: dbIds.size,
+      total_fs: fsIds.length,
+      consistent: true
+    };
+    const files = new Map(); // cid -> readKUFile result, reused by repair
+    for (const cid of fsIds) {
+      const file = await readKUFile(cid);
+      files.set(cid, file);
+      if (file.reason) report.content_mismatch.push({ cid, reason: file.reason, indexed: dbIds.has(cid) });
+      else if (!dbIds.has(cid)) report.fs_only.push(cid);
+    }
+    const onDisk = new Set(fsIds);
+    for (const cid of dbIds) if (!onDisk.has(cid)) report.db_only.push(cid);
+    report.mismatches = report.db_only.length + report.fs_only.length + report.content_mismatch.length;
+    report.consistent = report.mismatches === 0;
+    return { report, files };
+  }
+
+  async function check() {
+    return (await scan()).report;
+  }
+
+  /**
+   * Plan (dryRun) or apply the repair; every action is logged as `repair_action`
+   * @returns {Promise<{ dry_run: boolean, actions: object[], report: object, after?: object }>}
+   */
+  async function repair({ dryRun = false } = {}) {
+    if (running) throw Object.assign(new Error('repair_in_progress'), { code: 'repair_in_progress' });
+    running = true;
+    try {
+      const { report, files } = await scan();
+      const actions = [];
+      const act = async (entry, apply) => {
+        if (!dryRun) {
+          try { await apply(); } catch (e) { entry = { ...entry, action: 'failed', planned: entry.action, reason: e.message }; }
+        }
+        actions.push(entry);
+        await onLog?.({ evt: 'repair_action', level: entry.action === 'failed' ? 'error' : 'info', dry_run: dryRun, ...entry });
+      };
+
+      const missing = [...report.db_only];
+      for (const { cid, reason, indexed } of report.content_mismatch) {
+        const to = join(quarantineDir, `${cid}.${Date.now()}.json`);
+        await act({ action: 'quarantine', cid, reason, to }, async () => {
+          await mkdir(quarantineDir, { recursive: true });
+          await rename(files.get(cid).path, to);
+        });
+        // A record whose file was corrupt now lacks a file
+        if (indexed) missing.push(cid);
+      }
+
+      for (const cid of report.fs_only) {
+        const { ku, size } = files.get(cid);
+        await act({ action: 'reindex', cid }, () => reindex(cid, ku, size));
+      }
+
+      for (const cid of missing) {
+        const copy = await recoverKU(cid);
+        if (!copy) {
+          await act({ action: 'unrecoverable', cid, reason: 'no_intact_copy' }, async () => {});
+          continue;
+        }
+        await act({ action: 'rewrite', cid, source: copy.source }, () =>
+          writeFile(join(kusDir, `${cid}.json`), JSON.stringify(copy.ku, null, 2)));
+      }
+
+      const result = { dry_run: dryRun, actions, report };
+      if (!dryRun) result.after = (await scan()).report;
+      await onLog?.({
+        evt: 'repair',
+        dry_run: dryRun,
+        actions: actions.length,
+        mismatches: report.mismatches,
+        remaining: result.after ? result.after.mismatches : null
+      });
+      return result;
+    } finally {
+      running = false;
+    }
+  }
+
+  return { check, repair };
+}
@@ -1,238 +1,596 @@
 /**
  * SGN Daemon HTTP/JSON-RPC (PR #3)
  * Endpoints:
+ * - POST /rpc    JSON-RPC 2.0 (single or batch): publish, verify, get, search,
+ *                edges.add, edges.list, graph.traverse, trust.status
  * - GET  /health -> { ok, ku_count, outbox_ready, time_ms }
- * - GET  /ku/:cid[?view=dag-json|json]
- * - POST /publish { ku, verify?:bool, pub_pem?:string } -> { cid, stored, enqueued }
- * - POST /verify  { ku, pub_pem } -> { ok, reason?, trusted }
+ * - GET  /ku/:cid[?view=dag-json|json]  Accept: application/json (default) | application/vnd.ipld.dag-json
+ *        | application/vnd.ipld.dag-cbor (raw CID preimage); ETag "<cid>", If-None-Match -> 304, immutable
+ * - GET  /search?type=&tag=&severity=&affected=&key_id=&since=&until=&q=&limit=&cursor=
+ *        -> { results, next_cursor }
+ * - GET  /events/stream[?resume_from=&<filter>]  text/event-stream of the /events WS payloads (ku, edge, health,
+ *        and trust, outbox, consistency, shutdown state changes); the seq of every event but health is the SSE id,
+ *        Last-Event-ID resumes from the event log (event-log.mjs)
+ * - WS   /events[?resume_from=&inline=json|binary&<filter>]  { type:'subscribe', filter:{ events, types, tags, key_ids,
+ *        edge_types, cids }, inline?, resume_from? } narrows what the client receives, at any time, and replays what it missed;
+ *        { type:'auth_challenge' } / { type:'auth', nonce, signature, key_id } binds the session to a trusted key
+ * - GET  /events/challenge -> { nonce } to sign for /events/stream?key_id=&nonce=&signature=
+ * - POST /publish { ku, verify?:bool, pub_pem?:string } -> { cid, stored, dedup, enqueued }
+ *        a KU already stored is a dedup (stored:false, dedup:true): not rewritten, re-enqueued or re-announced;
+ *        If-None-Match: * (or "<cid>") -> 412 { error:'already_exists' } instead
+ *        422 { error:'schema_invalid', errors:[{ path, message }] } if ku fails the ku.v1 schema
+ *        a signed ku.tombstone retracts payload.target: 410 { error:'tombstoned', tombstone } from then on
+ * - POST /publish/batch [ {ku,...}, ... ] | NDJSON -> { total, stored, dedup, failed, results[] }
+ * - POST /verify  { ku | cid, pub_pem? } -> { ok, reason?, trusted }; without pub_pem the key registered
+ *        for sig.key_id is used (400 { error:'unknown_key' } if none)
+ * - POST /keys { pub_pem, owner } -> 201 { key } (key-registry.mjs); GET /keys[/:key_id], DELETE /keys/:key_id
+ * - GET  /export.car?<search filters>  CARv1: manifest root + KU, signature and edge blocks
+ * - POST /import[?verify=1]  CARv1 body -> per-block { cid, kind, status: new|duplicate|invalid }
+ * - GET  /admin/consistency -> { db_only, fs_only, content_mismatch, mismatches, ... } (consistency.mjs)
+ * - POST /admin/repair[?dry_run=1] -> { dry_run, actions: [{ action, cid, ... }], report, after? }
+ * - GET  /admin/logs?evt=&since=&cid=&request_id=&level=&limit= -> { entries, matched, truncated } (logger.mjs)
+ * - POST /subscriptions { url, events?, types?, tags?, key_ids?, secret? } -> 201 { subscription } (webhooks.mjs);
+ *   GET /subscriptions[/:id], DELETE /subscriptions/:id, GET /subscriptions/:id/deliveries -> { deliveries }
+ * - POST /admin/config/reload (or SIGHUP) -> { reloaded, file, applied, restart_required } | 400 { errors }
+ * Routing (router.mjs): one route table; every response carries X-Request-Id, every error is
+ *   { ok:false, error, ...details, request_id }; JSON bodies over limits.body_max_bytes -> 413, bad JSON -> 400;
+ *   Idempotency-Key on /publish[/batch] replays the first response for limits.idempotency_ttl_s
+ * Limits: SGN_RATE_{PUBLISH,VERIFY,EDGES}=<per_sec>[:<burst>] -> 429 { error:'rate_limited' } + Retry-After;
+ *   SGN_QUOTA_KUS / SGN_QUOTA_BYTES per publisher -> 403 { error:'quota_exceeded' }
+ * Config: --config <file> | SGN_CONFIG | config/sgn.config.json, overridden by SGN_* env and --set/--port
+ * Logs: <logs_dir>/sgn-daemon.jsonl, rotated by log.max_bytes / log.rotate_hours, log.retain rotated files kept;
+ *   entries written while serving a request carry its request_id
+ * Namespaces (namespaces.mjs): every non-global route is also served under /ns/:namespace (stores, trust and
+ *   quotas per namespace); GET|POST /admin/namespaces, DELETE /admin/namespaces/:name; tokens may be bound to one
+ * Listeners (listeners.mjs): TCP http.port, Unix socket http.socket (mode http.socket_mode), HTTPS/WSS tls.port
+ * Auth (SGN_AUTH=tokens): `Authorization: Bearer <token>` with a scope per route,
+ *   401 { error } for a missing/invalid token, 403 { error:'insufficient_scope', required }
  */
-import http from 'node:http';
-import { readFile, writeFile, mkdir, unlink, readdir } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
+import { readFile, writeFile, mkdir, unlink } from 'node:fs/promises';
 import { dirname, join, basename } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import * as dagJson from '@ipld/dag-json';
+import * as dagCbor from '@ipld/dag-cbor';
 import { RealSQLiteStorageTier } from '../persistence/sqlite-real-storage.mjs';
-import { computeCIDv1, cidToString } from '../ku/cid_v1.mjs';
-import { verifyKU_v1 } from '../ku/sign_v1.mjs';
+import { computeCIDv1, cidToString, encodeForCID, stripSig } from '../ku/cid_v1.mjs';
+import { blockFor, encodeCAR, decodeCAR, verifyBlock } from '../ku/car_v1.mjs';
+import { verifyKU_v1, keyIdFromPubPEM } from '../ku/sign_v1.mjs';
+import { validateKU_v1, SCHEMA_ID_V1, KU_V1_TYPES } from '../ku/schema_v1.mjs';
 import { PersistentOutbox } from '../network/outbox-persistent.mjs';
 import { metrics } from './metrics.mjs';
-import { createEventsServer } from './events.mjs';
+import { createEventsServer, filterFromQuery, parseInline } from './events.mjs';
+import { createEventLog } from './event-log.mjs';
+import { createIdempotencyStore } from './idempotency-store.mjs';
+import { startListeners, closeListeners } from './listeners.mjs';
+import { createReconciler } from './consistency.mjs';
+import { createRpcDispatcher, RpcError, RPC_ERRORS } from './rpc.mjs';
 import { TrustManager } from '../trust/trust-manager.mjs';
+import { KeyRegistry } from '../trust/key-registry.mjs';
+import { SignedHandshake } from '../network/handshake-signed.mjs';
+import { TokenStore, hasScope } from '../auth/token-store.mjs';
+import { parseRate, createRateLimiter, createQuotaTracker } from './limits.mjs';
 import { EdgesStore } from '../graph/edges-store.mjs';
+import { createRouter, HttpError, requestId, latency, cors, parseBody, idempotency } from './router.mjs';
+import { loadConfig, diffConfig, LOG_LEVELS } from './config.mjs';
+import { createLogger, withLogContext } from './logger.mjs';
+import { createNamespaceRegistry, DEFAULT_NAMESPACE } from './namespaces.mjs';
+import { createWebhooks } from './webhooks.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PORT = Number(process.env.SGN_HTTP_PORT || 8787);
-const DB_PATH = process.env.SGN_DB || join(__dirname, '../../data/sgn.db.json');
-const KUS_DIR = process.env.SGN_KUS_DIR || join(__dirname, '../../data/kus');
-const LOGS_DIR = process.env.SGN_LOGS_DIR || join(__dirname, '../../logs');
-const TRUST_PATH = process.env.SGN_TRUST_PATH || join(__dirname, '../../trust.json');
-const BROADCAST_ENABLED = process.env.SGN_BROADCAST !== 'off';
-
-const storage = new RealSQLiteStorageTier({ dbPath: DB_PATH, backupPath: DB_PATH + '.backup' });
-const outbox = new PersistentOutbox(DB_PATH.replace('.db', '-outbox.db'));
-const EDGES_DB_PATH = process.env.SGN_EDGES_DB || DB_PATH.replace(/(\.db(?:\.json)?)$/, '').concat('-edges.db');
-const edgesStore = new EdgesStore(EDGES_DB_PATH);
-let server = null;
+// Effective config: defaults < config file < SGN_* env < CLI flags (see config.mjs)
+const CONFIG_ARGV = process.argv.slice(2);
+const loaded = loadConfig({ argv: CONFIG_ARGV });
+if (loaded.errors.length) {
+  for (const e of loaded.errors) console.error(`config error${e.path ? ` at ${e.path}` : ''}: ${e.message}`);
+  process.exit(1);
+}
+let config = loaded.config;
+
+const DB_PATH = config.storage.db;
+const KUS_DIR = config.storage.kus_dir;
+const LOGS_DIR = config.storage.logs_dir;
+const TRUST_PATH = config.trust.path;
+const TOKENS_PATH = config.auth.tokens_path;
+const AUTH_ENABLED = config.auth.mode === 'tokens';
+const BROADCAST_ENABLED = config.broadcast;
+const PUBLISH_BATCH_MAX = config.limits.publish_batch_max;
+const IMPORT_MAX_BYTES = config.limits.import_max_bytes;
+const rateLimitsFrom = (cfg) => Object.fromEntries(Object.entries(cfg.limits.rate).map(([route, spec]) => [route, parseRate(spec)]));
+
+const EDGES_DB_PATH = config.storage.edges_db || DB_PATH.replace(/(\.db(?:\.json)?)$/, '').concat('-edges.db');
+const EVENTS_DB_PATH = DB_PATH.replace(/(\.db(?:\.json)?)$/, '').concat('-events.db');
+const IDEMPOTENCY_DB_PATH = DB_PATH.replace(/(\.db(?:\.json)?)$/, '').concat('-idempotency.db');
+let listeners = [];
 let eventsClose = null;
+let eventLog = null;
+// Idempotency-Key responses, kept across restarts so a retry after one is still replayed
+const idempotencyStore = createIdempotencyStore({ dbPath: IDEMPOTENCY_DB_PATH, max: () => config.limits.idempotency_max });
 const toClear = new Set();
+const logger = createLogger({ dir: LOGS_DIR, ...config.log });
 function shutdown(signal='SIGTERM'){
   if (shutdown._done) return; shutdown._done = true;
   appendLog?.({ evt:'daemon_shutdown', signal });
-  try { eventsClose?.(); } catch {}
+  try { eventsClose?.({ reason: signal }); } catch {} // /events clients get { type:'shutdown' } first
+  try { eventLog?.close(); } catch {}
+  try { idempotencyStore.close(); } catch {}
   for (const t of toClear) { try { clearInterval(t); clearTimeout(t); } catch {} }
-  server?.close?.(()=>{
-    try {
-      const maybe = storage?.close?.()
-      if (maybe && typeof maybe.then === 'function') {
-        maybe.finally(()=>process.exit(0))
-      } else {
-        process.exit(0)
-      }
-    } catch {
-      process.exit(0)
-    }
+  closeListeners(listeners).then(()=>{
+    namespaces.closeAll().finally(()=>process.exit(0))
   })
   setTimeout(()=>process.exit(0), 2000).unref();
 }
 process.on('SIGINT', ()=>shutdown('SIGINT'));
 process.on('SIGTERM', ()=>shutdown('SIGTERM'));
+process.on('SIGHUP', ()=>{ reloadConfig('SIGHUP').catch(()=>{}); });
 
-const trustManager = new TrustManager(TRUST_PATH);
+const tokenStore = new TokenStore(TOKENS_PATH);
+// Rate limits are daemon-wide; quotas, trust and storage belong to each namespace
+const rateLimiters = Object.fromEntries(Object.entries(rateLimitsFrom(config)).map(([route, limit]) => [route, createRateLimiter(limit)]));
 let eventsBroadcastKU = null;
+let eventsBroadcastEdge = null;
+let eventsBroadcastTrust = null;
+let eventsBroadcastOutbox = null;
+let eventsBroadcastConsistency = null;
+let eventsDisconnect = null;
+let eventsRecheckKeys = null;
+let eventsAttachStream = null;
+
+// Entries carry an optional `level` (default info); those below config.log.level are dropped (logger.mjs)
+function appendLog(obj) {
+  logger.log(obj);
+}
+
+// Legacy function for backward compatibility
+async function loadTrust(ns) {
+  const config = await ns.trustManager.load();
+  return { mode: config.mode || 'warn', allow: new Set(config.allow || []) };
+}
+
+// Map a KU to the warm storage record shape (compat); the publisher key_id is only recorded once the
+// signature checked out against a trusted key, since tombstone rights and search by key_id rest on it
+function kuToRecord(ku, cid, verifyInfo = null) {
+  return {
+    id: cid,
+    title: ku.payload?.title || ku.payload?.name || 'KU',
+    type: ku.type,
+    description: ku.payload?.description || '',
+    solution: ku.payload?.patch || null,
+    severity: ku.payload?.severity || 'MEDIUM',
+    confidence: ku.payload?.confidence || 0.9,
+    tags: ku.tags || [],
+    affectedSystems: ku.payload?.affectedSystems || [],
+    discoveredBy: ku.provenance?.agent_pubkey || null,
+    originPeer: null,
+    hash: cid,
+    signature: ku.sig?.signature || null,
+    publisherKeyId: trustedKeyId(ku, verifyInfo)
+  };
+}
+
+/**
+ * Optional verify (defensive): warn mode never fails, enforce blocks.
+ * Returns { verifyInfo } on accept or { reject: { status, body } }.
+ */
+async function checkPublishTrust(ns, ku, verify, pub_pem) {
+  if (!verify) return { verifyInfo: null };
+  try {
+    if (!pub_pem) throw new Error('missing_pub_pem');
+    const v = await verifyKU_v1(ku, pub_pem);
+    if (!v.ok) throw new Error(v.reason || 'verify_fail');
+    const trust = await loadTrust(ns);
+    const trusted = ku.sig?.key_id ? trust.allow.has(ku.sig.key_id) : false;
+    if (trust.mode === 'enforce' && !trusted) {
+      return { reject: { status: 403, body: { ok: false, error: 'untrusted_key', reason: 'key_not_allowlisted' } } };
+    }
+    return { verifyInfo: { ok: v.ok, trusted } };
+  } catch (err) {
+    await appendLog({ evt: 'verify_error', msg: String(err) });
+    const trust = await loadTrust(ns).catch(() => ({ mode: 'warn' }));
+    if (trust?.mode === 'enforce') {
+      return { reject: { status: 400, body: { ok: false, error: 'verify_failed', reason: String(err) } } };
+    }
+    return { verifyInfo: { ok: false, trusted: false, reason: String(err) } };
+  }
+}
 
-async function ensureDirs() {
-  for (const d of [dirname(DB_PATH), KUS_DIR, LOGS_DIR]) {
-    if (!existsSync(d)) await mkdir(d, { recursive: true });
+// Who is calling: API token (when authenticated) and remote address
+function clientOf(req) {
+  return { token_id: req?.auth?.token_id || null, ip: req?.socket?.remoteAddress || null };
+}
+
+/**
+ * Apply the `route` rate limit to every key the request carries, `n` tokens each (one per KU of a batch).
+ * Returns null, or a 429 { status, body, headers } rejection.
+ */
+function rateLimit(route, client = {}, keyId = null, n = 1) {
+  const keys = [];
+  if (client.token_id) keys.push(`token:${client.token_id}`);
+  if (client.ip) keys.push(`ip:${client.ip}`);
+  if (keyId) keys.push(`key_id:${keyId}`);
+  const r = rateLimiters[route].take(keys, n);
+  if (r.ok) return null;
+  metrics.limits.rate_limited[route]++;
+  const limited_by = r.key.slice(0, r.key.indexOf(':'));
+  appendLog({ evt: 'rate_limited', route, limited_by, retry_after: r.retryAfter });
+  return {
+    status: 429,
+    body: { ok: false, error: 'rate_limited', limited_by, retry_after: r.retryAfter },
+    headers: { 'retry-after': String(r.retryAfter) }
+  };
+}
+
+// The KU's sig.key_id once its signature checked out against a trusted key (checkPublishTrust's verifyInfo);
+// an unchecked key_id is only a claim, so it must not pick a quota or rate-limit bucket
+const trustedKeyId = (ku, verifyInfo) => (verifyInfo?.ok && verifyInfo.trusted && ku.sig?.key_id) || null;
+
+// Storage quotas are charged to the verified signing key, else to the token or address that published
+function quotaOwner(ku, client = {}, verifyInfo = null) {
+  const keyId = trustedKeyId(ku, verifyInfo);
+  if (keyId) return `key_id:${keyId}`;
+  if (client.token_id) return `token:${client.token_id}`;
+  return `ip:${client.ip || 'unknown'}`;
+}
+
+function checkQuota(ns, owner, size) {
+  const over = ns.quotas.check(owner, size);
+  if (!over) return null;
+  metrics.limits.quota_rejected++;
+  appendLog({ evt: 'quota_exceeded', owner, quota: over.quota, limit: over.limit });
+  return { status: 403, body: { ok: false, ...over, owner } };
+}
+
+/**
+ * A ku.tombstone retracts payload.target only when signed by the target's publisher key or by a
+ * trust admin key (trust.json `admins`), and that key is neither revoked nor expired.
+ * Returns { target } or { reject: { status, body } }.
+ */
+async function checkTombstone(ns, ku, pubPem) {
+  const target = ku.payload.target;
+  const refuse = (status, error, extra = {}) => ({ reject: { status, body: { ok: false, error, target, ...extra } } });
+  const record = await ns.storage.retrieve(target).catch(() => null);
+  if (!record) return refuse(404, 'tombstone_target_not_found');
+  if (!ku.sig) return refuse(403, 'tombstone_unsigned');
+  if (!pubPem) return refuse(400, 'missing_pub_pem');
+  const v = await verifyKU_v1(ku, pubPem).catch((e) => ({ ok: false, reason: String(e) }));
+  if (!v.ok) return refuse(403, 'tombstone_bad_signature', { reason: v.reason || 'verify_fail' });
+  const signer = ku.sig.key_id;
+  const trust = await ns.trustManager.isKeyTrusted(signer);
+  if (!trust.trusted) return refuse(403, 'untrusted_key', { reason: trust.reason });
+  if (record.publisherKeyId !== signer && !(await ns.trustManager.isTrustAdmin(signer))) {
+    return refuse(403, 'tombstone_not_authorized', { reason: 'not_publisher_or_admin' });
   }
+  return { target };
+}
+
+// Hide a retracted KU: scrub its record, delete its file and drop its queued broadcasts
+async function retractKU(ns, target, tombstoneCid) {
+  const released = ns.storage.tombstone(target, tombstoneCid);
+  if (!released) return;
+  if (released.quotaOwner) ns.quotas.add(released.quotaOwner, -released.sizeBytes, -1);
+  await unlink(join(ns.kusDir, `${target}.json`)).catch(() => {});
+  const dropped = ns.outbox.removeByCid(target);
+  const webhooksDropped = ns.webhooks.removeByCid(target); // queued deliveries carry the retracted KU
+  await appendLog({ evt: 'ku_tombstoned', cid: target, tombstone: tombstoneCid, outbox_dropped: dropped, webhooks_dropped: webhooksDropped });
+}
+
+const tombstonedError = (ns, cid) => ({ status: 410, body: { ok: false, error: 'tombstoned', cid, tombstone: ns.storage.tombstonedBy(cid) } });
+
+// A stored KU or edge reaches the namespace's /events clients and matching webhook subscriptions
+// The DAG-CBOR bytes go to /events clients that asked for inline KUs
+function announceKU(ns, cid, ku) {
+  try { eventsBroadcastKU?.({ cid, namespace: ns.name, ku, dag_cbor: dagCbor.encode(stripSig(ku)) }); } catch {}
+  try { ns.webhooks.notifyKU({ cid, ku }); } catch (e) { appendLog({ evt: 'webhook_enqueue_error', level: 'error', cid, msg: e.message }); }
+}
+
+function announceEdge(ns, edge) {
+  try { eventsBroadcastEdge?.({ ...edge, namespace: ns.name }); } catch {}
+  try { ns.webhooks.notifyEdge(edge); } catch (e) { appendLog({ evt: 'webhook_enqueue_error', level: 'error', src: edge.src, msg: e.message }); }
 }
 
-async function appendLog(obj) {
+// TrustManager changes (API calls, rotations, trust file edits, expiries) reach /events clients; sessions
+// bound to a key that was revoked or expired are rechecked at once
+function announceTrustChange(ns, change) {
+  appendLog({ evt: 'trust_changed', namespace: ns.name, ...change });
+  try { eventsBroadcastTrust?.({ namespace: ns.name, ...change }); } catch {}
+  if (change.change === 'revoked' || change.change === 'expired') eventsRecheckKeys?.();
+}
+
+// A failed outbox delivery; `queue` is 'webhooks' (target = subscription id) or 'broadcast' (target = peer)
+function announceOutboxFailure(ns, queue, { cid, target_peer, attempts, error, dropped, next_try_at }) {
+  const change = dropped ? 'dead_letter' : 'failed';
+  try { eventsBroadcastOutbox?.({ namespace: ns.name, change, queue, cid, target: target_peer, attempts, error, next_try_at }); } catch {}
+}
+
+// Record a consistency report (from a check, or the state after a repair); mismatches are announced
+function noteConsistency(ns, report, source) {
+  metrics.setConsistencyMismatches(report.mismatches, ns.name);
+  if (!report.mismatches) return;
   try {
-    const line = JSON.stringify({ ts: Date.now(), ...obj }) + '\n';
-    await writeFile(join(LOGS_DIR, 'daemon.jsonl'), line, { flag: 'a' });
+    eventsBroadcastConsistency?.({
+      namespace: ns.name, source, mismatches: report.mismatches,
+      db_only: report.db_only.length, fs_only: report.fs_only.length, content_mismatch: report.content_mismatch.length
+    });
   } catch {}
 }
 
-// Legacy function for backward compatibility
-async function loadTrust() {
-  const config = await trustManager.load();
-  return { mode: config.mode || 'warn', allow: new Set(config.allow || []) };
+// Ready-item peek of a namespace's outbox, summed into the daemon-wide gauge
+function noteOutboxReady(ns) {
+  metrics.setOutboxReady(ns.outbox.getReady(1).length, ns.name);
 }
 
-function sendJson(res, code, obj) {
-  const body = Buffer.from(JSON.stringify(obj));
-  res.writeHead(code, { 'content-type': 'application/json', 'content-length': body.length });
-  res.end(body);
+/**
+ * Store a KU. A KU that already exists is answered `stored: false, dedup: true` without touching its file,
+ * the outbox or /events; with `ifNoneMatch` ('*' or "<cid>" ETags, as in If-None-Match) it is a 412 instead.
+ */
+async function publishKU(ns, { ku, verify, pub_pem } = {}, client = {}, { ifNoneMatch = null } = {}) {
+  const t0 = Date.now();
+  if (!ku || typeof ku !== 'object') return { status: 400, body: { error: 'invalid_ku' } };
+
+  const schema = validateKU_v1(ku);
+  if (!schema.valid) {
+    await appendLog({ evt: 'publish_schema_invalid', errors: schema.errors });
+    return { status: 422, body: { ok: false, error: 'schema_invalid', schema_id: SCHEMA_ID_V1, errors: schema.errors } };
+  }
+
+  // Compute CIDv1 and bytes
+  const cid = cidToString(await computeCIDv1(ku));
+
+  if (ns.storage.tombstonedBy(cid)) return tombstonedError(ns, cid);
+  // Check if KU already exists (deduplication)
+  const existingKu = await ns.storage.retrieve(cid).catch(() => null);
+  const { verifyInfo, reject } = await checkPublishTrust(ns, ku, verify, pubPemFor(ns, ku, pub_pem));
+  if (reject) return reject;
+  // Only after the trust check, so an unsigned or untrusted request cannot probe which CIDs are stored
+  if (existingKu && etagMatches(ifNoneMatch, `"${cid}"`)) {
+    await appendLog({ evt: 'publish_precondition_failed', cid });
+    return { status: 412, body: { ok: false, error: 'already_exists', cid } };
+  }
+  // The token/address buckets were charged by the caller; the key's own bucket only once it is verified
+  const keyId = trustedKeyId(ku, verifyInfo);
+  const limited = keyId && rateLimit('publish', {}, keyId);
+  if (limited) return limited;
+
+  if (existingKu) {
+    metrics.incrementDeduplication(ns.name);
+    metrics.http.publish.observe(Date.now() - t0);
+    await appendLog({ evt: 'publish_dedup', cid });
+    return { status: 200, body: { ok: true, cid, stored: false, dedup: true, enqueued: false, verify: verifyInfo } };
+  }
+
+  let retraction = null;
+  if (ku.type === KU_V1_TYPES.TOMBSTONE) {
+    retraction = await checkTombstone(ns, ku, pubPemFor(ns, ku, pub_pem));
+    if (retraction.reject) return retraction.reject;
+  }
+
+  // Only new KUs count against quotas
+  const kuJson = JSON.stringify(ku, null, 2);
+  const owner = quotaOwner(ku, client, verifyInfo);
+  const size = Buffer.byteLength(kuJson);
+  const overQuota = checkQuota(ns, owner, size);
+  if (overQuota) return overQuota;
+
+  // Persist raw KU to filesystem
+  await writeFile(join(ns.kusDir, `${cid}.json`), kuJson);
+
+  // Store minimal record in warm storage (compat), timing the DB write
+  const record = { ...kuToRecord(ku, cid, verifyInfo), quotaOwner: owner, sizeBytes: size };
+  const writeTimer = metrics.startDbWriteTimer();
+  await ns.storage.store(record);
+  ns.quotas.add(owner, size);
+  const writeDuration = metrics.endDbWriteTimer(writeTimer);
+  metrics.incrementKuStored('http_publish', ns.name);
+  await appendLog({ evt: 'publish_stored', cid, write_ms: writeDuration });
+
+  if (retraction) await retractKU(ns, retraction.target, cid);
+
+  // Enqueue broadcast (if enabled); a tombstone travels like any KU so peers retract the target too
+  if (BROADCAST_ENABLED) {
+    ns.outbox.enqueue(cid, { type: 'ku-broadcast', ku, timestamp: Date.now() });
+  }
+
+  const lat_ms = Date.now() - t0;
+  metrics.http.publish.observe(lat_ms);
+  noteOutboxReady(ns);
+  await appendLog({ evt: 'publish', cid, lat_ms });
+
+  announceKU(ns, cid, ku);
+
+  return { status: 200, body: { ok: true, cid, stored: true, dedup: false, enqueued: BROADCAST_ENABLED, verify: verifyInfo } };
 }
 
-function sendText(res, code, text, headers = {}) {
-  const body = Buffer.from(text);
-  res.writeHead(code, { 'content-type': 'text/plain; charset=utf-8', 'content-length': body.length, ...headers });
-  res.end(body);
+// If-None-Match: * (or the KU's "<cid>") makes the publish fail with 412 when the KU already exists
+async function handlePublish(ctx) {
+  const client = clientOf(ctx.req);
+  const limited = rateLimit('publish', client);
+  if (limited) return limited;
+  return publishKU(ctx.ns, ctx.body, client, { ifNoneMatch: ctx.req.headers['if-none-match'] });
 }
 
-function readBody(req) {
-  return new Promise((resolve, reject) => {
-    let buf = Buffer.alloc(0);
-    req.on('data', (chunk) => { buf = Buffer.concat([buf, chunk]); });
-    req.on('end', () => resolve(buf));
-    req.on('error', reject);
+// Store the new records with a single flush, then write their KU files; returns the DB write time
+async function persistKUs(ns, accepted, toStore, source) {
+  if (!toStore.length) return 0;
+  const writeTimer = metrics.startDbWriteTimer();
+  await ns.storage.storeBatch(toStore);
+  const writeDuration = metrics.endDbWriteTimer(writeTimer);
+  for (const { ku, cid } of accepted) {
+    await writeFile(join(ns.kusDir, `${cid}.json`), JSON.stringify(ku, null, 2));
+  }
+  for (let i = 0; i < toStore.length; i++) metrics.incrementKuStored(source, ns.name);
+  return writeDuration;
+}
+
+// Body is a JSON array of publish bodies, or NDJSON with one body per line
+function parseBatchBody(buf, contentType = '') {
+  const text = buf.toString('utf8');
+  if (!contentType.includes('ndjson') && text.trimStart().startsWith('[')) {
+    const arr = JSON.parse(text);
+    if (!Array.isArray(arr)) throw new Error('expected_array');
+    return arr.map(item => ({ item }));
+  }
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    try { return { item: JSON.parse(line) }; } catch { return { error: 'invalid_json' }; }
   });
 }
 
-async function handlePublish(req, res) {
-  let buf = Buffer.alloc(0);
-  for await (const chunk of req) buf = Buffer.concat([buf, chunk]);
+async function handlePublishBatch(ctx) {
+  const { ns } = ctx;
+  let entries;
   try {
-    const t0 = Date.now();
-    const { ku, verify, pub_pem } = JSON.parse(buf.toString('utf8')) || {};
-    if (!ku || typeof ku !== 'object') return sendJson(res, 400, { error: 'invalid_ku' });
+    entries = parseBatchBody(ctx.raw, ctx.req.headers['content-type']);
+  } catch (e) {
+    return { status: 400, body: { ok: false, error: 'invalid_batch', reason: e.message } };
+  }
+  if (entries.length === 0) return { status: 400, body: { ok: false, error: 'empty_batch' } };
+  if (entries.length > PUBLISH_BATCH_MAX) {
+    return { status: 413, body: { ok: false, error: 'batch_too_large', max: PUBLISH_BATCH_MAX } };
+  }
+  const client = clientOf(ctx.req);
+  const limited = rateLimit('publish', client, null, entries.length); // one token per KU, as if published one by one
+  if (limited) return limited;
+  const ifNoneMatch = ctx.req.headers['if-none-match'];
 
-    // Compute CIDv1 and bytes
-    const cid = cidToString(await computeCIDv1(ku));
+  try {
+    const t0 = Date.now();
+    const results = [];
+    const accepted = []; // { ku, cid, result }
+    const toStore = [];
+    const seen = new Set();
+    const charged = []; // [owner, size] added to quotas, undone if the batch fails to store
+    const retractions = []; // [target, tombstone cid], applied once the batch is stored
 
-    // Optional verify (defensive): warn mode never 500, enforce blocks
-    let verifyInfo = null;
-    if (verify) {
+    for (let index = 0; index < entries.length; index++) {
+      const result = { index, cid: null, stored: false, dedup: false, verify: null, error: null };
+      results.push(result);
+      const { item, error } = entries[index];
+      const ku = item?.ku;
+      if (error || !ku || typeof ku !== 'object') { result.error = error || 'invalid_ku'; continue; }
+      const schema = validateKU_v1(ku);
+      if (!schema.valid) { result.error = 'schema_invalid'; result.errors = schema.errors; continue; }
       try {
-        if (!pub_pem) throw new Error('missing_pub_pem');
-        const v = await verifyKU_v1(ku, pub_pem);
-        if (!v.ok) throw new Error(v.reason || 'verify_fail');
-        const trust = await loadTrust();
-        const trusted = ku.sig?.key_id ? trust.allow.has(ku.sig.key_id) : false;
-        verifyInfo = { ok: v.ok, trusted };
-        if (trust.mode === 'enforce' && !trusted) {
-          return sendJson(res, 403, { ok: false, error: 'untrusted_key', reason: 'key_not_allowlisted' });
+        const cid = cidToString(await computeCIDv1(ku));
+        result.cid = cid;
+        if (ns.storage.tombstonedBy(cid)) { result.error = 'tombstoned'; continue; }
+        const existing = seen.has(cid) || await ns.storage.retrieve(cid).catch(() => null);
+        const { verifyInfo, reject } = await checkPublishTrust(ns, ku, item.verify, pubPemFor(ns, ku, item.pub_pem));
+        result.verify = verifyInfo ?? null;
+        if (reject) { result.error = reject.body.error; result.reason = reject.body.reason; continue; }
+        if (existing && etagMatches(ifNoneMatch, `"${cid}"`)) { result.error = 'already_exists'; continue; }
+        const keyId = trustedKeyId(ku, verifyInfo);
+        const limited = keyId && rateLimit('publish', {}, keyId);
+        if (limited) { result.error = 'rate_limited'; result.retry_after = limited.body.retry_after; continue; }
+        // Duplicates are reported as dedup, not stored, and are not rewritten, re-enqueued or re-broadcast
+        if (existing) {
+          result.dedup = true;
+          metrics.incrementDeduplication(ns.name);
+          continue;
         }
-      } catch (err) {
-        await appendLog({ evt: 'verify_error', msg: String(err) });
-        const trust = await loadTrust().catch(() => ({ mode: 'warn' }));
-        if (trust?.mode === 'enforce') {
-          return sendJson(res, 400, { ok: false, error: 'verify_failed', reason: String(err) });
-        } else {
-          verifyInfo = { ok: false, trusted: false, reason: String(err) };
+        if (ku.type === KU_V1_TYPES.TOMBSTONE) {
+          const retraction = await checkTombstone(ns, ku, pubPemFor(ns, ku, item.pub_pem));
+          if (retraction.reject) { result.error = retraction.reject.body.error; result.reason = retraction.reject.body.reason; continue; }
+          retractions.push([retraction.target, cid]);
         }
+
+        const owner = quotaOwner(ku, client, verifyInfo);
+        const size = Buffer.byteLength(JSON.stringify(ku, null, 2));
+        const overQuota = checkQuota(ns, owner, size);
+        if (overQuota) { result.error = 'quota_exceeded'; result.quota = overQuota.body.quota; continue; }
+        ns.quotas.add(owner, size);
+        charged.push([owner, size]);
+        toStore.push({ ...kuToRecord(ku, cid, verifyInfo), quotaOwner: owner, sizeBytes: size });
+        result.stored = true;
+        seen.add(cid);
+        accepted.push({ ku, cid });
+      } catch (e) {
+        result.error = 'publish_failed';
+        result.reason = e.message;
       }
     }
 
-    // Persist raw KU to filesystem
-    await writeFile(join(KUS_DIR, `${cid}.json`), JSON.stringify(ku, null, 2));
-
-    // Store minimal record in warm storage (compat)
-    const record = {
-      id: cid,
-      title: ku.payload?.title || ku.payload?.name || 'KU',
-      type: ku.type,
-      description: ku.payload?.description || '',
-      solution: ku.payload?.patch || null,
-      severity: ku.payload?.severity || 'MEDIUM',
-      confidence: ku.payload?.confidence || 0.9,
-      tags: ku.tags || [],
-      affectedSystems: ku.payload?.affectedSystems || [],
-      discoveredBy: ku.provenance?.agent_pubkey || null,
-      originPeer: null,
-      hash: cid,
-      signature: ku.sig?.signature || null
-    };
-
-    // Check if KU already exists (deduplication)
-    const existingKu = await storage.retrieve(cid).catch(() => null);
-    if (existingKu) {
-      metrics.incrementDeduplication();
-      await appendLog({ evt: 'publish_dedup', cid });
-    } else {
-      // Time the DB write operation
-      const writeTimer = metrics.startDbWriteTimer();
-      await storage.store(record);
-      const writeDuration = metrics.endDbWriteTimer(writeTimer);
-      metrics.incrementKuStored('http_publish');
-      await appendLog({ evt: 'publish_stored', cid, write_ms: writeDuration });
+    try {
+      const writeDuration = await persistKUs(ns, accepted, toStore, 'http_publish');
+      if (toStore.length) await appendLog({ evt: 'publish_batch_stored', count: toStore.length, write_ms: writeDuration });
+    } catch (e) {
+      for (const [owner, size] of charged) ns.quotas.add(owner, -size, -1);
+      throw e;
     }
+    for (const [target, tombstone] of retractions) await retractKU(ns, target, tombstone);
 
-    // Enqueue broadcast (if enabled)
-    if (BROADCAST_ENABLED) {
-      outbox.enqueue(cid, { type: 'ku-broadcast', ku, timestamp: Date.now() });
+    if (BROADCAST_ENABLED && accepted.length) {
+      ns.outbox.enqueueMany(accepted.map(({ ku, cid }) => ({ cid, message: { type: 'ku-broadcast', ku, timestamp: Date.now() } })));
     }
 
     const lat_ms = Date.now() - t0;
-    metrics.http.publish.observe(lat_ms);
-    metrics.outbox.ready = outbox.getReady(1).length;
-    await appendLog({ evt: 'publish', cid, lat_ms });
+    metrics.http.publish_batch.observe(lat_ms);
+    noteOutboxReady(ns);
+    const summary = {
+      total: results.length,
+      stored: toStore.length,
+      dedup: results.filter(r => r.dedup).length,
+      failed: results.filter(r => r.error).length
+    };
+    await appendLog({ evt: 'publish_batch', ...summary, lat_ms });
 
-    // Broadcast to /events clients
-    if (eventsBroadcastKU) {
-      try { eventsBroadcastKU({ cid }); } catch {}
-    }
+    for (const { ku, cid } of accepted) announceKU(ns, cid, ku);
 
-    return sendJson(res, 200, { ok: true, cid, stored: true, enqueued: true, verify: verifyInfo });
+    return { status: 200, body: { ok: summary.failed === 0, ...summary, enqueued: BROADCAST_ENABLED, results } };
   } catch (e) {
-    await appendLog({ evt: 'publish_error', error: e.message });
-    return sendJson(res, 500, { error: 'server_error' });
+    await appendLog({ evt: 'publish_batch_error', level: 'error', error: e.message });
+    return { status: 500, body: { error: 'server_error' } };
   }
 }
 
-async function handleVerify(req, res) {
-  let buf = Buffer.alloc(0);
-  for await (const chunk of req) buf = Buffer.concat([buf, chunk]);
-  try {
-    const t0 = Date.now();
-    const { ku, pub_pem } = JSON.parse(buf.toString('utf8')) || {};
-    if (!ku || !pub_pem) return sendJson(res, 400, { ok: false, reason: 'missing_params' });
+// { ku } or { cid } of a stored KU; without pub_pem the key is resolved by sig.key_id (pubPemFor)
+async function verifyKU(ns, { ku, cid, pub_pem } = {}) {
+  const t0 = Date.now();
+  if (!ku && cid) {
+    ku = await loadKU(ns, String(cid));
+    if (!ku) return { status: 404, body: { ok: false, error: 'not_found', cid } };
+  }
+  if (!ku) return { status: 400, body: { ok: false, error: 'missing_params' } };
+  const pubPem = pubPemFor(ns, ku, pub_pem);
+  if (ku.sig && !pubPem) return { status: 400, body: { ok: false, error: 'unknown_key', key_id: ku.sig.key_id ?? null } };
 
-    const v = await verifyKU_v1(ku, pub_pem);
-    let trusted = false;
-    let trustReason = null;
+  const v = await verifyKU_v1(ku, pubPem);
+  let trusted = false;
+  let trustReason = null;
 
-    if (v.ok && ku.sig?.key_id) {
-      const trustResult = await trustManager.isKeyTrusted(ku.sig.key_id);
-      trusted = trustResult.trusted;
-      if (!trusted) trustReason = trustResult.reason;
-    }
+  if (v.ok && ku.sig?.key_id) {
+    const trustResult = await ns.trustManager.isKeyTrusted(ku.sig.key_id);
+    trusted = trustResult.trusted;
+    if (!trusted) trustReason = trustResult.reason;
+  }
+  // As on publish, the key_id bucket is only charged for a signature that checked out against a trusted key
+  const limited = trusted && rateLimit('verify', {}, ku.sig.key_id);
+  if (limited) return limited;
 
-    const lat_ms = Date.now() - t0;
-    metrics.http.verify.observe(lat_ms);
+  const lat_ms = Date.now() - t0;
+  metrics.http.verify.observe(lat_ms);
 
-    const response = { ok: v.ok, trusted };
-    if (v.reason) response.reason = v.reason;
-    if (trustReason) response.trust_reason = trustReason;
+  const response = { ok: v.ok, trusted };
+  if (v.reason) response.reason = v.reason;
+  if (trustReason) response.trust_reason = trustReason;
 
-    return sendJson(res, 200, response);
-  } catch (e) {
-    return sendJson(res, 500, { ok: false, reason: 'server_error' });
-  }
+  return { status: 200, body: response };
+}
+
+async function handleVerify(ctx) {
+  const limited = rateLimit('verify', clientOf(ctx.req));
+  if (limited) return limited;
+  return verifyKU(ctx.ns, ctx.body);
 }
 
-async function handleHealth(_req, res) {
+async function handleHealth(ctx) {
+  const { ns } = ctx;
   const start = Date.now();
-  const stats = await storage.getStatistics();
-  const outboxReady = outbox.getReady(1).length; // peek
+  const stats = await ns.storage.getStatistics();
+  const outboxReady = ns.outbox.getReady(1).length; // peek
   const dbRead = metrics.db.read.toJSON();
   const dbWrite = metrics.db.write.toJSON();
   const time_ms = Date.now() - start;
-  return sendJson(res, 200, {
+  const body = {
     status: 'healthy',
     ok: true,
     ku_count: stats.totalKUs,
@@ -240,326 +598,1107 @@ async function handleHealth(_req, res) {
     time_ms,
     db_read_ms: dbRead.p50 ?? 0,
     db_write_ms: dbWrite.p50 ?? 0,
-    ws_clients: metrics.ws.clients,
-    queue_len: metrics.gauges.queue_len
-  });
+    ws_clients: metrics.namespace(ns.name).ws_clients,
+    sse_clients: metrics.namespace(ns.name).sse_clients,
+    queue_len: metrics.gauges.queue_len,
+    namespace: ns.name
+  };
+  return { status: 200, body };
+}
+
+async function loadKU(ns, cid) {
+  if (ns.storage.tombstonedBy(cid)) return null;
+  // Prefer raw KU file
+  const path = join(ns.kusDir, `${cid}.json`);
+  try { return JSON.parse(await readFile(path, 'utf8')); } catch {}
+
+  // Fallback to warm storage record reconstructed
+  const record = await ns.storage.retrieve(cid);
+  return record ? kuFromRecord(record) : null;
+}
+
+const KU_MEDIA_TYPES = ['application/json', 'application/vnd.ipld.dag-json', 'application/vnd.ipld.dag-cbor'];
+
+// Pick the best supported media type from an Accept header (q-values honoured); null if none is acceptable
+function negotiateKUType(accept) {
+  if (!accept) return 'application/json';
+  const ranges = accept.split(',').map((part, i) => {
+    const [range, ...params] = part.trim().toLowerCase().split(';').map(x => x.trim());
+    const q = params.find(p => p.startsWith('q='));
+    return { range, q: q ? Number(q.slice(2)) : 1, i };
+  }).filter(r => r.range && r.q > 0).sort((a, b) => (b.q - a.q) || (a.i - b.i));
+  for (const { range } of ranges) {
+    if (range === '*/*' || range === 'application/*') return 'application/json';
+    if (KU_MEDIA_TYPES.includes(range)) return range;
+  }
+  return null;
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === '*' || t === etag);
+}
+
+async function handleGetKU(ctx) {
+  const { cid } = ctx.params;
+  const view = ctx.url.searchParams.get('view') || 'json';
+  if (ctx.ns.storage.tombstonedBy(cid)) return tombstonedError(ctx.ns, cid);
+  const ku = await loadKU(ctx.ns, cid);
+  if (!ku) return { status: 404, body: { error: 'not_found' } };
+
+  const type = view === 'dag-json' ? 'application/vnd.ipld.dag-json' : negotiateKUType(ctx.req.headers.accept);
+  if (!type) return { status: 406, body: { error: 'not_acceptable', supported: KU_MEDIA_TYPES } };
+
+  // Only the original KU hashes to its CID; a record rebuilt from storage is served uncached
+  const bytes = await encodeForCID(ku);
+  const intact = cidToString(await computeCIDv1(ku)) === cid;
+  const etag = `"${cid}"`;
+  const cacheHeaders = intact
+    ? { etag, 'cache-control': 'public, max-age=31536000, immutable', vary: 'Accept' }
+    : { 'cache-control': 'no-cache', vary: 'Accept' };
+
+  if (intact && etagMatches(ctx.req.headers['if-none-match'], etag)) return { status: 304, headers: cacheHeaders };
+
+  if (type === 'application/vnd.ipld.dag-cbor') {
+    if (!intact) return { status: 404, body: { error: 'raw_bytes_unavailable', cid } };
+    return { status: 200, body: Buffer.from(bytes), headers: { 'content-type': type, ...cacheHeaders } };
+  }
+  if (type === 'application/vnd.ipld.dag-json') {
+    const copy = JSON.parse(JSON.stringify(ku));
+    delete copy.sig;
+    // ?view=dag-json predates negotiation and keeps its plain JSON content type
+    const contentType = view === 'dag-json' ? 'application/json' : type;
+    return { status: 200, body: Buffer.from(dagJson.encode(copy)), headers: { 'content-type': contentType, ...cacheHeaders } };
+  }
+  return { status: 200, body: ku, headers: cacheHeaders };
+}
+
+function parseTimeParam(value) {
+  if (value == null || value === '') return null;
+  const n = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(n)) throw new Error('invalid_time');
+  return n;
+}
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Search params ({ type, tag, severity, affected, key_id, since, until, q }) -> storage query; throws on a bad
+ * time range. tag/affected accept an array or a comma-separated string; a KU must match every value given
+ */
+function searchQueryFrom(params = {}) {
+  return {
+    type: params.type || null,
+    tags: toList(params.tag),
+    severity: params.severity || null,
+    affectedSystems: toList(params.affected),
+    publisherKeyId: params.key_id || null,
+    since: parseTimeParam(params.since),
+    until: parseTimeParam(params.until),
+    text: params.q || null
+  };
+}
+
+function searchParamsFrom(url) {
+  const p = url.searchParams;
+  const params = Object.fromEntries(p.entries());
+  params.tag = p.getAll('tag');
+  params.affected = p.getAll('affected');
+  return params;
 }
 
-async function handleGetKU(req, res, cid, view) {
+async function searchKUs(ns, params = {}) {
+  let query;
+  try {
+    query = searchQueryFrom(params);
+  } catch {
+    return { status: 400, body: { error: 'invalid_time_range' } };
+  }
+  const limit = Number(params.limit || 20);
+  if (!Number.isInteger(limit) || limit < 1) return { status: 400, body: { error: 'invalid_limit' } };
+
+  let page;
   try {
-    // Prefer raw KU file
-    const path = join(KUS_DIR, `${cid}.json`);
-    let ku = null;
-    try { ku = JSON.parse(await readFile(path, 'utf8')); } catch {}
-
-    if (!ku) {
-      // Fallback to warm storage record reconstructed
-      const record = await storage.retrieve(cid);
-      if (!record) return sendJson(res, 404, { error: 'not_found' });
-      ku = {
-        type: record.type,
-        schema_id: 'ku.v1',
-        content_type: 'application/json',
-        payload: {
-          title: record.title,
-          description: record.description,
-          patch: record.solution,
-          severity: record.severity,
-          confidence: record.confidence,
-          affectedSystems: record.affectedSystems
-        },
-        parents: [], sources: [], tests: [], provenance: { agent_pubkey: record.discoveredBy }, tags: record.tags,
-      };
+    page = ns.storage.searchPage(query, { limit, cursor: params.cursor || null });
+  } catch (e) {
+    if (e.message === 'invalid_cursor') return { status: 400, body: { error: 'invalid_cursor' } };
+    throw e;
+  }
+  const results = page.items.map(ku => ({
+    cid: ku.id,
+    type: ku.type,
+    title: ku.title,
+    description: ku.description,
+    severity: ku.severity,
+    tags: ku.tags,
+    affectedSystems: ku.affectedSystems,
+    key_id: ku.publisherKeyId,
+    created_at: ku.createdAt
+  }));
+  return { status: 200, body: { results, next_cursor: page.nextCursor } };
+}
+
+async function handleSearch(ctx) {
+  return searchKUs(ctx.ns, searchParamsFrom(ctx.url));
+}
+
+const EDGE_TYPES = new Set(['applies_to','verifies','supersedes','conflicts_with']);
+
+async function addEdge(ns, { src, dst, type, pub_pem, verify } = {}) {
+  if (!EDGE_TYPES.has(type)) return { status: 400, body: { ok:false, error: 'invalid_type' } };
+  if (!src || !dst) return { status: 400, body: { ok:false, error: 'missing_cid' } };
+  let publisher_key_id = null;
+  if (verify && pub_pem) {
+    try {
+      const kid = await keyIdFromPubPEM(pub_pem);
+      const tr = await ns.trustManager.isKeyTrusted(kid);
+      if (!tr.trusted) return { status: 403, body: { ok:false, error: 'edge_untrusted', reason: tr.reason } };
+      publisher_key_id = kid;
+    } catch (e) {
+      const tm = await loadTrust(ns).catch(()=>({mode:'warn'}));
+      if (tm?.mode === 'enforce') return { status: 400, body: { ok:false, error: 'edge_verify_failed', reason: String(e) } };
+      // warn: proceed without publisher_key_id
     }
+  }
+  const changes = ns.edgesStore.insert(src, dst, type, publisher_key_id);
+  metrics.edgesInsertCount = (metrics.edgesInsertCount || 0) + (changes ? 1 : 0);
+  announceEdge(ns, { src, dst, edge_type: type, publisher_key_id });
+  return { status: 200, body: { ok:true, stored: true, inserted: !!changes } };
+}
 
-    if (view === 'dag-json') {
-      const copy = JSON.parse(JSON.stringify(ku));
-      delete copy.sig;
-      const bytes = dagJson.encode(copy);
-      res.writeHead(200, { 'content-type': 'application/json' });
-      return res.end(Buffer.from(bytes));
+// Publisher key of a signed edge request, used as a rate limit key
+async function edgeKeyId({ pub_pem } = {}) {
+  if (!pub_pem) return null;
+  return keyIdFromPubPEM(pub_pem).catch(() => null);
+}
+
+function listEdges(ns, { cid, direction = 'out', type = null } = {}) {
+  if (!cid) return { status: 400, body: { error: 'missing_cid' } };
+  if (ns.storage.tombstonedBy(cid)) return tombstonedError(ns, cid);
+  const list = direction === 'in' ? ns.edgesStore.listIncoming(cid, type || null) : ns.edgesStore.listOutgoing(cid, type || null);
+  // Rows carry only the far end: dst for outgoing edges, src for incoming ones
+  return { status: 200, body: { edges: list.filter(e => !ns.storage.tombstonedBy(e.dst ?? e.src)) } };
+}
+
+function traverseGraph(ns, { cid, depth = 2 } = {}) {
+  if (!cid) return { status: 400, body: { error: 'missing_cid' } };
+  depth = Number(depth);
+  metrics.graphReqCount = (metrics.graphReqCount || 0) + 1;
+  if (ns.storage.tombstonedBy(cid)) return tombstonedError(ns, cid);
+  const vis = new Set([cid]); const q = [[cid,0]]; const out = [];
+  while (q.length) {
+    const [cur, d] = q.shift(); if (d === depth) continue;
+    const edges = ns.edgesStore.listOutgoing(cur).filter(e => !ns.storage.tombstonedBy(e.dst));
+    for (const e of edges) { out.push({ src: cur, dst: e.dst, type: e.type }); if (!vis.has(e.dst)) { vis.add(e.dst); q.push([e.dst, d+1]); } }
+  }
+  return { status: 200, body: { start: cid, depth, edges: out } };
+}
+
+const CAR_FORMAT = 'sgn-export';
+
+/**
+ * Pack the KUs matching the search filters, their signatures and the edges touching them
+ * (all edges when unfiltered) into a CARv1 archive. The root is a manifest block listing each kind.
+ */
+async function exportCAR(ns, params = {}) {
+  let query;
+  try { query = searchQueryFrom(params); } catch { return { status: 400, body: { error: 'invalid_time_range' } }; }
+  const unfiltered = !Object.values(query).some(v => (Array.isArray(v) ? v.length : v != null));
+
+  const manifest = { format: CAR_FORMAT, version: 1, created_at: Date.now(), kus: [], signatures: [], edges: [] };
+  const blocks = [];
+  const cids = new Set();
+  let skipped = 0;
+  let cursor = null;
+  do {
+    const page = ns.storage.searchPage(query, { limit: 200, cursor });
+    for (const { id } of page.items) {
+      const ku = await loadKU(ns, id);
+      const block = ku && await blockFor(stripSig(ku));
+      // Records rebuilt from storage no longer hash to their CID and cannot be exported verifiably
+      if (!block || cidToString(block.cid) !== id) { skipped++; continue; }
+      blocks.push(block);
+      manifest.kus.push(block.cid);
+      cids.add(id);
+      if (ku.sig) {
+        const sigBlock = await blockFor({ ku: block.cid, sig: ku.sig });
+        blocks.push(sigBlock);
+        manifest.signatures.push(sigBlock.cid);
+      }
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  for (const e of ns.edgesStore.listAll()) {
+    // Edges touching a retracted KU stay in the store but are never served
+    if (ns.storage.tombstonedBy(e.src) || ns.storage.tombstonedBy(e.dst)) continue;
+    if (!unfiltered && !cids.has(e.src) && !cids.has(e.dst)) continue;
+    const edgeBlock = await blockFor({ src: e.src, dst: e.dst, type: e.type, publisher_key_id: e.publisher_key_id ?? null });
+    blocks.push(edgeBlock);
+    manifest.edges.push(edgeBlock.cid);
+  }
+
+  const root = await blockFor(manifest);
+  const summary = { kus: manifest.kus.length, signatures: manifest.signatures.length, edges: manifest.edges.length, skipped };
+  await appendLog({ evt: 'car_export', root: root.cid.toString(), ...summary });
+  return { status: 200, car: encodeCAR([root.cid], [root, ...blocks]), root: root.cid.toString(), summary };
+}
+
+/**
+ * Import a CAR produced by exportCAR. Every block CID is recomputed from its bytes;
+ * with `verify`, KU signatures go through the same trust checks as /publish.
+ */
+async function importCAR(ns, bytes, { verify = false, client = {}, edges = true } = {}) {
+  let car;
+  try { car = decodeCAR(bytes); } catch (e) { return { status: 400, body: { ok: false, error: 'invalid_car', reason: e.message } }; }
+
+  const report = [];
+  const valid = new Map(); // cid -> bytes
+  for (const block of car.blocks) {
+    const cid = block.cid.toString();
+    if (await verifyBlock(block)) valid.set(cid, block.bytes);
+    else report.push({ cid, kind: 'unknown', status: 'invalid', error: 'cid_mismatch' });
+  }
+  const root = car.roots[0]?.toString();
+  let manifest = null;
+  try { manifest = root && valid.has(root) ? dagCbor.decode(valid.get(root)) : null; } catch {}
+  if (manifest?.format !== CAR_FORMAT) {
+    return { status: 400, body: { ok: false, error: 'invalid_manifest', root: root || null, blocks: report } };
+  }
+  // One publish token per KU, as for /publish/batch
+  const limited = rateLimit('publish', client, null, Math.max(1, (manifest.kus || []).length));
+  if (limited) return limited;
+
+  const decodeLinked = (link, kind) => {
+    const cid = String(link);
+    if (!valid.has(cid)) {
+      const bad = report.find(r => r.cid === cid); // failed the CID check: now we know its role
+      if (bad) bad.kind = kind;
+      else report.push({ cid, kind, status: 'invalid', error: 'missing_block' });
+      return null;
     }
-    return sendJson(res, 200, ku);
+    return { cid, value: dagCbor.decode(valid.get(cid)) };
+  };
+
+  const sigs = new Map(); // ku cid -> [sig block cid, sig]
+  for (const link of manifest.signatures || []) {
+    const block = decodeLinked(link, 'signature');
+    if (block) sigs.set(String(block.value.ku), [block.cid, block.value.sig]);
+  }
+
+  const accepted = [];
+  const toStore = [];
+  const retractions = [];
+  const charged = []; // [owner, size] added to quotas, undone if the import fails to store
+  const seen = new Set();
+  for (const link of manifest.kus || []) {
+    const block = decodeLinked(link, 'ku');
+    if (!block) continue;
+    const { cid } = block;
+    const [sigCid, sig] = sigs.get(cid) || [];
+    const ku = sig ? { ...block.value, sig } : block.value;
+    const entry = { cid, kind: 'ku', status: 'new' };
+    report.push(entry);
+
+    const schema = validateKU_v1(ku);
+    const { verifyInfo, reject } = schema.valid ? await checkPublishTrust(ns, ku, verify, pubPemFor(ns, ku)) : {};
+    const retraction = schema.valid && !reject && ku.type === KU_V1_TYPES.TOMBSTONE ? await checkTombstone(ns, ku, pubPemFor(ns, ku)) : null;
+    if (!schema.valid) Object.assign(entry, { status: 'invalid', error: 'schema_invalid', errors: schema.errors });
+    else if (ns.storage.tombstonedBy(cid)) Object.assign(entry, { status: 'invalid', error: 'tombstoned' });
+    else if (reject) Object.assign(entry, { status: 'invalid', error: reject.body.error, reason: reject.body.reason });
+    else if (retraction?.reject) Object.assign(entry, { status: 'invalid', error: retraction.reject.body.error, reason: retraction.reject.body.reason });
+    else if (seen.has(cid) || await ns.storage.retrieve(cid).catch(() => null)) entry.status = 'duplicate';
+    seen.add(cid);
+    const kuJson = JSON.stringify(ku, null, 2);
+    const owner = quotaOwner(ku, client, verifyInfo);
+    const size = Buffer.byteLength(kuJson);
+    const keyId = trustedKeyId(ku, verifyInfo);
+    const keyLimited = entry.status === 'new' && keyId && rateLimit('publish', {}, keyId);
+    const overQuota = entry.status === 'new' && !keyLimited && checkQuota(ns, owner, size);
+    if (keyLimited) Object.assign(entry, { status: 'invalid', error: 'rate_limited', retry_after: keyLimited.body.retry_after });
+    else if (overQuota) Object.assign(entry, { status: 'invalid', error: 'quota_exceeded', quota: overQuota.body.quota });
+    if (verifyInfo) entry.verify = verifyInfo;
+    if (sigCid) report.push({ cid: sigCid, kind: 'signature', ku: cid, status: entry.status });
+    if (entry.status !== 'new') continue;
+    if (retraction) retractions.push([retraction.target, cid]);
+
+    ns.quotas.add(owner, size);
+    charged.push([owner, size]);
+    accepted.push({ ku, cid });
+    toStore.push({ ...kuToRecord(ku, cid, verifyInfo), quotaOwner: owner, sizeBytes: size });
+  }
+
+  // Edge blocks carry no signature, so the publisher_key_id an archive claims cannot be checked: imported
+  // edges have none, rather than being attributed to a key that may never have published them
+  const edgeEntries = []; // [report entry, edge], inserted once the KUs are stored
+  for (const link of manifest.edges || []) {
+    const block = decodeLinked(link, 'edge');
+    if (!block) continue;
+    const { src, dst, type } = block.value;
+    if (!EDGE_TYPES.has(type) || !src || !dst) {
+      report.push({ cid: block.cid, kind: 'edge', status: 'invalid', error: 'invalid_edge' });
+      continue;
+    }
+    if (!edges) {
+      report.push({ cid: block.cid, kind: 'edge', status: 'invalid', error: 'insufficient_scope', required: 'edges' });
+      continue;
+    }
+    const entry = { cid: block.cid, kind: 'edge', status: 'new' };
+    report.push(entry);
+    edgeEntries.push([entry, { src, dst, edge_type: type, publisher_key_id: null }]);
+  }
+
+  let write_ms;
+  try {
+    write_ms = await persistKUs(ns, accepted, toStore, 'car_import');
   } catch (e) {
-    return sendJson(res, 500, { error: 'server_error' });
+    for (const [owner, size] of charged) ns.quotas.add(owner, -size, -1);
+    throw e;
+  }
+  const newEdges = [];
+  for (const [entry, edge] of edgeEntries) {
+    const changes = ns.edgesStore.insert(edge.src, edge.dst, edge.edge_type, null);
+    if (changes) newEdges.push(edge);
+    else entry.status = 'duplicate';
+  }
+  for (const [target, tombstone] of retractions) await retractKU(ns, target, tombstone);
+  if (BROADCAST_ENABLED && accepted.length) {
+    ns.outbox.enqueueMany(accepted.map(({ ku, cid }) => ({ cid, message: { type: 'ku-broadcast', ku, timestamp: Date.now() } })));
+  }
+  metrics.edgesInsertCount = (metrics.edgesInsertCount || 0) + newEdges.length;
+  for (const { ku, cid } of accepted) announceKU(ns, cid, ku);
+  for (const edge of newEdges) announceEdge(ns, edge);
+
+  const count = (status) => report.filter(r => r.status === status).length;
+  const summary = { blocks: car.blocks.length, new: count('new'), duplicate: count('duplicate'), invalid: count('invalid') };
+  await appendLog({ evt: 'car_import', root, verify, ...summary, write_ms });
+  return { status: 200, body: { ok: summary.invalid === 0, root, verify, ...summary, blocks: report } };
+}
+
+// Public key for a KU's signature checks: the caller's pub_pem, else the key registered for sig.key_id
+// (POST /keys), else the KU's own provenance key if it is a PEM (verifyKU_v1 rejects a key_id mismatch)
+function pubPemFor(ns, ku, pubPem = null) {
+  if (pubPem) return pubPem;
+  const registered = ns.keys.pubPemFor(ku?.sig?.key_id);
+  if (registered) return registered;
+  const pem = ku?.provenance?.agent_pubkey;
+  return typeof pem === 'string' && pem.includes('BEGIN PUBLIC KEY') ? pem : null;
+}
+
+async function handleExport(ctx) {
+  const out = await exportCAR(ctx.ns, searchParamsFrom(ctx.url));
+  if (out.status !== 200) return out;
+  const headers = {
+    'content-type': 'application/vnd.ipld.car; version=1',
+    'content-disposition': 'attachment; filename="sgn-export.car"',
+    'x-sgn-car-root': out.root
+  };
+  return { status: 200, body: out.car, headers };
+}
+
+// Body size is capped by the route (limits.import_max_bytes). The route needs `publish`; edge blocks
+// also need `edges`, as on POST /edges, and are rejected one by one without it
+async function handleImport(ctx) {
+  const verify = ['1', 'true'].includes(ctx.url.searchParams.get('verify'));
+  const edges = !AUTH_ENABLED || hasScope(ctx.req.auth, 'edges');
+  return importCAR(ctx.ns, ctx.raw, { verify, client: clientOf(ctx.req), edges });
+}
+
+async function trustStatus(ns, { key_id } = {}) {
+  const config = await ns.trustManager.getConfig();
+  const status = { mode: config.mode, allow_count: config.allow.length, revoke_count: config.revoke.length };
+  if (key_id) Object.assign(status, { key_id }, await ns.trustManager.isKeyTrusted(key_id));
+  return status;
+}
+
+/**
+ * Re-read the config sources and apply the reloadable changes (rate limits, quotas,
+ * trust mode, log level, CORS origins); anything else is reported as restart_required and left as is
+ */
+async function reloadConfig(trigger) {
+  const next = loadConfig({ argv: CONFIG_ARGV });
+  if (next.errors.length) {
+    await appendLog({ evt: 'config_reload', level: 'error', trigger, ok: false, errors: next.errors });
+    return { status: 400, body: { reloaded: false, error: 'config_invalid', errors: next.errors, file: next.file } };
+  }
+  const { applied, restart_required } = diffConfig(config, next.config);
+  const { http: httpCfg, limits, trust, log } = next.config;
+  for (const [route, limiter] of Object.entries(rateLimiters)) {
+    if (applied.includes(`limits.rate.${route}`)) limiter.configure(parseRate(limits.rate[route]));
+  }
+  for (const ns of namespaces.all()) {
+    if (applied.some(p => p.startsWith('limits.quota.'))) ns.quotas.configure(limits.quota);
+    if (applied.includes('trust.mode')) ns.trustManager.setModeOverride(trust.mode);
+  }
+  config = {
+    ...config,
+    http: { ...config.http, cors_origins: httpCfg.cors_origins },
+    limits: { ...config.limits, rate: limits.rate, quota: limits.quota },
+    trust: { ...config.trust, mode: trust.mode },
+    log
+  };
+  if (applied.some(p => p.startsWith('log.'))) logger.configure(log);
+  await appendLog({ evt: 'config_reload', trigger, ok: true, file: next.file, applied, restart_required });
+  return { status: 200, body: { reloaded: true, file: next.file, applied, restart_required } };
+}
+
+// Query tokens are only accepted on the WS upgrade, where browsers cannot set headers
+function bearerToken(req, { allowQuery = false } = {}) {
+  const hdr = req.headers.authorization || '';
+  if (hdr.startsWith('Bearer ')) return hdr.slice(7).trim();
+  if (!allowQuery) return null;
+  return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+}
+
+function authorizeRequest(req, scope, opts) {
+  if (!AUTH_ENABLED || scope === null) return { auth: null };
+  const token = bearerToken(req, opts);
+  if (!token) return { reject: { status: 401, body: { error: 'unauthorized' } } };
+  const auth = tokenStore.authenticate(token);
+  if (auth.error) return { reject: { status: 401, body: { error: auth.error } } };
+  if (scope !== '*' && !hasScope(auth, scope)) {
+    return { reject: { status: 403, body: { error: 'insufficient_scope', required: scope } } };
   }
+  return { auth };
+}
+
+const RPC_SCOPES = {
+  'publish': 'publish',
+  'edges.add': 'edges'
+};
+
+function authorizeRpc(method, { auth } = {}) {
+  if (!AUTH_ENABLED) return null;
+  const scope = RPC_SCOPES[method] || 'read';
+  if (hasScope(auth, scope)) return null;
+  return new RpcError(RPC_ERRORS.FORBIDDEN, 'insufficient_scope', { required: scope });
+}
+
+// Rate-limited RPC method: same buckets as the REST route
+function rpcLimited(route, keyIdOf, fn) {
+  return async (p, ctx) => {
+    const limited = rateLimit(route, clientOf(ctx.req), await keyIdOf(p));
+    if (limited) throw RpcError.fromHttp(limited.status, limited.body);
+    return fn(p, ctx);
+  };
+}
+
+async function rpcResult(pending) {
+  const { status, body } = await pending;
+  if (status >= 200 && status < 300) return body;
+  throw RpcError.fromHttp(status, body);
+}
+
+// Methods run against the namespace of the /rpc request (ctx.ns)
+const rpcDispatch = createRpcDispatcher({
+  'publish': rpcLimited('publish', () => null, (p, ctx) => rpcResult(publishKU(ctx.ns, p, clientOf(ctx.req), { ifNoneMatch: p.if_none_match }))),
+  'verify': rpcLimited('verify', () => null, (p, ctx) => rpcResult(verifyKU(ctx.ns, p))),
+  'get': async ({ cid } = {}, ctx) => {
+    if (!cid) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'missing_cid');
+    const ku = await loadKU(ctx.ns, cid);
+    if (!ku) throw new RpcError(RPC_ERRORS.NOT_FOUND, 'not_found', { cid });
+    return ku;
+  },
+  'search': (p, ctx) => rpcResult(searchKUs(ctx.ns, p)),
+  'edges.add': rpcLimited('edges', edgeKeyId, (p, ctx) => rpcResult(addEdge(ctx.ns, p))),
+  'edges.list': (p, ctx) => rpcResult(listEdges(ctx.ns, p)),
+  'graph.traverse': (p, ctx) => rpcResult(traverseGraph(ctx.ns, p)),
+  'trust.status': (p, ctx) => trustStatus(ctx.ns, p)
+}, { onLog: appendLog, authorize: authorizeRpc });
+
+async function handleRpc(ctx) {
+  const out = await rpcDispatch(ctx.raw.toString('utf8'), { req: ctx.req, auth: ctx.req.auth, ns: ctx.ns });
+  if (out === null) return { status: 204 };
+  return { status: 200, body: out };
 }
 
-async function checkConsistency() {
-  const results = {
-    db_only: [],
-    fs_only: [],
-    mismatches: 0,
-    total_db: 0,
-    total_fs: 0,
-    consistent: true
+// Rebuild a KU from its warm storage record; it no longer hashes to the CID (see handleGetKU)
+function kuFromRecord(record) {
+  return {
+    type: record.type,
+    schema_id: 'ku.v1',
+    content_type: 'application/json',
+    payload: {
+      title: record.title,
+      description: record.description,
+      patch: record.solution,
+      severity: record.severity,
+      confidence: record.confidence,
+      affectedSystems: record.affectedSystems
+    },
+    parents: [], sources: [], tests: [], provenance: { agent_pubkey: record.discoveredBy }, tags: record.tags,
   };
+}
+
+const cidOf = async (ku) => cidToString(await computeCIDv1(ku));
+
+// An intact copy of a KU whose file is missing: a queued broadcast, else the storage record if it still hashes to the CID
+async function recoverKU(ns, cid) {
+  const queued = ns.outbox.findByCid(cid);
+  if (queued?.ku && await cidOf(queued.ku).catch(() => null) === cid) return { ku: queued.ku, source: 'outbox' };
+  const record = await ns.storage.retrieve(cid).catch(() => null);
+  const rebuilt = record && kuFromRecord(record);
+  if (rebuilt && await cidOf(rebuilt).catch(() => null) === cid) return { ku: rebuilt, source: 'record' };
+  return null;
+}
+
+// Index a KU file that has no DB record; its publisher is unknown and its signature unchecked, so it is
+// charged to 'ip:unknown'
+async function reindexKU(ns, cid, ku, sizeBytes) {
+  const owner = quotaOwner(ku);
+  await ns.storage.store({ ...kuToRecord(ku, cid), quotaOwner: owner, sizeBytes });
+  ns.quotas.add(owner, sizeBytes);
+}
+
+// ---- namespaces ----
+
+// The default namespace keeps the storage.* and trust.path locations of a single-tenant daemon
+const DEFAULT_NAMESPACE_PATHS = {
+  db: DB_PATH,
+  kus_dir: KUS_DIR,
+  quarantine_dir: config.storage.quarantine_dir || join(KUS_DIR, 'quarantine'),
+  edges_db: EDGES_DB_PATH,
+  outbox_db: DB_PATH.replace('.db', '-outbox.db'),
+  webhooks_db: DB_PATH.replace('.db', '-webhooks.db'),
+  trust_path: TRUST_PATH,
+  keys_path: config.trust.keys_path
+};
+
+// Open the stores of one namespace; handlers reach them through ctx.ns
+async function openNamespace(name, paths) {
+  const storage = new RealSQLiteStorageTier({ dbPath: paths.db, backupPath: paths.db + '.backup' });
+  const ns = { name };
+  const outbox = new PersistentOutbox(paths.outbox_db, { onFailure: (failure) => announceOutboxFailure(ns, 'broadcast', failure) });
+  const edgesStore = new EdgesStore(paths.edges_db);
+  const trustManager = new TrustManager(paths.trust_path);
+  trustManager.setModeOverride(config.trust.mode);
+  trustManager.onChange = (change) => announceTrustChange(ns, change);
+  const keys = new KeyRegistry(paths.keys_path);
+  const quotas = createQuotaTracker(config.limits.quota);
+  const webhooks = createWebhooks({
+    dbPath: paths.webhooks_db,
+    namespace: name,
+    config: config.webhooks,
+    onLog: (entry) => appendLog({ namespace: name, ...entry }),
+    onResult: (result) => { metrics.webhooks[result]++; },
+    onFailure: (failure) => announceOutboxFailure(ns, 'webhooks', failure)
+  });
+  await mkdir(paths.kus_dir, { recursive: true });
+  await storage.initialize();
+  quotas.load(storage.usageByOwner());
+  await outbox.initialize();
+  edgesStore.initialize();
+  await webhooks.initialize();
+  await trustManager.load(); // the baseline later trust file edits are compared with
+  // Track timers from components if exposed later
+  try { if (outbox._timers) for (const t of outbox._timers) toClear.add(t) } catch {}
+
+  Object.assign(ns, { kusDir: paths.kus_dir, storage, outbox, edgesStore, trustManager, keys, quotas, webhooks });
+  ns.reconciler = createReconciler({
+    listDbIds: () => storage.listIds().filter(id => !storage.tombstonedBy(id)), // retracted KUs have no file by design
+    kusDir: paths.kus_dir,
+    quarantineDir: paths.quarantine_dir,
+    cidOf,
+    recoverKU: (cid) => recoverKU(ns, cid),
+    reindex: (cid, ku, size) => reindexKU(ns, cid, ku, size),
+    onLog: (entry) => appendLog({ namespace: name, ...entry })
+  });
+  Object.assign(metrics.namespace(name), { kusDir: paths.kus_dir, quota: quotas });
+  if (name === DEFAULT_NAMESPACE) {
+    metrics.quota = quotas;
+    metrics.kusDir = paths.kus_dir;
+  }
+  return ns;
+}
+
+async function closeNamespace(ns) {
+  ns.webhooks.close();
+  ns.outbox.close();
+  ns.edgesStore.close();
+  await ns.storage.close();
+}
 
+const namespaces = createNamespaceRegistry({
+  dir: config.namespaces.dir,
+  defaultPaths: DEFAULT_NAMESPACE_PATHS,
+  open: openNamespace,
+  close: closeNamespace,
+  onLog: appendLog
+});
+
+// ---- HTTP routes ----
+
+// Token scope check for the matched route; unknown paths need `read`, like any GET.
+// Routes marked `queryToken` also take ?access_token= (EventSource cannot set headers)
+async function authenticate(ctx, next) {
+  const authz = authorizeRequest(ctx.req, ctx.route ? ctx.route.scope : 'read', { allowQuery: !!ctx.route?.queryToken });
+  if (authz.reject) {
+    const headers = authz.reject.status === 401 ? { 'www-authenticate': 'Bearer' } : {};
+    throw HttpError.from({ ...authz.reject, headers });
+  }
+  ctx.req.auth = authz.auth;
+  return next();
+}
+
+/**
+ * Pick the namespace of the request: the /ns/:namespace prefix, else the token's namespace, else
+ * `default`. A token bound to a namespace reaches only that one and no daemon-wide (`global`) route;
+ * global routes are not served under the prefix.
+ */
+async function selectNamespace(ctx, next) {
+  const bound = ctx.req.auth?.namespace || null;
+  const requested = ctx.mount?.namespace ?? null;
+  if (ctx.route?.global) {
+    if (requested !== null) throw new HttpError(404, 'not_found');
+    if (bound) throw new HttpError(403, 'namespace_forbidden', { namespace: bound });
+    return next();
+  }
+  const name = requested ?? bound ?? DEFAULT_NAMESPACE;
+  if (bound && name !== bound) throw new HttpError(403, 'namespace_forbidden', { namespace: name });
+  ctx.ns = namespaces.get(name);
+  if (!ctx.ns) throw new HttpError(404, 'namespace_not_found', { namespace: name });
+  metrics.namespace(name).requests++;
+  return withLogContext({ namespace: name }, next);
+}
+
+async function handleReady() {
   try {
-    // Get all KUs from database
-    const dbStats = await storage.getStatistics();
-    results.total_db = dbStats.totalKUs;
-
-    // Get all KU files from filesystem
-    const kusFiles = [];
-    if (existsSync(KUS_DIR)) {
-      const files = await readdir(KUS_DIR);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          kusFiles.push(file.replace('.json', ''));
-        }
-      }
-    }
-    results.total_fs = kusFiles.length;
+    for (const ns of namespaces.all()) await ns.storage.getStatistics();
+    const dbRead = metrics.db.read.toJSON();
+    const dbWrite = metrics.db.write.toJSON();
+    const body = {
+      ok: true,
+      sqlite: 'open',
+      db_read_ms: dbRead.p50 ?? 0,
+      db_write_ms: dbWrite.p50 ?? 0,
+      ws_clients: metrics.ws.clients,
+      sse_clients: metrics.sse.clients,
+      queue_len: metrics.gauges.queue_len
+    };
+    return { status: 200, body };
+  } catch (e) {
+    return { status: 503, body: { error: 'not_ready', reason: e.message } };
+  }
+}
 
-    // Check for files without DB records
-    for (const cid of kusFiles) {
-      const dbRecord = await storage.retrieve(cid).catch(() => null);
-      if (!dbRecord) {
-        results.fs_only.push(cid);
-      }
+async function handleMetrics(ctx) {
+  for (const ns of namespaces.all()) {
+    try { noteOutboxReady(ns); } catch { metrics.setOutboxReady(0, ns.name); }
+  }
+  metrics.webhooks.pending = namespaces.all().reduce((sum, ns) => sum + ns.webhooks.pending(), 0);
+  try {
+    if (ctx.url.searchParams.get('format') === 'prom') {
+      return { status: 200, body: metrics.toProm(), headers: { 'content-type': 'text/plain; version=0.0.4' } };
     }
+    return { status: 200, body: metrics.snapshot() };
+  } catch (e) {
+    await appendLog({ evt: 'metrics_error', level: 'error', msg: String(e) });
+    return { status: 200, body: '# metrics temporarily unavailable\n' };
+  }
+}
 
-    // For now, we can't easily iterate all DB records without modifying storage
-    // This is a simplified check focusing on FS orphans
-    results.mismatches = results.fs_only.length;
-    results.consistent = results.mismatches === 0;
+async function handleAddEdge(ctx) {
+  const limited = rateLimit('edges', clientOf(ctx.req), await edgeKeyId(ctx.body));
+  if (limited) return limited;
+  return addEdge(ctx.ns, ctx.body);
+}
 
-    return results;
+async function handleTrustReload(ctx) {
+  try {
+    await ctx.ns.trustManager.reload();
+    eventsRecheckKeys?.(); // /events sessions bound to keys the reload revoked are closed now
+    return { status: 200, body: { reloaded: true } };
   } catch (error) {
-    throw new Error(`Consistency check failed: ${error.message}`);
+    return { status: 500, body: { error: 'reload_failed', reason: error.message } };
+  }
+}
+
+async function handleConsistency(ctx) {
+  try {
+    const result = await ctx.ns.reconciler.check();
+    noteConsistency(ctx.ns, result, 'check');
+    return { status: 200, body: result };
+  } catch (error) {
+    return { status: 500, body: { error: 'consistency_check_failed', reason: error.message } };
+  }
+}
+
+// GET /admin/logs?evt=a,b&since=&cid=&request_id=&level=&limit= -> { entries (oldest first), matched, truncated }
+async function handleLogs(ctx) {
+  const q = ctx.url.searchParams;
+  let since;
+  try { since = parseTimeParam(q.get('since')); } catch { return { status: 400, body: { error: 'invalid_since' } }; }
+  const level = q.get('level');
+  if (level && !LOG_LEVELS.includes(level)) return { status: 400, body: { error: 'invalid_level', allowed: LOG_LEVELS } };
+  const limit = Number(q.get('limit') || 200);
+  if (!Number.isInteger(limit) || limit < 1) return { status: 400, body: { error: 'invalid_limit' } };
+  const result = await logger.query({
+    evt: toList(q.getAll('evt')),
+    since,
+    cid: q.get('cid') || null,
+    request_id: q.get('request_id') || null,
+    level,
+    limit
+  });
+  return { status: 200, body: result };
+}
+
+// POST /admin/repair[?dry_run=1] or { dry_run: true }: plan or apply the reconciliation
+async function handleRepair(ctx) {
+  const flag = ctx.url.searchParams.get('dry_run');
+  const dryRun = flag != null ? !['0', 'false'].includes(flag) : ctx.body.dry_run === true;
+  try {
+    const result = await ctx.ns.reconciler.repair({ dryRun });
+    noteConsistency(ctx.ns, result.after || result.report, 'repair');
+    return { status: 200, body: result };
+  } catch (error) {
+    if (error.code === 'repair_in_progress') return { status: 409, body: { error: 'repair_in_progress' } };
+    return { status: 500, body: { error: 'repair_failed', reason: error.message } };
+  }
+}
+
+async function handleDrain(ctx) {
+  const ready = ctx.ns.outbox.getReady(1000); // Get up to 1000 items
+  for (const item of ready) {
+    ctx.ns.outbox.markSent(item.seq);
+    metrics.incrementOutboxDelivery();
+  }
+  await appendLog({ evt: 'admin_drain', drained: ready.length });
+  return { status: 200, body: { drained: ready.length, broadcast_enabled: BROADCAST_ENABLED } };
+}
+
+// POST /subscriptions { url, events?, types?, tags?, key_ids?, secret?, description? } -> 201, secret included once
+async function handleSubscribe(ctx) {
+  try {
+    return { status: 201, body: { ok: true, subscription: ctx.ns.webhooks.subscribe(ctx.body) } };
+  } catch (e) {
+    if (!['invalid_url', 'invalid_filter', 'invalid_secret'].includes(e.code)) throw e;
+    return { status: 400, body: { error: e.code, field: e.field ?? null } };
+  }
+}
+
+// POST /keys { pub_pem, owner } -> 201 { key }; the key_id is computed from the PEM
+async function handleRegisterKey(ctx) {
+  try {
+    const key = await ctx.ns.keys.register(ctx.body);
+    await appendLog({ evt: 'key_registered', key_id: key.key_id, owner: key.owner });
+    return { status: 201, body: { ok: true, key } };
+  } catch (e) {
+    if (e.code === 'key_exists') return { status: 409, body: { error: e.code, key_id: e.key_id } };
+    if (!['invalid_pub_pem', 'invalid_owner'].includes(e.code)) throw e;
+    return { status: 400, body: { error: e.code, reason: e.reason ?? null } };
+  }
+}
+
+function keyOr404(ctx) {
+  const key = ctx.ns.keys.get(ctx.params.key_id);
+  if (!key) throw new HttpError(404, 'key_not_found', { key_id: ctx.params.key_id });
+  return key;
+}
+
+// A registered key and its current trust status (registration alone does not trust it)
+async function handleGetKey(ctx) {
+  const key = keyOr404(ctx);
+  const trust = await ctx.ns.trustManager.isKeyTrusted(key.key_id);
+  return { status: 200, body: { ...key, trusted: trust.trusted, trust_reason: trust.reason ?? null } };
+}
+
+async function handleDeleteKey(ctx) {
+  const { key_id } = keyOr404(ctx);
+  ctx.ns.keys.remove(key_id);
+  await appendLog({ evt: 'key_deleted', key_id });
+  return { status: 200, body: { ok: true, key_id, deleted: true } };
+}
+
+function subscriptionOr404(ctx) {
+  const sub = ctx.ns.webhooks.get(ctx.params.id);
+  if (!sub) throw new HttpError(404, 'subscription_not_found', { id: ctx.params.id });
+  return sub;
+}
+
+// Drops the subscription's queued deliveries and delivery log too
+async function handleUnsubscribe(ctx) {
+  const { id } = subscriptionOr404(ctx);
+  ctx.ns.webhooks.remove(id);
+  return { status: 200, body: { ok: true, id, deleted: true } };
+}
+
+// GET /subscriptions/:id/deliveries?limit= -> { subscription_id, deliveries } (newest first, max 200)
+async function handleDeliveries(ctx) {
+  const sub = subscriptionOr404(ctx);
+  const limit = Number(ctx.url.searchParams.get('limit') || 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) return { status: 400, body: { error: 'invalid_limit' } };
+  return { status: 200, body: { subscription_id: sub.id, deliveries: ctx.ns.webhooks.deliveries(sub.id, { limit }) } };
+}
+
+// Key challenge/response for /events (events.key_auth): nonces from SignedHandshake, public keys from
+// the request or the namespace's key registry, trust from its TrustManager
+// A WebSocket keeps its newest 8 challenges, an /events/stream client (token, else address) too, 10000 in all
+const eventsHandshake = new SignedHandshake({ maxChallenges: 10000, maxPerPeer: 8 });
+// /events/stream nonces are not tied to a connection, only to the client that asked for them
+const ssePeer = (client) => `sse:${client.token_id ? `token:${client.token_id}` : `ip:${client.ip}`}`;
+
+const eventsKeyAuth = {
+  mode: config.events.key_auth,
+  challenge: (peerId) => eventsHandshake.generateChallenge(peerId),
+  async verify({ namespace, peerId, nonce, signature, key_id, pub_pem }) {
+    const ns = namespaces.get(namespace ?? DEFAULT_NAMESPACE);
+    if (!ns) return { ok: false, error: 'namespace_not_found' };
+    const pem = pub_pem || ns.keys.pubPemFor(key_id);
+    if (!pem) return { ok: false, error: 'unknown_key', key_id };
+    const res = await eventsHandshake.verifyResponse(nonce, signature, pem, peerId);
+    if (!res.ok) return { ok: false, error: 'key_auth_failed', reason: res.reason, key_id };
+    if (key_id && res.key_id !== key_id) return { ok: false, error: 'key_auth_failed', reason: 'key_mismatch', key_id };
+    const trust = await ns.trustManager.isKeyTrusted(res.key_id);
+    if (!trust.trusted) return { ok: false, error: 'untrusted_key', reason: trust.reason, key_id: res.key_id };
+    return { ok: true, key_id: res.key_id };
+  },
+  async check(namespace, keyId) {
+    const ns = namespaces.get(namespace ?? DEFAULT_NAMESPACE);
+    return ns ? ns.trustManager.isKeyTrusted(keyId) : { trusted: false, reason: 'namespace_deleted' };
+  },
+};
+
+// GET /events/challenge: a nonce to sign for ?key_id=&nonce=&signature= on /events/stream
+async function handleEventsChallenge(ctx) {
+  if (config.events.key_auth === 'off') return { status: 404, body: { error: 'key_auth_disabled' } };
+  let nonce;
+  try {
+    ({ nonce } = eventsKeyAuth.challenge(ssePeer(clientOf(ctx.req))));
+  } catch (e) {
+    if (e.code !== 'too_many_challenges') throw e;
+    return { status: 503, body: { error: e.code }, headers: { 'retry-after': '60' } };
+  }
+  return { status: 200, body: { nonce, key_auth: config.events.key_auth, expires_in_ms: eventsHandshake.challengeTTL } };
+}
+
+// GET /events/stream: the /events feed of the namespace as Server-Sent Events; the Last-Event-ID
+// header (sent by EventSource on reconnect), ?resume_from= or ?last_event_id= resumes after that seq,
+// ?types=&tags=&key_ids=&edge_types=&cids=&events= (comma-separated) filter it and ?inline=json adds
+// the KU's DAG-CBOR to ku events. ?key_id=&nonce=&signature= (nonce from /events/challenge) binds the
+// stream to a key; with events.key_auth 'required' that is mandatory
+async function handleEventStream(ctx) {
+  if (!eventsAttachStream) return { status: 503, body: { error: 'events_unavailable' } };
+  const params = ctx.url.searchParams;
+  let keyId = null;
+  if (config.events.key_auth !== 'off' && params.get('signature')) {
+    const res = await eventsKeyAuth.verify({
+      namespace: ctx.ns.name, peerId: ssePeer(clientOf(ctx.req)), nonce: params.get('nonce') || '', signature: params.get('signature'),
+      key_id: params.get('key_id'), pub_pem: null,
+    });
+    if (!res.ok) {
+      metrics.events.key_auth.failed++;
+      await appendLog({ evt: 'events_key_auth_failed', level: 'warn', transport: 'sse', error: res.error, reason: res.reason, key_id: res.key_id ?? null });
+      return { status: res.error === 'untrusted_key' ? 403 : 401, body: { error: res.error, reason: res.reason ?? null } };
+    }
+    metrics.events.key_auth.ok++;
+    keyId = res.key_id;
+  } else if (config.events.key_auth === 'required') {
+    return { status: 401, body: { error: 'key_auth_required' } };
+  }
+  const resumeFrom = ctx.req.headers['last-event-id'] ?? params.get('resume_from') ?? params.get('last_event_id');
+  let filter, inline;
+  try {
+    filter = filterFromQuery(params);
+    inline = parseInline(params.get('inline'));
+  } catch (e) {
+    return { status: 400, body: { error: e.code, field: e.field } };
+  }
+  if (inline === 'binary') return { status: 400, body: { error: 'invalid_inline', field: 'inline', reason: 'binary_needs_websocket' } };
+  if (!eventsAttachStream(ctx.req, ctx.res, { namespace: ctx.ns.name, resumeFrom, filter, inline, keyId })) {
+    await appendLog({ evt: 'events_auth_reject', status: 403, error: 'events_forbidden', transport: 'sse' });
+    return { status: 403, body: { error: 'events_forbidden' } };
+  }
+  // The stream owns the response from here on
+}
+
+// Re-read every namespace's trust file if it changed (edits are announced without /trust/reload)
+// and announce the keys that expired since the last pass
+const TRUST_POLL_MS = 1000;
+async function pollTrust() {
+  for (const ns of namespaces.all()) {
+    try { await ns.trustManager.checkExpiries(); } catch (e) { appendLog({ evt: 'trust_poll_error', level: 'error', namespace: ns.name, msg: e.message }); }
+  }
+}
+
+// Poll every namespace's webhook queue (config.webhooks.poll_ms); runs still in flight are not waited for
+function deliverWebhooks() {
+  for (const ns of namespaces.all()) {
+    ns.webhooks.deliverReady().catch((e) => appendLog({ evt: 'webhook_loop_error', level: 'error', namespace: ns.name, msg: e.message }));
+  }
+}
+
+const NAMESPACE_ERRORS = { invalid_namespace: 400, namespace_protected: 400, namespace_not_found: 404, namespace_exists: 409 };
+
+function namespaceError(e) {
+  if (!NAMESPACE_ERRORS[e.code]) throw e;
+  return { status: NAMESPACE_ERRORS[e.code], body: { error: e.code, namespace: e.namespace ?? null } };
+}
+
+async function handleListNamespaces() {
+  return { status: 200, body: { namespaces: namespaces.list() } };
+}
+
+// POST /admin/namespaces { name, trust? } -> 201 { name, created_at }; `trust` seeds the namespace's trust.json
+async function handleCreateNamespace(ctx) {
+  const { name, trust = null } = ctx.body;
+  if (trust !== null && (typeof trust !== 'object' || Array.isArray(trust))) return { status: 400, body: { error: 'invalid_trust' } };
+  try {
+    return { status: 201, body: { ok: true, ...(await namespaces.create(name, { trust })) } };
+  } catch (e) {
+    return namespaceError(e);
+  }
+}
+
+// DELETE /admin/namespaces/:name: disconnects its /events clients, closes its stores and deletes its data
+async function handleDeleteNamespace(ctx) {
+  const { name } = ctx.params;
+  try {
+    await namespaces.remove(name);
+  } catch (e) {
+    return namespaceError(e);
+  }
+  eventsDisconnect?.(name);
+  metrics.dropNamespace(name);
+  return { status: 200, body: { ok: true, name, deleted: true } };
+}
+
+// Every endpoint is declared once here: scope (null = public probe, '*' = any token, checked
+// per method by /rpc), body handling and limits come from the route, not the handler.
+// Routes serve the request's namespace (also reachable as /ns/:namespace/...) unless marked `global`
+const router = createRouter({ onLog: appendLog, mount: '/ns/:namespace' })
+  .use(requestId())
+  .use((ctx, next) => withLogContext({ request_id: ctx.requestId }, next))
+  .use(latency((route, ms, status) => metrics.observeRoute(route, ms, status)))
+  .use(cors(() => toList(config.http.cors_origins)))
+  .use(authenticate)
+  .use(selectNamespace)
+  .use(parseBody(() => config.limits.body_max_bytes))
+  .use(idempotency({
+    // Without a token (auth off) clients are told apart by address, so one cannot replay another's response
+    scopeOf: (ctx) => `${ctx.ns?.name}|${ctx.req.auth?.token_id ? `token:${ctx.req.auth.token_id}` : `ip:${ctx.req.socket?.remoteAddress || ''}`}`,
+    ttlMs: () => config.limits.idempotency_ttl_s * 1000,
+    store: idempotencyStore
+  }));
+
+router
+  .get('/live', async () => ({ status: 204 }), { scope: null, global: true })
+  .get('/ready', handleReady, { scope: null, global: true })
+  .get('/health', handleHealth)
+  .get('/metrics', handleMetrics, { global: true })
+  .post('/publish', handlePublish, { scope: 'publish', body: 'json', idempotent: true })
+  .post('/publish/batch', handlePublishBatch, { scope: 'publish', body: 'raw', idempotent: true })
+  .post('/verify', handleVerify, { body: 'json' })
+  .get('/ku/:cid', handleGetKU)
+  .get('/search', handleSearch)
+  .get('/events/stream', handleEventStream, { queryToken: true })
+  .get('/events/challenge', handleEventsChallenge)
+  .get('/export.car', handleExport)
+  .post('/import', handleImport, { scope: 'publish', body: 'raw', maxBytes: IMPORT_MAX_BYTES })
+  .post('/rpc', handleRpc, { scope: '*', body: 'raw' })
+  .post('/edges', handleAddEdge, { scope: 'edges', body: 'json' })
+  .get('/edges/:cid', async (ctx) => listEdges(ctx.ns, { cid: ctx.params.cid, direction: ctx.url.searchParams.get('direction') || 'out', type: ctx.url.searchParams.get('type') }))
+  .get('/graph/:cid', async (ctx) => traverseGraph(ctx.ns, { cid: ctx.params.cid, depth: ctx.url.searchParams.get('depth') || 2 }))
+  .post('/trust/reload', handleTrustReload, { scope: 'trust:admin' })
+  .post('/keys', handleRegisterKey, { scope: 'trust:admin', body: 'json' })
+  .get('/keys', async (ctx) => ({ status: 200, body: { keys: ctx.ns.keys.list() } }))
+  .get('/keys/:key_id', handleGetKey)
+  .delete('/keys/:key_id', handleDeleteKey, { scope: 'trust:admin' })
+  .get('/admin/consistency', handleConsistency, { scope: 'admin' })
+  .post('/admin/repair', handleRepair, { scope: 'admin', body: 'json' })
+  .post('/subscriptions', handleSubscribe, { scope: 'admin', body: 'json' })
+  .get('/subscriptions', async (ctx) => ({ status: 200, body: { subscriptions: ctx.ns.webhooks.list() } }), { scope: 'admin' })
+  .get('/subscriptions/:id', async (ctx) => ({ status: 200, body: subscriptionOr404(ctx) }), { scope: 'admin' })
+  .delete('/subscriptions/:id', handleUnsubscribe, { scope: 'admin' })
+  .get('/subscriptions/:id/deliveries', handleDeliveries, { scope: 'admin' })
+  .get('/admin/logs', handleLogs, { scope: 'admin', global: true })
+  .post('/admin/drain', handleDrain, { scope: 'admin' })
+  .post('/admin/config/reload', () => reloadConfig('http'), { scope: 'admin', global: true })
+  .get('/admin/namespaces', handleListNamespaces, { scope: 'admin', global: true })
+  .post('/admin/namespaces', handleCreateNamespace, { scope: 'admin', body: 'json', global: true })
+  .delete('/admin/namespaces/:name', handleDeleteNamespace, { scope: 'admin', global: true });
+
+// The /events upgrade: API token (SGN_AUTH=tokens, `read` scope), then the namespace rules of selectNamespace
+function authorizeEvents(req) {
+  const authz = AUTH_ENABLED ? authorizeRequest(req, 'read', { allowQuery: true }) : { auth: null };
+  if (authz.reject) return authz;
+  const bound = authz.auth?.namespace || null;
+  const name = req.namespace ?? bound ?? DEFAULT_NAMESPACE;
+  if (bound && name !== bound) return { reject: { status: 403, body: { error: 'namespace_forbidden' } } };
+  if (!namespaces.get(name)) return { reject: { status: 404, body: { error: 'namespace_not_found' } } };
+  req.namespace = name;
+  return authz;
+}
+
+// /ns/<name>/events reaches the same WS server as /events, scoped to <name>
+const NS_EVENTS_RE = /^\/ns\/([^/?]+)(\/events(?:\?.*)?)$/;
+
+// WS and SSE client gauges, daemon-wide and per namespace
+function noteEventClients(clients) {
+  const counts = { ws: {}, sse: {} };
+  for (const { transport, namespace } of clients.values()) counts[transport][namespace] = (counts[transport][namespace] || 0) + 1;
+  const total = (byNs) => Object.values(byNs).reduce((sum, n) => sum + n, 0);
+  metrics.ws.clients = total(counts.ws);
+  metrics.sse.clients = total(counts.sse);
+  for (const name of Object.keys(metrics.namespaces)) {
+    Object.assign(metrics.namespace(name), { ws_clients: counts.ws[name] || 0, sse_clients: counts.sse[name] || 0 });
   }
 }
 
 async function main() {
-  await ensureDirs();
-  await storage.initialize();
       // For tests: if using tmp-edges-graph.db, ensure a fresh edges db file
       try {
         if (basename(EDGES_DB_PATH).startsWith('tmp-edges-graph')) {
           try { await unlink(EDGES_DB_PATH) } catch {}
         }
       } catch {}
-
-  await outbox.initialize();
-  edgesStore.initialize();
-      // Track timers from components if exposed later
-      try { if (outbox && outbox._timers) for (const t of outbox._timers) toClear.add(t) } catch {}
-
-
-  // Create server placeholder
-  let broadcastEdge = () => {}; // Will be set after events server creation
-
-  server = http.createServer(async (req, res) => {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-
-      if (req.method === 'POST' && url.pathname === '/edges') {
-        const buf = await readBody(req);
-        try {
-          const { src, dst, type, pub_pem, verify } = JSON.parse(buf.toString('utf8')) || {};
-          const allowed = new Set(['applies_to','verifies','supersedes','conflicts_with']);
-          if (!allowed.has(type)) return sendJson(res, 400, { ok:false, error: 'invalid_type' });
-          if (!src || !dst) return sendJson(res, 400, { ok:false, error: 'missing_cid' });
-          let publisher_key_id = null;
-          if (verify && pub_pem) {
-            try {
-              const { keyIdFromPubPEM } = await import('../ku/sign_v1.mjs');
-              const kid = await keyIdFromPubPEM(pub_pem);
-              const tr = await trustManager.isKeyTrusted(kid);
-              if (!tr.trusted) return sendJson(res, 403, { ok:false, error: 'edge_untrusted', reason: tr.reason });
-              publisher_key_id = kid;
-            } catch (e) {
-              const tm = await loadTrust().catch(()=>({mode:'warn'}));
-              if (tm?.mode === 'enforce') return sendJson(res, 400, { ok:false, error: 'edge_verify_failed', reason: String(e) });
-              // warn: proceed without publisher_key_id
-            }
-          }
-          const changes = edgesStore.insert(src, dst, type, publisher_key_id);
-          metrics.edgesInsertCount = (metrics.edgesInsertCount || 0) + (changes ? 1 : 0);
-          try { broadcastEdge({ src, dst, edge_type: type }); } catch {}
-          return sendJson(res, 200, { ok:true, stored: true, inserted: !!changes });
-        } catch (e) {
-          await appendLog({ evt:'edges_error', msg:String(e) })
-          return sendJson(res, 400, { ok:false, error: 'bad_edges_request', reason: String(e) });
-        }
-      }
-      if (req.method === 'GET' && url.pathname.startsWith('/edges/')) {
-        const cid = decodeURIComponent(url.pathname.substring('/edges/'.length));
-        const dir = url.searchParams.get('direction') || 'out';
-        const type = url.searchParams.get('type') || null;
-        let list;
-        if (dir === 'in') list = edgesStore.listIncoming(cid, type);
-        else list = edgesStore.listOutgoing(cid, type);
-        return sendJson(res, 200, { edges: list });
-      }
-      if (req.method === 'GET' && url.pathname.startsWith('/graph/')) {
-        const cid = decodeURIComponent(url.pathname.substring('/graph/'.length));
-        const depth = Number(url.searchParams.get('depth') || 2);
-        metrics.graphReqCount = (metrics.graphReqCount || 0) + 1;
-        const vis = new Set([cid]); const q = [[cid,0]]; const out = [];
-        while (q.length) {
-          const [cur, d] = q.shift(); if (d === depth) continue;
-          const edges = edgesStore.listOutgoing(cur);
-          for (const e of edges) { out.push({ src: cur, dst: e.dst, type: e.type }); if (!vis.has(e.dst)) { vis.add(e.dst); q.push([e.dst, d+1]); } }
-        }
-        return sendJson(res, 200, { start: cid, depth, edges: out });
-      }
-    try {
-      const url = new URL(req.url, `http://${req.headers.host}`);
-      if (req.method === 'GET' && url.pathname === '/live') {
-        res.statusCode = 204; // No Content: fastest possible response
-        res.end();
-        return;
-      }
-      if (req.method === 'GET' && url.pathname === '/ready') {
-        try {
-          const stats = await storage.getStatistics();
-          const dbRead = metrics.db.read.toJSON();
-          const dbWrite = metrics.db.write.toJSON();
-          return sendJson(res, 200, {
-            ok: true,
-            sqlite: 'open',
-            db_read_ms: dbRead.p50 ?? 0,
-            db_write_ms: dbWrite.p50 ?? 0,
-            ws_clients: metrics.ws.clients,
-            queue_len: metrics.gauges.queue_len
-          });
-        } catch (e) {
-          return sendJson(res, 503, { ok: false, error: e.message });
-        }
-      }
-      if (req.method === 'GET' && url.pathname === '/health') return handleHealth(req, res);
-      if (req.method === 'POST' && url.pathname === '/publish') return handlePublish(req, res);
-      if (req.method === 'POST' && url.pathname === '/verify') return handleVerify(req, res);
-      if (req.method === 'GET' && url.pathname === '/metrics') {
-        try {
-          const fmt = url.searchParams.get('format');
-          try { metrics.outbox.ready = outbox.getReady(1).length; } catch { metrics.outbox.ready = 0 }
-          if (fmt === 'prom') {
-            let prom = '';
-            try { prom = typeof metrics.toProm === 'function' ? metrics.toProm() : '' } catch {}
-            return sendText(res, 200, prom, { 'content-type': 'text/plain; version=0.0.4' });
-          }
-          let snap = {};
-          try { snap = typeof metrics.snapshot === 'function' ? metrics.snapshot() : {} } catch {}
-          return sendJson(res, 200, snap);
-        } catch (e) {
-          await appendLog({ evt: 'metrics_error', msg: String(e) });
-          return sendText(res, 200, '# metrics temporarily unavailable\n', { 'content-type': 'text/plain; charset=utf-8' });
-        }
-      }
-      if (req.method === 'GET' && url.pathname.startsWith('/ku/')) {
-        const cid = decodeURIComponent(url.pathname.substring(4));
-        const view = url.searchParams.get('view') || 'json';
-        return handleGetKU(req, res, cid, view);
-      }
-      if (req.method === 'POST' && url.pathname === '/edges') {
-        const buf = await readBody(req);
-        try {
-          const { src, dst, type, pub_pem, verify } = JSON.parse(buf.toString('utf8')) || {};
-          const allowed = new Set(['applies_to','verifies','supersedes','conflicts_with']);
-          if (!allowed.has(type)) return sendJson(res, 400, { error: 'invalid_type' });
-          if (!src || !dst) return sendJson(res, 400, { error: 'missing_cid' });
-          let publisher_key_id = null;
-          if (verify && pub_pem) {
-            const { keyIdFromPubPEM } = await import('../ku/sign_v1.mjs');
-            const kid = await keyIdFromPubPEM(pub_pem);
-            const tr = await trustManager.isKeyTrusted(kid);
-            if (!tr.trusted) return sendJson(res, 403, { error: 'untrusted_key', reason: tr.reason });
-            publisher_key_id = kid;
-          }
-          const changes = edgesStore.insert(src, dst, type, publisher_key_id);
-          metrics.edgesInsertCount = (metrics.edgesInsertCount || 0) + (changes ? 1 : 0);
-          if (changes) broadcastEdge({ src, dst, edge_type: type });
-          return sendJson(res, 200, { stored: true, inserted: !!changes });
-        } catch (e) {
-          return sendJson(res, 400, { error: 'bad_request', message: e.message });
-        }
-      }
-      if (req.method === 'GET' && url.pathname.startsWith('/edges/')) {
-        const cid = decodeURIComponent(url.pathname.substring('/edges/'.length));
-        const dir = url.searchParams.get('direction') || 'out';
-        const type = url.searchParams.get('type') || null;
-        let list;
-        if (dir === 'in') list = edgesStore.listIncoming(cid, type);
-        else list = edgesStore.listOutgoing(cid, type);
-        return sendJson(res, 200, { edges: list });
-      }
-      if (req.method === 'GET' && url.pathname.startsWith('/graph/')) {
-        const cid = decodeURIComponent(url.pathname.substring('/graph/'.length));
-        const depth = Number(url.searchParams.get('depth') || 2);
-        metrics.graphReqCount = (metrics.graphReqCount || 0) + 1;
-        const vis = new Set([cid]); const q = [[cid,0]]; const out = [];
-        while (q.length) {
-          const [cur, d] = q.shift(); if (d === depth) continue;
-          const edges = edgesStore.listOutgoing(cur);
-          for (const e of edges) { out.push({ src: cur, dst: e.dst, type: e.type }); if (!vis.has(e.dst)) { vis.add(e.dst); q.push([e.dst, d+1]); } }
-        }
-        return sendJson(res, 200, { start: cid, depth, edges: out });
-      }
-      if (req.method === 'POST' && url.pathname === '/trust/reload') {
-        try {
-          await trustManager.reload();
-          return sendJson(res, 200, { reloaded: true });
-        } catch (error) {
-          return sendJson(res, 500, { error: 'reload_failed', message: error.message });
-        }
-      }
-      if (req.method === 'GET' && url.pathname === '/admin/consistency') {
-        try {
-          const consistencyResult = await checkConsistency();
-          metrics.setConsistencyMismatches(consistencyResult.mismatches);
-          return sendJson(res, 200, consistencyResult);
-        } catch (error) {
-          return sendJson(res, 500, { error: 'consistency_check_failed', message: error.message });
-        }
-      }
-      if (req.method === 'POST' && url.pathname === '/admin/drain') {
-        try {
-          const ready = outbox.getReady(1000); // Get up to 1000 items
-          let drained = 0;
-          for (const item of ready) {
-            outbox.markSent(item.seq);
-            drained++;
-            metrics.incrementOutboxDelivery();
-          }
-          await appendLog({ evt: 'admin_drain', drained });
-          return sendJson(res, 200, { drained, broadcast_enabled: BROADCAST_ENABLED });
-        } catch (error) {
-          return sendJson(res, 500, { error: 'drain_failed', message: error.message });
-        }
-      }
-
-      return sendJson(res, 404, { error: 'not_found' });
-
-    } catch (e) {
-      return sendJson(res, 500, { error: 'server_error' });
-    }
-  });
+  await namespaces.load();
 
   // attach WS /events
-  const authCfg = {
-    origin: process.env.SGN_EVENTS_ORIGIN || undefined,
-    bearer: process.env.SGN_EVENTS_BEARER || undefined,
-  };
-  // Auth is opt-in: only enforce checks if env set
-  const wantAuthOrigin = !!process.env.SGN_EVENTS_ORIGIN;
-  const wantAuthBearer = !!process.env.SGN_EVENTS_BEARER;
+  // Auth is opt-in: only enforce checks if configured (events.origin / events.bearer)
   const auth = {
-    origin: wantAuthOrigin ? process.env.SGN_EVENTS_ORIGIN : undefined,
-    bearer: wantAuthBearer ? process.env.SGN_EVENTS_BEARER : undefined,
+    origin: config.events.origin || undefined,
+    bearer: config.events.bearer || undefined,
+    authorize: authorizeEvents,
+    keys: eventsKeyAuth,
   };
-  const { wss, broadcastKU, broadcastEdge: _broadcastEdge, clients, close: eventsCloseFn } = createEventsServer({ server, path: '/events', auth, onLog: appendLog });
+  // ku/edge events get their seq here; kept across restarts so clients can resume (resume_from)
+  eventLog = createEventLog({ dbPath: EVENTS_DB_PATH, max: config.events.log_max });
+  const {
+    handleUpgrade, attachStream, broadcastKU, broadcastEdge, broadcastTrust, broadcastOutbox, broadcastConsistency,
+    disconnect, recheckKeys, close: eventsCloseFn
+  } = createEventsServer({
+    path: '/events', auth, log: eventLog, backpressure: config.events.backpressure,
+    inlineMaxBytes: config.events.inline_max_bytes, onLog: appendLog, onClients: noteEventClients
+  });
   eventsBroadcastKU = broadcastKU;
-  broadcastEdge = _broadcastEdge; // Set the actual function
+  eventsBroadcastEdge = broadcastEdge;
+  eventsBroadcastTrust = broadcastTrust;
+  eventsBroadcastOutbox = broadcastOutbox;
+  eventsBroadcastConsistency = broadcastConsistency;
+  eventsDisconnect = disconnect;
+  eventsRecheckKeys = recheckKeys;
+  eventsAttachStream = attachStream;
   eventsClose = eventsCloseFn;
-  wss.on('connection', () => { metrics.ws.clients = clients.size });
-  wss.on('close',       () => { metrics.ws.clients = clients.size });
+  const onUpgrade = (req, socket, head) => {
+    const m = NS_EVENTS_RE.exec(req.url);
+    if (m) {
+      try { req.namespace = decodeURIComponent(m[1]); } catch { return socket.destroy(); }
+      req.url = m[2];
+    }
+    handleUpgrade(req, socket, head);
+  };
 
-  server.listen(PORT, () => {
-    console.log(`SGN Daemon listening on http://localhost:${PORT}`);
-    appendLog({ evt: 'daemon_listen', port: PORT });
-  });
+  listeners = await startListeners(router.handle, config, { onLog: appendLog, onUpgrade });
+  toClear.add(setInterval(deliverWebhooks, config.webhooks.poll_ms));
+  toClear.add(setInterval(pollTrust, TRUST_POLL_MS));
+  for (const { kind, address } of listeners) {
+    console.log(`SGN Daemon listening on ${address}`);
+    appendLog({ evt: 'daemon_listen', kind, address, config: loaded.file });
+  }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -0,0 +1,96 @@
+/**
+ * Event log: the ku/edge events broadcast by the events server (events.mjs), kept with their sequence
+ * number so /events clients can resume after a disconnect, or a daemon restart
+ * - seq is the SQLite rowid (AUTOINCREMENT): increasing, never reused, kept across restarts
+ * - bounded: each append deletes what falls more than `max` events behind it
+ * - one log for every namespace; rows carry the namespace and the fields subscription filters match on
+ * createMemoryEventLog is the same interface without persistence (seq restarts at 1).
+ */
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * @typedef {{ seq: number, namespace: string|null, type: string, message: object, meta: object }} LoggedEvent
+ *   message is the client payload without its seq
+ */
+
+/**
+ * @param {{ dbPath: string, max?: number }} opts
+ */
+export function createEventLog({ dbPath, max = 10000 }) {
+  const dir = dirname(dbPath);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      namespace TEXT,
+      type TEXT NOT NULL,
+      message_json TEXT NOT NULL,
+      meta_json TEXT NOT NULL,
+      at INTEGER NOT NULL
+    );
+  `);
+  const stmts = {
+    insert: db.prepare('INSERT INTO events (namespace, type, message_json, meta_json, at) VALUES (?, ?, ?, ?, ?)'),
+    prune: db.prepare('DELETE FROM events WHERE seq <= ?'),
+    since: db.prepare('SELECT * FROM events WHERE seq > ? ORDER BY seq LIMIT ?'),
+    oldest: db.prepare('SELECT MIN(seq) AS seq FROM events'),
+    latest: db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'events'")
+  };
+  const toEvent = (row) => ({
+    seq: row.seq,
+    namespace: row.namespace,
+    type: row.type,
+    message: JSON.parse(row.message_json),
+    meta: JSON.parse(row.meta_json)
+  });
+
+  // Store an event; returns its seq
+  function append(namespace, message, meta = {}) {
+    const seq = Number(stmts.insert.run(namespace ?? null, message.type, JSON.stringify(message), JSON.stringify(meta), Date.now()).lastInsertRowid);
+    if (seq > max) stmts.prune.run(seq - max);
+    return seq;
+  }
+
+  /** @returns {LoggedEvent[]} events after `seq`, oldest first */
+  function since(seq, { limit = 500 } = {}) {
+    return stmts.since.all(seq, limit).map(toEvent);
+  }
+
+  // { oldest, latest }: the first seq still held (latest + 1 when empty) and the last one issued (0: none yet)
+  function bounds() {
+    const latest = stmts.latest.get()?.seq ?? 0;
+    return { oldest: stmts.oldest.get().seq ?? latest + 1, latest };
+  }
+
+  function close() {
+    try { db.close(); } catch {}
+  }
+
+  return { append, since, bounds, close };
+}
+
+export function createMemoryEventLog({ max = 1000 } = {}) {
+  const events = []; // oldest first
+  let latest = 0;
+
+  function append(namespace, message, meta = {}) {
+    events.push({ seq: ++latest, namespace: namespace ?? null, type: message.type, message, meta });
+    if (events.length > max) events.shift();
+    return latest;
+  }
+
+  function since(seq, { limit = 500 } = {}) {
+    return events.filter(e => e.seq > seq).slice(0, limit);
+  }
+
+  function bounds() {
+    return { oldest: events.length ? events[0].seq : latest + 1, latest };
+  }
+
+  return { append, since, bounds, close() {} };
+}
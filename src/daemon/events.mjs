@@ -1,5 +1,7 @@
+import { randomBytes } from 'node:crypto'
 import { WebSocketServer } from 'ws'
 import { metrics } from './metrics.mjs'
+import { createMemoryEventLog } from './event-log.mjs'
 
 function makeBucket(rate=10, burst=20){
   let t=burst, last=Date.now()
@@ -11,29 +13,337 @@ function makeBucket(rate=10, burst=20){
 
 const IDLE_MS = 5 * 60 * 1000; // 5 min
 const PING_MS = 30 * 1000;
+const REPLAY_PAGE = 500
+const FLUSH_MS = 100
+const AUTH_TIMEOUT_MS = 30 * 1000 // key_auth 'required': time to answer the challenge
+const KEY_CHECK_MS = 1000 // how often the keys of authenticated clients are checked against trust
 
-export function createEventsServer({ server, path='/events', auth, onLog }={}){
-  const wss = new WebSocketServer({ server, path })
-  const clients = new Map() // ws -> { bucket, lastSeen }
+// Key challenge/response for /events clients: 'off', 'optional' (clients may authenticate) or
+// 'required' (nothing but the challenge is sent until they do)
+export const KEY_AUTH_MODES = ['off', 'optional', 'required']
+
+// What happens to a client whose send queue is full: drop its oldest queued event, collapse the queue
+// into one `lagged` notice (the client catches up with resume_from), or close the connection
+export const BACKPRESSURE_POLICIES = ['drop_oldest', 'coalesce', 'disconnect']
+const BACKPRESSURE_DEFAULTS = { policy: 'drop_oldest', queue_max: 1000, high_water_bytes: 1048576, low_water_bytes: 262144 }
+
+// How a client may ask for the KU itself in ku events (?inline=): base64 DAG-CBOR in the JSON payload,
+// or a binary WebSocket frame (encodeKUFrame)
+export const INLINE_FORMATS = ['json', 'binary']
+
+const invalidInline = () => Object.assign(new Error('invalid_inline'), { code:'invalid_inline', field:'inline' })
+
+export function parseInline(value){
+  if (value == null || value === '') return null
+  if (!INLINE_FORMATS.includes(value)) throw invalidInline()
+  return value
+}
+
+/**
+ * Binary ku frame: a 4-byte big-endian header length, the JSON header ({ type:'ku', seq, cid, sig? })
+ * and the DAG-CBOR bytes the CID was computed over (the KU without its signature), so a receiver can
+ * hash them and compare with header.cid.
+ */
+export function encodeKUFrame(header, bytes){
+  const head = Buffer.from(JSON.stringify(header))
+  const len = Buffer.alloc(4)
+  len.writeUInt32BE(head.length)
+  return Buffer.concat([len, head, bytes])
+}
+
+// { header, bytes } of a binary ku frame
+export function decodeKUFrame(buf){
+  const len = buf.readUInt32BE(0)
+  return { header: JSON.parse(buf.subarray(4, 4 + len).toString()), bytes: buf.subarray(4 + len) }
+}
+
+export const EVENT_KINDS = ['ku', 'edge', 'health', 'trust', 'outbox', 'consistency', 'shutdown']
+const FILTER_FIELDS = ['events', 'types', 'tags', 'key_ids', 'edge_types', 'cids']
+const FILTER_VALUES_MAX = 256
+
+const invalidFilter = (field) => Object.assign(new Error('invalid_filter'), { code:'invalid_filter', field })
+
+/**
+ * Validate a subscription filter: { events?, types?, tags?, key_ids?, edge_types?, cids? }, each a
+ * list of strings. Returns null (everything) for an empty filter; throws { code:'invalid_filter', field }.
+ */
+export function parseFilter(spec){
+  if (spec == null) return null
+  if (typeof spec !== 'object' || Array.isArray(spec)) throw invalidFilter('filter')
+  const filter = {}
+  for (const [field, values] of Object.entries(spec)) {
+    if (!FILTER_FIELDS.includes(field)) throw invalidFilter(field)
+    if (values == null) continue
+    if (!Array.isArray(values) || values.length > FILTER_VALUES_MAX || !values.every(v => typeof v === 'string' && v)) throw invalidFilter(field)
+    if (field === 'events' && !values.every(v => EVENT_KINDS.includes(v))) throw invalidFilter(field)
+    if (values.length) filter[field] = [...new Set(values)]
+  }
+  return Object.keys(filter).length ? filter : null
+}
+
+// The same filter from query parameters (comma-separated lists), e.g. ?types=ku.patch&tags=a,b
+export function filterFromQuery(searchParams){
+  const spec = {}
+  for (const field of FILTER_FIELDS) {
+    const raw = searchParams.get(field)
+    if (raw != null) spec[field] = raw.split(',').map(v => v.trim()).filter(Boolean)
+  }
+  return parseFilter(spec)
+}
+
+// Metrics label of a filter: the fields it uses ('all' for none), e.g. 'tags+types'
+export const filterLabel = (filter) => filter ? Object.keys(filter).sort().join('+') : 'all'
+
+const anyOf = (wanted, values) => !wanted || values.some(v => v != null && wanted.includes(v))
+
+// Each field applies to the events it describes: types/tags to KUs, edge_types to edges, key_ids and
+// cids to both (the KU's signer and CID; the edge's publisher and src or dst), key_ids to trust changes
+// (the key, or the previous one of a rotation), cids to outbox failures; health, consistency and shutdown
+// only to `events`
+function matches(filter, type, meta){
+  if (!filter) return true
+  if (filter.events && !filter.events.includes(type)) return false
+  if (type === 'ku') {
+    return anyOf(filter.types, [meta.ku_type]) && anyOf(filter.tags, meta.tags) && anyOf(filter.key_ids, [meta.key_id]) && anyOf(filter.cids, [meta.cid])
+  }
+  if (type === 'edge') {
+    return anyOf(filter.edge_types, [meta.edge_type]) && anyOf(filter.key_ids, [meta.publisher_key_id]) && anyOf(filter.cids, [meta.src, meta.dst])
+  }
+  if (type === 'trust') return anyOf(filter.key_ids, [meta.key_id, meta.prev_key_id])
+  if (type === 'outbox') return anyOf(filter.cids, [meta.cid])
+  return true
+}
+
+// Without `server`, attach the returned handleUpgrade to each listener's 'upgrade' event.
+// A client only receives the events of its namespace (req.namespace, set by auth.authorize);
+// broadcasts without a namespace reach every client.
+// Clients are WebSockets or SSE streams (attachStream); both get the same JSON payloads, token
+// bucket and metrics. Besides ku and edge events there are state changes: trust (a key added, revoked,
+// rotated, given an expiry or expired), outbox (a delivery failed or was dead-lettered), consistency
+// (a check found mismatches) and shutdown (sent to every client just before close({ reason })).
+// All but health carry the `seq` they were given in `log` (event-log.mjs; also the
+// SSE `id:`), so a client can resume after it: ?resume_from=<seq> (or Last-Event-ID) when connecting,
+// or `resume_from` in a subscribe message.
+// Each client may narrow what it receives with a filter (parseFilter): from the query string at
+// connect time, and for WebSockets with { type:'subscribe', filter } messages at any time.
+// Events wait in a per-client queue while its token bucket is empty or its socket buffer is above
+// backpressure.high_water_bytes (until it falls to low_water_bytes). Once the queue holds queue_max
+// events, the client's policy applies (BACKPRESSURE_POLICIES: the token's events_policy, else
+// backpressure.policy) and the client is told what it missed with { type:'lagged', from_seq, to_seq, missed, policy }.
+// A client that asks for inline KUs (?inline=json|binary, or `inline` in a subscribe message) gets the
+// DAG-CBOR bytes with live ku events up to inlineMaxBytes; bigger ones, and replayed ones, carry the CID only.
+// With auth.keys (key_auth), a WebSocket client proves it holds a key by signing a server nonce:
+// { type:'auth_challenge' } -> { type:'challenge', nonce } (sent unasked in 'required' mode), then
+// { type:'auth', nonce, signature, key_id?, pub_pem? } -> { type:'authenticated', key_id } or an error.
+// The session stays bound to that key_id; once trust no longer accepts it (revoked, expired) the client
+// gets { type:'key_revoked', key_id, reason } and is closed with 1008.
+export function createEventsServer({ server, path='/events', auth, log=createMemoryEventLog(), backpressure={}, inlineMaxBytes=65536, onLog, onClients }={}){
+  const bp = { ...BACKPRESSURE_DEFAULTS, ...backpressure }
+  // auth.keys: { mode, challenge(peerId) -> { nonce }, verify({ namespace, peerId, nonce, signature, key_id, pub_pem })
+  //   -> { ok, key_id } | { ok:false, error, reason? }, check(namespace, key_id) -> { trusted, reason? } }
+  const keyAuth = auth?.keys?.mode && auth.keys.mode !== 'off' ? auth.keys : null
+  const gated = (st) => keyAuth?.mode === 'required' && !st.key_id
+  // Token auth rejects the upgrade with 401/403 before a socket exists
+  const verifyClient = auth?.authorize ? (info, cb) => {
+    const { auth: granted, reject } = auth.authorize(info.req)
+    if (reject) {
+      onLog?.({ evt:'events_auth_reject', status: reject.status, error: reject.body.error })
+      return cb(false, reject.status, reject.body.error)
+    }
+    info.req.auth = granted
+    cb(true)
+  } : undefined
+  // One WS server shared by every listener (TCP, Unix socket, TLS)
+  const wss = new WebSocketServer({ noServer: true, path, verifyClient })
+  function handleUpgrade(req, socket, head){
+    wss.handleUpgrade(req, socket, head, (ws)=> wss.emit('connection', ws, req))
+  }
+  server?.on('upgrade', handleUpgrade)
+  // ws | SSE response -> { transport, bucket, lastSeen, namespace, filter, label, inline, key_id, policy, queue,
+  //                       replay, lag, paused, isOpen, buffered, write, ping, end }
+  const clients = new Map()
   const intervals = new Set()
 
+  // Clients per filter label, for metrics
+  function countSubscriptions(){
+    const counts = {}
+    for (const st of clients.values()) counts[st.label] = (counts[st.label] || 0) + 1
+    metrics.events.subscriptions = counts
+  }
+  function addClient(key, st){
+    clients.set(key, st)
+    countSubscriptions()
+    onClients?.(clients)
+  }
+  function removeClient(key){
+    if (!clients.delete(key)) return
+    countSubscriptions()
+    onClients?.(clients)
+  }
+  function setFilter(st, filter){
+    st.filter = filter
+    st.label = filterLabel(filter)
+    countSubscriptions()
+  }
+
+  // Filter, inline and resume_from given in the connect URL; an invalid filter or inline refuses the client
+  function fromQuery(req){
+    const params = new URL(req?.url || '/', 'http://localhost').searchParams
+    try { return { filter: filterFromQuery(params), inline: parseInline(params.get('inline')), resumeFrom: params.get('resume_from') } }
+    catch (e) { return { error: e } }
+  }
+
+  const payload = (seq, message) => JSON.stringify({ type: message.type, seq, ...message })
+
+  /**
+   * Replay to `st` the logged events after seq `from` that it may see (namespace and filter), oldest first,
+   * then { type:'resumed', resume_from, replayed, latest_seq }. A seq older than the log still holds
+   * gets { type:'resume_gap', reason:'aged_out', oldest_seq, ... } first and the replay starts at
+   * oldest_seq; one never issued (or not a seq) gets resume_gap with reason 'unknown_seq' and no replay.
+   * Nothing is written here: flush sends the replay ahead of the client's queue, a page of the log at a
+   * time, within the same token bucket and high-water marks as live events. A new replay replaces one
+   * still in progress.
+   */
+  function replay(st, from){
+    const { oldest, latest } = log.bounds()
+    const requested = Number(from)
+    if (from === '' || !Number.isInteger(requested) || requested < 0 || requested > latest) {
+      const gap = notice({ type:'resume_gap', reason:'unknown_seq', resume_from: String(from), oldest_seq: oldest, latest_seq: latest })
+      onLog?.({ evt:'events_resume_gap', level:'warn', reason:'unknown_seq', transport: st.transport, resume_from: String(from) })
+      st.replay = { items: [gap], done: true }
+      return
+    }
+    st.replay = { items: [], done: false, cursor: requested, until: latest, requested, replayed: 0 }
+  }
+  const notice = (message) => ({ json: JSON.stringify(message), type: message.type, id: null, message })
+
+  // Load the next events of st's replay into st.replay.items, up to the seq it started at, then the
+  // 'resumed' notice. A cursor older than the log (at the start, or once a slow replay fell behind
+  // trimming) gets the aged_out resume_gap and moves to the oldest event left
+  function refill(st){
+    const r = st.replay
+    if (r.done) { st.replay = null; return }
+    const { oldest } = log.bounds()
+    if (r.cursor < oldest - 1) {
+      r.items.push(notice({ type:'resume_gap', reason:'aged_out', resume_from: String(r.requested), oldest_seq: oldest, latest_seq: r.until }))
+      onLog?.({ evt:'events_resume_gap', level:'warn', reason:'aged_out', transport: st.transport, resume_from: r.requested, oldest_seq: oldest })
+      r.cursor = oldest - 1
+    }
+    while (!r.items.length && r.cursor < r.until) {
+      const page = log.since(r.cursor, { limit: REPLAY_PAGE })
+      if (!page.length) break
+      for (const e of page) {
+        if (e.seq > r.until) { r.cursor = r.until; break }
+        r.cursor = e.seq
+        if (!inScope(st, e.namespace) || !matches(st.filter, e.type, e.meta)) continue
+        r.items.push({ json: payload(e.seq, e.message), type: e.type, id: e.seq, message: e.message })
+        r.replayed++
+      }
+    }
+    if (r.items.length) return
+    r.items.push(notice({ type:'resumed', resume_from: r.requested, replayed: r.replayed, latest_seq: r.until }))
+    r.done = true
+    onLog?.({ evt:'events_resume', transport: st.transport, resume_from: r.requested, replayed: r.replayed })
+  }
+
+  // { type:'subscribe', filter, inline?, resume_from?, id? } replaces the client's filter ({} or no
+  // filter: everything) and, when given, its inline format (null: CID only), then replays from
+  // resume_from if given; { type:'unsubscribe' } clears the filter. Answered with 'subscribed'
+  // (echoing id) or 'error'
+  function subscribe(ws, st, msg){
+    const id = msg.id ?? null
+    let filter, inline = st.inline
+    try {
+      filter = msg.type === 'unsubscribe' ? null : parseFilter(msg.filter ?? null)
+      if (msg.type === 'subscribe' && 'inline' in msg) inline = parseInline(msg.inline)
+    } catch (e) {
+      ws.send(JSON.stringify({ type:'error', id, error: e.code, field: e.field }))
+      return
+    }
+    setFilter(st, filter)
+    st.inline = inline
+    ws.send(JSON.stringify({ type:'subscribed', id, filter: filter || {}, inline }))
+    onLog?.({ evt:'events_subscribe', filter: st.label })
+    if (msg.type === 'subscribe' && msg.resume_from != null) { resume(st, String(msg.resume_from)); flush(st) }
+  }
+
+  // Replay now, or once the client has authenticated when key_auth requires it
+  function resume(st, from){
+    if (gated(st)) st.resumeFrom = from
+    else replay(st, from)
+  }
+
+  function sendChallenge(ws, st){
+    let nonce
+    try { ({ nonce } = keyAuth.challenge(st.peerId)) }
+    catch (e) { ws.send(JSON.stringify({ type:'error', error: e.code || 'challenge_failed' })); return }
+    ws.send(JSON.stringify({ type:'challenge', nonce, key_auth: keyAuth.mode }))
+  }
+
+  // { type:'auth', nonce, signature, key_id?, pub_pem? }: bind the session to the key that signed the nonce
+  async function authenticateKey(ws, st, msg){
+    const id = msg.id ?? null
+    if (!keyAuth) { ws.send(JSON.stringify({ type:'error', id, error:'key_auth_disabled' })); return }
+    const res = await keyAuth.verify({
+      namespace: st.namespace, peerId: st.peerId, nonce: String(msg.nonce ?? ''), signature: String(msg.signature ?? ''),
+      key_id: msg.key_id ?? null, pub_pem: msg.pub_pem ?? null,
+    })
+    if (!st.isOpen()) return
+    if (!res.ok) {
+      metrics.events.key_auth.failed++
+      onLog?.({ evt:'events_key_auth_failed', level:'warn', error: res.error, reason: res.reason, key_id: res.key_id ?? msg.key_id ?? null })
+      ws.send(JSON.stringify({ type:'error', id, error: res.error, reason: res.reason ?? null }))
+      if (gated(st)) ws.close(1008, res.error)
+      return
+    }
+    st.key_id = res.key_id
+    clearTimeout(st.authTimer)
+    metrics.events.key_auth.ok++
+    ws.send(JSON.stringify({ type:'authenticated', id, key_id: res.key_id }))
+    onLog?.({ evt:'events_key_auth', key_id: res.key_id, transport: st.transport, namespace: st.namespace })
+    if (st.resumeFrom != null) {
+      const from = st.resumeFrom
+      st.resumeFrom = null
+      replay(st, from)
+      flush(st)
+    }
+  }
+
+  // Optional auth: origin and bearer (events.origin / events.bearer), for either transport
+  function allowed(req){
+    if (auth?.origin && req?.headers?.origin && req.headers.origin !== auth.origin) return false
+    if (auth?.bearer && !req?.auth) {
+      const hdr = req?.headers?.authorization || ''
+      if (!hdr.startsWith('Bearer ') || hdr.slice(7) !== auth.bearer) return false
+    }
+    return true
+  }
+
   wss.on('connection', (ws, req)=>{
-    // Optional auth: origin and bearer
     try {
-      if (auth?.origin && req?.headers?.origin && req.headers.origin !== auth.origin) {
-        try { ws.terminate() } catch {}
-        return;
-      }
-      if (auth?.bearer) {
-        const hdr = req?.headers?.authorization || ''
-        if (!hdr.startsWith('Bearer ') || hdr.slice(7) !== auth.bearer) {
-          try { ws.terminate() } catch {}
-          return;
-        }
-      }
+      if (!allowed(req)) { try { ws.terminate() } catch {} return }
     } catch {}
+    const { filter, inline, resumeFrom, error } = fromQuery(req)
+    if (error) { try { ws.close(1008, error.code) } catch {} return }
 
-    clients.set(ws, { bucket: makeBucket(10,20), lastSeen: Date.now() })
+    const st = {
+      transport: 'ws', bucket: makeBucket(10,20), lastSeen: Date.now(), namespace: req?.namespace ?? null,
+      filter, label: filterLabel(filter), inline, ...sendQueue(req),
+      peerId: randomBytes(8).toString('hex'), key_id: null, resumeFrom: null, authTimer: null,
+      isOpen: () => ws.readyState === ws.OPEN,
+      buffered: () => ws.bufferedAmount,
+      write: (json) => ws.send(json),
+      ping: () => ws.ping(),
+      end: (reason, code=1001) => ws.close(code, reason),
+    }
+    // Start the replay before registering: nothing can be broadcast in between, so no event is sent twice
+    if (resumeFrom != null) resume(st, resumeFrom)
+    addClient(ws, st)
+    flush(st)
+    if (keyAuth?.mode === 'required') {
+      sendChallenge(ws, st)
+      st.authTimer = setTimeout(() => { if (!st.key_id) try { ws.close(1008, 'auth_timeout') } catch {} }, AUTH_TIMEOUT_MS)
+    }
 
     ws.on('pong', () => {
       const st = clients.get(ws); if (st) st.lastSeen = Date.now()
@@ -45,63 +355,277 @@ export function createEventsServer({ server, path='/events', auth, onLog }={}){
         const msg = JSON.parse(String(buf))
         const t = String(msg?.type||'')
         if ((t==='ack' || t==='KU_ACK') && msg?.cid) { metrics.net.acked++; onLog?.({ evt:'events_ack', cid: msg.cid }) }
+        if ((t==='subscribe' || t==='unsubscribe') && st) subscribe(ws, st, msg)
+        if (t==='auth_challenge' && st) keyAuth ? sendChallenge(ws, st) : ws.send(JSON.stringify({ type:'error', error:'key_auth_disabled' }))
+        if (t==='auth' && st) authenticateKey(ws, st, msg).catch(e => onLog?.({ evt:'events_key_auth_error', level:'error', msg: e.message }))
       }catch{}
     })
 
-    ws.on('close', ()=> clients.delete(ws))
+    ws.on('close', ()=> { clearTimeout(st.authTimer); removeClient(ws) })
   })
 
-  // ping/pong + idle timeout
+  const sseFrame = (type, json, id) => `${id != null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${json}\n\n`
+
+  /**
+   * Serve `res` as a text/event-stream of the events of `namespace`. With `resumeFrom` (a seq, e.g. the
+   * Last-Event-ID), the logged events after it are replayed first (see replay). `filter` (parseFilter)
+   * applies to the replay and to live events; `inline` can only be 'json' (SSE has no binary frames).
+   * `keyId` is the key the caller already authenticated (challenge/response over HTTP); it is checked
+   * against trust like a WebSocket session.
+   * @returns {boolean} false when the origin/bearer checks refuse the client (nothing written)
+   */
+  function attachStream(req, res, { namespace=null, resumeFrom=null, filter=null, inline=null, keyId=null }={}){
+    if (!allowed(req)) return false
+    res.writeHead(200, {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      connection: 'keep-alive',
+      'x-accel-buffering': 'no',
+    })
+    res.write('retry: 3000\n\n')
+    const st = {
+      transport: 'sse', bucket: makeBucket(10,20), lastSeen: Date.now(), namespace,
+      filter, label: filterLabel(filter), inline: inline === 'json' ? 'json' : null, key_id: keyId, ...sendQueue(req),
+      isOpen: () => !res.writableEnded && !res.destroyed,
+      buffered: () => res.writableLength,
+      write: (json, type, id) => res.write(sseFrame(type, json, id)),
+      ping: () => res.write(': ping\n\n'),
+      end: () => res.end(),
+    }
+    res.on('drain', () => flush(st))
+    if (resumeFrom != null) replay(st, String(resumeFrom))
+    addClient(res, st)
+    flush(st)
+    res.on('close', () => removeClient(res))
+    return true
+  }
+
+  // ping/pong + idle timeout (SSE streams get a comment line; a dead one fails the write and closes)
   const pingTimer = setInterval(() => {
-    for (const [ws, st] of clients.entries()) {
-      if (ws.readyState !== ws.OPEN) continue
-      if (Date.now() - st.lastSeen > IDLE_MS) {
-        try { ws.terminate() } catch {}
-        clients.delete(ws)
+    for (const [key, st] of clients.entries()) {
+      if (!st.isOpen()) continue
+      if (st.transport === 'ws' && Date.now() - st.lastSeen > IDLE_MS) {
+        try { key.terminate() } catch {}
+        removeClient(key)
         continue
       }
-      try { ws.ping() } catch {}
+      try { st.ping() } catch {}
     }
   }, PING_MS)
 
-  function broadcastKU({ cid, dag_cbor_b64 }){
-    for (const [ws, st] of clients.entries()){
-      if (ws.readyState!==ws.OPEN) continue
-      if (!st.bucket.take()) { metrics.events.drop++; onLog?.({ evt:'events_drop', reason:'backpressure' }); continue }
-      ws.send(JSON.stringify({ type:'ku', cid, dag_cbor_b64 }))
-      metrics.net.delivered++
-      onLog?.({ evt:'events_send', cid })
+  const inScope = (st, namespace) => namespace == null || st.namespace === namespace
+
+  // Send-queue state of a new client; its policy comes from its token (events_policy) when it has one
+  function sendQueue(req){
+    const policy = BACKPRESSURE_POLICIES.includes(req?.auth?.events_policy) ? req.auth.events_policy : bp.policy
+    return { policy, queue: [], replay: null, lag: null, paused: false }
+  }
+
+  // Note queued ku/edge events the client will not get, for its next `lagged` notice
+  function missed(st, items){
+    for (const { id } of items) {
+      if (id == null) continue
+      st.lag = st.lag ? { ...st.lag, to_seq: Math.max(st.lag.to_seq, id), missed: st.lag.missed + 1 } : { from_seq: id, to_seq: id, missed: 1 }
     }
+    metrics.events.drop += items.length
   }
+  const laggedNotice = (st) => JSON.stringify({ type:'lagged', ...st.lag, policy: st.policy })
 
-  function broadcastEdge({ src, dst, edge_type }){
-    for (const [ws, st] of clients.entries()){
-      if (ws.readyState!==ws.OPEN) continue
-      if (!st.bucket.take()) { metrics.events.drop++; onLog?.({ evt:'events_drop', reason:'backpressure' }); continue }
-      ws.send(JSON.stringify({ type:'edge', src, dst, edge_type }))
-      onLog?.({ evt:'events_send_edge', src, dst, edge_type })
+  // A full queue: apply the client's policy
+  function overflow(key, st){
+    metrics.events.lagged[st.policy] = (metrics.events.lagged[st.policy] || 0) + 1
+    if (st.policy === 'drop_oldest') {
+      missed(st, [st.queue.shift()])
+    } else if (st.policy === 'coalesce') {
+      // Keep only the latest health event; everything else becomes the lagged notice
+      const health = st.queue.filter(item => item.type === 'health').at(-1)
+      missed(st, st.queue.filter(item => item !== health))
+      st.queue = health ? [health] : []
+    } else {
+      missed(st, st.queue)
+      st.queue = []
+      try { st.write(laggedNotice(st), 'lagged', null) } catch {}
+      try { st.end('lagged') } catch {}
+      removeClient(key)
     }
+    onLog?.({ evt:'events_lagged', level:'warn', policy: st.policy, transport: st.transport, namespace: st.namespace, ...st.lag })
+  }
+
+  // Write what the client's queue holds (its lagged notice, then its replay, first) while its token bucket
+  // allows and its socket buffer is below the high-water mark; once above, wait until it is back at the
+  // low-water mark
+  function flush(st){
+    while ((st.lag || st.replay || st.queue.length) && st.isOpen()) {
+      if (st.replay && !st.replay.items.length) { refill(st); continue }
+      const buffered = st.buffered()
+      if (st.paused) {
+        if (buffered > bp.low_water_bytes) return
+        st.paused = false
+      }
+      if (buffered >= bp.high_water_bytes) { st.paused = true; return }
+      if (!st.bucket.take()) return
+      if (st.lag) {
+        st.write(laggedNotice(st), 'lagged', null)
+        st.lag = null
+        continue
+      }
+      const replaying = !!st.replay
+      const { json, type, id, message } = (replaying ? st.replay.items : st.queue).shift()
+      st.write(json, type, id)
+      if (type === 'health' || replaying) continue
+      metrics.events.fanout[st.label] = (metrics.events.fanout[st.label] || 0) + 1
+      if (type === 'ku') { metrics.net.delivered++; onLog?.({ evt:'events_send', cid: message.cid }) }
+      else if (type === 'edge') onLog?.({ evt:'events_send_edge', src: message.src, dst: message.dst, edge_type: message.edge_type })
+      else onLog?.({ evt:'events_send_state', type, seq: id })
+    }
+  }
+
+  // Queue an event for a client and send what its backpressure allows
+  function deliver(key, st, item){
+    if (item.type === 'health') st.queue = st.queue.filter(queued => queued.type !== 'health') // only the latest matters
+    st.queue.push({ ...item, at: Date.now() })
+    if (st.queue.length > bp.queue_max) overflow(key, st)
+    if (clients.has(key)) flush(st)
+  }
+
+  // Log an event (with the fields filters match on) and queue it for the clients it matches.
+  // `inline` ({ bytes, sig }, ku events only) is not logged; frames carrying it are built on first use
+  function fanout(namespace, message, meta, inline=null){
+    const id = log.append(namespace, message, meta)
+    const json = payload(id, message)
+    const frames = {}
+    const frameFor = (st) => {
+      if (!st.inline || !inline) return json
+      if (inline.bytes.length > inlineMaxBytes) {
+        metrics.events.inline.too_large++
+        return frames.too_large ??= payload(id, { ...message, too_large: true, size: inline.bytes.length })
+      }
+      metrics.events.inline[st.inline]++
+      const header = { type: message.type, seq: id, ...message, ...(inline.sig ? { sig: inline.sig } : {}) }
+      if (st.inline === 'binary') return frames.binary ??= encodeKUFrame(header, inline.bytes)
+      return frames.json ??= JSON.stringify({ ...header, dag_cbor_b64: Buffer.from(inline.bytes).toString('base64') })
+    }
+    for (const [key, st] of clients.entries()){
+      if (!st.isOpen() || gated(st) || !inScope(st, namespace)) continue
+      if (!matches(st.filter, message.type, meta)) { metrics.events.filtered++; continue }
+      deliver(key, st, { json: frameFor(st), type: message.type, id, message })
+    }
+  }
+
+  // Queue depth and lag (age of the oldest queued event) gauges, over all clients
+  function noteQueues(){
+    let depth = 0, depth_max = 0, lag_ms_max = 0
+    const now = Date.now()
+    for (const st of clients.values()) {
+      depth += st.queue.length
+      depth_max = Math.max(depth_max, st.queue.length)
+      if (st.queue.length) lag_ms_max = Math.max(lag_ms_max, now - st.queue[0].at)
+    }
+    Object.assign(metrics.events.queue, { depth, depth_max, lag_ms_max })
+  }
+
+  const flushTimer = setInterval(() => {
+    for (const st of clients.values()) flush(st)
+    noteQueues()
+  }, FLUSH_MS)
+
+  // `ku` (the stored KU) is used for filtering and its signature; clients get its CID, and the DAG-CBOR
+  // bytes (`dag_cbor`, or base64 `dag_cbor_b64`) when they asked for inline KUs
+  function broadcastKU({ cid, dag_cbor, dag_cbor_b64, namespace, ku }){
+    const bytes = dag_cbor ?? (dag_cbor_b64 ? Buffer.from(dag_cbor_b64, 'base64') : null)
+    fanout(namespace, { type:'ku', cid }, { cid, ku_type: ku?.type ?? null, tags: ku?.tags || [], key_id: ku?.sig?.key_id ?? null },
+      bytes ? { bytes, sig: ku?.sig ?? null } : null)
+  }
+
+  function broadcastEdge({ src, dst, edge_type, namespace, publisher_key_id=null }){
+    fanout(namespace, { type:'edge', src, dst, edge_type }, { src, dst, edge_type, publisher_key_id })
+  }
+
+  // A TrustManager change: { change: 'added'|'revoked'|'rotated'|'expiry_set'|'expired', key_id, prev_key_id?, reason?, expires_at? }
+  function broadcastTrust({ namespace, change, key_id, prev_key_id=null, reason=null, expires_at=null }){
+    fanout(namespace, { type:'trust', change, key_id, prev_key_id, reason, expires_at }, { key_id, prev_key_id })
+  }
+
+  // A failed outbox delivery: change 'failed' (retried at next_try_at) or 'dead_letter' (given up)
+  function broadcastOutbox({ namespace, change, queue, cid, target=null, attempts, error=null, next_try_at=null }){
+    fanout(namespace, { type:'outbox', change, queue, cid, target, attempts, error, next_try_at }, { cid })
+  }
+
+  // A consistency check that found mismatches (counts per kind); source 'check' or 'repair'
+  function broadcastConsistency({ namespace, source, mismatches, db_only=0, fs_only=0, content_mismatch=0 }){
+    fanout(namespace, { type:'consistency', source, mismatches, db_only, fs_only, content_mismatch }, {})
   }
 
   const healthTimer = setInterval(()=>{
-    const payload = JSON.stringify({ type:'health', outbox_ready: metrics.outbox.ready, ts: Date.now() })
-    for (const [ws, st] of clients.entries()){
-      if (ws.readyState!==ws.OPEN) continue
-      if (st.bucket.take()) ws.send(payload); else { metrics.events.drop++; onLog?.({ evt:'events_drop', reason:'health_backpressure' }) }
+    const json = JSON.stringify({ type:'health', outbox_ready: metrics.outbox.ready, ts: Date.now() })
+    for (const [key, st] of clients.entries()){
+      if (!st.isOpen() || gated(st) || !matches(st.filter, 'health')) continue
+      deliver(key, st, { json, type: 'health', id: null })
     }
   }, 1000)
 
+  // Close the sessions whose key trust no longer accepts; also run on demand (recheckKeys) after a trust change
+  let checking = null, again = false
+  async function checkKeys(){
+    const verdicts = new Map() // namespace|key_id -> { trusted, reason }, once per pass
+    for (const [key, st] of [...clients.entries()]) {
+      if (!st.key_id || !st.isOpen()) continue
+      const k = `${st.namespace}|${st.key_id}`
+      if (!verdicts.has(k)) verdicts.set(k, await keyAuth.check(st.namespace, st.key_id))
+      const { trusted, reason='untrusted' } = verdicts.get(k)
+      if (trusted) continue
+      metrics.events.key_auth.revoked++
+      onLog?.({ evt:'events_key_revoked', level:'warn', key_id: st.key_id, reason, transport: st.transport, namespace: st.namespace })
+      try { st.write(JSON.stringify({ type:'key_revoked', key_id: st.key_id, reason }), 'key_revoked', null) } catch {}
+      try { st.end(`key_${reason}`, 1008) } catch {}
+      removeClient(key)
+    }
+  }
+  function recheckKeys(){
+    if (!keyAuth) return Promise.resolve()
+    if (checking) { again = true; return checking }
+    checking = checkKeys()
+      .catch(e => onLog?.({ evt:'events_key_check_error', level:'error', msg: e.message }))
+      .finally(() => { checking = null; if (again) { again = false; recheckKeys() } })
+    return checking
+  }
+  const keyCheckTimer = setInterval(recheckKeys, KEY_CHECK_MS)
+
   // track timers for close()
-  intervals.add(pingTimer); intervals.add(healthTimer)
+  intervals.add(pingTimer); intervals.add(healthTimer); intervals.add(flushTimer); intervals.add(keyCheckTimer)
 
-  function close(){
+  // Close the connections of a namespace (e.g. once it is deleted)
+  function disconnect(namespace, reason='namespace_deleted'){
+    for (const [key, st] of clients.entries()){
+      if (st.namespace !== namespace) continue
+      try { st.end(reason) } catch {}
+      removeClient(key)
+    }
+  }
+
+  // With a reason (e.g. the daemon's shutdown signal), every client first gets { type:'shutdown', reason },
+  // what is still queued for it is written, and sockets are closed rather than terminated
+  // close() ends with wss.close(), whose 'close' event calls close() again: only the first call does anything
+  let closed = false
+  function close({ reason=null }={}){
+    if (closed) return; closed = true
     for (const id of intervals) try { clearInterval(id) } catch {}
-    try { for (const ws of wss.clients) ws.terminate() } catch {}
+    if (reason) {
+      fanout(null, { type:'shutdown', reason }, {})
+      for (const [key, st] of [...clients.entries()]) {
+        st.bucket = { take: () => true }
+        st.paused = false
+        try { flush(st) } catch {}
+        try { st.end('shutdown') } catch {}
+        removeClient(key)
+      }
+    }
+    try { for (const ws of wss.clients) if (!reason) ws.terminate() } catch {}
+    for (const st of clients.values()) if (st.transport === 'sse') try { st.end() } catch {}
     try { wss.close() } catch {}
-    onLog?.({ evt:'events_closed' })
+    onLog?.({ evt:'events_closed', reason })
   }
 
   wss.on('close', ()=> { close() })
-  return { wss, broadcastKU, broadcastEdge, clients, close }
+  return { wss, handleUpgrade, attachStream, broadcastKU, broadcastEdge, broadcastTrust, broadcastOutbox, broadcastConsistency, disconnect, recheckKeys, clients, close }
 }
-
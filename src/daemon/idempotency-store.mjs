@@ -0,0 +1,84 @@
+/**
+ * Idempotency store: the responses the idempotency middleware (router.mjs) replays for a repeated
+ * Idempotency-Key, kept in SQLite so a retry after a daemon restart still gets the first response
+ * - one row per scope|key: the request fingerprint, the response and when it expires
+ * - bounded: expired rows go first, then the oldest beyond `max()`
+ * createMemoryIdempotencyStore is the same interface without persistence.
+ */
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * @typedef {{ fingerprint: string, expires: number, result: { status: number, body?: any, headers?: object } }} IdempotencyEntry
+ */
+
+/**
+ * @param {{ dbPath: string, max?: () => number }} opts
+ */
+export function createIdempotencyStore({ dbPath, max = () => 10000 }) {
+  const dir = dirname(dbPath);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency (
+      id TEXT PRIMARY KEY,
+      fingerprint TEXT NOT NULL,
+      result_json TEXT NOT NULL,
+      expires INTEGER NOT NULL,
+      at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_idempotency_at ON idempotency(at);
+  `);
+  const stmts = {
+    get: db.prepare('SELECT * FROM idempotency WHERE id = ?'),
+    put: db.prepare('INSERT OR REPLACE INTO idempotency (id, fingerprint, result_json, expires, at) VALUES (?, ?, ?, ?, ?)'),
+    remove: db.prepare('DELETE FROM idempotency WHERE id = ?'),
+    expire: db.prepare('DELETE FROM idempotency WHERE expires <= ?'),
+    trim: db.prepare('DELETE FROM idempotency WHERE id IN (SELECT id FROM idempotency ORDER BY at DESC, rowid DESC LIMIT -1 OFFSET ?)')
+  };
+
+  /** @returns {IdempotencyEntry|null} the entry for `id` unless it expired */
+  function get(id, now = Date.now()) {
+    const row = stmts.get.get(id);
+    if (!row) return null;
+    if (row.expires <= now) { stmts.remove.run(id); return null; }
+    return { fingerprint: row.fingerprint, expires: row.expires, result: JSON.parse(row.result_json) };
+  }
+
+  function set(id, { fingerprint, expires, result }, now = Date.now()) {
+    stmts.put.run(id, fingerprint, JSON.stringify(result), expires, now);
+    stmts.expire.run(now);
+    stmts.trim.run(max());
+  }
+
+  function close() {
+    try { db.close(); } catch {}
+  }
+
+  return { get, set, close };
+}
+
+export function createMemoryIdempotencyStore({ max = () => 10000 } = {}) {
+  const entries = new Map(); // id -> IdempotencyEntry, oldest first
+
+  function get(id, now = Date.now()) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    if (entry.expires <= now) { entries.delete(id); return null; }
+    return entry;
+  }
+
+  function set(id, entry, now = Date.now()) {
+    entries.delete(id);
+    entries.set(id, entry);
+    for (const [k, e] of entries) {
+      if (entries.size <= max() && e.expires > now) break;
+      entries.delete(k);
+    }
+  }
+
+  return { get, set, close() {} };
+}
@@ -0,0 +1,88 @@
+/**
+ * HTTP rate limits and per-publisher storage quotas
+ * - rate limits: one token bucket per (route, client key); a request passes only if
+ *   every key it carries (token, remote address, verified sig.key_id) has a token left
+ * - quotas: KU count and bytes per owner, rebuilt from storage at startup
+ * A rate or quota of 0 means unlimited.
+ */
+
+const PRUNE_AT = 10000; // buckets kept before idle ones are dropped
+
+// "10" or "10:40" -> { rate: 10, burst: 40 }; empty/0 -> null (unlimited)
+export function parseRate(spec) {
+  if (spec == null || spec === '') return null;
+  const [r, b] = String(spec).split(':').map(Number);
+  if (!Number.isFinite(r) || r <= 0) return null;
+  return { rate: r, burst: Number.isFinite(b) && b >= 1 ? b : Math.max(1, Math.ceil(r * 2)) };
+}
+
+export function createRateLimiter(limit = null) {
+  let cfg = limit;
+  const buckets = new Map(); // key -> { tokens, last }
+
+  function level(key, now) {
+    const b = buckets.get(key);
+    if (!b) return cfg.burst;
+    return Math.min(cfg.burst, b.tokens + ((now - b.last) / 1000) * cfg.rate);
+  }
+
+  function prune(now) {
+    for (const [key, b] of buckets) {
+      if (b.tokens + ((now - b.last) / 1000) * cfg.rate >= cfg.burst) buckets.delete(key);
+    }
+  }
+
+  return {
+    get limit() { return cfg; },
+    configure(next) { cfg = next; buckets.clear(); },
+
+    /**
+     * Take `n` tokens (one per item, e.g. per KU of a batch) from every key, or none if any key has too few.
+     * More than `burst` needs a full bucket and leaves it in debt, so big batches still average out to `rate`.
+     * @returns {{ ok: true } | { ok: false, key: string, retryAfter: number }} retryAfter in seconds
+     */
+    take(keys, n = 1) {
+      if (!cfg) return { ok: true };
+      const now = Date.now();
+      const need = Math.min(n, cfg.burst);
+      const levels = keys.map(key => [key, level(key, now)]);
+      const empty = levels.find(([, tokens]) => tokens < need);
+      if (empty) {
+        return { ok: false, key: empty[0], retryAfter: Math.max(1, Math.ceil((need - empty[1]) / cfg.rate)) };
+      }
+      for (const [key, tokens] of levels) buckets.set(key, { tokens: tokens - n, last: now });
+      if (buckets.size > PRUNE_AT) prune(now);
+      return { ok: true };
+    }
+  };
+}
+
+export function createQuotaTracker({ kus = 0, bytes = 0 } = {}) {
+  let limits = { kus, bytes };
+  const usage = new Map(); // owner -> { kus, bytes }
+
+  return {
+    get limits() { return limits; },
+    configure(next) { limits = { kus: next.kus || 0, bytes: next.bytes || 0 }; },
+
+    usage(owner) { return usage.get(owner) || { kus: 0, bytes: 0 }; },
+    load(map) { usage.clear(); for (const [owner, u] of map) usage.set(owner, { ...u }); },
+    entries() { return [...usage.entries()]; },
+
+    // Negative values undo an add (e.g. a batch that failed to store)
+    add(owner, size, count = 1) {
+      const u = usage.get(owner) || { kus: 0, bytes: 0 };
+      u.kus += count;
+      u.bytes += size;
+      usage.set(owner, u);
+    },
+
+    // null when `owner` may store one more KU of `size` bytes
+    check(owner, size) {
+      const u = usage.get(owner) || { kus: 0, bytes: 0 };
+      if (limits.kus && u.kus + 1 > limits.kus) return { error: 'quota_exceeded', quota: 'kus', limit: limits.kus, used: u.kus };
+      if (limits.bytes && u.bytes + size > limits.bytes) return { error: 'quota_exceeded', quota: 'bytes', limit: limits.bytes, used: u.bytes };
+      return null;
+    }
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Daemon listeners: plain HTTP on http.port, a Unix domain socket at http.socket and HTTPS (and WSS)
+ * on tls.port, all serving the same request handler
+ * - the socket file gets http.socket_mode (default 0600): filesystem permissions decide who may connect
+ * - tls.cert / tls.key are PEM paths; with tls.self_signed and no cert configured, a development
+ *   certificate for localhost is generated once under tls.dir and reused until it expires
+ */
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync, unlinkSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { createRequire } from 'node:module';
+import { generateKeyPairSync, randomBytes, X509Certificate } from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const DEV_CERT_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const DEV_CERT_DAYS = 365;
+
+function generateDevCert(hosts, days) {
+  const forge = require('node-forge');
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyPem = privateKey.export({ type: 'pkcs1', format: 'pem' });
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = `01${randomBytes(8).toString('hex')}`;
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + days * 24 * 3600 * 1000);
+  const subject = [{ name: 'commonName', value: 'localhost' }, { name: 'organizationName', value: 'SGN development (self-signed)' }];
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    { name: 'subjectAltName', altNames: hosts.map(h => (net.isIP(h) ? { type: 7, ip: h } : { type: 2, value: h })) }
+  ]);
+  cert.sign(forge.pki.privateKeyFromPem(keyPem), forge.md.sha256.create());
+  return { cert: forge.pki.certificateToPem(cert), key: keyPem };
+}
+
+/**
+ * Self-signed development certificate in `dir` (dev-cert.pem / dev-key.pem), created when missing or expired
+ * @returns {{ certPath: string, keyPath: string, created: boolean }}
+ */
+export function ensureDevCert(dir, { hosts = DEV_CERT_HOSTS, days = DEV_CERT_DAYS } = {}) {
+  const certPath = join(dir, 'dev-cert.pem');
+  const keyPath = join(dir, 'dev-key.pem');
+  if (existsSync(certPath) && existsSync(keyPath)) {
+    try {
+      const validTo = Date.parse(new X509Certificate(readFileSync(certPath)).validTo);
+      if (validTo > Date.now()) return { certPath, keyPath, created: false };
+    } catch {}
+  }
+  mkdirSync(dir, { recursive: true });
+  const { cert, key } = generateDevCert(hosts, days);
+  writeFileSync(keyPath, key, { mode: 0o600 });
+  writeFileSync(certPath, cert);
+  return { certPath, keyPath, created: true };
+}
+
+// A socket file left by a crashed daemon is removed; one that still accepts connections is in use
+function clearStaleSocket(path) {
+  if (!existsSync(path)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const probe = net.connect(path);
+    probe.once('connect', () => { probe.destroy(); reject(new Error(`socket_in_use: ${path}`)); });
+    probe.once('error', () => {
+      try { unlinkSync(path); } catch {}
+      resolve();
+    });
+  });
+}
+
+function listen(server, target) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(target, () => { server.off('error', reject); resolve(); });
+  });
+}
+
+/**
+ * Start every configured listener
+ * @param {(req, res) => void} handler
+ * @param {{ http: object, tls: object }} cfg daemon config
+ * @param {{ onLog?: Function, onUpgrade?: (req, socket, head) => void }} [opts] onUpgrade serves WS upgrades
+ * @returns {Promise<{ kind: 'tcp'|'unix'|'tls', server: http.Server, address: string }[]>}
+ */
+export async function startListeners(handler, cfg, { onLog, onUpgrade } = {}) {
+  const listeners = [];
+  const withUpgrade = (server) => (onUpgrade ? server.on('upgrade', onUpgrade) : server);
+  try {
+    if (cfg.http.port != null) {
+      const server = withUpgrade(http.createServer(handler));
+      await listen(server, cfg.http.port);
+      listeners.push({ kind: 'tcp', server, address: `http://localhost:${server.address().port}` });
+    }
+
+    if (cfg.http.socket) {
+      const path = cfg.http.socket;
+      const mode = parseInt(cfg.http.socket_mode, 8);
+      await clearStaleSocket(path);
+      mkdirSync(dirname(path), { recursive: true });
+      const server = withUpgrade(http.createServer(handler));
+      // Never expose the socket wider than its final mode, even between bind and chmod
+      const umask = process.umask(0o777 & ~mode);
+      try { await listen(server, path); } finally { process.umask(umask); }
+      chmodSync(path, mode);
+      listeners.push({ kind: 'unix', server, address: `unix:${path}` });
+    }
+
+    if (cfg.tls.port != null) {
+      let { cert, key } = cfg.tls;
+      if (!cert && cfg.tls.self_signed) {
+        const dev = ensureDevCert(cfg.tls.dir);
+        if (dev.created) onLog?.({ evt: 'tls_dev_cert_created', cert: dev.certPath });
+        ({ certPath: cert, keyPath: key } = dev);
+      }
+      const server = withUpgrade(https.createServer({ cert: readFileSync(cert), key: readFileSync(key) }, handler));
+      await listen(server, cfg.tls.port);
+      listeners.push({ kind: 'tls', server, address: `https://localhost:${server.address().port}`, cert });
+    }
+  } catch (e) {
+    closeListeners(listeners);
+    throw e;
+  }
+  return listeners;
+}
+
+// Close every listener; resolves once all have stopped accepting connections
+export function closeListeners(listeners) {
+  return Promise.all(listeners.map(({ kind, server, address }) => new Promise((resolve) => {
+    server.close(() => {
+      if (kind === 'unix') { try { unlinkSync(address.slice('unix:'.length)); } catch {} }
+      resolve();
+    });
+    server.closeIdleConnections?.();
+  })));
+}
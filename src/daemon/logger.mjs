@@ -0,0 +1,136 @@
+/**
+ * Daemon logger: one JSON object per line in <logs_dir>/sgn-daemon.jsonl (the only log path;
+ * scripts/kpi-report.js and GET /admin/logs read the same files)
+ * - levels: each entry has a `level` (default info); entries below the configured level are dropped
+ * - correlation: entries written inside withLogContext({ request_id }) carry its fields, so every
+ *   line a request causes can be found by its X-Request-Id
+ * - rotation: once the file reaches max_bytes or is rotate_hours old it is renamed to
+ *   sgn-daemon.<UTC stamp>.jsonl; only the newest `retain` rotated files are kept (0 = no limit)
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import {
+  openSync, writeSync, closeSync, fstatSync, statSync, renameSync, readdirSync, unlinkSync, existsSync, mkdirSync, createReadStream
+} from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { LOG_LEVELS } from './config.mjs';
+
+export const LOG_FILE = 'sgn-daemon.jsonl';
+const ROTATED_RE = /^sgn-daemon\.(\d{8}T\d{9}Z)(?:-(\d+))?\.jsonl$/;
+const QUERY_MAX = 1000;
+
+const context = new AsyncLocalStorage();
+
+// Run fn with fields (e.g. request_id) added to every entry it logs, across awaits
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const stamp = (ms) => new Date(ms).toISOString().replace(/[-:.]/g, '');
+const levelIndex = (level) => LOG_LEVELS.indexOf(level || 'info');
+
+// Log files in `dir`, oldest first: rotated files by stamp, then the current file
+export function listLogFiles(dir) {
+  if (!existsSync(dir)) return [];
+  const rotated = readdirSync(dir)
+    .map(f => ({ f, m: ROTATED_RE.exec(f) }))
+    .filter(({ m }) => m)
+    .sort((a, b) => a.m[1].localeCompare(b.m[1]) || Number(a.m[2] || 0) - Number(b.m[2] || 0))
+    .map(({ f }) => join(dir, f));
+  if (existsSync(join(dir, LOG_FILE))) rotated.push(join(dir, LOG_FILE));
+  return rotated;
+}
+
+/**
+ * @param {{ dir: string, level?: string, max_bytes?: number, rotate_hours?: number, retain?: number }} opts
+ *        max_bytes / rotate_hours of 0 disable that rotation trigger
+ */
+export function createLogger({ dir, ...opts }) {
+  const path = join(dir, LOG_FILE);
+  let cfg = { level: 'info', max_bytes: 0, rotate_hours: 0, retain: 0, ...opts };
+  let fd = null;
+  let size = 0;
+  let openedAt = 0;
+
+  function open() {
+    mkdirSync(dir, { recursive: true });
+    fd = openSync(path, 'a');
+    const st = fstatSync(fd);
+    size = st.size;
+    openedAt = size ? (st.birthtimeMs || st.mtimeMs) : Date.now();
+  }
+
+  function prune() {
+    if (!cfg.retain) return;
+    const rotated = listLogFiles(dir).filter(f => f !== path);
+    for (const f of rotated.slice(0, Math.max(0, rotated.length - cfg.retain))) {
+      try { unlinkSync(f); } catch {}
+    }
+  }
+
+  function rotate(now) {
+    closeSync(fd);
+    fd = null;
+    let target = join(dir, `sgn-daemon.${stamp(now)}.jsonl`);
+    for (let n = 1; existsSync(target); n++) target = join(dir, `sgn-daemon.${stamp(now)}-${n}.jsonl`);
+    renameSync(path, target);
+    prune();
+    open();
+  }
+
+  function due(now) {
+    if (size === 0) return false;
+    return (cfg.max_bytes > 0 && size >= cfg.max_bytes) || (cfg.rotate_hours > 0 && now - openedAt >= cfg.rotate_hours * 3600 * 1000);
+  }
+
+  return {
+    get path() { return path; },
+    configure(next) { cfg = { ...cfg, ...next }; },
+
+    log(entry) {
+      if (levelIndex(entry.level) < levelIndex(cfg.level)) return;
+      try {
+        if (fd === null) open();
+        const now = Date.now();
+        if (due(now)) rotate(now);
+        const line = Buffer.from(JSON.stringify({ ts: now, level: 'info', ...context.getStore(), ...entry }) + '\n');
+        writeSync(fd, line);
+        size += line.length;
+      } catch {}
+    },
+
+    /**
+     * Matching entries across the rotated and current files, oldest first; the newest `limit` are kept
+     * @param {{ evt?: string[], since?: number, cid?: string, request_id?: string, level?: string, limit?: number }} filter
+     *        evt: any of these events; cid: the CID appears anywhere in the entry; level: this level or above
+     * @returns {Promise<{ entries: object[], matched: number, truncated: boolean }>}
+     */
+    async query({ evt = [], since = null, cid = null, request_id = null, level = null, limit = 200 } = {}) {
+      limit = Math.max(1, Math.min(limit, QUERY_MAX));
+      const entries = [];
+      let matched = 0;
+      for (const file of listLogFiles(dir)) {
+        // A file last written before `since` holds nothing newer
+        try { if (since != null && statSync(file).mtimeMs < since) continue; } catch { continue; }
+        const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+          let e;
+          try { e = JSON.parse(line); } catch { continue; }
+          if (evt.length && !evt.includes(e.evt)) continue;
+          if (since != null && !(e.ts >= since)) continue;
+          if (level && levelIndex(e.level) < levelIndex(level)) continue;
+          if (request_id && e.request_id !== request_id) continue;
+          if (cid && !line.includes(`"${cid}"`)) continue;
+          matched++;
+          entries.push(e);
+          if (entries.length > limit) entries.shift();
+        }
+      }
+      return { entries, matched, truncated: matched > entries.length };
+    },
+
+    close() {
+      if (fd !== null) { try { closeSync(fd); } catch {} fd = null; }
+    }
+  };
+}
@@ -25,27 +25,34 @@ function hist(bk = [10, 50, 100, 200, 500, 1000, 2000, Infinity]) {
     },
     toJSON() { return { count: this.n, p50: this.quantile(0.5), p95: this.quantile(0.95) }; },
     // Add Prometheus histogram format
-    toPromBuckets(name) {
+    // labels: extra label pairs, e.g. 'route="GET /health"'
+    toPromBuckets(name, labels = '') {
       const lines = [];
+      const sel = labels ? `{${labels}}` : '';
       let cumulative = 0;
       for (let i = 0; i < this.b.length; i++) {
         cumulative += this.c[i];
         const le = this.b[i] === Infinity ? '+Inf' : this.b[i];
-        lines.push(`${name}_bucket{le="${le}"} ${cumulative}`);
+        lines.push(`${name}_bucket{${labels ? `${labels},` : ''}le="${le}"} ${cumulative}`);
       }
-      lines.push(`${name}_count ${this.n}`);
-      lines.push(`${name}_sum ${this.n * (this.quantile(0.5) || 0)}`); // rough estimate
+      lines.push(`${name}_count${sel} ${this.n}`);
+      lines.push(`${name}_sum${sel} ${this.n * (this.quantile(0.5) || 0)}`); // rough estimate
       return lines;
     }
   };
 }
 
 export const metrics = {
-  http: { publish: hist(), verify: hist() },
+  http: { publish: hist(), publish_batch: hist(), verify: hist() },
   db: { read: hist(), write: hist() },
   net: { delivered: 0, acked: 0, dedup: 0 },
-  events: { drop: 0 },
+  // /events and /events/stream: drops, events held back by client filters, deliveries and clients per filter label,
+  // full send queues per backpressure policy, queue gauges, inline KU deliveries by format and key auth (events.mjs)
+  events: { drop: 0, filtered: 0, fanout: {}, subscriptions: {}, lagged: {}, queue: { depth: 0, depth_max: 0, lag_ms_max: 0 },
+    inline: { json: 0, binary: 0, too_large: 0 }, key_auth: { ok: 0, failed: 0, revoked: 0 } },
   outbox: { ready: 0, deliveries: 0, retries: 0, stalled: 0 },
+  // Webhook attempts by result and queued deliveries (all namespaces)
+  webhooks: { delivered: 0, retry: 0, failed: 0, pending: 0 },
   edgesInsertCount: 0,
   graphReqCount: 0,
   gauges: { queue_len: 0, ws_clients: 0 },
@@ -56,15 +63,59 @@ export const metrics = {
   consistency: { mismatches: 0 },
 
   ws: { clients: 0 },
+  sse: { clients: 0 }, // GET /events/stream
+
+  // HTTP rate limits and storage quotas (quota tracker of the default namespace, set by the daemon)
+  limits: { rate_limited: { publish: 0, verify: 0, edges: 0 }, quota_rejected: 0 },
+  quota: null,
+  kusDir: null,
+
+  // Per-namespace series, exported with a `namespace` label; the unlabeled series cover the whole daemon
+  namespaces: {},
+  namespace(name) {
+    return this.namespaces[name] || (this.namespaces[name] = {
+      requests: 0, kus_stored: 0, kus_deduplicated: 0, kus_count: 0, outbox_ready: 0,
+      consistency_mismatches: 0, ws_clients: 0, sse_clients: 0, kusDir: null, quota: null
+    });
+  },
+  dropNamespace(name) {
+    delete this.namespaces[name];
+  },
+
+  // Per-route HTTP latency and status codes, keyed by route name ("GET /ku/:cid"), fed by the router
+  routes: {},
+  observeRoute(route, ms, status) {
+    const r = this.routes[route] || (this.routes[route] = { latency: hist(), status: {} });
+    r.latency.observe(ms);
+    r.status[status] = (r.status[status] || 0) + 1;
+  },
+
+  quotaSnapshot(quota = this.quota) {
+    const usage = {};
+    for (const [owner, u] of quota?.entries() || []) usage[owner] = { ...u };
+    return { limits: quota?.limits || { kus: 0, bytes: 0 }, usage };
+  },
+  namespacesSnapshot() {
+    const out = {};
+    for (const [name, n] of Object.entries(this.namespaces)) {
+      const { kusDir, quota, ...counters } = n;
+      out[name] = { ...counters, quota: this.quotaSnapshot(quota) };
+    }
+    return out;
+  },
   snapshot() {
+    const routes = {};
+    for (const [name, r] of Object.entries(this.routes)) routes[name] = { ...r.latency.toJSON(), status: { ...r.status } };
     const http = {
       publish: this.http.publish.toJSON(),
+      publish_batch: this.http.publish_batch.toJSON(),
       verify: this.http.verify.toJSON(),
+      routes,
     };
     const delivered = this.net.delivered, acked = this.net.acked, dedup = this.net.dedup;
     const delivery_rate = delivered ? acked / delivered : null;
     const dedup_ratio = delivered ? dedup / delivered : null;
-    return { time_ms: Date.now(), http, net: { delivered, acked, retry: 0, dedup_ratio }, outbox: { ready: this.outbox.ready }, ws: { clients: this.ws.clients }, events: { drop: this.events.drop } };
+    return { time_ms: Date.now(), http, net: { delivered, acked, retry: 0, dedup_ratio }, outbox: { ready: this.outbox.ready }, webhooks: { ...this.webhooks }, ws: { clients: this.ws.clients }, sse: { clients: this.sse.clients }, events: { drop: this.events.drop, filtered: this.events.filtered, fanout: { ...this.events.fanout }, subscriptions: { ...this.events.subscriptions }, lagged: { ...this.events.lagged }, queue: { ...this.events.queue }, inline: { ...this.events.inline }, key_auth: { ...this.events.key_auth } }, limits: { rate_limited: { ...this.limits.rate_limited }, quota_rejected: this.limits.quota_rejected, quota: this.quotaSnapshot() }, namespaces: this.namespacesSnapshot() };
   },
   toProm() {
     // Update filesystem count dynamically
@@ -76,6 +127,9 @@ export const metrics = {
     lines.push('# HELP sgn_ws_clients connected websocket clients');
     lines.push('# TYPE sgn_ws_clients gauge');
     lines.push(`sgn_ws_clients ${s.ws.clients}`);
+    lines.push('# HELP sgn_sse_clients connected server-sent events clients');
+    lines.push('# TYPE sgn_sse_clients gauge');
+    lines.push(`sgn_sse_clients ${s.sse.clients}`);
     lines.push('# HELP sgn_http_publish_count publish requests');
     lines.push('# TYPE sgn_http_publish_count counter');
     lines.push(`sgn_http_publish_count ${this.http.publish.n}`);
@@ -85,9 +139,22 @@ export const metrics = {
     lines.push('# HELP sgn_http_publish_p95 milliseconds');
     lines.push('# TYPE sgn_http_publish_p95 gauge');
     lines.push(`sgn_http_publish_p95 ${s.http.publish.p95 ?? 0}`);
+    lines.push('# HELP sgn_http_publish_batch_count batch publish requests');
+    lines.push('# TYPE sgn_http_publish_batch_count counter');
+    lines.push(`sgn_http_publish_batch_count ${this.http.publish_batch.n}`);
     lines.push('# HELP sgn_http_verify_count verify requests');
     lines.push('# TYPE sgn_http_verify_count counter');
     lines.push(`sgn_http_verify_count ${this.http.verify.n}`);
+    lines.push('# HELP sgn_http_request_duration_ms request duration per route, milliseconds');
+    lines.push('# TYPE sgn_http_request_duration_ms histogram');
+    for (const [name, r] of Object.entries(this.routes)) {
+      lines.push(...r.latency.toPromBuckets('sgn_http_request_duration_ms', `route="${name}"`));
+    }
+    lines.push('# HELP sgn_http_requests_total requests per route and status code');
+    lines.push('# TYPE sgn_http_requests_total counter');
+    for (const [name, r] of Object.entries(this.routes)) {
+      for (const [code, n] of Object.entries(r.status)) lines.push(`sgn_http_requests_total{route="${name}",status="${code}"} ${n}`);
+    }
     lines.push('# HELP sgn_net_delivered delivered messages');
     lines.push('# TYPE sgn_net_delivered counter');
     lines.push(`sgn_net_delivered ${s.net.delivered}`);
@@ -97,9 +164,36 @@ export const metrics = {
     lines.push('# HELP sgn_net_dedup_ratio dedup ratio');
     lines.push('# TYPE sgn_net_dedup_ratio gauge');
     lines.push(`sgn_net_dedup_ratio ${s.net.dedup_ratio ?? 0}`);
-    lines.push('# HELP sgn_events_drop dropped events (health)');
+    lines.push('# HELP sgn_events_drop events dropped from full client send queues');
     lines.push('# TYPE sgn_events_drop counter');
     lines.push(`sgn_events_drop ${s.events.drop}`);
+    lines.push('# HELP sgn_events_filtered_total ku/edge events not sent to a client because its filter did not match');
+    lines.push('# TYPE sgn_events_filtered_total counter');
+    lines.push(`sgn_events_filtered_total ${s.events.filtered}`);
+    lines.push('# HELP sgn_events_fanout_total ku/edge events sent to clients, by the fields their filter uses');
+    lines.push('# TYPE sgn_events_fanout_total counter');
+    for (const [filter, n] of Object.entries(s.events.fanout)) lines.push(`sgn_events_fanout_total{filter="${filter}"} ${n}`);
+    lines.push('# HELP sgn_events_subscriptions connected /events clients, by the fields their filter uses');
+    lines.push('# TYPE sgn_events_subscriptions gauge');
+    for (const [filter, n] of Object.entries(s.events.subscriptions)) lines.push(`sgn_events_subscriptions{filter="${filter}"} ${n}`);
+    lines.push('# HELP sgn_events_lagged_total client send queues that filled up, by the backpressure policy applied');
+    lines.push('# TYPE sgn_events_lagged_total counter');
+    for (const [policy, n] of Object.entries(s.events.lagged)) lines.push(`sgn_events_lagged_total{policy="${policy}"} ${n}`);
+    lines.push('# HELP sgn_events_inline_total ku events sent with the KU inline, by format (too_large: over the cap, sent CID-only)');
+    lines.push('# TYPE sgn_events_inline_total counter');
+    for (const [format, n] of Object.entries(s.events.inline)) lines.push(`sgn_events_inline_total{format="${format}"} ${n}`);
+    lines.push('# HELP sgn_events_key_auth_total /events key challenge/response: ok, failed, or sessions closed because trust no longer accepts the key (revoked)');
+    lines.push('# TYPE sgn_events_key_auth_total counter');
+    for (const [result, n] of Object.entries(s.events.key_auth)) lines.push(`sgn_events_key_auth_total{result="${result}"} ${n}`);
+    lines.push('# HELP sgn_events_queue_depth events waiting in client send queues (sum over clients)');
+    lines.push('# TYPE sgn_events_queue_depth gauge');
+    lines.push(`sgn_events_queue_depth ${s.events.queue.depth}`);
+    lines.push('# HELP sgn_events_queue_depth_max events waiting in the fullest client send queue');
+    lines.push('# TYPE sgn_events_queue_depth_max gauge');
+    lines.push(`sgn_events_queue_depth_max ${s.events.queue.depth_max}`);
+    lines.push('# HELP sgn_events_lag_ms age of the oldest event waiting in a client send queue');
+    lines.push('# TYPE sgn_events_lag_ms gauge');
+    lines.push(`sgn_events_lag_ms ${s.events.queue.lag_ms_max}`);
     lines.push('# HELP sgn_edges_insert_count inserted graph edges');
     lines.push('# TYPE sgn_edges_insert_count counter');
     lines.push(`sgn_edges_insert_count ${this.edgesInsertCount || 0}`);
@@ -155,6 +249,13 @@ export const metrics = {
     lines.push('# TYPE sgn_outbox_stalled gauge');
     lines.push(`sgn_outbox_stalled ${this.outbox.stalled}`);
 
+    lines.push('# HELP sgn_webhook_deliveries_total webhook delivery attempts by result (delivered, retry, failed)');
+    lines.push('# TYPE sgn_webhook_deliveries_total counter');
+    for (const result of ['delivered', 'retry', 'failed']) lines.push(`sgn_webhook_deliveries_total{result="${result}"} ${this.webhooks[result]}`);
+    lines.push('# HELP sgn_webhook_pending queued webhook deliveries');
+    lines.push('# TYPE sgn_webhook_pending gauge');
+    lines.push(`sgn_webhook_pending ${this.webhooks.pending}`);
+
     lines.push('# HELP sgn_kus_deduplicated_total deduplicated KUs (attempted re-imports)');
     lines.push('# TYPE sgn_kus_deduplicated_total counter');
     lines.push(`sgn_kus_deduplicated_total ${this.ku.deduplicated_total}`);
@@ -163,6 +264,45 @@ export const metrics = {
     lines.push('# TYPE sgn_consistency_mismatches gauge');
     lines.push(`sgn_consistency_mismatches ${this.consistency.mismatches}`);
 
+    lines.push('# HELP sgn_http_rate_limited_total requests rejected with 429');
+    lines.push('# TYPE sgn_http_rate_limited_total counter');
+    for (const [route, n] of Object.entries(this.limits.rate_limited)) {
+      lines.push(`sgn_http_rate_limited_total{route="${route}"} ${n}`);
+    }
+    lines.push('# HELP sgn_quota_rejected_total KUs rejected for exceeding a storage quota');
+    lines.push('# TYPE sgn_quota_rejected_total counter');
+    lines.push(`sgn_quota_rejected_total ${this.limits.quota_rejected}`);
+    const quota = this.quotaSnapshot();
+    const nsQuotas = Object.entries(s.namespaces).map(([name, n]) => [name, n.quota]);
+    if (!nsQuotas.length) nsQuotas.push([null, quota]);
+    const sel = (name, owner) => (name ? `namespace="${name}",owner="${owner}"` : `owner="${owner}"`);
+    lines.push('# HELP sgn_quota_kus stored KUs per publisher');
+    lines.push('# TYPE sgn_quota_kus gauge');
+    for (const [name, q] of nsQuotas) for (const [owner, u] of Object.entries(q.usage)) lines.push(`sgn_quota_kus{${sel(name, owner)}} ${u.kus}`);
+    lines.push('# HELP sgn_quota_bytes stored bytes per publisher');
+    lines.push('# TYPE sgn_quota_bytes gauge');
+    for (const [name, q] of nsQuotas) for (const [owner, u] of Object.entries(q.usage)) lines.push(`sgn_quota_bytes{${sel(name, owner)}} ${u.bytes}`);
+    lines.push('# HELP sgn_quota_limit per-publisher quota (0 = unlimited)');
+    lines.push('# TYPE sgn_quota_limit gauge');
+    lines.push(`sgn_quota_limit{quota="kus"} ${quota.limits.kus}`);
+    lines.push(`sgn_quota_limit{quota="bytes"} ${quota.limits.bytes}`);
+
+    const NS_SERIES = [
+      ['requests', 'sgn_namespace_requests_total', 'counter', 'HTTP requests served in the namespace'],
+      ['kus_stored', 'sgn_namespace_kus_stored_total', 'counter', 'KUs stored in the namespace'],
+      ['kus_deduplicated', 'sgn_namespace_kus_deduplicated_total', 'counter', 'deduplicated KUs in the namespace'],
+      ['kus_count', 'sgn_namespace_fs_kus_count', 'gauge', 'KU JSON files in the namespace'],
+      ['outbox_ready', 'sgn_namespace_outbox_ready', 'gauge', 'ready outbox items in the namespace'],
+      ['consistency_mismatches', 'sgn_namespace_consistency_mismatches', 'gauge', 'DB-FS consistency mismatches in the namespace'],
+      ['ws_clients', 'sgn_namespace_ws_clients', 'gauge', 'websocket clients subscribed to the namespace'],
+      ['sse_clients', 'sgn_namespace_sse_clients', 'gauge', 'server-sent events clients subscribed to the namespace']
+    ];
+    for (const [key, name, type, help] of NS_SERIES) {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [ns, n] of Object.entries(s.namespaces)) lines.push(`${name}{namespace="${ns}"} ${n[key]}`);
+    }
+
     return lines.join('\n') + '\n';
   },
 
@@ -171,14 +311,16 @@ export const metrics = {
     try {
       const fs = require('fs');
       const path = require('path');
-      // Use absolute path from env or resolve relative to current working directory
-      const kusDir = process.env.SGN_KUS_DIR || path.resolve(process.cwd(), 'data/kus');
-      if (fs.existsSync(kusDir)) {
-        const files = fs.readdirSync(kusDir).filter(f => f.endsWith('.json'));
-        this.fs.kus_count = files.length;
-      } else {
-        this.fs.kus_count = 0;
+      const countIn = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).length : 0);
+      const namespaces = Object.values(this.namespaces).filter(n => n.kusDir);
+      if (namespaces.length) {
+        for (const n of namespaces) n.kus_count = countIn(n.kusDir);
+        this.fs.kus_count = namespaces.reduce((sum, n) => sum + n.kus_count, 0);
+        return;
       }
+      // Use the daemon's configured dir, else env, else resolve relative to current working directory
+      const kusDir = this.kusDir || process.env.SGN_KUS_DIR || path.resolve(process.cwd(), 'data/kus');
+      this.fs.kus_count = countIn(kusDir);
     } catch (error) {
       // Log error for debugging
       console.warn(`Failed to update FS KUs count: ${error.message}`);
@@ -186,12 +328,21 @@ export const metrics = {
     }
   },
 
-  incrementKuStored(source = 'http_publish') {
+  incrementKuStored(source = 'http_publish', namespace = null) {
     this.ku.stored_total++;
+    if (namespace) this.namespace(namespace).kus_stored++;
   },
 
-  incrementDeduplication() {
+  incrementDeduplication(namespace = null) {
     this.ku.deduplicated_total++;
+    if (namespace) this.namespace(namespace).kus_deduplicated++;
+  },
+
+  // With a namespace, the unlabeled gauge is the sum over namespaces
+  setOutboxReady(count, namespace = null) {
+    if (!namespace) { this.outbox.ready = count; return; }
+    this.namespace(namespace).outbox_ready = count;
+    this.outbox.ready = Object.values(this.namespaces).reduce((sum, n) => sum + n.outbox_ready, 0);
   },
 
   incrementOutboxDelivery() {
@@ -217,8 +368,10 @@ export const metrics = {
     return duration;
   },
 
-  setConsistencyMismatches(count) {
-    this.consistency.mismatches = count;
+  setConsistencyMismatches(count, namespace = null) {
+    if (!namespace) { this.consistency.mismatches = count; return; }
+    this.namespace(namespace).consistency_mismatches = count;
+    this.consistency.mismatches = Object.values(this.namespaces).reduce((sum, n) => sum + n.consistency_mismatches, 0);
   }
 };
 
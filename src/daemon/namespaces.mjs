@@ -0,0 +1,135 @@
+/**
+ * Namespaces: isolated KU stores served by one daemon (one per team)
+ * - each has its own KU dir, storage DB, edges DB, outbox, trust file and key registry; nothing is shared
+ * - `default` lives where storage.* / trust.path point, so a daemon without namespaces is unchanged
+ * - the others live in <namespaces.dir>/<name>/ (see namespacePaths), marked by a namespace.json,
+ *   and are reopened at startup
+ * The daemon supplies open(name, paths) / close(ns), which build and release the stores.
+ */
+import { mkdir, readdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const DEFAULT_NAMESPACE = 'default';
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const MARKER = 'namespace.json';
+
+export function isNamespaceName(name) {
+  return typeof name === 'string' && NAME_RE.test(name);
+}
+
+// Files of a created namespace: { root, db, kus_dir, quarantine_dir, edges_db, outbox_db, webhooks_db, trust_path, keys_path }
+export function namespacePaths(dir, name) {
+  const root = join(dir, name);
+  return {
+    root,
+    db: join(root, 'sgn.db.json'),
+    kus_dir: join(root, 'kus'),
+    quarantine_dir: join(root, 'kus', 'quarantine'),
+    edges_db: join(root, 'sgn-edges.db'),
+    outbox_db: join(root, 'sgn-outbox.db'),
+    webhooks_db: join(root, 'sgn-webhooks.db'),
+    trust_path: join(root, 'trust.json'),
+    keys_path: join(root, 'keys.json')
+  };
+}
+
+const fail = (code, name) => Object.assign(new Error(code), { code, namespace: name });
+
+/**
+ * @param {object} deps
+ * @param {string} deps.dir parent directory of created namespaces
+ * @param {object} deps.defaultPaths paths of the default namespace (same keys as namespacePaths, minus root)
+ * @param {(name: string, paths: object) => Promise<object>} deps.open returns the namespace object ({ name, ... })
+ * @param {(ns: object) => Promise<void>} deps.close
+ * @param {(entry: object) => any} [deps.onLog]
+ */
+export function createNamespaceRegistry({ dir, defaultPaths, open, close, onLog }) {
+  const opened = new Map(); // name -> { ns, created_at }
+  const busy = new Set(); // names being created or deleted
+
+  async function openOne(name, paths, created_at) {
+    opened.set(name, { ns: await open(name, paths), created_at });
+  }
+
+  // Open the default namespace and every namespace found under `dir`
+  async function load() {
+    await openOne(DEFAULT_NAMESPACE, defaultPaths, null);
+    if (!existsSync(dir)) return;
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !isNamespaceName(entry.name) || entry.name === DEFAULT_NAMESPACE) continue;
+      const paths = namespacePaths(dir, entry.name);
+      let marker;
+      try { marker = JSON.parse(await readFile(join(paths.root, MARKER), 'utf8')); } catch { continue; }
+      try {
+        await openOne(entry.name, paths, marker.created_at ?? null);
+      } catch (e) {
+        onLog?.({ evt: 'namespace_open_failed', level: 'error', namespace: entry.name, msg: e.message });
+      }
+    }
+  }
+
+  function get(name) {
+    return opened.get(name)?.ns || null;
+  }
+
+  function all() {
+    return [...opened.values()].map(({ ns }) => ns);
+  }
+
+  function list() {
+    return [...opened.entries()].map(([name, { created_at }]) => ({ name, default: name === DEFAULT_NAMESPACE, created_at }));
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ trust?: object }} [opts] initial trust.json contents
+   */
+  async function create(name, { trust = null } = {}) {
+    if (!isNamespaceName(name)) throw fail('invalid_namespace', name);
+    if (opened.has(name) || busy.has(name) || existsSync(join(dir, name))) throw fail('namespace_exists', name);
+    busy.add(name);
+    const paths = namespacePaths(dir, name);
+    try {
+      await mkdir(paths.kus_dir, { recursive: true });
+      if (trust) await writeFile(paths.trust_path, JSON.stringify(trust, null, 2));
+      const created_at = new Date().toISOString();
+      await openOne(name, paths, created_at);
+      // Written last: a namespace without its marker is not reopened at startup
+      await writeFile(join(paths.root, MARKER), JSON.stringify({ name, created_at }, null, 2));
+      onLog?.({ evt: 'namespace_created', namespace: name });
+      return { name, created_at };
+    } catch (e) {
+      const half = opened.get(name);
+      opened.delete(name);
+      if (half) await close(half.ns).catch(() => {});
+      await rm(paths.root, { recursive: true, force: true }).catch(() => {});
+      throw e;
+    } finally {
+      busy.delete(name);
+    }
+  }
+
+  // Close a namespace and delete all of its data
+  async function remove(name) {
+    if (name === DEFAULT_NAMESPACE) throw fail('namespace_protected', name);
+    const entry = opened.get(name);
+    if (!entry || busy.has(name)) throw fail('namespace_not_found', name);
+    busy.add(name);
+    try {
+      opened.delete(name);
+      await close(entry.ns);
+      await rm(namespacePaths(dir, name).root, { recursive: true, force: true });
+      onLog?.({ evt: 'namespace_deleted', namespace: name });
+    } finally {
+      busy.delete(name);
+    }
+  }
+
+  async function closeAll() {
+    for (const { ns } of opened.values()) await close(ns).catch(() => {});
+    opened.clear();
+  }
+
+  return { load, get, all, list, create, remove, closeAll };
+}
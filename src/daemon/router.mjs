@@ -0,0 +1,296 @@
+/**
+ * Daemon HTTP router: a route table plus a middleware pipeline
+ * - routes: add(method, '/ku/:cid', handler, opts), first match wins; a path registered only
+ *   for other methods answers 405 with `Allow`
+ * - middleware: async (ctx, next), run in `use` order around the route handler
+ * - mount: an optional prefix ('/ns/:namespace') any route may be reached under; its params are
+ *   in ctx.mount (null without the prefix), the route itself matches the rest of the path
+ * - handlers return { status, body, headers } (object body -> JSON, Buffer/string -> as is,
+ *   no body -> empty) or throw HttpError; every error leaves as
+ *   { ok: false, error, ...details, request_id }
+ */
+import { createHash, randomUUID } from 'node:crypto';
+import { createMemoryIdempotencyStore } from './idempotency-store.mjs';
+
+export class HttpError extends Error {
+  constructor(status, error, details = {}, headers = {}) {
+    super(error);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+    this.headers = headers;
+  }
+
+  // Turn a { status, body, headers } rejection (as returned by the daemon's checks) into an error
+  static from({ status, body = {}, headers = {} }) {
+    const { ok, error, ...details } = body;
+    return new HttpError(status, error || `http_${status}`, details, headers);
+  }
+}
+
+function compile(pattern, { prefix = false } = {}) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => { names.push(name); return '([^/]+)'; });
+  return { re: new RegExp(prefix ? `^${source}(/.*)$` : `^${source}$`), names };
+}
+
+function isPlainBody(body) {
+  return body !== null && typeof body === 'object' && !Buffer.isBuffer(body) && !(body instanceof Uint8Array);
+}
+
+// Error bodies share one shape whatever the handler returned
+export function errorEnvelope(status, body = {}, requestId = null) {
+  const { ok, error, reason, ...details } = isPlainBody(body) ? body : {};
+  const envelope = { ok: false, error: error || reason || `http_${status}`, ...details };
+  if (error && reason !== undefined) envelope.reason = reason;
+  envelope.request_id = requestId;
+  return envelope;
+}
+
+export function send(ctx, { status = 200, body, headers = {} } = {}) {
+  const { res } = ctx;
+  if (res.headersSent || res.writableEnded) return;
+  if (body === undefined || body === null) {
+    res.writeHead(status, headers);
+    return res.end();
+  }
+  if (status >= 400 && isPlainBody(body)) body = errorEnvelope(status, body, ctx.requestId);
+  if (isPlainBody(body)) {
+    const buf = Buffer.from(JSON.stringify(body));
+    res.writeHead(status, { 'content-type': 'application/json', 'content-length': buf.length, ...headers });
+    return res.end(buf);
+  }
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  res.writeHead(status, { 'content-type': 'text/plain; charset=utf-8', 'content-length': buf.length, ...headers });
+  return res.end(buf);
+}
+
+/**
+ * @param {{ onLog?: Function, mount?: string }} [opts] onLog receives http_error entries for unexpected failures
+ */
+export function createRouter({ onLog, mount = null } = {}) {
+  const routes = [];
+  const middleware = [];
+  const prefix = mount ? compile(mount, { prefix: true }) : null;
+
+  // Strip the mount prefix, if present: { mount: params|null, pathname: rest }
+  function unmount(pathname) {
+    const m = prefix?.re.exec(pathname);
+    if (!m) return { mount: null, pathname };
+    const params = {};
+    prefix.names.forEach((name, i) => { params[name] = decodeURIComponent(m[i + 1]); });
+    return { mount: params, pathname: m[prefix.names.length + 1] };
+  }
+
+  function match(method, pathname) {
+    const allowed = [];
+    for (const route of routes) {
+      const m = route.re.exec(pathname);
+      if (!m) continue;
+      if (route.method !== method) { allowed.push(route.method); continue; }
+      const params = {};
+      route.names.forEach((name, i) => { params[name] = decodeURIComponent(m[i + 1]); });
+      return { route, params, allowed };
+    }
+    return { route: null, params: {}, allowed };
+  }
+
+  async function dispatch(ctx) {
+    if (!ctx.route) {
+      if (ctx.allowed.length) throw new HttpError(405, 'method_not_allowed', {}, { allow: ctx.allowed.join(', ') });
+      throw new HttpError(404, 'not_found');
+    }
+    return ctx.route.handler(ctx);
+  }
+
+  async function handle(req, res) {
+    const ctx = { req, res, url: new URL(req.url, 'http://localhost'), mount: null, route: null, params: {}, allowed: [], requestId: null, state: {} };
+    try {
+      const { mount, pathname } = unmount(ctx.url.pathname);
+      ctx.mount = mount;
+      Object.assign(ctx, match(req.method, pathname));
+    } catch {
+      return send(ctx, { status: 400, body: { error: 'invalid_path' } });
+    }
+    try {
+      let i = 0;
+      const next = async () => (i < middleware.length ? middleware[i++](ctx, next) : dispatch(ctx));
+      const result = await next();
+      send(ctx, result || {});
+    } catch (e) {
+      if (e instanceof HttpError) {
+        return send(ctx, { status: e.status, body: { error: e.error, ...e.details }, headers: e.headers });
+      }
+      onLog?.({ evt: 'http_error', level: 'error', request_id: ctx.requestId, route: ctx.route?.name || null, msg: String(e?.stack || e) });
+      return send(ctx, { status: 500, body: { error: 'server_error' } });
+    }
+  }
+
+  return {
+    routes,
+    match,
+    handle,
+
+    use(fn) { middleware.push(fn); return this; },
+
+    /**
+     * @param {object} [opts] scope: token scope (null = public); body: 'json' | 'raw' to read the
+     *        request body into ctx.body / ctx.raw; maxBytes: body limit overriding the default
+     */
+    add(method, pattern, handler, opts = {}) {
+      routes.push({ method, pattern, name: `${method} ${pattern}`, handler, scope: 'read', ...opts, ...compile(pattern) });
+      return this;
+    },
+    get(pattern, handler, opts) { return this.add('GET', pattern, handler, opts); },
+    post(pattern, handler, opts) { return this.add('POST', pattern, handler, opts); },
+    delete(pattern, handler, opts) { return this.add('DELETE', pattern, handler, opts); }
+  };
+}
+
+// ---- middleware ----
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Reuse a sane incoming X-Request-Id, else mint one; echoed on every response
+export function requestId() {
+  return async (ctx, next) => {
+    const incoming = ctx.req.headers['x-request-id'];
+    ctx.requestId = typeof incoming === 'string' && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+    ctx.res.setHeader('x-request-id', ctx.requestId);
+    return next();
+  };
+}
+
+const CORS_ALLOW_HEADERS = 'authorization, content-type, accept, if-none-match, x-request-id, last-event-id, idempotency-key';
+const CORS_EXPOSE_HEADERS = 'x-request-id, etag, retry-after, x-sgn-car-root, idempotent-replayed';
+
+/**
+ * CORS for the listed origins ('*' for any); answers preflights before auth runs
+ * @param {() => string[]|null} origins read per request, so reloads can change it
+ */
+export function cors(origins) {
+  return async (ctx, next) => {
+    const allowed = origins();
+    const origin = ctx.req.headers.origin;
+    if (!allowed?.length || !origin || !(allowed.includes('*') || allowed.includes(origin))) return next();
+    ctx.res.setHeader('access-control-allow-origin', allowed.includes('*') ? '*' : origin);
+    ctx.res.setHeader('vary', 'Origin');
+    if (ctx.req.method === 'OPTIONS' && ctx.req.headers['access-control-request-method']) {
+      return {
+        status: 204,
+        headers: {
+          'access-control-allow-methods': [...new Set(ctx.allowed)].join(', '),
+          'access-control-allow-headers': CORS_ALLOW_HEADERS,
+          'access-control-max-age': '600'
+        }
+      };
+    }
+    ctx.res.setHeader('access-control-expose-headers', CORS_EXPOSE_HEADERS);
+    return next();
+  };
+}
+
+// Latency per matched route (unmatched requests share one series)
+export function latency(observe) {
+  return async (ctx, next) => {
+    const t0 = Date.now();
+    try {
+      return await next();
+    } finally {
+      // The router sends after the pipeline returns: observe once the response is out (or aborted)
+      ctx.res.once('close', () => observe(ctx.route?.name || 'unmatched', Date.now() - t0, ctx.res.statusCode));
+    }
+  };
+}
+
+function readLimited(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const tooLarge = () => new HttpError(413, 'body_too_large', { max_bytes: maxBytes }, { connection: 'close' });
+    if (Number(req.headers['content-length'] || 0) > maxBytes) { req.resume(); return reject(tooLarge()); }
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) { req.removeAllListeners('data'); req.resume(); return reject(tooLarge()); }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read the body of routes declaring `body`: 'raw' -> ctx.raw (Buffer), 'json' -> ctx.raw and ctx.body
+ * (empty body -> {}); over the route's maxBytes (else `maxBytes()`) -> 413, bad JSON -> 400
+ */
+export function parseBody(maxBytes) {
+  return async (ctx, next) => {
+    const kind = ctx.route?.body;
+    if (!kind) return next();
+    ctx.raw = await readLimited(ctx.req, ctx.route.maxBytes ?? maxBytes());
+    if (kind === 'json') {
+      const text = ctx.raw.toString('utf8');
+      try {
+        ctx.body = text.trim() ? JSON.parse(text) : {};
+      } catch (e) {
+        throw new HttpError(400, 'invalid_json', { reason: e.message });
+      }
+      if (ctx.body === null) ctx.body = {};
+    }
+    return next();
+  };
+}
+
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Idempotency-Key for routes declaring `idempotent`: the first response to a key is kept for
+ * `ttlMs()` and replayed (with `idempotent-replayed: true`) to retries of the same request.
+ * Keys are scoped by `scopeOf(ctx)` (e.g. namespace and token or address); the same key with another
+ * method, path or body -> 422, while the first request is still running -> 409. 5xx and 429 responses
+ * are not kept, so those can be retried. Responses live in `store` (idempotency-store.mjs; in memory
+ * by default). Runs after parseBody (the raw body is part of the fingerprint).
+ * @param {{ scopeOf?: (ctx) => string, ttlMs: () => number, store?: { get: Function, set: Function } }} opts
+ */
+export function idempotency({ scopeOf = () => '', ttlMs, store = createMemoryIdempotencyStore() }) {
+  const running = new Map(); // scope|key -> fingerprint of the request still in progress
+
+  return async (ctx, next) => {
+    const key = ctx.req.headers['idempotency-key'];
+    if (!ctx.route?.idempotent || key === undefined) return next();
+    if (!IDEMPOTENCY_KEY_RE.test(key)) throw new HttpError(400, 'invalid_idempotency_key');
+    const id = `${scopeOf(ctx)}|${key}`;
+    const fingerprint = createHash('sha256')
+      .update(`${ctx.req.method} ${ctx.url.pathname}\n${ctx.req.headers['if-none-match'] || ''}\n`)
+      .update(ctx.raw || '')
+      .digest('hex');
+    if (running.has(id)) {
+      if (running.get(id) !== fingerprint) throw new HttpError(422, 'idempotency_key_reused');
+      throw new HttpError(409, 'idempotency_in_progress', {}, { 'retry-after': '1' });
+    }
+    const entry = store.get(id);
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) throw new HttpError(422, 'idempotency_key_reused');
+      const { status, body, headers = {} } = entry.result;
+      return { status, body, headers: { ...headers, 'idempotent-replayed': 'true' } };
+    }
+    const keep = (result) => store.set(id, { fingerprint, expires: Date.now() + ttlMs(), result });
+    running.set(id, fingerprint);
+    let result;
+    try {
+      result = await next();
+    } catch (e) {
+      // Errors thrown as HttpError are final answers too; anything else is a 500
+      if (e instanceof HttpError && e.status < 500 && e.status !== 429) {
+        keep({ status: e.status, body: { error: e.error, ...e.details }, headers: e.headers });
+      }
+      throw e;
+    } finally {
+      running.delete(id);
+    }
+    const status = result?.status ?? 200;
+    if (status < 500 && status !== 429) keep({ ...result, status });
+    return result;
+  };
+}
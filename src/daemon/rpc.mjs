@@ -0,0 +1,104 @@
+/**
+ * JSON-RPC 2.0 dispatcher for the daemon (/rpc)
+ * - single and batch calls, notifications (no id) get no response
+ * - standard error codes plus SGN application codes in the -32000..-32099 range
+ */
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // application errors
+  UNAUTHORIZED: -32001,
+  FORBIDDEN: -32003,
+  NOT_FOUND: -32004,
+  CONFLICT: -32009,
+  SCHEMA_INVALID: -32022,
+  RATE_LIMITED: -32029
+};
+
+const HTTP_TO_RPC = {
+  400: RPC_ERRORS.INVALID_PARAMS,
+  401: RPC_ERRORS.UNAUTHORIZED,
+  403: RPC_ERRORS.FORBIDDEN,
+  404: RPC_ERRORS.NOT_FOUND,
+  409: RPC_ERRORS.CONFLICT,
+  410: RPC_ERRORS.NOT_FOUND, // retracted by a tombstone; data.tombstone has its CID
+  412: RPC_ERRORS.CONFLICT,
+  422: RPC_ERRORS.SCHEMA_INVALID,
+  429: RPC_ERRORS.RATE_LIMITED
+};
+
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+
+  // Map a REST-style { status, body } rejection to a typed RPC error
+  static fromHttp(status, body = {}) {
+    const code = HTTP_TO_RPC[status] ?? RPC_ERRORS.INTERNAL_ERROR;
+    return new RpcError(code, body.error || body.reason || `http_${status}`, { status, ...body });
+  }
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+/**
+ * @param {Record<string, (params: object, ctx: object) => Promise<any>>} methods
+ * @param {{ onLog?: Function, authorize?: (method: string, ctx: object) => RpcError|null }} [opts]
+ *        authorize runs before each known method; returning an RpcError rejects the call
+ * @returns {(text: string, ctx?: object) => Promise<object|object[]|null>} null means "no content"
+ */
+export function createRpcDispatcher(methods, { onLog, authorize } = {}) {
+  async function callOne(msg, ctx) {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg) || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+      return errorResponse(msg?.id, RPC_ERRORS.INVALID_REQUEST, 'invalid_request');
+    }
+    const isNotification = !('id' in msg);
+    const { id, method } = msg;
+    const params = msg.params ?? {};
+    // Every method takes named params; positional (array) params would silently leave them undefined
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      return isNotification ? null : errorResponse(id, RPC_ERRORS.INVALID_PARAMS, 'params_must_be_object');
+    }
+    const fn = Object.hasOwn(methods, method) ? methods[method] : null;
+    if (!fn) return isNotification ? null : errorResponse(id, RPC_ERRORS.METHOD_NOT_FOUND, 'method_not_found', { method });
+
+    const denied = authorize?.(method, ctx);
+    if (denied) return isNotification ? null : errorResponse(id, denied.code, denied.message, denied.data);
+
+    try {
+      const result = await fn(params, ctx);
+      return isNotification ? null : { jsonrpc: '2.0', id, result: result ?? null };
+    } catch (e) {
+      if (e instanceof RpcError) return isNotification ? null : errorResponse(id, e.code, e.message, e.data);
+      onLog?.({ evt: 'rpc_error', method, msg: String(e) });
+      return isNotification ? null : errorResponse(id, RPC_ERRORS.INTERNAL_ERROR, 'internal_error');
+    }
+  }
+
+  return async function dispatch(text, ctx = {}) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return errorResponse(null, RPC_ERRORS.PARSE_ERROR, 'parse_error'); }
+
+    if (Array.isArray(msg)) {
+      if (msg.length === 0) return errorResponse(null, RPC_ERRORS.INVALID_REQUEST, 'empty_batch');
+      const out = [];
+      for (const m of msg) {
+        const r = await callOne(m, ctx);
+        if (r) out.push(r);
+      }
+      return out.length ? out : null;
+    }
+    return callOne(msg, ctx);
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Outgoing webhooks: HTTP callbacks for the KU and edge events of one namespace
+ * - subscriptions filter KU events by type, tag and publisher key_id (each list matches any of its
+ *   values; an empty list matches everything); edge events are opt-in (`events: ['edge']`) and
+ *   filtered by key_id only
+ * - every match is queued in a PersistentOutbox (one row per event and subscription, target_peer =
+ *   subscription id) and POSTed by deliverReady(); a 2xx acks it, anything else is retried with the
+ *   outbox backoff until max_attempts, then dropped as `failed`
+ * - requests carry X-SGN-Signature: sha256=<hex HMAC-SHA256(secret, `<X-SGN-Timestamp>.<body>`)>
+ * - each attempt lands in the subscription's delivery log (newest LOG_KEEP kept); subscriptions and
+ *   the log share the outbox's SQLite file
+ */
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import { PersistentOutbox } from '../network/outbox-persistent.mjs';
+
+export const WEBHOOK_EVENTS = ['ku', 'edge'];
+const LOG_KEEP = 200;
+const FILTERS = ['types', 'tags', 'key_ids'];
+
+// Value of X-SGN-Signature for a body sent at `timestamp` (unix seconds)
+export function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Backoff after each failed attempt: backoffMs, then x4 per attempt
+export function backoffSchedule(backoffMs, maxAttempts) {
+  return Array.from({ length: Math.max(1, maxAttempts - 1) }, (_, i) => backoffMs * 4 ** i);
+}
+
+const fail = (code, extra = {}) => Object.assign(new Error(code), { code, ...extra });
+
+function parseUrl(url) {
+  try {
+    const u = new URL(url);
+    if (u.protocol === 'http:' || u.protocol === 'https:') return u.toString();
+  } catch {}
+  throw fail('invalid_url');
+}
+
+function stringList(value, field) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v)) throw fail('invalid_filter', { field });
+  return [...new Set(value)];
+}
+
+const anyOf = (wanted, values) => !wanted.length || values.some(v => wanted.includes(v));
+
+/**
+ * @param {object} deps
+ * @param {string} deps.dbPath SQLite file of the queue, subscriptions and delivery log
+ * @param {string} deps.namespace sent in every payload
+ * @param {{ timeout_ms: number, max_attempts: number, backoff_ms: number }} deps.config
+ * @param {typeof fetch} [deps.fetch]
+ * @param {(entry: object) => any} [deps.onLog]
+ * @param {(result: 'delivered'|'retry'|'failed') => any} [deps.onResult] per attempt, for metrics
+ * @param {(info: object) => any} [deps.onFailure] failed attempts, as reported by PersistentOutbox (target_peer = subscription id)
+ */
+export function createWebhooks({ dbPath, namespace, config, fetch = globalThis.fetch, onLog, onResult, onFailure }) {
+  const outbox = new PersistentOutbox(dbPath, {
+    retryIntervals: backoffSchedule(config.backoff_ms, config.max_attempts),
+    maxRetries: config.max_attempts,
+    onFailure
+  });
+  const subs = new Map(); // id -> subscription (with secret)
+  let stmts = null;
+  const busy = new Set(); // subscription ids with a delivery run in flight
+  let closed = false;
+
+  async function initialize() {
+    await outbox.initialize();
+    outbox.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        json TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscription_id TEXT NOT NULL,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        cid TEXT,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        http_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_sub ON webhook_deliveries(subscription_id, seq);
+    `);
+    stmts = {
+      insertSub: outbox.db.prepare('INSERT INTO webhook_subscriptions (id, json) VALUES (?, ?)'),
+      deleteSub: outbox.db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?'),
+      insertLog: outbox.db.prepare(`INSERT INTO webhook_deliveries
+        (subscription_id, delivery_id, event, cid, attempt, status, http_status, error, duration_ms, at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+      pruneLog: outbox.db.prepare(`DELETE FROM webhook_deliveries WHERE subscription_id = ? AND seq <= (
+        SELECT seq FROM webhook_deliveries WHERE subscription_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?)`),
+      selectLog: outbox.db.prepare('SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY seq DESC LIMIT ?'),
+      deleteLog: outbox.db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?'),
+      countQueued: outbox.db.prepare('SELECT COUNT(*) AS n FROM outbox WHERE target_peer = ?')
+    };
+    for (const { json } of outbox.db.prepare('SELECT json FROM webhook_subscriptions').all()) {
+      const sub = JSON.parse(json);
+      subs.set(sub.id, sub);
+    }
+  }
+
+  // Secrets are only returned by subscribe()
+  const publicView = ({ secret, ...sub }) => ({ ...sub, pending: stmts.countQueued.get(sub.id).n });
+
+  /**
+   * @param {{ url: string, events?: string[], types?: string[], tags?: string[], key_ids?: string[],
+   *   secret?: string, description?: string }} spec
+   * @returns the subscription, including its secret (only returned here)
+   */
+  function subscribe(spec = {}) {
+    const url = parseUrl(spec.url);
+    const events = spec.events == null ? ['ku'] : stringList(spec.events, 'events');
+    if (!events.length || !events.every(e => WEBHOOK_EVENTS.includes(e))) throw fail('invalid_filter', { field: 'events' });
+    const filters = Object.fromEntries(FILTERS.map(f => [f, stringList(spec[f], f)]));
+    if (spec.secret != null && (typeof spec.secret !== 'string' || spec.secret.length < 16)) throw fail('invalid_secret');
+    const sub = {
+      id: `sub_${randomBytes(8).toString('hex')}`,
+      url,
+      events,
+      ...filters,
+      description: typeof spec.description === 'string' ? spec.description : null,
+      secret: spec.secret || `whsec_${randomBytes(24).toString('base64url')}`,
+      created_at: new Date().toISOString()
+    };
+    stmts.insertSub.run(sub.id, JSON.stringify(sub));
+    subs.set(sub.id, sub);
+    onLog?.({ evt: 'webhook_subscribed', subscription_id: sub.id, url, events });
+    return { ...sub, pending: 0 };
+  }
+
+  function list() {
+    return [...subs.values()].map(publicView);
+  }
+
+  function get(id) {
+    const sub = subs.get(id);
+    return sub ? publicView(sub) : null;
+  }
+
+  // Deletes the subscription, its queued deliveries and its delivery log
+  function remove(id) {
+    if (!subs.has(id)) return false;
+    subs.delete(id);
+    stmts.deleteSub.run(id);
+    const dropped = outbox.removeByTarget(id);
+    stmts.deleteLog.run(id);
+    onLog?.({ evt: 'webhook_unsubscribed', subscription_id: id, dropped });
+    return true;
+  }
+
+  // Delivery log of a subscription, newest first
+  function deliveries(id, { limit = 50 } = {}) {
+    return stmts.selectLog.all(id, limit);
+  }
+
+  function enqueue(matching, event, cid, data) {
+    if (!matching.length) return 0;
+    const created_at = Date.now();
+    outbox.enqueueMany(matching.map(sub => ({
+      cid,
+      targetPeer: sub.id,
+      message: { delivery_id: randomUUID(), event, namespace, subscription_id: sub.id, created_at, data }
+    })));
+    return matching.length;
+  }
+
+  // Queue a stored KU for the subscriptions it matches; returns how many were queued
+  function notifyKU({ cid, ku }) {
+    const matching = [...subs.values()].filter(sub => sub.events.includes('ku')
+      && anyOf(sub.types, [ku.type]) && anyOf(sub.tags, ku.tags || []) && anyOf(sub.key_ids, [ku.sig?.key_id].filter(Boolean)));
+    return enqueue(matching, 'ku', cid, { cid, ku });
+  }
+
+  function notifyEdge({ src, dst, edge_type, publisher_key_id = null }) {
+    const matching = [...subs.values()].filter(sub => sub.events.includes('edge')
+      && anyOf(sub.key_ids, [publisher_key_id].filter(Boolean)));
+    return enqueue(matching, 'edge', src, { src, dst, edge_type, publisher_key_id });
+  }
+
+  function record(row, message, status, attempt, { http_status = null, error = null, duration_ms = null } = {}) {
+    stmts.insertLog.run(row.target_peer, message.delivery_id, message.event, row.cid, attempt, status,
+      http_status, error, duration_ms, Date.now());
+    stmts.pruneLog.run(row.target_peer, row.target_peer, LOG_KEEP);
+  }
+
+  async function post(sub, message) {
+    const { subscription_id, ...payload } = message;
+    const body = JSON.stringify({ id: message.delivery_id, subscription_id, ...payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(sub.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'sgn-webhooks',
+        'x-sgn-event': message.event,
+        'x-sgn-delivery': message.delivery_id,
+        'x-sgn-timestamp': String(timestamp),
+        'x-sgn-signature': signWebhook(sub.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(config.timeout_ms),
+      redirect: 'manual'
+    });
+    await res.arrayBuffer().catch(() => {});
+    return res.status;
+  }
+
+  // POST one delivery and record the outcome; false once closed
+  async function attempt(sub, row) {
+    const message = JSON.parse(row.message_json);
+    const attempt = row.attempts + 1;
+    const t0 = Date.now();
+    let http_status = null;
+    let error = null;
+    try {
+      http_status = await post(sub, message);
+      if (http_status < 200 || http_status >= 300) error = `http_${http_status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? 'timeout' : (e.cause?.code || e.message);
+    }
+    if (closed) return false;
+    const duration_ms = Date.now() - t0;
+    const ref = { subscription_id: sub.id, delivery_id: message.delivery_id, event: message.event, cid: row.cid, attempt };
+    if (!error) {
+      outbox.markSent(row.seq);
+      record(row, message, 'delivered', attempt, { http_status, duration_ms });
+      onResult?.('delivered');
+      onLog?.({ evt: 'webhook_delivered', ...ref, http_status, duration_ms });
+      return true;
+    }
+    const retry = outbox.markFailed(row.seq, error);
+    const status = retry?.dropped ? 'failed' : 'retrying';
+    record(row, message, status, attempt, { http_status, error, duration_ms });
+    onResult?.(retry?.dropped ? 'failed' : 'retry');
+    onLog?.({
+      evt: retry?.dropped ? 'webhook_failed' : 'webhook_retry',
+      level: retry?.dropped ? 'error' : 'warn',
+      ...ref, http_status, error, next_try_at: retry?.next_try_at ?? null
+    });
+    return true;
+  }
+
+  // POST up to `limit` due deliveries of one subscription, in order
+  async function run(id, limit) {
+    let attempts = 0;
+    try {
+      for (const row of outbox.getReadyFor(id, limit)) {
+        const sub = subs.get(id);
+        if (closed || !sub) break;
+        if (await attempt(sub, row)) attempts++;
+      }
+    } finally {
+      busy.delete(id);
+    }
+    return attempts;
+  }
+
+  /**
+   * Start a delivery run for every subscription that has none in flight. Each run takes its own
+   * subscription's due rows (up to `limit`), so a slow or dead endpoint only delays, and only fills
+   * the batch of, its own deliveries; the next poll does not wait for it either
+   * @returns {Promise<number>} attempts made by the runs started by this call
+   */
+  async function deliverReady(limit = 20) {
+    if (closed) return 0;
+    const runs = [];
+    for (const id of subs.keys()) {
+      if (busy.has(id)) continue;
+      busy.add(id);
+      runs.push(run(id, limit));
+    }
+    return (await Promise.all(runs)).reduce((a, b) => a + b, 0);
+  }
+
+  // Drop the queued deliveries of a KU (e.g. once it is retracted); returns how many were removed
+  function removeByCid(cid) {
+    return outbox.removeByCid(cid);
+  }
+
+  // Queued deliveries, due or backing off
+  function pending() {
+    return outbox.size();
+  }
+
+  function close() {
+    closed = true;
+    outbox.close();
+  }
+
+  return { initialize, subscribe, list, get, remove, deliveries, notifyKU, notifyEdge, deliverReady, removeByCid, pending, close };
+}
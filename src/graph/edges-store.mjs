@@ -35,6 +35,7 @@ CREATE INDEX IF NOT EXISTS edges_src ON edges (src_cid, type, created_at DESC);
     this.stmt.listOutType = this.db.prepare('SELECT dst_cid as dst, type, created_at, publisher_key_id FROM edges WHERE src_cid=? AND type=?')
     this.stmt.listIn = this.db.prepare('SELECT src_cid as src, type, created_at, publisher_key_id FROM edges WHERE dst_cid=?')
     this.stmt.listInType = this.db.prepare('SELECT src_cid as src, type, created_at, publisher_key_id FROM edges WHERE dst_cid=? AND type=?')
+    this.stmt.listAll = this.db.prepare('SELECT src_cid as src, dst_cid as dst, type, created_at, publisher_key_id FROM edges ORDER BY created_at, src_cid, dst_cid')
     this.stmt.countExact = this.db.prepare('SELECT COUNT(*) as n FROM edges WHERE src_cid=? AND dst_cid=? AND type=?')
   }
 
@@ -56,6 +57,10 @@ CREATE INDEX IF NOT EXISTS edges_src ON edges (src_cid, type, created_at DESC);
     return type ? this.stmt.listInType.all(dst, type) : this.stmt.listIn.all(dst)
   }
 
+  listAll() {
+    return this.stmt.listAll.all()
+  }
+
   listNeighbors(cid) {
     const out = this.listOutgoing(cid)
     const inn = this.listIncoming(cid)
@@ -63,4 +68,11 @@ CREATE INDEX IF NOT EXISTS edges_src ON edges (src_cid, type, created_at DESC);
   }
 
   count(src, dst, type) { return this.stmt.countExact.get(src, dst, type).n }
+
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
 }
@@ -0,0 +1,78 @@
+/**
+ * CARv1 (Content Addressable aRchive) encode/decode for DAG-CBOR blocks
+ * Layout: varint(len) | dag-cbor { version: 1, roots: [CID] } then, per block,
+ * varint(len) | CID bytes | block bytes.
+ * Spec: https://ipld.io/specs/transport/car/carv1/
+ */
+import * as dagCbor from '@ipld/dag-cbor';
+import { CID } from 'multiformats/cid';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { varint } from 'multiformats';
+
+function varintBytes(n) {
+  const out = new Uint8Array(varint.encodingLength(n));
+  varint.encodeTo(n, out, 0);
+  return out;
+}
+
+/**
+ * Encode a value as a DAG-CBOR block
+ * @returns {Promise<{ cid: CID, bytes: Uint8Array }>}
+ */
+export async function blockFor(value) {
+  const bytes = dagCbor.encode(value);
+  return { cid: CID.createV1(dagCbor.code, await sha256.digest(bytes)), bytes };
+}
+
+/**
+ * @param {CID[]} roots
+ * @param {{ cid: CID, bytes: Uint8Array }[]} blocks
+ * @returns {Buffer}
+ */
+export function encodeCAR(roots, blocks) {
+  const parts = [];
+  const header = dagCbor.encode({ version: 1, roots });
+  parts.push(varintBytes(header.length), header);
+  for (const { cid, bytes } of blocks) {
+    parts.push(varintBytes(cid.bytes.length + bytes.length), cid.bytes, bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a CARv1 file. Block CIDs are taken as written; use verifyBlock to check them.
+ * @param {Uint8Array} car
+ * @returns {{ roots: CID[], blocks: { cid: CID, bytes: Uint8Array }[] }}
+ */
+export function decodeCAR(car) {
+  let offset = 0;
+  const readSection = () => {
+    const [len, n] = varint.decode(car, offset);
+    const start = offset + n;
+    if (start + len > car.length) throw new Error('truncated_car');
+    offset = start + len;
+    return car.subarray(start, start + len);
+  };
+
+  const header = dagCbor.decode(readSection());
+  if (header?.version !== 1 || !Array.isArray(header.roots)) throw new Error('unsupported_car_header');
+  const roots = header.roots.map(r => CID.asCID(r)).filter(Boolean);
+
+  const blocks = [];
+  while (offset < car.length) {
+    const section = readSection();
+    const cid = CID.decodeFirst(section)[0];
+    blocks.push({ cid, bytes: section.subarray(cid.bytes.length) });
+  }
+  return { roots, blocks };
+}
+
+/**
+ * Recompute a block's CID from its bytes
+ * @returns {Promise<boolean>} true if the bytes hash to the CID they were stored under
+ */
+export async function verifyBlock({ cid, bytes }) {
+  if (cid.code !== dagCbor.code || cid.multihash.code !== sha256.code) return false;
+  const digest = await sha256.digest(bytes);
+  return CID.createV1(dagCbor.code, digest).equals(cid);
+}
@@ -0,0 +1,132 @@
+/**
+ * KU Schema v1 (DAG-CBOR / CIDv1 KUs)
+ * Strict structural validation with per-type payload rules.
+ * Errors carry the failing field path, e.g. `payload.artifacts[0].sha256`.
+ */
+
+export const SCHEMA_ID_V1 = 'ku.v1';
+
+export const KU_V1_TYPES = {
+  PATCH: 'ku.patch',
+  PATCH_MIGRATION: 'ku.patch.migration',
+  NOTE: 'ku.note',
+  TEST: 'ku.test',
+  RECEIPT: 'ku.receipt',
+  ATTESTATION_ROTATE_KEY: 'ku.attestation.rotate_key',
+  TOMBSTONE: 'ku.tombstone'
+};
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const TOP_LEVEL_FIELDS = new Set([
+  'schema_id', 'type', 'content_type', 'payload', 'parents', 'sources', 'tests', 'provenance', 'tags', 'sig'
+]);
+const SIG_FIELDS = ['alg', 'prehash', 'context', 'key_id', 'signature'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+// Field rules: each returns an error message or null
+const rules = {
+  requiredString: (v) => (isNonEmptyString(v) ? null : 'required non-empty string'),
+  optionalString: (v) => (v === undefined || typeof v === 'string' ? null : 'must be a string'),
+  optionalSeverity: (v) => (v === undefined || SEVERITIES.includes(v) ? null : `must be one of ${SEVERITIES.join(', ')}`),
+  optionalConfidence: (v) => (v === undefined || (typeof v === 'number' && v >= 0 && v <= 1) ? null : 'must be a number between 0 and 1'),
+  optionalStringArray: (v) => (v === undefined || (Array.isArray(v) && v.every(x => typeof x === 'string')) ? null : 'must be an array of strings'),
+  requiredTimestamp: (v) => ((typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && !Number.isNaN(Date.parse(v))) ? null : 'required timestamp (epoch ms or ISO string)'),
+  requiredSig: (v) => (isNonEmptyString(v) || isObject(v) ? null : 'required signature (string or sig object)')
+};
+
+const COMMON_PAYLOAD = {
+  title: rules.requiredString,
+  description: rules.optionalString,
+  severity: rules.optionalSeverity,
+  confidence: rules.optionalConfidence,
+  affectedSystems: rules.optionalStringArray
+};
+
+const PAYLOAD_RULES = {
+  [KU_V1_TYPES.PATCH]: { ...COMMON_PAYLOAD },
+  [KU_V1_TYPES.PATCH_MIGRATION]: { ...COMMON_PAYLOAD, patch: rules.requiredString },
+  [KU_V1_TYPES.NOTE]: { ...COMMON_PAYLOAD },
+  [KU_V1_TYPES.TEST]: { ...COMMON_PAYLOAD, cmd: rules.requiredString, kind: rules.optionalString, expected: rules.optionalString },
+  [KU_V1_TYPES.RECEIPT]: { ...COMMON_PAYLOAD, artifacts: validateArtifacts },
+  [KU_V1_TYPES.ATTESTATION_ROTATE_KEY]: {
+    prev_key_id: rules.requiredString,
+    new_key_id: rules.requiredString,
+    reason: rules.optionalString,
+    ts: rules.requiredTimestamp,
+    prev_sig: rules.requiredSig
+  },
+  // Retracts `target` (a KU CID); only honored when signed by the target's publisher or a trust admin key
+  [KU_V1_TYPES.TOMBSTONE]: { target: rules.requiredString, reason: rules.optionalString }
+};
+
+function validateArtifacts(v, path, errors) {
+  if (!Array.isArray(v) || v.length === 0) return 'required non-empty array';
+  v.forEach((a, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObject(a)) { errors.push({ path: p, message: 'must be an object' }); return; }
+    if (!isNonEmptyString(a.type)) errors.push({ path: `${p}.type`, message: 'required non-empty string' });
+    if (typeof a.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(a.sha256)) errors.push({ path: `${p}.sha256`, message: 'required hex sha256 digest' });
+    if (a.path !== undefined && typeof a.path !== 'string') errors.push({ path: `${p}.path`, message: 'must be a string' });
+  });
+  return null;
+}
+
+function checkArray(ku, field, itemCheck, errors) {
+  const v = ku[field];
+  if (!Array.isArray(v)) { errors.push({ path: field, message: 'required array' }); return; }
+  v.forEach((item, i) => {
+    const msg = itemCheck(item);
+    if (msg) errors.push({ path: `${field}[${i}]`, message: msg });
+  });
+}
+
+/**
+ * Validate a KU against the ku.v1 schema
+ * @param {object} ku
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export function validateKU_v1(ku) {
+  const errors = [];
+  if (!isObject(ku)) return { valid: false, errors: [{ path: '', message: 'KU must be an object' }] };
+
+  if (ku.schema_id !== SCHEMA_ID_V1) errors.push({ path: 'schema_id', message: `must be "${SCHEMA_ID_V1}"` });
+  for (const key of Object.keys(ku)) {
+    if (!TOP_LEVEL_FIELDS.has(key)) errors.push({ path: key, message: 'unknown field' });
+  }
+
+  const typeRules = PAYLOAD_RULES[ku.type];
+  if (!typeRules) errors.push({ path: 'type', message: `unknown KU type; expected one of ${Object.keys(PAYLOAD_RULES).join(', ')}` });
+  if (ku.content_type !== undefined && !isNonEmptyString(ku.content_type)) errors.push({ path: 'content_type', message: 'must be a non-empty string' });
+
+  checkArray(ku, 'parents', (p) => (isNonEmptyString(p) ? null : 'must be a CID string'), errors);
+  checkArray(ku, 'sources', (s) => (isObject(s) ? null : 'must be an object'), errors);
+  checkArray(ku, 'tests', (t) => (isObject(t) ? null : 'must be an object'), errors);
+  checkArray(ku, 'tags', (t) => (typeof t === 'string' ? null : 'must be a string'), errors);
+
+  if (!isObject(ku.provenance)) {
+    errors.push({ path: 'provenance', message: 'required object' });
+  } else if (ku.provenance.agent_pubkey != null && typeof ku.provenance.agent_pubkey !== 'string') {
+    errors.push({ path: 'provenance.agent_pubkey', message: 'must be a string or null' });
+  }
+
+  if (ku.sig !== undefined) {
+    if (!isObject(ku.sig)) errors.push({ path: 'sig', message: 'must be an object' });
+    else for (const f of SIG_FIELDS) {
+      if (!isNonEmptyString(ku.sig[f])) errors.push({ path: `sig.${f}`, message: 'required non-empty string' });
+    }
+  }
+
+  if (!isObject(ku.payload)) {
+    errors.push({ path: 'payload', message: 'required object' });
+  } else if (typeRules) {
+    for (const [field, check] of Object.entries(typeRules)) {
+      const path = `payload.${field}`;
+      const msg = check(ku.payload[field], path, errors);
+      if (msg) errors.push({ path, message: msg });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
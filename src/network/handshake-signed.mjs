@@ -5,25 +5,49 @@ import { createHash, randomBytes } from 'node:crypto';
 import { verifyKU_v1, keyIdFromPubPEM } from '../ku/sign_v1.mjs';
 
 export class SignedHandshake {
-  constructor() {
+  /**
+   * @param {{ maxChallenges?: number, maxPerPeer?: number }} [opts] outstanding challenges kept in all, and per peer
+   */
+  constructor({ maxChallenges = 10000, maxPerPeer = 8 } = {}) {
     this.challenges = new Map(); // nonce -> { timestamp, peerId }
+    this.byPeer = new Map(); // peerId -> nonces, oldest first
     this.challengeTTL = 5 * 60 * 1000; // 5 minutes
+    this.maxChallenges = maxChallenges;
+    this.maxPerPeer = maxPerPeer;
   }
 
+  /**
+   * A peer asking again past maxPerPeer loses its oldest challenge; past maxChallenges in all, new ones
+   * are refused with { code: 'too_many_challenges' } until some are answered or expire
+   */
   generateChallenge(peerId) {
+    this.cleanupExpiredChallenges();
+    const mine = this.byPeer.get(peerId) || [];
+    for (const nonce of mine.slice(0, Math.max(0, mine.length - this.maxPerPeer + 1))) this.deleteChallenge(nonce);
+    if (this.challenges.size >= this.maxChallenges) {
+      throw Object.assign(new Error('too_many_challenges'), { code: 'too_many_challenges' });
+    }
     const nonce = randomBytes(32).toString('hex');
     const timestamp = Date.now();
     this.challenges.set(nonce, { timestamp, peerId });
-    // Cleanup old challenges
-    this.cleanupExpiredChallenges();
+    this.byPeer.set(peerId, [...(this.byPeer.get(peerId) || []), nonce]);
     return { nonce, timestamp };
   }
 
+  deleteChallenge(nonce) {
+    const challenge = this.challenges.get(nonce);
+    if (!challenge) return;
+    this.challenges.delete(nonce);
+    const left = (this.byPeer.get(challenge.peerId) || []).filter(n => n !== nonce);
+    if (left.length) this.byPeer.set(challenge.peerId, left);
+    else this.byPeer.delete(challenge.peerId);
+  }
+
   async verifyResponse(nonce, signature, pubKeyPEM, peerId) {
     const challenge = this.challenges.get(nonce);
     if (!challenge) return { ok: false, reason: 'challenge_not_found' };
     if (Date.now() - challenge.timestamp > this.challengeTTL) {
-      this.challenges.delete(nonce);
+      this.deleteChallenge(nonce);
       return { ok: false, reason: 'challenge_expired' };
     }
     if (challenge.peerId !== peerId) {
@@ -35,7 +59,7 @@ export class SignedHandshake {
       const { createPublicKey, verify } = await import('node:crypto');
       const pub = createPublicKey({ key: pubKeyPEM });
       const ok = verify(null, Buffer.from(nonce, 'hex'), pub, Buffer.from(signature, 'base64url'));
-      this.challenges.delete(nonce); // consume challenge
+      this.deleteChallenge(nonce); // consume challenge
       if (ok) {
         const key_id = await keyIdFromPubPEM(pubKeyPEM);
         return { ok: true, key_id };
@@ -50,7 +74,7 @@ export class SignedHandshake {
     const now = Date.now();
     for (const [nonce, challenge] of this.challenges.entries()) {
       if (now - challenge.timestamp > this.challengeTTL) {
-        this.challenges.delete(nonce);
+        this.deleteChallenge(nonce);
       }
     }
   }
@@ -6,11 +6,18 @@ import { existsSync, mkdirSync } from 'node:fs';
 import { dirname } from 'node:path';
 
 export class PersistentOutbox {
-  constructor(dbPath = 'data/outbox.db') {
+  /**
+   * @param {string} dbPath
+   * @param {{ retryIntervals?: number[], maxRetries?: number, onFailure?: (info: object) => any }} [opts] backoff ms
+   *   after each failed attempt, the attempts after which a message is dropped (dead-lettered), and a listener
+   *   called by markFailed with { seq, cid, target_peer, attempts, error, dropped, next_try_at }
+   */
+  constructor(dbPath = 'data/outbox.db', { retryIntervals = [1000, 2000, 5000, 10000, 30000], maxRetries = 5, onFailure = null } = {}) {
     this.dbPath = dbPath;
     this.db = null;
-    this.retryIntervals = [1000, 2000, 5000, 10000, 30000]; // backoff ms
-    this.maxRetries = 5;
+    this.retryIntervals = retryIntervals; // backoff ms
+    this.maxRetries = maxRetries;
+    this.onFailure = onFailure;
   }
 
   async initialize() {
@@ -37,6 +44,7 @@ export class PersistentOutbox {
 
     this.insertStmt = this.db.prepare('INSERT INTO outbox (cid, target_peer, message_json, next_try_at) VALUES (?, ?, ?, ?)');
     this.selectReadyStmt = this.db.prepare('SELECT * FROM outbox WHERE next_try_at <= ? ORDER BY next_try_at LIMIT ?');
+    this.selectReadyForStmt = this.db.prepare('SELECT * FROM outbox WHERE target_peer = ? AND next_try_at <= ? ORDER BY next_try_at, seq LIMIT ?');
     this.updateRetryStmt = this.db.prepare('UPDATE outbox SET attempts = ?, next_try_at = ?, last_error = ? WHERE seq = ?');
     this.deleteStmt = this.db.prepare('DELETE FROM outbox WHERE seq = ?');
   }
@@ -47,27 +55,68 @@ export class PersistentOutbox {
     this.insertStmt.run(cid, targetPeer, messageJson, nextTryAt);
   }
 
+  /**
+   * Enqueue several messages in a single transaction
+   * @param {{ cid: string, message: object, targetPeer?: string }[]} items
+   */
+  enqueueMany(items) {
+    const nextTryAt = Date.now();
+    const tx = this.db.transaction((rows) => {
+      for (const { cid, message, targetPeer = null } of rows) {
+        this.insertStmt.run(cid, targetPeer, JSON.stringify(message), nextTryAt);
+      }
+    });
+    tx(items);
+  }
+
   getReady(limit = 50) {
     return this.selectReadyStmt.all(Date.now(), limit);
   }
 
+  // Due messages of one target peer, oldest first
+  getReadyFor(targetPeer, limit = 50) {
+    return this.selectReadyForStmt.all(targetPeer, Date.now(), limit);
+  }
+
   markSent(seq) {
     this.deleteStmt.run(seq);
   }
 
+  // Returns { attempts, next_try_at } while retries remain, { attempts, dropped: true } once it gives up
   markFailed(seq, error) {
-    const row = this.db.prepare('SELECT attempts FROM outbox WHERE seq = ?').get(seq);
-    if (!row) return;
+    const row = this.db.prepare('SELECT attempts, cid, target_peer FROM outbox WHERE seq = ?').get(seq);
+    if (!row) return null;
     
     const attempts = row.attempts + 1;
+    const report = (result) => {
+      try { this.onFailure?.({ seq, cid: row.cid, target_peer: row.target_peer, error: error ?? null, dropped: false, next_try_at: null, ...result }); } catch {}
+      return result;
+    };
     if (attempts >= this.maxRetries) {
       this.deleteStmt.run(seq); // give up
-      return;
+      return report({ attempts, dropped: true });
     }
     
     const backoffMs = this.retryIntervals[Math.min(attempts - 1, this.retryIntervals.length - 1)];
     const nextTryAt = Date.now() + backoffMs;
     this.updateRetryStmt.run(attempts, nextTryAt, error, seq);
+    return report({ attempts, next_try_at: nextTryAt });
+  }
+
+  // Most recent queued message for a CID, or null
+  findByCid(cid) {
+    const row = this.db.prepare('SELECT message_json FROM outbox WHERE cid = ? ORDER BY seq DESC LIMIT 1').get(cid);
+    return row ? JSON.parse(row.message_json) : null;
+  }
+
+  // Drop every queued message for a CID (e.g. a retracted KU); returns how many were removed
+  removeByCid(cid) {
+    return this.db.prepare('DELETE FROM outbox WHERE cid = ?').run(cid).changes;
+  }
+
+  // Drop every queued message for a target peer; returns how many were removed
+  removeByTarget(targetPeer) {
+    return this.db.prepare('DELETE FROM outbox WHERE target_peer = ?').run(targetPeer).changes;
   }
 
   size() {
@@ -62,6 +62,7 @@ export class RealSQLiteStorageTier {
       writeQueue: [],
       isWriting: false,
       batchSize: 100,
+      deferFlush: false,
       flushInterval: 5000 // 5 seconds
     };
   }
@@ -191,6 +192,9 @@ export class RealSQLiteStorageTier {
         origin_peer: ku.originPeer || null,
         hash: ku.hash,
         signature: ku.signature || null,
+        publisher_key_id: ku.publisherKeyId || null,
+        quota_owner: ku.quotaOwner || null,
+        size_bytes: ku.sizeBytes || 0,
         created_at: now,
         updated_at: now,
         access_count: 0,
@@ -232,6 +236,35 @@ export class RealSQLiteStorageTier {
     }
   }
   
+  /**
+   * Store several Knowledge Units as one unit of work
+   * Defers file persistence to a single flush; if any record fails,
+   * the records written by this batch and their index entries are removed again.
+   */
+  async storeBatch(kus, options = {}) {
+    const written = [];
+    this.persistenceLayer.deferFlush = true;
+    try {
+      for (const ku of kus) {
+        await this.store(ku, options);
+        written.push(ku.id);
+      }
+    } catch (error) {
+      for (const id of written) {
+        const record = this.tables.knowledge_units.get(id);
+        if (record) this.removeFromIndexes(id, record);
+        this.tables.knowledge_units.delete(id);
+        this.tables.ku_metadata.delete(id);
+      }
+      this.persistenceLayer.writeQueue = this.persistenceLayer.writeQueue.filter(op => !written.includes(op.kuId));
+      throw error;
+    } finally {
+      this.persistenceLayer.deferFlush = false;
+    }
+    await this.flushToFile();
+    return written.length;
+  }
+
   /**
    * Retrieve Knowledge Unit by ID
    */
@@ -360,6 +393,97 @@ export class RealSQLiteStorageTier {
     return results;
   }
   
+  /**
+   * Filtered, paginated search over all records
+   *
+   * Unlike search(), every filter is applied and results are ordered
+   * newest first by (created_at, id) so that the opaque cursor is stable
+   * across inserts.
+   *
+   * @param {object} query - { type, tags[], severity, affectedSystems[], publisherKeyId, since, until, text }
+   * @param {object} options - { limit, cursor }
+   * @returns {{ items: object[], nextCursor: string|null }}
+   */
+  searchPage(query = {}, options = {}) {
+    const startTime = Date.now();
+    const limit = Math.max(1, Math.min(options.limit || 20, 200));
+    const after = options.cursor ? decodeSearchCursor(options.cursor) : null;
+
+    const matches = [];
+    for (const record of this.tables.knowledge_units.values()) {
+      if (matchesSearchQuery(record, query)) matches.push(record);
+    }
+    matches.sort((a, b) => (b.created_at - a.created_at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    let start = 0;
+    if (after) {
+      start = matches.findIndex(r =>
+        r.created_at < after.createdAt || (r.created_at === after.createdAt && r.id > after.id));
+      if (start === -1) start = matches.length;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const last = page[page.length - 1];
+    const nextCursor = (start + limit < matches.length && last)
+      ? encodeSearchCursor(last.created_at, last.id)
+      : null;
+
+    this.updateMetrics('select', Date.now() - startTime);
+    return { items: page.map(record => this.recordToKU(record)), nextCursor };
+  }
+
+  /**
+   * IDs of every stored KU, without the access bookkeeping of retrieve()
+   * @returns {string[]}
+   */
+  listIds() {
+    return Array.from(this.tables.knowledge_units.keys());
+  }
+
+  /**
+   * Retract a KU: scrub its payload fields and mark it tombstoned; searches no longer return it
+   * @returns {{ quotaOwner: string|null, sizeBytes: number }|null} the released usage, null if unknown or already retracted
+   */
+  tombstone(kuId, tombstoneId) {
+    const record = this.tables.knowledge_units.get(kuId);
+    if (!record || record.tombstoned_by) return null;
+    const released = { quotaOwner: record.quota_owner || null, sizeBytes: record.size_bytes || 0 };
+    Object.assign(record, {
+      title: null,
+      description: null,
+      solution: null,
+      tags: '[]',
+      affected_systems: '[]',
+      size_bytes: 0,
+      tombstoned_by: tombstoneId,
+      updated_at: Date.now()
+    });
+    this.queueForPersistence('UPDATE', kuId, record);
+    this.updateMetrics('update', 0);
+    return released;
+  }
+
+  // CID of the tombstone that retracted a KU, or null
+  tombstonedBy(kuId) {
+    return this.tables.knowledge_units.get(kuId)?.tombstoned_by || null;
+  }
+
+  /**
+   * Stored KU count and bytes per quota owner
+   * @returns {Map<string, { kus: number, bytes: number }>}
+   */
+  usageByOwner() {
+    const usage = new Map();
+    for (const record of this.tables.knowledge_units.values()) {
+      if (!record.quota_owner || record.tombstoned_by) continue;
+      const u = usage.get(record.quota_owner) || { kus: 0, bytes: 0 };
+      u.kus += 1;
+      u.bytes += record.size_bytes || 0;
+      usage.set(record.quota_owner, u);
+    }
+    return usage;
+  }
+
   /**
    * Update database indexes
    */
@@ -386,6 +510,25 @@ export class RealSQLiteStorageTier {
     }
     confidenceIndex.get(confidenceBucket).push(kuId);
   }
+
+  /**
+   * Undo updateIndexes for a record
+   */
+  removeFromIndexes(kuId, record) {
+    const entries = [
+      ['type_index', record.type],
+      ['severity_index', record.severity],
+      ['confidence_index', Math.floor(record.confidence * 10) / 10]
+    ];
+    for (const [name, key] of entries) {
+      const index = this.tables.ku_indexes.get(name);
+      const ids = index.get(key);
+      if (!ids) continue;
+      const at = ids.lastIndexOf(kuId);
+      if (at !== -1) ids.splice(at, 1);
+      if (!ids.length) index.delete(key);
+    }
+  }
   
   /**
    * Convert database record to KU object
@@ -405,6 +548,8 @@ export class RealSQLiteStorageTier {
       originPeer: record.origin_peer,
       hash: record.hash,
       signature: record.signature,
+      publisherKeyId: record.publisher_key_id || null,
+      tombstonedBy: record.tombstoned_by || null,
       createdAt: new Date(record.created_at).toISOString(),
       updatedAt: new Date(record.updated_at).toISOString(),
       accessCount: record.access_count,
@@ -425,8 +570,8 @@ export class RealSQLiteStorageTier {
       timestamp: Date.now()
     });
     
-    // Flush if queue is full
-    if (this.persistenceLayer.writeQueue.length >= this.persistenceLayer.batchSize) {
+    // Flush if queue is full (unless a batch will flush once at the end)
+    if (!this.persistenceLayer.deferFlush && this.persistenceLayer.writeQueue.length >= this.persistenceLayer.batchSize) {
       this.flushToFile();
     }
   }
@@ -591,6 +736,7 @@ export class RealSQLiteStorageTier {
    * Close database connection
    */
   async close() {
+    if (this._timers) for (const t of this._timers.splice(0)) clearInterval(t);
     // Flush any pending writes
     await this.flushToFile();
     
@@ -601,3 +747,49 @@ export class RealSQLiteStorageTier {
     console.log('✅ Real SQLite connection closed');
   }
 }
+
+function lowerList(values) {
+  return (values || []).map(v => String(v).toLowerCase());
+}
+
+// Multi-valued filters (tags, affected systems, text terms) must all match, like the filters between them
+function matchesSearchQuery(record, query) {
+  if (record.tombstoned_by) return false;
+  if (query.type && record.type !== query.type) return false;
+  if (query.severity && String(record.severity || '').toLowerCase() !== String(query.severity).toLowerCase()) return false;
+  if (query.publisherKeyId && record.publisher_key_id !== query.publisherKeyId) return false;
+  if (query.since != null && record.created_at < query.since) return false;
+  if (query.until != null && record.created_at > query.until) return false;
+
+  if (query.tags && query.tags.length > 0) {
+    const recordTags = lowerList(JSON.parse(record.tags || '[]'));
+    if (!lowerList(query.tags).every(tag => recordTags.includes(tag))) return false;
+  }
+
+  if (query.affectedSystems && query.affectedSystems.length > 0) {
+    const systems = lowerList(JSON.parse(record.affected_systems || '[]'));
+    if (!lowerList(query.affectedSystems).every(sys => systems.includes(sys))) return false;
+  }
+
+  if (query.text) {
+    const haystack = `${record.title || ''}\n${record.description || ''}`.toLowerCase();
+    const terms = String(query.text).toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.every(term => haystack.includes(term))) return false;
+  }
+
+  return true;
+}
+
+function encodeSearchCursor(createdAt, id) {
+  return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'number' || typeof id !== 'string') throw new Error('shape');
+    return { createdAt, id };
+  } catch {
+    throw new Error('invalid_cursor');
+  }
+}
@@ -0,0 +1,99 @@
+import { readFileSync, existsSync, writeFileSync, statSync } from 'node:fs'
+import { createPublicKey } from 'node:crypto'
+import { keyIdFromPubPEM } from '../ku/sign_v1.mjs'
+
+const OWNER_MAX = 200
+
+const fail = (code, extra = {}) => Object.assign(new Error(code), { code, ...extra })
+
+/**
+ * Registered public keys, by key_id (as computed by keyIdFromPubPEM), each with an owner label.
+ * Signature checks look keys up here by sig.key_id, so callers need not send pub_pem. Registering
+ * a key does not make it trusted: that is still up to TrustManager (allow / revoke / expiry).
+ * Like TokenStore, the JSON file is re-read when its mtime changes.
+ */
+export class KeyRegistry {
+  constructor(keysPath = './keys.json') {
+    this.keysPath = keysPath
+    this.config = null
+    this.lastModified = 0
+  }
+
+  load() {
+    try {
+      if (!existsSync(this.keysPath)) {
+        this.config = { keys: {} }
+        this.lastModified = 0
+        return this.config
+      }
+      const stat = statSync(this.keysPath)
+      if (this.config && stat.mtimeMs === this.lastModified) {
+        return this.config // cached
+      }
+      this.config = JSON.parse(readFileSync(this.keysPath, 'utf8'))
+      this.config.keys = this.config.keys || {}
+      this.lastModified = stat.mtimeMs
+      return this.config
+    } catch (error) {
+      console.warn(`Failed to load keys: ${error.message}`)
+      return { keys: {} }
+    }
+  }
+
+  save() {
+    try {
+      writeFileSync(this.keysPath, JSON.stringify(this.config, null, 2))
+      this.lastModified = statSync(this.keysPath).mtimeMs
+    } catch (error) {
+      throw new Error(`Failed to save keys: ${error.message}`)
+    }
+  }
+
+  /**
+   * Register an Ed25519 public key; the PEM is stored in its canonical SPKI form.
+   * Throws { code: 'invalid_pub_pem' | 'invalid_owner' | 'key_exists' }.
+   * @returns {Promise<{ key_id: string, owner: string, pub_pem: string, created_at: string }>}
+   */
+  async register({ pub_pem, owner } = {}) {
+    if (typeof owner !== 'string' || !owner.trim() || owner.length > OWNER_MAX) throw fail('invalid_owner')
+    let key
+    try {
+      key = createPublicKey(pub_pem)
+    } catch {
+      throw fail('invalid_pub_pem')
+    }
+    if (key.asymmetricKeyType !== 'ed25519') throw fail('invalid_pub_pem', { reason: 'not_ed25519' })
+    const pem = key.export({ type: 'spki', format: 'pem' })
+    const key_id = await keyIdFromPubPEM(pem)
+
+    const config = this.load()
+    if (config.keys[key_id]) throw fail('key_exists', { key_id })
+    const entry = { key_id, owner: owner.trim(), pub_pem: pem, created_at: new Date().toISOString() }
+    config.keys[key_id] = entry
+    this.config = config
+    this.save()
+    return entry
+  }
+
+  get(keyId) {
+    return this.load().keys[keyId] || null
+  }
+
+  // PEM of a registered key, or null
+  pubPemFor(keyId) {
+    return keyId ? this.get(keyId)?.pub_pem ?? null : null
+  }
+
+  list() {
+    return Object.values(this.load().keys)
+  }
+
+  remove(keyId) {
+    const config = this.load()
+    if (!config.keys[keyId]) return false
+    delete config.keys[keyId]
+    this.config = config
+    this.save()
+    return true
+  }
+}
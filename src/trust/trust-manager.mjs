@@ -1,17 +1,49 @@
 import { readFileSync, existsSync, writeFileSync } from 'node:fs'
 import { verifyKU_v1 } from '../ku/sign_v1.mjs'
 
+/**
+ * Changes between two trust configs, as reported to onChange: keys newly allowed, newly revoked,
+ * or whose expiry was set or moved
+ */
+export function diffTrust(prev, next) {
+  const changes = []
+  for (const key_id of next.allow) if (!prev.allow.includes(key_id)) changes.push({ change: 'added', key_id })
+  for (const key_id of next.revoke) {
+    if (!prev.revoke.includes(key_id)) changes.push({ change: 'revoked', key_id, reason: next.keys[key_id]?.reason || 'revoked' })
+  }
+  for (const [key_id, info] of Object.entries(next.keys)) {
+    if (info?.expires_at && info.expires_at !== prev.keys[key_id]?.expires_at) changes.push({ change: 'expiry_set', key_id, expires_at: info.expires_at })
+  }
+  return changes
+}
+
 export class TrustManager {
   constructor(trustPath = './trust.json') {
     this.trustPath = trustPath
     this.config = null
     this.lastModified = 0
+    this.modeOverride = null // set by daemon config (trust.mode); never written to the trust file
+    this.fileMode = 'warn'
+    // Called with each change ({ change: 'added'|'revoked'|'rotated'|'expiry_set'|'expired', key_id, ... }),
+    // whether made through this instance or by editing the trust file (seen on the next load)
+    this.onChange = null
+    this.expiryScanAt = Date.now()
+  }
+
+  notify(change) {
+    try { this.onChange?.(change) } catch {}
+  }
+
+  setModeOverride(mode) {
+    this.modeOverride = mode || null
+    this.lastModified = 0 // re-apply on next load
   }
 
   async load() {
     try {
       if (!existsSync(this.trustPath)) {
-        this.config = { mode: 'warn', allow: [], revoke: [], keys: {} }
+        this.fileMode = 'warn'
+        this.config = { mode: this.modeOverride || 'warn', allow: [], revoke: [], keys: {}, admins: [] }
         return this.config
       }
       
@@ -21,26 +53,30 @@ export class TrustManager {
         return this.config // cached
       }
       
+      const prev = this.config
       const content = readFileSync(this.trustPath, 'utf8')
       this.config = JSON.parse(content)
       this.lastModified = stat.mtime.getTime()
       
       // Ensure required fields
-      this.config.mode = this.config.mode || 'warn'
+      this.fileMode = this.config.mode || 'warn'
+      this.config.mode = this.modeOverride || this.fileMode
       this.config.allow = this.config.allow || []
       this.config.revoke = this.config.revoke || []
       this.config.keys = this.config.keys || {}
+      this.config.admins = this.config.admins || []
+      if (prev) for (const change of diffTrust(prev, this.config)) this.notify(change)
       
       return this.config
     } catch (error) {
       console.warn(`Failed to load trust config: ${error.message}`)
-      return { mode: 'warn', allow: [], revoke: [], keys: {} }
+      return { mode: this.modeOverride || 'warn', allow: [], revoke: [], keys: {}, admins: [] }
     }
   }
 
   save() {
     try {
-      writeFileSync(this.trustPath, JSON.stringify(this.config, null, 2))
+      writeFileSync(this.trustPath, JSON.stringify({ ...this.config, mode: this.fileMode }, null, 2))
       this.lastModified = Date.now()
     } catch (error) {
       throw new Error(`Failed to save trust config: ${error.message}`)
@@ -49,7 +85,8 @@ export class TrustManager {
 
   async addKey(keyId, options = {}) {
     const config = await this.load()
-    if (!config.allow.includes(keyId)) {
+    const added = !config.allow.includes(keyId)
+    if (added) {
       config.allow.push(keyId)
     }
     if (options.expires_at) {
@@ -57,6 +94,8 @@ export class TrustManager {
     }
     this.config = config
     this.save()
+    if (added) this.notify({ change: 'added', key_id: keyId })
+    if (options.expires_at) this.notify({ change: 'expiry_set', key_id: keyId, expires_at: options.expires_at })
   }
 
   async revokeKey(keyId, reason = 'revoked') {
@@ -70,6 +109,7 @@ export class TrustManager {
     config.keys[keyId] = { ...config.keys[keyId], revoked: true, reason }
     this.config = config
     this.save()
+    this.notify({ change: 'revoked', key_id: keyId, reason })
   }
 
   async setExpiry(keyId, expiresAt) {
@@ -77,6 +117,18 @@ export class TrustManager {
     config.keys[keyId] = { ...config.keys[keyId], expires_at: expiresAt }
     this.config = config
     this.save()
+    this.notify({ change: 'expiry_set', key_id: keyId, expires_at: expiresAt })
+  }
+
+  // Report the keys whose expiry passed since the previous call (once each); the daemon polls this
+  async checkExpiries(now = Date.now()) {
+    const config = await this.load()
+    const since = this.expiryScanAt
+    this.expiryScanAt = now
+    for (const [key_id, info] of Object.entries(config.keys)) {
+      const at = info?.expires_at ? new Date(info.expires_at).getTime() : NaN
+      if (at > since && at <= now) this.notify({ change: 'expired', key_id, expires_at: info.expires_at })
+    }
   }
 
   async isKeyTrusted(keyId) {
@@ -106,6 +158,13 @@ export class TrustManager {
     return { trusted: true }
   }
 
+  // Trust admin keys (`admins` in the trust file) may act on other publishers' KUs, e.g. sign tombstones
+  async isTrustAdmin(keyId) {
+    const config = await this.load()
+    if (!config.admins.includes(keyId)) return false
+    return (await this.isKeyTrusted(keyId)).trusted
+  }
+
   async processAttestationKU(ku, pubPem) {
     // Verify this is an attestation KU
     if (ku.type !== 'ku.attestation.rotate_key') {
@@ -143,6 +202,7 @@ export class TrustManager {
     if (reason === 'compromised') {
       await this.revokeKey(prev_key_id, 'rotated_due_to_compromise')
     }
+    this.notify({ change: 'rotated', key_id: new_key_id, prev_key_id, reason: reason ?? null })
     
     return { success: true, new_key_id, prev_key_id }
   }
@@ -0,0 +1,143 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { TokenStore } from '../src/auth/token-store.mjs'
+import { blockFor, encodeCAR } from '../src/ku/car_v1.mjs'
+
+const PORT   = 8874
+const DB     = './tmp-auth-tokens.db'
+const KUS    = './tmp-auth-tokens-kus'
+const TOKENS = './tmp-auth-tokens.json'
+const EDGES  = './tmp-auth-tokens-edges.db'
+const URL    = `http://localhost:${PORT}`
+let proc, WebSocket
+const tok = {}
+
+const ku = {
+  type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+  payload: { title: 'scoped' }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+}
+
+async function req(method, p, token, body) {
+  const headers = { 'content-type': 'application/json' }
+  if (token) headers.authorization = `Bearer ${token}`
+  const r = await fetch(URL + p, { method, headers, body: body && JSON.stringify(body) })
+  return { status: r.status, json: r.status === 204 ? null : await r.json() }
+}
+
+function wsStatus(url, headers = {}) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, { headers })
+    ws.on('open', () => { ws.close(); resolve(101) })
+    ws.on('unexpected-response', (_req, res) => resolve(res.statusCode))
+    ws.on('error', () => {})
+  })
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  for (const p of [DB, DB + '.backup', EDGES, TOKENS]) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  const store = new TokenStore(TOKENS)
+  tok.read = store.issue({ scopes: ['read'] })
+  tok.publish = store.issue({ scopes: ['publish'] })
+  tok.admin = store.issue({ scopes: ['admin'] })
+  tok.revoked = store.issue({ scopes: ['admin'] })
+  tok.expired = store.issue({ scopes: ['admin'], expires_at: '2000-01-01T00:00:00Z' })
+  store.revoke(tok.revoked.id)
+
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_AUTH: 'tokens', SGN_TOKENS_PATH: TOKENS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup', EDGES, TOKENS]) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('tokens: stored hashed, plaintext never persisted', async () => {
+  const raw = await fs.readFile(TOKENS, 'utf8')
+  assert.ok(!raw.includes(tok.read.token))
+  assert.ok(raw.includes(tok.read.id))
+})
+
+test('tokens: probes are public, everything else needs a valid token', async () => {
+  assert.equal((await req('GET', '/live')).status, 204)
+  const none = await req('GET', '/health')
+  assert.equal(none.status, 401)
+  assert.equal(none.json.error, 'unauthorized')
+  assert.equal((await req('GET', '/health', 'sgn_bogus_token')).json.error, 'invalid_token')
+  assert.equal((await req('GET', '/health', tok.revoked.token)).json.error, 'token_revoked')
+  assert.equal((await req('GET', '/health', tok.expired.token)).json.error, 'token_expired')
+  assert.equal((await req('GET', '/health', tok.read.token)).status, 200)
+})
+
+test('tokens: scopes are enforced per route, admin implies all', async () => {
+  const denied = await req('POST', '/publish', tok.read.token, { ku })
+  assert.equal(denied.status, 403)
+  assert.equal(denied.json.ok, false)
+  assert.equal(denied.json.error, 'insufficient_scope')
+  assert.equal(denied.json.required, 'publish')
+  assert.ok(denied.json.request_id)
+
+  const pub = await req('POST', '/publish', tok.publish.token, { ku })
+  assert.equal(pub.status, 200)
+  assert.equal((await req('GET', `/ku/${pub.json.cid}`, tok.publish.token)).status, 403)
+  assert.equal((await req('GET', `/ku/${pub.json.cid}`, tok.read.token)).status, 200)
+
+  assert.equal((await req('POST', '/edges', tok.publish.token, { src: 'a', dst: 'b', type: 'verifies' })).status, 403)
+  assert.equal((await req('POST', '/trust/reload', tok.read.token)).status, 403)
+  assert.equal((await req('GET', '/admin/consistency', tok.publish.token)).status, 403)
+  assert.equal((await req('GET', '/admin/consistency', tok.admin.token)).status, 200)
+  assert.equal((await req('POST', '/edges', tok.admin.token, { src: 'a', dst: 'b', type: 'verifies' })).status, 200)
+})
+
+test('tokens: an import only adds edges for a token with the edges scope', async () => {
+  const kus = await Promise.all(['i1', 'i2'].map(title => blockFor({ ...ku, payload: { title } })))
+  const edge = await blockFor({ src: String(kus[0].cid), dst: String(kus[1].cid), type: 'verifies' })
+  const manifest = await blockFor({ format: 'sgn-export', version: 1, created_at: Date.now(), kus: kus.map(b => b.cid), signatures: [], edges: [edge.cid] })
+  const car = encodeCAR([manifest.cid], [manifest, ...kus, edge])
+  const importAs = (token) => fetch(`${URL}/import`, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body: car }).then(r => r.json())
+
+  const published = await importAs(tok.publish.token)
+  assert.deepEqual(published.blocks.map(b => [b.kind, b.status]), [['ku', 'new'], ['ku', 'new'], ['edge', 'invalid']])
+  assert.deepEqual(published.blocks[2], { cid: String(edge.cid), kind: 'edge', status: 'invalid', error: 'insufficient_scope', required: 'edges' })
+  assert.equal((await req('GET', `/edges/${kus[0].cid}`, tok.read.token)).json.edges.length, 0)
+
+  const admin = await importAs(tok.admin.token)
+  assert.equal(admin.blocks.find(b => b.kind === 'edge').status, 'new')
+})
+
+test('tokens: rpc methods check scopes individually', async () => {
+  const rpc = (token, method, params) => req('POST', '/rpc', token, { jsonrpc: '2.0', id: 1, method, params })
+  assert.equal((await rpc(null, 'trust.status', {})).status, 401)
+  const forbidden = await rpc(tok.read.token, 'publish', { ku })
+  assert.equal(forbidden.json.error.code, -32003)
+  assert.equal(forbidden.json.error.data.required, 'publish')
+  assert.ok((await rpc(tok.publish.token, 'publish', { ku })).json.result.cid)
+  assert.equal((await rpc(tok.publish.token, 'trust.status', {})).json.error.code, -32003)
+})
+
+test('tokens: WS upgrade requires a read-scoped token', async () => {
+  const ws = `ws://localhost:${PORT}/events`
+  assert.equal(await wsStatus(ws), 401)
+  assert.equal(await wsStatus(ws, { authorization: `Bearer ${tok.publish.token}` }), 403)
+  assert.equal(await wsStatus(ws, { authorization: `Bearer ${tok.read.token}` }), 101)
+  assert.equal(await wsStatus(`${ws}?access_token=${encodeURIComponent(tok.read.token)}`), 101)
+})
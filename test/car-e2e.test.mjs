@@ -0,0 +1,132 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CLI    = resolve(__dirname, '../src/cli/sgn.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn, execFile } from 'node:child_process'
+import { generateKeyPairSync } from 'node:crypto'
+import fs from 'node:fs/promises'
+import { signKU_v1 } from '../src/ku/sign_v1.mjs'
+import { blockFor, encodeCAR } from '../src/ku/car_v1.mjs'
+
+const SRC = { port: 8877, db: './tmp-car-src.db', kus: './tmp-car-src-kus' }
+const DST = { port: 8878, db: './tmp-car-dst.db', kus: './tmp-car-dst-kus' }
+const WORK = './tmp-car-work'
+const DST_QUOTA_KUS = 4
+const procs = []
+
+function ku(title, extra = {}) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['car'], ...extra
+  }
+}
+
+function cli(args, port) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { cwd: CWD, env: { ...process.env, SGN_HTTP_PORT: String(port) } },
+      (err, stdout, stderr) => resolve({ code: err?.code ?? 0, stdout, stderr }))
+  })
+}
+
+async function post(port, p, body) {
+  const r = await fetch(`http://localhost:${port}${p}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return r.json()
+}
+
+async function cleanup() {
+  for (const d of [SRC, DST]) {
+    const base = d.db.replace('.db', '')
+    for (const p of [d.db, d.db + '.backup', `${base}-edges.db`, `${base}-outbox.db`]) { try { await fs.rm(p) } catch {} }
+    try { await fs.rm(d.kus, { recursive: true }) } catch {}
+  }
+  try { await fs.rm(WORK, { recursive: true }) } catch {}
+}
+
+before(async () => {
+  await cleanup()
+  await fs.mkdir(WORK, { recursive: true })
+  for (const d of [SRC, DST]) {
+    procs.push(spawn(process.execPath, [DAEMON], {
+      env: { ...process.env, SGN_HTTP_PORT: String(d.port), SGN_DB: d.db, SGN_KUS_DIR: d.kus, ...(d === DST ? { SGN_QUOTA_KUS: String(DST_QUOTA_KUS) } : {}) },
+      stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+    }))
+    const t0 = Date.now()
+    while (Date.now() - t0 < 4000) {
+      try { const r = await fetch(`http://localhost:${d.port}/health`); if (r.ok) break } catch {}
+      await new Promise(r => setTimeout(r, 100))
+    }
+  }
+})
+
+after(async () => {
+  for (const p of procs) { try { p.kill() } catch {} }
+  await cleanup()
+})
+
+test('car: export from one daemon, import into another, re-import is all duplicates', async () => {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+  const pubPem = publicKey.export({ type: 'spki', format: 'pem' })
+  const signed = await signKU_v1(ku('signed', { provenance: { agent_pubkey: pubPem } }),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }), pubPem)
+  const a = await post(SRC.port, '/publish', { ku: signed })
+  const b = await post(SRC.port, '/publish', { ku: ku('plain') })
+  await post(SRC.port, '/edges', { src: a.cid, dst: b.cid, type: 'verifies' })
+
+  const out = join(WORK, 'all.car')
+  const exp = await cli(['export', '--out', out, '--tag', 'car'], SRC.port)
+  assert.equal(exp.code, 0, exp.stderr)
+  assert.ok(JSON.parse(exp.stdout.slice(exp.stdout.indexOf('{'))).root)
+
+  const imp = await cli(['import', out, '--verify'], DST.port)
+  assert.equal(imp.code, 0, imp.stderr)
+  assert.match(imp.stdout, /"new": 4/) // 2 KUs, 1 signature, 1 edge
+
+  const got = await fetch(`http://localhost:${DST.port}/ku/${a.cid}`).then(r => r.json())
+  assert.equal(got.sig.key_id, signed.sig.key_id)
+  const edges = await fetch(`http://localhost:${DST.port}/edges/${a.cid}`).then(r => r.json())
+  assert.equal(edges.edges[0].dst, b.cid)
+
+  const r = await fetch(`http://localhost:${DST.port}/import?verify=1`, { method: 'POST', body: await fs.readFile(out) })
+  const report = await r.json()
+  assert.equal(report.new, 0)
+  assert.equal(report.duplicate, 4)
+  const signedKU = report.blocks.find(x => x.cid === a.cid)
+  assert.equal(signedKU.verify.ok, true)
+})
+
+test('car: tampered blocks are reported as cid_mismatch', async () => {
+  await post(SRC.port, '/publish', { ku: ku('tamper-me') })
+  const car = Buffer.from(await fetch(`http://localhost:${SRC.port}/export.car?q=tamper-me`).then(r => r.arrayBuffer()))
+  const at = car.indexOf(Buffer.from('tamper-me')) // inside the KU block
+  car[at] = 'T'.charCodeAt(0)
+  const report = await fetch(`http://localhost:${DST.port}/import`, { method: 'POST', body: car }).then(r => r.json())
+  assert.equal(report.ok, false)
+  assert.ok(report.blocks.some(b => b.kind === 'ku' && b.error === 'cid_mismatch'))
+
+  const garbage = await fetch(`http://localhost:${DST.port}/import`, { method: 'POST', body: 'not a car' })
+  assert.equal(garbage.status, 400)
+})
+
+test('car: imports count against quotas; edges lose the publisher_key_id they claim', async () => {
+  // A hand-made archive: three new KUs (DST already holds 2 of its 4) and an edge claiming someone's key
+  const kus = await Promise.all(['q1', 'q2', 'q3'].map(t => blockFor(ku(`quota ${t}`))))
+  const edge = await blockFor({ src: String(kus[0].cid), dst: String(kus[1].cid), type: 'verifies', publisher_key_id: 'someone-else' })
+  const manifest = await blockFor({ format: 'sgn-export', version: 1, created_at: Date.now(), kus: kus.map(b => b.cid), signatures: [], edges: [edge.cid] })
+  const car = encodeCAR([manifest.cid], [manifest, ...kus, edge])
+
+  const report = await fetch(`http://localhost:${DST.port}/import`, { method: 'POST', body: car }).then(r => r.json())
+  assert.deepEqual(report.blocks.filter(b => b.kind === 'ku').map(b => [b.status, b.error ?? null]),
+    [['new', null], ['new', null], ['invalid', 'quota_exceeded']])
+  assert.equal(report.blocks.find(b => b.kind === 'ku' && b.error).quota, 'kus')
+  assert.equal((await fetch(`http://localhost:${DST.port}/ku/${kus[2].cid}`)).status, 404)
+
+  const edges = await fetch(`http://localhost:${DST.port}/edges/${kus[0].cid}`).then(r => r.json())
+  assert.equal(edges.edges[0].dst, String(kus[1].cid))
+  assert.equal(edges.edges[0].publisher_key_id, null)
+})
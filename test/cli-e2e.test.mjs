@@ -27,7 +27,10 @@ await test('publish→fetch via CLI succeeds', async () => {
   const kuPath = join(work, 'ku.json');
   writeFileSync(kuPath, JSON.stringify(ku));
 
-  const pub = await runNode(['src/cli/sgn.mjs', 'publish', '--file', kuPath, '--db', db], process.cwd());
+  const strict = await runNode(['src/cli/sgn.mjs', 'publish', '--file', kuPath, '--db', db], process.cwd()).catch(e => e);
+  assert.equal(strict.code, 3, 'a v0 KU fails the ku.v1 checks without --legacy-v0');
+
+  const pub = await runNode(['src/cli/sgn.mjs', 'publish', '--file', kuPath, '--db', db, '--legacy-v0'], process.cwd());
   const m = pub.stdout.match(/Published KU (cid-blake3:[a-f0-9]+)/);
   assert.ok(m && m[1], 'CID not found in output');
   const cid = m[1];
@@ -36,3 +39,25 @@ await test('publish→fetch via CLI succeeds', async () => {
   assert.ok(fet.stdout.includes(cid));
 });
 
+
+await test('ku validate reports ku.v1 field paths and fails publish', async () => {
+  const work = mkdtempSync(join(tmpdir(), 'sgn-'));
+  const ku = {
+    schema_id: 'ku.v1',
+    type: 'ku.receipt',
+    payload: { title: 'CI failure', artifacts: [{ type: 'test.log', sha256: 'nothex' }] },
+    parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+  };
+  const kuPath = join(work, 'ku.json');
+  writeFileSync(kuPath, JSON.stringify(ku));
+
+  const err = await runNode(['src/cli/sgn.mjs', 'ku', 'validate', kuPath], process.cwd()).catch(e => e);
+  assert.equal(err.code, 3);
+  const res = JSON.parse(err.stdout);
+  assert.equal(res.valid, false);
+  assert.ok(res.errors.some(e => typeof e === 'string' && e.startsWith('payload.artifacts[0].sha256: ')));
+
+  const pub = await runNode(['src/cli/sgn.mjs', 'publish', '--file', kuPath, '--db', join(work, 'e2e.db')], process.cwd()).catch(e => e);
+  assert.equal(pub.code, 3);
+  assert.ok(pub.stderr.includes('payload.artifacts[0].sha256'));
+});
@@ -0,0 +1,123 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT   = 8879
+const DB     = './tmp-config.db'
+const KUS    = './tmp-config-kus'
+const LOGS   = './tmp-config-logs'
+const CONFIG = './tmp-config.yaml'
+const URL    = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+  }
+}
+
+function yaml({ publish = '0.1:1', level = 'info', mode = 'warn', batchMax = 1000 } = {}) {
+  return [
+    'daemon:',
+    '  limits:',
+    '    rate:',
+    `      publish: ${publish === null ? 'null' : `"${publish}"`}`,
+    `    publish_batch_max: ${batchMax}`,
+    '  trust:',
+    `    mode: ${mode}`,
+    '  log:',
+    `    level: ${level}`,
+    ''
+  ].join('\n')
+}
+
+async function post(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+const trustMode = async () => (await post('/rpc', { jsonrpc: '2.0', id: 1, method: 'trust.status', params: {} })).json.result.mode
+
+async function reloadLogCount() {
+  const text = await fs.readFile(join(LOGS, 'sgn-daemon.jsonl'), 'utf8').catch(() => '')
+  return text.split('\n').filter(l => l.includes('"config_reload"')).length
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', CONFIG]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  await fs.writeFile(CONFIG, yaml())
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_TRUST_PATH: './tmp-config-trust.json', SGN_CONFIG: CONFIG
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('config: rate limit from the YAML file, lifted by POST /admin/config/reload', async () => {
+  assert.equal((await post('/publish', { ku: ku('c1') })).status, 200)
+  assert.equal((await post('/publish', { ku: ku('c2') })).status, 429)
+
+  await fs.writeFile(CONFIG, yaml({ publish: null, batchMax: 10 }))
+  const reload = await post('/admin/config/reload')
+  assert.equal(reload.status, 200)
+  assert.equal(reload.json.reloaded, true)
+  assert.equal(reload.json.file, resolve(CWD, CONFIG))
+  assert.deepEqual(reload.json.applied, ['limits.rate.publish'])
+  assert.deepEqual(reload.json.restart_required, ['limits.publish_batch_max'])
+  assert.equal((await post('/publish', { ku: ku('c3') })).status, 200)
+  assert.equal((await post('/publish', { ku: ku('c4') })).status, 200)
+})
+
+test('config: SIGHUP applies the trust mode without touching the trust file', async () => {
+  assert.equal(await trustMode(), 'warn')
+  await fs.writeFile(CONFIG, yaml({ publish: null, mode: 'enforce' }))
+  proc.kill('SIGHUP')
+  const t0 = Date.now()
+  while (Date.now() - t0 < 2000 && await trustMode() !== 'enforce') await new Promise(r => setTimeout(r, 50))
+  assert.equal(await trustMode(), 'enforce')
+  await assert.rejects(fs.access('./tmp-config-trust.json'))
+})
+
+test('config: an invalid file is rejected and the running config kept', async () => {
+  await fs.writeFile(CONFIG, yaml({ publish: 'fast', mode: 'enforce' }))
+  const bad = await post('/admin/config/reload')
+  assert.equal(bad.status, 400)
+  assert.equal(bad.json.error, 'config_invalid')
+  assert.equal(bad.json.errors[0].path, 'limits.rate.publish')
+  assert.equal((await post('/publish', { ku: ku('c5') })).status, 200)
+})
+
+test('config: log level applies on reload', async () => {
+  await fs.writeFile(CONFIG, yaml({ publish: null, mode: 'enforce', level: 'error' }))
+  assert.deepEqual((await post('/admin/config/reload')).json.applied, ['log.level'])
+  const before = await reloadLogCount()
+  // info-level entries are now dropped, including the reload entry itself
+  assert.equal((await post('/admin/config/reload')).status, 200)
+  assert.equal(await reloadLogCount(), before)
+})
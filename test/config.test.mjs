@@ -0,0 +1,105 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { loadConfig, validateConfig, diffConfig, defaultConfig, redactConfig } from '../src/daemon/config.mjs'
+
+function withFile(name, text, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'sgn-config-'))
+  try {
+    writeFileSync(join(dir, name), text)
+    return fn(join(dir, name))
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('config: defaults < file < env < CLI', () => {
+  withFile('sgn.yaml', 'daemon:\n  http:\n    port: 9001\n  limits:\n    rate:\n      publish: "5:10"\n  log:\n    level: warn\n', (file) => {
+    const fromFile = loadConfig({ argv: ['--config', file], env: {} })
+    assert.deepEqual(fromFile.errors, [])
+    assert.equal(fromFile.file, file)
+    assert.equal(fromFile.config.http.port, 9001)
+    assert.equal(fromFile.config.limits.rate.publish, '5:10')
+    assert.equal(fromFile.config.limits.quota.kus, 0)
+    assert.equal(fromFile.sources['http.port'], 'file')
+    assert.equal(fromFile.sources['limits.quota.kus'], 'default')
+
+    const env = { SGN_HTTP_PORT: '9002', SGN_QUOTA_KUS: '7', SGN_BROADCAST: 'off' }
+    const layered = loadConfig({ argv: ['--config', file, '--set', 'log.level=debug'], env })
+    assert.equal(layered.config.http.port, 9002)
+    assert.equal(layered.config.limits.quota.kus, 7)
+    assert.equal(layered.config.broadcast, false)
+    assert.equal(layered.config.log.level, 'debug')
+    assert.equal(layered.sources['http.port'], 'env:SGN_HTTP_PORT')
+    assert.equal(layered.sources['log.level'], 'cli')
+
+    assert.equal(loadConfig({ argv: ['--config', file, '--port', '9003'], env }).config.http.port, 9003)
+  })
+})
+
+test('config: SGN_CONFIG selects the file, JSON without a daemon key is read as-is', () => {
+  withFile('sgn.json', JSON.stringify({ trust: { mode: 'enforce' } }), (file) => {
+    const { config, errors } = loadConfig({ argv: [], env: { SGN_CONFIG: file } })
+    assert.deepEqual(errors, [])
+    assert.equal(config.trust.mode, 'enforce')
+  })
+})
+
+test('config: validation reports unknown settings, bad types and bad values', () => {
+  const cfg = defaultConfig()
+  assert.deepEqual(validateConfig(cfg), [])
+  cfg.limits.rate.publish = 'fast'
+  cfg.log.level = 'loud'
+  cfg.trust.mode = 'strict'
+  cfg.limits.quota.kus = -1
+  cfg.http.prot = 1
+  const paths = validateConfig(cfg).map(e => e.path).sort()
+  assert.deepEqual(paths, ['http.prot', 'limits.quota.kus', 'limits.rate.publish', 'log.level', 'trust.mode'])
+
+  withFile('broken.json', '{ nope', (file) => {
+    const { errors } = loadConfig({ argv: ['--config', file], env: {} })
+    assert.match(errors[0].message, /cannot read/)
+  })
+})
+
+test('config: diff splits reloadable changes from restart-required ones', () => {
+  const prev = defaultConfig()
+  const next = defaultConfig()
+  next.limits.rate.verify = '2'
+  next.limits.quota.bytes = 1024
+  next.trust.mode = 'enforce'
+  next.log.level = 'debug'
+  next.http.port = 9999
+  next.limits.publish_batch_max = 10
+  const { applied, restart_required } = diffConfig(prev, next)
+  assert.deepEqual(applied.sort(), ['limits.quota.bytes', 'limits.rate.verify', 'log.level', 'trust.mode'])
+  assert.deepEqual(restart_required.sort(), ['http.port', 'limits.publish_batch_max'])
+})
+
+test('config: print output masks secrets', () => {
+  const cfg = defaultConfig()
+  cfg.events.bearer = 's3cret'
+  assert.equal(redactConfig(cfg).events.bearer, '***')
+  assert.equal(cfg.events.bearer, 's3cret')
+})
+
+test('config: listeners need a port, a socket or TLS material', () => {
+  const cfg = defaultConfig()
+  cfg.http.port = null
+  assert.match(validateConfig(cfg)[0].message, /no listener/)
+
+  const { config, errors } = loadConfig({ argv: [], env: { SGN_HTTP_PORT: 'null', SGN_SOCKET: '/tmp/sgn.sock', SGN_SOCKET_MODE: '0660' } })
+  assert.deepEqual(errors, [])
+  assert.equal(config.http.port, null)
+  assert.equal(config.http.socket_mode, '0660')
+
+  const tls = defaultConfig()
+  tls.tls.port = 8443
+  assert.deepEqual(validateConfig(tls).map(e => e.path), ['tls'])
+  tls.tls.self_signed = true
+  assert.deepEqual(validateConfig(tls), [])
+  tls.http.socket_mode = '777x'
+  assert.deepEqual(validateConfig(tls).map(e => e.path), ['http.socket_mode'])
+})
@@ -16,10 +16,10 @@ const PORT = 8989
 const DB   = './tmp-daemon-trust.db'
 const URL  = `http://localhost:${PORT}`
 
-async function post(path, body) {
+async function post(path, body, headers = {}) {
   const r = await fetch(URL + path, {
     method: 'POST',
-    headers: { 'content-type': 'application/json' },
+    headers: { 'content-type': 'application/json', ...headers },
     body: JSON.stringify(body)
   })
   return { status: r.status, json: await r.json() }
@@ -104,11 +104,24 @@ test('publish?verify=true: enforce blocca non-allowlist; warn lascia passare', a
   assert.equal(res.status, 403)
   assert.equal(res.json.error, 'untrusted_key')
 
+  // If-None-Match: il 412 arriva solo dopo il controllo di firma e trust (niente sondaggio dei CID)
+  const inm = { 'if-none-match': '*' }
+  res = await post('/publish', { ku: signedB, verify: true, pub_pem: B.pub }, inm)
+  assert.equal(res.status, 403)
+  res = await post('/publish', { ku: structuredClone(baseKU), verify: true }, inm)
+  assert.equal(res.status, 400)
+  assert.equal(res.json.error, 'verify_failed')
+  res = await post('/publish/batch', [{ ku: signedB, verify: true, pub_pem: B.pub }], inm)
+  assert.equal(res.json.results[0].error, 'untrusted_key')
+  res = await post('/publish', { ku: signedA, verify: true, pub_pem: A.pub }, inm)
+  assert.equal(res.status, 412)
+  assert.equal(res.json.error, 'already_exists')
+
   // WARN: rimuovi enforce → publish passa
   await fs.writeFile('trust.json', JSON.stringify({ mode: 'warn', allow: [] }))
   res = await post('/publish', { ku: signedB, verify: true, pub_pem: B.pub })
   assert.equal(res.status, 200)
-  assert.equal(res.json.stored, true)
-  assert.equal(res.json.enqueued, true)
+  // stesso CID di signedA (la firma non entra nel CID): dedup, come su /publish/batch; non riscritto né riaccodato
+  assert.deepEqual([res.json.stored, res.json.dedup, res.json.enqueued], [false, true, false])
 })
 
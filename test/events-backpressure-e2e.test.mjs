@@ -0,0 +1,171 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { TokenStore } from '../src/auth/token-store.mjs'
+
+const PORT   = 8890
+const DB     = './tmp-backpressure.db'
+const KUS    = './tmp-backpressure-kus'
+const LOGS   = './tmp-backpressure-logs'
+const TOKENS = './tmp-backpressure-tokens.json'
+const URL    = `http://localhost:${PORT}`
+const QUEUE_MAX = 5
+const BURST = 40 // well past the token bucket (burst 20) plus QUEUE_MAX
+const tok = {}
+let proc, WebSocket
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['backpressure']
+  }
+}
+
+// One batch: every KU is broadcast in the same tick, faster than a client's token bucket allows
+async function publishBurst(label) {
+  const items = Array.from({ length: BURST }, (_, i) => ({ ku: ku(`${label} ${i}`) }))
+  const r = await fetch(`${URL}/publish/batch`, {
+    method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${tok.admin}` }, body: JSON.stringify(items)
+  })
+  assert.equal((await r.json()).stored, BURST)
+}
+
+// A WS client (KU events only) that records every message and how it was closed
+function connect(token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events?events=ku`, { headers: { authorization: `Bearer ${token}` } })
+    const c = { ws, messages: [], closed: null, of: (type) => c.messages.filter(m => m.type === type) }
+    ws.on('message', (buf) => c.messages.push(JSON.parse(String(buf))))
+    ws.on('close', (code, reason) => { c.closed = { code, reason: String(reason) } })
+    ws.on('open', () => resolve(c))
+    ws.on('error', reject)
+  })
+}
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms))
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-backpressure-edges.db', './tmp-backpressure-outbox.db', './tmp-backpressure-webhooks.db', './tmp-backpressure-events.db', TOKENS]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  const store = new TokenStore(TOKENS)
+  tok.admin = store.issue({ scopes: ['admin'] }).token
+  tok.default = store.issue({ scopes: ['read'] }).token
+  tok.coalesce = store.issue({ scopes: ['read'], events_policy: 'coalesce' }).token
+  tok.disconnect = store.issue({ scopes: ['read'], events_policy: 'disconnect' }).token
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_AUTH: 'tokens', SGN_TOKENS_PATH: TOKENS, SGN_EVENTS_QUEUE_MAX: String(QUEUE_MAX)
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events backpressure: drop_oldest (the default) reports the missed range, then catches up', async () => {
+  const c = await connect(tok.default)
+  await publishBurst('drop oldest')
+  await wait(1500)
+
+  const kus = c.of('ku')
+  const [lagged] = c.of('lagged')
+  assert.equal(c.of('lagged').length, 1)
+  assert.equal(lagged.policy, 'drop_oldest')
+  assert.equal(lagged.to_seq - lagged.from_seq + 1, lagged.missed)
+  assert.equal(kus.length + lagged.missed, BURST)
+  // The oldest queued events went; the newest QUEUE_MAX are delivered after the notice
+  const after = c.messages.slice(c.messages.indexOf(c.messages.find(m => m.type === 'lagged')) + 1).filter(m => m.type === 'ku')
+  assert.equal(after.length, QUEUE_MAX)
+  assert.equal(after[0].seq, lagged.to_seq + 1)
+  assert.ok(!kus.some(m => m.seq >= lagged.from_seq && m.seq <= lagged.to_seq))
+  c.ws.close()
+})
+
+test('events backpressure: coalesce collapses the queue; resume_from recovers what was missed', async () => {
+  const c = await connect(tok.coalesce)
+  await publishBurst('coalesce')
+  await wait(1500)
+
+  const lagged = c.of('lagged')
+  assert.ok(lagged.length >= 1)
+  assert.ok(lagged.every(l => l.policy === 'coalesce'))
+  const missed = lagged.reduce((n, l) => n + l.missed, 0)
+  assert.equal(c.of('ku').length + missed, BURST)
+  c.ws.close()
+
+  // Every missed seq is still in the event log
+  const again = await new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events?events=ku&resume_from=${lagged[0].from_seq - 1}`, { headers: { authorization: `Bearer ${tok.admin}` } })
+    const messages = []
+    ws.on('message', (buf) => {
+      const m = JSON.parse(String(buf))
+      messages.push(m)
+      if (m.type === 'resumed') { ws.close(); resolve(messages) }
+    })
+    ws.on('error', reject)
+  })
+  const replayed = new Set(again.filter(m => m.type === 'ku').map(m => m.seq))
+  for (const l of lagged) for (let seq = l.from_seq; seq <= l.to_seq; seq++) assert.ok(replayed.has(seq), `seq ${seq} replayed`)
+})
+
+test('events backpressure: disconnect closes a lagging client, with metrics', async () => {
+  const c = await connect(tok.disconnect)
+  await publishBurst('disconnect')
+  await wait(500)
+
+  assert.deepEqual(c.closed, { code: 1001, reason: 'lagged' })
+  const [lagged] = c.of('lagged')
+  assert.equal(lagged.policy, 'disconnect')
+  // The notice covers the queue it was dropped with; nothing is sent after it
+  assert.equal(lagged.missed, QUEUE_MAX + 1)
+  assert.equal(c.messages.at(-1).type, 'lagged')
+
+  const prom = await (await fetch(`${URL}/metrics?format=prom`, { headers: { authorization: `Bearer ${tok.admin}` } })).text()
+  for (const policy of ['drop_oldest', 'coalesce', 'disconnect']) assert.match(prom, new RegExp(`^sgn_events_lagged_total\\{policy="${policy}"\\} [1-9]`, 'm'))
+  assert.match(prom, /^sgn_events_drop [1-9]/m)
+  assert.match(prom, /^sgn_events_queue_depth 0$/m)
+  assert.match(prom, /^sgn_events_lag_ms 0$/m)
+})
+
+test('events backpressure: a replay is paced like live events, and nothing of it is dropped', async () => {
+  const live = await connect(tok.default)
+  await publishBurst('replay')
+  await wait(1500)
+  const latest = live.of('ku').at(-1).seq
+  live.ws.close()
+
+  // Eight times the queue, replayed to a client whose token bucket allows 20 at once, then 10/s
+  const ws = new WebSocket(`ws://localhost:${PORT}/events?events=ku&resume_from=${latest - BURST}`, { headers: { authorization: `Bearer ${tok.default}` } })
+  const messages = []
+  ws.on('message', (buf) => messages.push(JSON.parse(String(buf))))
+  await wait(500)
+  assert.ok(messages.length < BURST, `paced (${messages.length} sent after 500 ms)`)
+  const t0 = Date.now()
+  while (!messages.some(m => m.type === 'resumed') && Date.now() - t0 < 5000) await wait(100)
+  ws.close()
+  assert.equal(messages.filter(m => m.type === 'lagged').length, 0)
+  assert.deepEqual(messages.filter(m => m.type === 'ku').map(m => m.seq), Array.from({ length: BURST }, (_, i) => latest - BURST + 1 + i))
+  assert.deepEqual(messages.at(-1), { type: 'resumed', resume_from: latest - BURST, replayed: BURST, latest_seq: latest })
+})
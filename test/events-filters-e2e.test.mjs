@@ -0,0 +1,171 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import crypto from 'node:crypto'
+import { signKU_v1 } from '../src/ku/sign_v1.mjs'
+
+const PORT = 8888
+const DB   = './tmp-evfilter.db'
+const KUS  = './tmp-evfilter-kus'
+const LOGS = './tmp-evfilter-logs'
+const URL  = `http://localhost:${PORT}`
+let proc, WebSocket
+
+function ku(title, { type = 'ku.note', tags = [] } = {}) {
+  const payload = type === 'ku.note' ? { title } : { title, description: title, patch: '---', severity: 'LOW', confidence: 0.9, affectedSystems: [] }
+  return {
+    type, schema_id: 'ku.v1', content_type: 'application/json',
+    payload, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags
+  }
+}
+
+async function post(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+// A WS client that records every message; send() resolves with the reply of a subscribe
+function connect(query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events${query}`)
+    const messages = []
+    const waiting = []
+    ws.on('message', (buf) => {
+      const m = JSON.parse(String(buf))
+      messages.push(m)
+      if (m.type === 'subscribed' || m.type === 'error') waiting.shift()?.(m)
+    })
+    ws.on('open', () => resolve({
+      ws, messages,
+      of: (type) => messages.filter(m => m.type === type),
+      send: (msg) => new Promise(r => { waiting.push(r); ws.send(JSON.stringify(msg)) })
+    }))
+    ws.on('close', (code, reason) => reject(new Error(`closed ${code} ${reason}`)))
+    ws.on('error', () => {})
+  })
+}
+
+const settle = () => new Promise(r => setTimeout(r, 200))
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-evfilter-edges.db', './tmp-evfilter-outbox.db', './tmp-evfilter-webhooks.db', './tmp-evfilter-events.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events filters: each client only receives what matches', async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const pub = publicKey.export({ type: 'spki', format: 'pem' })
+  const priv = privateKey.export({ type: 'pkcs8', format: 'pem' })
+
+  const all = await connect()
+  const byTag = await connect()
+  const byType = await connect()
+  const byKey = await connect()
+  const edgesOnly = await connect()
+  const signedKU = await signKU_v1(ku('signed', { tags: ['other'] }), priv, pub)
+
+  assert.deepEqual(await byTag.send({ type: 'subscribe', id: 7, filter: { tags: ['red'] } }), { type: 'subscribed', id: 7, filter: { tags: ['red'] }, inline: null })
+  await byType.send({ type: 'subscribe', filter: { types: ['ku.patch'], events: ['ku'] } })
+  await byKey.send({ type: 'subscribe', filter: { key_ids: [signedKU.sig.key_id], events: ['ku'] } })
+  await edgesOnly.send({ type: 'subscribe', filter: { events: ['edge'], edge_types: ['verifies'] } })
+
+  const red = (await post('/publish', { ku: ku('red note', { tags: ['red', 'x'] }) })).json.cid
+  const patch = (await post('/publish', { ku: ku('a patch', { type: 'ku.patch' }) })).json.cid
+  const signed = (await post('/publish', { ku: signedKU })).json.cid
+  await post('/edges', { src: red, dst: patch, type: 'verifies' })
+  await post('/edges', { src: red, dst: patch, type: 'applies_to' })
+  await settle()
+
+  assert.deepEqual(all.of('ku').map(m => m.cid), [red, patch, signed])
+  assert.equal(all.of('edge').length, 2)
+  assert.deepEqual(byTag.of('ku').map(m => m.cid), [red])
+  assert.equal(byTag.of('edge').length, 2, 'tags only narrow KU events')
+  assert.deepEqual(byType.of('ku').map(m => m.cid), [patch])
+  assert.deepEqual(byKey.of('ku').map(m => m.cid), [signed])
+  assert.equal(byType.of('edge').length, 0)
+  assert.deepEqual(edgesOnly.of('edge').map(m => m.edge_type), ['verifies'])
+  assert.equal(edgesOnly.of('ku').length, 0)
+
+  await new Promise(r => setTimeout(r, 1000))
+  assert.ok(all.of('health').length > 0)
+  assert.equal(edgesOnly.of('health').length, 0)
+
+  const prom = await (await fetch(`${URL}/metrics?format=prom`)).text()
+  assert.match(prom, /^sgn_events_fanout_total\{filter="tags"\} 3$/m)
+  assert.match(prom, /^sgn_events_fanout_total\{filter="all"\} 5$/m)
+  assert.match(prom, /^sgn_events_subscriptions\{filter="edge_types\+events"\} 1$/m)
+  assert.match(prom, /^sgn_events_filtered_total [1-9]/m)
+  for (const c of [all, byTag, byType, byKey, edgesOnly]) c.ws.close()
+})
+
+test('events filters: changed at any time; bad filters are reported', async () => {
+  const c = await connect('?cids=bafynothing')
+  const first = (await post('/publish', { ku: ku('before change') })).json.cid
+  await settle()
+  assert.equal(c.of('ku').length, 0)
+
+  const bad = await c.send({ type: 'subscribe', id: 'x', filter: { colors: ['red'] } })
+  assert.deepEqual(bad, { type: 'error', id: 'x', error: 'invalid_filter', field: 'colors' })
+  assert.equal((await c.send({ type: 'subscribe', filter: { events: ['nope'] } })).field, 'events')
+
+  await c.send({ type: 'subscribe', filter: { cids: [first] } })
+  await post('/edges', { src: first, dst: 'bafyelsewhere', type: 'applies_to' })
+  await c.send({ type: 'unsubscribe' })
+  const second = (await post('/publish', { ku: ku('after change') })).json.cid
+  await settle()
+  assert.equal(c.of('edge')[0].src, first)
+  assert.deepEqual(c.of('ku').map(m => m.cid), [second])
+  c.ws.close()
+
+  const refused = new WebSocket(`ws://localhost:${PORT}/events?events=nope`)
+  const [code, reason] = await new Promise(r => refused.on('close', (code, reason) => r([code, String(reason)])))
+  assert.deepEqual([code, reason], [1008, 'invalid_filter'])
+  const sse = await fetch(`${URL}/events/stream?tags=`)
+  await sse.body.cancel()
+  assert.equal(sse.status, 200)
+  const badSse = await fetch(`${URL}/events/stream?events=nope`)
+  assert.equal(badSse.status, 400)
+  assert.equal((await badSse.json()).field, 'events')
+})
+
+test('events filters: /events/stream takes them as query parameters, replay included', async () => {
+  const tagged = (await post('/publish', { ku: ku('sse tagged', { tags: ['sse-only'] }) })).json.cid
+  await post('/publish', { ku: ku('sse untagged') })
+  const ac = new AbortController()
+  const r = await fetch(`${URL}/events/stream?tags=sse-only&events=ku`, { headers: { 'last-event-id': '0' }, signal: ac.signal })
+  let text = ''
+  const reading = (async () => { try { for await (const chunk of r.body) text += Buffer.from(chunk).toString() } catch {} })()
+  await settle()
+  ac.abort()
+  await reading
+  const cids = [...text.matchAll(/^data: (\{"type":"ku".*)$/gm)].map(m => JSON.parse(m[1]).cid)
+  assert.deepEqual(cids, [tagged])
+  assert.doesNotMatch(text, /event: health/)
+})
@@ -0,0 +1,161 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import crypto from 'node:crypto'
+import * as dagCbor from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { signKU_v1 } from '../src/ku/sign_v1.mjs'
+import { decodeKUFrame } from '../src/daemon/events.mjs'
+
+const PORT = 8891
+const DB   = './tmp-inline.db'
+const KUS  = './tmp-inline-kus'
+const LOGS = './tmp-inline-logs'
+const URL  = `http://localhost:${PORT}`
+const INLINE_MAX = 2048
+let proc, WebSocket
+
+function ku(title, description = title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title, description }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['inline']
+  }
+}
+
+async function publish(body) {
+  const r = await fetch(`${URL}/publish`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return (await r.json()).cid
+}
+
+// What a receiver does: hash the bytes and compare with the announced CID
+async function cidOf(bytes) {
+  return CID.createV1(dagCbor.code, await sha256.digest(bytes)).toString()
+}
+
+// A WS client that records every message, binary frames decoded
+function connect(query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events${query}`)
+    const messages = []
+    ws.on('message', (buf, isBinary) => messages.push(isBinary ? { binary: true, ...decodeKUFrame(buf) } : JSON.parse(String(buf))))
+    ws.on('open', () => resolve({ ws, messages, kus: () => messages.filter(m => m.type === 'ku' || m.header?.type === 'ku') }))
+    ws.on('error', reject)
+  })
+}
+
+const settle = () => new Promise(r => setTimeout(r, 200))
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-inline-edges.db', './tmp-inline-outbox.db', './tmp-inline-webhooks.db', './tmp-inline-events.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS, SGN_EVENTS_INLINE_MAX: String(INLINE_MAX) },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events inline: base64 DAG-CBOR in JSON and binary frames, both verifiable', async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const signed = await signKU_v1(ku('inline signed'), privateKey.export({ type: 'pkcs8', format: 'pem' }), publicKey.export({ type: 'spki', format: 'pem' }))
+
+  const plain = await connect('?events=ku')
+  const json = await connect('?events=ku&inline=json')
+  const binary = await connect('?events=ku&inline=binary')
+  const cid = await publish({ ku: signed })
+  await settle()
+
+  assert.deepEqual(plain.kus().map(m => Object.keys(m).sort()), [['cid', 'seq', 'type']])
+
+  const [j] = json.kus()
+  assert.equal(j.cid, cid)
+  assert.equal(await cidOf(Buffer.from(j.dag_cbor_b64, 'base64')), cid)
+  assert.deepEqual(j.sig, signed.sig)
+  assert.deepEqual(dagCbor.decode(Buffer.from(j.dag_cbor_b64, 'base64')).payload, signed.payload)
+
+  const [b] = binary.kus()
+  assert.equal(b.binary, true)
+  assert.deepEqual([b.header.type, b.header.cid, b.header.seq], ['ku', cid, j.seq])
+  assert.equal(await cidOf(b.bytes), cid)
+  assert.deepEqual(b.header.sig, signed.sig)
+  for (const c of [plain, json, binary]) c.ws.close()
+})
+
+test('events inline: over the size cap, and in replays, events carry the CID only', async () => {
+  const c = await connect('?events=ku&inline=binary')
+  const small = await publish({ ku: ku('small') })
+  const big = await publish({ ku: ku('big', 'x'.repeat(INLINE_MAX)) })
+  await settle()
+  const [s, l] = c.kus()
+  assert.equal(s.header.cid, small)
+  assert.equal(l.cid, big)
+  assert.equal(l.too_large, true)
+  assert.ok(l.size > INLINE_MAX)
+  c.ws.close()
+
+  const resumed = await connect(`?events=ku&inline=json&resume_from=${s.header.seq - 1}`)
+  await settle()
+  assert.deepEqual(resumed.kus().map(m => [m.cid, m.dag_cbor_b64]), [[small, undefined], [big, undefined]])
+  resumed.ws.close()
+
+  const prom = await (await fetch(`${URL}/metrics?format=prom`)).text()
+  assert.match(prom, /^sgn_events_inline_total\{format="binary"\} 2$/m)
+  assert.match(prom, /^sgn_events_inline_total\{format="too_large"\} 1$/m)
+})
+
+test('events inline: chosen in a subscribe message; /events/stream takes json only', async () => {
+  const c = await connect('?events=ku')
+  c.ws.send(JSON.stringify({ type: 'subscribe', filter: { events: ['ku'] }, inline: 'json' }))
+  c.ws.send(JSON.stringify({ type: 'subscribe', id: 2, inline: 'xml' }))
+  await settle()
+  assert.equal(c.messages.find(m => m.type === 'subscribed').inline, 'json')
+  assert.deepEqual(c.messages.find(m => m.type === 'error'), { type: 'error', id: 2, error: 'invalid_inline', field: 'inline' })
+  const cid = await publish({ ku: ku('subscribed inline') })
+  await settle()
+  assert.equal(await cidOf(Buffer.from(c.kus()[0].dag_cbor_b64, 'base64')), cid)
+  c.ws.close()
+
+  const refused = new WebSocket(`ws://localhost:${PORT}/events?inline=xml`)
+  const [code, reason] = await new Promise(r => refused.on('close', (code, reason) => r([code, String(reason)])))
+  assert.deepEqual([code, reason], [1008, 'invalid_inline'])
+
+  const binary = await fetch(`${URL}/events/stream?inline=binary`)
+  assert.equal(binary.status, 400)
+  assert.equal((await binary.json()).reason, 'binary_needs_websocket')
+
+  const ac = new AbortController()
+  const r = await fetch(`${URL}/events/stream?events=ku&inline=json`, { signal: ac.signal })
+  let text = ''
+  const reading = (async () => { try { for await (const chunk of r.body) text += Buffer.from(chunk).toString() } catch {} })()
+  await new Promise(r => setTimeout(r, 100))
+  const sseCid = await publish({ ku: ku('sse inline') })
+  await settle()
+  ac.abort()
+  await reading
+  const [event] = [...text.matchAll(/^data: (\{"type":"ku".*)$/gm)].map(m => JSON.parse(m[1]))
+  assert.equal(event.cid, sseCid)
+  assert.equal(await cidOf(Buffer.from(event.dag_cbor_b64, 'base64')), sseCid)
+})
@@ -0,0 +1,218 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import crypto from 'node:crypto'
+import { keyIdFromPubPEM } from '../src/ku/sign_v1.mjs'
+import { SignedHandshake } from '../src/network/handshake-signed.mjs'
+
+const PORT  = 8892
+const DB    = './tmp-keyauth.db'
+const KUS   = './tmp-keyauth-kus'
+const LOGS  = './tmp-keyauth-logs'
+const KEYS  = './tmp-keyauth-keys.json'
+const TRUST = './tmp-keyauth-trust.json'
+const URL   = `http://localhost:${PORT}`
+let proc, WebSocket
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['keyauth']
+  }
+}
+
+async function post(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+// A registered Ed25519 key and a signer for server nonces
+async function registeredKey(owner) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const pub = publicKey.export({ type: 'spki', format: 'pem' })
+  assert.equal((await post('/keys', { pub_pem: pub, owner })).status, 201)
+  return {
+    key_id: await keyIdFromPubPEM(pub),
+    sign: (nonce) => crypto.sign(null, Buffer.from(nonce, 'hex'), privateKey).toString('base64url')
+  }
+}
+
+// A WS client that records every message; next(type) waits for the first message of that type
+function connect(query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events${query}`)
+    const c = { ws, messages: [], closed: null, of: (type) => c.messages.filter(m => m.type === type) }
+    c.next = (type) => new Promise((res, rej) => {
+      const t0 = Date.now()
+      const poll = () => {
+        const m = c.of(type)[0]
+        if (m) return res(m)
+        if (Date.now() - t0 > 4000) return rej(new Error(`no ${type} message`))
+        setTimeout(poll, 20)
+      }
+      poll()
+    })
+    c.closedWith = () => new Promise(res => c.closed ? res(c.closed) : ws.once('close', () => setImmediate(() => res(c.closed))))
+    ws.on('message', (buf) => c.messages.push(JSON.parse(String(buf))))
+    ws.on('close', (code, reason) => { c.closed = { code, reason: String(reason) } })
+    ws.on('open', () => resolve(c))
+    ws.on('error', reject)
+  })
+}
+
+// Answer the challenge the daemon sends on connect
+async function authenticate(c, key) {
+  const { nonce } = await c.next('challenge')
+  c.ws.send(JSON.stringify({ type: 'auth', id: 1, nonce, key_id: key.key_id, signature: key.sign(nonce) }))
+}
+
+const settle = () => new Promise(r => setTimeout(r, 200))
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-keyauth-edges.db', './tmp-keyauth-outbox.db', './tmp-keyauth-webhooks.db', './tmp-keyauth-events.db', KEYS, TRUST]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_KEYS_PATH: KEYS, SGN_TRUST_PATH: TRUST, SGN_EVENTS_KEY_AUTH: 'required'
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events key auth: nothing but the challenge until the client signs it', async () => {
+  const key = await registeredKey('alice')
+  const first = (await post('/publish', { ku: ku('before auth') })).json.cid
+
+  const c = await connect('?events=ku&resume_from=0')
+  const challenge = await c.next('challenge')
+  assert.equal(challenge.key_auth, 'required')
+  await post('/publish', { ku: ku('while unauthenticated') })
+  await settle()
+  assert.deepEqual(c.messages.map(m => m.type), ['challenge'])
+
+  c.ws.send(JSON.stringify({ type: 'auth', id: 1, nonce: challenge.nonce, key_id: key.key_id, signature: key.sign(challenge.nonce) }))
+  assert.deepEqual(await c.next('authenticated'), { type: 'authenticated', id: 1, key_id: key.key_id })
+  // The deferred replay comes after authentication, then live events
+  await c.next('resumed')
+  const live = (await post('/publish', { ku: ku('after auth') })).json.cid
+  await settle()
+  const cids = c.of('ku').map(m => m.cid)
+  assert.equal(cids[0], first)
+  assert.equal(cids.at(-1), live)
+  assert.equal(cids.length, 3)
+  c.ws.close()
+})
+
+test('events key auth: bad answers are refused', async () => {
+  const key = await registeredKey('bob')
+
+  const forged = await connect()
+  const { nonce } = await forged.next('challenge')
+  const other = await registeredKey('mallory')
+  forged.ws.send(JSON.stringify({ type: 'auth', nonce, key_id: key.key_id, signature: other.sign(nonce) }))
+  assert.deepEqual(await forged.closedWith(), { code: 1008, reason: 'key_auth_failed' })
+  assert.equal(forged.of('error')[0].reason, 'invalid_signature')
+
+  // A nonce is single use and tied to the connection it was sent on
+  const stolen = await connect()
+  await stolen.next('challenge')
+  stolen.ws.send(JSON.stringify({ type: 'auth', nonce, key_id: key.key_id, signature: key.sign(nonce) }))
+  assert.equal((await stolen.closedWith()).reason, 'key_auth_failed')
+
+  const unknown = await connect()
+  const ch = await unknown.next('challenge')
+  unknown.ws.send(JSON.stringify({ type: 'auth', nonce: ch.nonce, key_id: 'nope', signature: key.sign(ch.nonce) }))
+  assert.deepEqual(await unknown.closedWith(), { code: 1008, reason: 'unknown_key' })
+})
+
+test('events key auth: revoked and expired keys are disconnected', async () => {
+  const revoked = await registeredKey('carol')
+  const expiring = await registeredKey('dave')
+  const a = await connect()
+  const b = await connect()
+  await authenticate(a, revoked)
+  await authenticate(b, expiring)
+  await a.next('authenticated')
+  await b.next('authenticated')
+
+  await fs.writeFile(TRUST, JSON.stringify({
+    mode: 'warn', allow: [], revoke: [revoked.key_id],
+    keys: { [expiring.key_id]: { expires_at: new Date(Date.now() + 1500).toISOString() } }
+  }))
+  const t0 = Date.now()
+  await post('/trust/reload', {})
+  assert.deepEqual(await a.closedWith(), { code: 1008, reason: 'key_revoked' })
+  assert.ok(Date.now() - t0 < 1000, 'the reload closes revoked sessions at once')
+  assert.deepEqual(a.of('key_revoked')[0], { type: 'key_revoked', key_id: revoked.key_id, reason: 'revoked' })
+
+  assert.equal(b.closed, null)
+  assert.deepEqual(await b.closedWith(), { code: 1008, reason: 'key_expired' })
+
+  // A revoked key cannot authenticate again
+  const again = await connect()
+  await authenticate(again, revoked)
+  assert.deepEqual(await again.closedWith(), { code: 1008, reason: 'untrusted_key' })
+
+  const prom = await (await fetch(`${URL}/metrics?format=prom`)).text()
+  assert.match(prom, /^sgn_events_key_auth_total\{result="revoked"\} 2$/m)
+})
+
+test('events key auth: /events/stream takes a signed nonce in the query', async () => {
+  const key = await registeredKey('erin')
+  const refused = await fetch(`${URL}/events/stream`)
+  assert.equal(refused.status, 401)
+  assert.equal((await refused.json()).error, 'key_auth_required')
+
+  const { nonce } = await (await fetch(`${URL}/events/challenge`)).json()
+  const bad = await fetch(`${URL}/events/stream?key_id=${key.key_id}&nonce=${nonce}&signature=AAAA`)
+  assert.equal(bad.status, 401)
+
+  const fresh = (await (await fetch(`${URL}/events/challenge`)).json()).nonce
+  const ok = await fetch(`${URL}/events/stream?key_id=${key.key_id}&nonce=${fresh}&signature=${key.sign(fresh)}`)
+  assert.equal(ok.status, 200)
+  await ok.body.cancel()
+})
+
+test('events key auth: a client keeps only its newest challenges', async () => {
+  const key = await registeredKey('frank')
+  const { nonce: oldest } = await (await fetch(`${URL}/events/challenge`)).json()
+  for (let i = 0; i < 8; i++) await (await fetch(`${URL}/events/challenge`)).json()
+  const stale = await fetch(`${URL}/events/stream?key_id=${key.key_id}&nonce=${oldest}&signature=${key.sign(oldest)}`)
+  assert.equal(stale.status, 401, 'pushed out by the newer ones')
+  await stale.body.cancel()
+})
+
+test('SignedHandshake caps outstanding challenges per peer and in all', () => {
+  const hs = new SignedHandshake({ maxChallenges: 5, maxPerPeer: 4 })
+  const mine = [1, 2, 3, 4, 5].map(() => hs.generateChallenge('a').nonce)
+  assert.deepEqual(mine.map(n => hs.challenges.has(n)), [false, true, true, true, true])
+  hs.generateChallenge('b')
+  assert.throws(() => hs.generateChallenge('c'), { code: 'too_many_challenges' })
+  hs.deleteChallenge(mine[1])
+  assert.ok(hs.generateChallenge('c').nonce)
+  assert.deepEqual([...hs.byPeer.keys()].sort(), ['a', 'b', 'c'])
+})
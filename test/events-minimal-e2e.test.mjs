@@ -8,8 +8,10 @@ const CWD    = resolve(__dirname, '..')
 import { test, before, after } from 'node:test'
 import assert from 'node:assert/strict'
 import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
 let proc, WebSocket
 const PORT = 8995
+const DB   = './tmp-events.db'
 
 async function waitForHealth(port, timeoutMs=3000, stepMs=100) {
   const t0 = Date.now()
@@ -25,8 +27,10 @@ async function waitForHealth(port, timeoutMs=3000, stepMs=100) {
 
 before(async () => {
   WebSocket = (await import('ws')).default
+  // A KU left over from an earlier run would be a dedup and never be announced
+  for (const p of [DB, DB + '.backup', './tmp-events-edges.db', './tmp-events-outbox.db', './tmp-events-webhooks.db', './tmp-events-events.db']) { try { await fs.rm(p) } catch {} }
   proc = spawn(process.execPath, [DAEMON], {
-    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: './tmp-events.db' },
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB },
     stdio: 'inherit',
     cwd: CWD,
   })
@@ -0,0 +1,161 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8889
+const DB   = './tmp-resume.db'
+const KUS  = './tmp-resume-kus'
+const LOGS = './tmp-resume-logs'
+const URL  = `http://localhost:${PORT}`
+const LOG_MAX = 5
+let proc, WebSocket
+
+function ku(title, tags = ['resume']) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags
+  }
+}
+
+async function publish(title, tags) {
+  const r = await fetch(`${URL}/publish`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ ku: ku(title, tags) }) })
+  return (await r.json()).cid
+}
+
+// A WS client that records every message
+function connect(query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events${query}`)
+    const messages = []
+    ws.on('message', (buf) => messages.push(JSON.parse(String(buf))))
+    ws.on('open', () => resolve({ ws, messages, of: (type) => messages.filter(m => m.type === type) }))
+    ws.on('error', reject)
+  })
+}
+
+const settle = () => new Promise(r => setTimeout(r, 200))
+
+async function start() {
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_EVENTS_LOG_MAX: String(LOG_MAX)
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+}
+
+async function stop() {
+  const exited = new Promise(r => proc.once('exit', r))
+  proc.kill()
+  await exited
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-resume-edges.db', './tmp-resume-outbox.db', './tmp-resume-webhooks.db', './tmp-resume-events.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  await start()
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events resume: replay after a disconnect, then live events', async () => {
+  const first = await connect()
+  const a = await publish('resume a')
+  await settle()
+  const seen = first.of('ku')[0]
+  assert.equal(seen.cid, a)
+  assert.ok(Number.isInteger(seen.seq))
+  first.ws.close()
+
+  const b = await publish('resume b')
+  const c = await publish('resume c', ['other'])
+  const resumed = await connect(`?resume_from=${seen.seq}`)
+  const d = await publish('resume d')
+  await settle()
+  assert.deepEqual(resumed.of('ku').map(m => m.cid), [b, c, d])
+  assert.deepEqual(resumed.of('ku').map(m => m.seq), [seen.seq + 1, seen.seq + 2, seen.seq + 3])
+  const marker = resumed.messages.findIndex(m => m.type === 'resumed')
+  assert.equal(marker, 2, 'the resumed notice separates the replay from live events')
+  assert.deepEqual(resumed.messages[marker], { type: 'resumed', resume_from: seen.seq, replayed: 2, latest_seq: seen.seq + 2 })
+  resumed.ws.close()
+
+  // resume_from in a subscribe message replays under the new filter
+  const late = await connect('?events=health')
+  late.ws.send(JSON.stringify({ type: 'subscribe', filter: { tags: ['resume'] }, resume_from: seen.seq }))
+  await settle()
+  assert.deepEqual(late.of('ku').map(m => m.cid), [b, d])
+  assert.equal(late.of('resumed')[0].replayed, 2)
+  late.ws.close()
+})
+
+test('events resume: sequence numbers survive a restart', async () => {
+  const before = await connect()
+  await publish('before restart')
+  await settle()
+  const last = before.of('ku')[0].seq
+  before.ws.close()
+
+  await stop()
+  await start()
+  const after = await publish('after restart')
+  const resumed = await connect(`?resume_from=${last}`)
+  await settle()
+  // The shutdown notice is logged too, between the two
+  assert.deepEqual(resumed.messages.filter(m => m.seq).map(m => [m.seq, m.type, m.cid]), [[last + 1, 'shutdown', undefined], [last + 2, 'ku', after]])
+  resumed.ws.close()
+})
+
+test('events resume: an aged-out or unknown seq is reported', async () => {
+  const c = await connect()
+  for (let i = 0; i < LOG_MAX + 2; i++) await publish(`aged ${i}`)
+  await settle()
+  const latest = c.of('ku').at(-1).seq
+  c.ws.close()
+
+  const aged = await connect('?resume_from=1')
+  await settle()
+  const gap = aged.of('resume_gap')[0]
+  assert.deepEqual(gap, { type: 'resume_gap', reason: 'aged_out', resume_from: '1', oldest_seq: latest - LOG_MAX + 1, latest_seq: latest })
+  assert.equal(aged.messages[0].type, 'resume_gap')
+  assert.deepEqual(aged.of('ku').map(m => m.seq), [latest - 4, latest - 3, latest - 2, latest - 1, latest])
+  aged.ws.close()
+
+  const unknown = await connect(`?resume_from=${latest + 100}`)
+  await settle()
+  assert.equal(unknown.of('resume_gap')[0].reason, 'unknown_seq')
+  assert.equal(unknown.of('resumed').length, 0)
+  unknown.ws.close()
+
+  // Same over SSE, where Last-Event-ID is the seq
+  const ac = new AbortController()
+  const r = await fetch(`${URL}/events/stream?events=ku`, { headers: { 'last-event-id': '1' }, signal: ac.signal })
+  let text = ''
+  const reading = (async () => { try { for await (const chunk of r.body) text += Buffer.from(chunk).toString() } catch {} })()
+  await settle()
+  ac.abort()
+  await reading
+  assert.match(text, /^event: resume_gap\ndata: \{"type":"resume_gap","reason":"aged_out"/m)
+  assert.deepEqual([...text.matchAll(/^id: (\d+)$/gm)].map(m => Number(m[1])), [latest - 4, latest - 3, latest - 2, latest - 1, latest])
+})
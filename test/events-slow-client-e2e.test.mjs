@@ -13,9 +13,11 @@ if (process.env.CI || process.env.SGN_TEST_SILENT) {
 }
 import assert from 'node:assert/strict'
 import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
 
 let proc, WebSocket
 const PORT = 8997
+const DB   = './tmp-events-slow.db'
 
 async function waitForHealth() {
   const t0 = Date.now()
@@ -29,8 +31,10 @@ async function waitForHealth() {
 
 before(async () => {
   WebSocket = (await import('ws')).default
+  // A KU left over from an earlier run would be a dedup and never be announced
+  for (const p of [DB, DB + '.backup', './tmp-events-slow-edges.db', './tmp-events-slow-outbox.db', './tmp-events-slow-webhooks.db', './tmp-events-slow-events.db']) { try { await fs.rm(p) } catch {} }
   proc = spawn(process.execPath, [DAEMON], {
-    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: './tmp-events-slow.db' },
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB },
     stdio: 'inherit',
     cwd: CWD,
   })
@@ -0,0 +1,198 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import { TrustManager } from '../src/trust/trust-manager.mjs'
+import { createEventsServer } from '../src/daemon/events.mjs'
+
+const PORT  = 8893
+const DB    = './tmp-state.db'
+const KUS   = './tmp-state-kus'
+const LOGS  = './tmp-state-logs'
+const TRUST = './tmp-state-trust.json'
+const LOCAL_TRUST = './tmp-state-local-trust.json'
+const URL   = `http://localhost:${PORT}`
+let proc, receiver, WebSocket
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['state']
+  }
+}
+
+async function post(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+// A WS client that records every message; until(type, n) waits for n messages of that type
+function connect(query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/events${query}`)
+    const c = { ws, messages: [], closed: null, of: (type) => c.messages.filter(m => m.type === type) }
+    c.until = (type, n = 1, ms = 5000) => new Promise((res, rej) => {
+      const t0 = Date.now()
+      const poll = () => {
+        if (c.of(type).length >= n) return res(c.of(type))
+        if (Date.now() - t0 > ms) return rej(new Error(`${c.of(type).length}/${n} ${type} messages`))
+        setTimeout(poll, 20)
+      }
+      poll()
+    })
+    ws.on('message', (buf) => c.messages.push(JSON.parse(String(buf))))
+    ws.on('close', (code, reason) => { c.closed = { code, reason: String(reason) } })
+    ws.on('open', () => resolve(c))
+    ws.on('error', reject)
+  })
+}
+
+const settle = (ms = 200) => new Promise(r => setTimeout(r, ms))
+const strip = ({ seq, ...rest }) => rest
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-state-edges.db', './tmp-state-outbox.db', './tmp-state-webhooks.db', './tmp-state-events.db', TRUST, LOCAL_TRUST]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  // A webhook receiver that always fails
+  receiver = http.createServer((rq, rs) => { rq.resume(); rq.on('end', () => { rs.statusCode = 500; rs.end() }) })
+  await new Promise(r => receiver.listen(0, '127.0.0.1', r))
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS, SGN_TRUST_PATH: TRUST,
+      SGN_WEBHOOK_MAX_ATTEMPTS: '2', SGN_WEBHOOK_BACKOFF_MS: '100', SGN_WEBHOOK_POLL_MS: '100'
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  receiver?.close()
+  await cleanup()
+})
+
+test('TrustManager reports its own changes and edits of the trust file', async () => {
+  const changes = []
+  const tm = new TrustManager(LOCAL_TRUST)
+  tm.onChange = (change) => changes.push(change)
+  await tm.addKey('k1', { expires_at: '2030-01-01T00:00:00Z' })
+  await tm.revokeKey('k1', 'compromised')
+  assert.deepEqual(changes.map(c => [c.change, c.key_id]), [['added', 'k1'], ['expiry_set', 'k1'], ['revoked', 'k1']])
+  assert.equal(changes[2].reason, 'compromised')
+
+  changes.length = 0
+  const soon = new Date(Date.now() + 100).toISOString()
+  await fs.writeFile(LOCAL_TRUST, JSON.stringify({ allow: ['k2'], revoke: ['k1'], keys: { k1: { revoked: true, reason: 'compromised' }, k2: { expires_at: soon } } }))
+  await tm.reload()
+  assert.deepEqual(changes, [{ change: 'added', key_id: 'k2' }, { change: 'expiry_set', key_id: 'k2', expires_at: soon }])
+
+  changes.length = 0
+  await tm.checkExpiries()
+  await settle()
+  await tm.checkExpiries()
+  await tm.checkExpiries()
+  assert.deepEqual(changes, [{ change: 'expired', key_id: 'k2', expires_at: soon }], 'an expiry is reported once')
+})
+
+test('events state: trust changes, filtered by key_ids', async () => {
+  const all = await connect('?events=trust')
+  const k1 = await connect('?events=trust&key_ids=k1')
+  const expires_at = new Date(Date.now() + 2500).toISOString()
+  // Edits of the trust file are picked up without /trust/reload
+  await fs.writeFile(TRUST, JSON.stringify({ mode: 'warn', allow: ['k1', 'k2'], keys: { k2: { expires_at } } }))
+  await all.until('trust', 3)
+  assert.deepEqual(all.of('trust').map(strip), [
+    { type: 'trust', change: 'added', key_id: 'k1', prev_key_id: null, reason: null, expires_at: null },
+    { type: 'trust', change: 'added', key_id: 'k2', prev_key_id: null, reason: null, expires_at: null },
+    { type: 'trust', change: 'expiry_set', key_id: 'k2', prev_key_id: null, reason: null, expires_at }
+  ])
+
+  await fs.writeFile(TRUST, JSON.stringify({ mode: 'warn', allow: ['k2'], revoke: ['k1'], keys: { k1: { revoked: true, reason: 'compromised' }, k2: { expires_at } } }))
+  await post('/trust/reload', {})
+  const [revoked] = (await all.until('trust', 4)).slice(3)
+  assert.deepEqual([revoked.change, revoked.key_id, revoked.reason], ['revoked', 'k1', 'compromised'])
+
+  const [expired] = (await all.until('trust', 5)).slice(4)
+  assert.deepEqual([expired.change, expired.key_id, expired.expires_at], ['expired', 'k2', expires_at])
+  assert.deepEqual(k1.of('trust').map(m => m.change), ['added', 'revoked'])
+  assert.equal(k1.of('ku').length + k1.of('health').length, 0)
+  for (const c of [all, k1]) c.ws.close()
+})
+
+test('events state: failed and dead-lettered webhook deliveries, filtered by cids', async () => {
+  const sub = await post('/subscriptions', { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['ku'] })
+  assert.equal(sub.status, 201)
+  const all = await connect('?events=outbox')
+  const other = await connect('?events=outbox&cids=bafy-unrelated')
+  const cid = (await post('/publish', { ku: ku('undeliverable') })).json.cid
+
+  const [failed, dead] = await all.until('outbox', 2)
+  assert.deepEqual(strip(failed), {
+    type: 'outbox', change: 'failed', queue: 'webhooks', cid, target: sub.json.subscription.id, attempts: 1, error: 'http_500', next_try_at: failed.next_try_at
+  })
+  assert.ok(failed.next_try_at > Date.now() - 5000)
+  assert.deepEqual([dead.change, dead.cid, dead.attempts, dead.next_try_at], ['dead_letter', cid, 2, null])
+  assert.equal(other.of('outbox').length, 0)
+  for (const c of [all, other]) c.ws.close()
+})
+
+test('events state: consistency mismatches, replayable by seq', async () => {
+  const c = await connect('?events=consistency')
+  const clean = await (await fetch(`${URL}/admin/consistency`)).json()
+  assert.equal(clean.mismatches, 0)
+  await settle()
+  assert.equal(c.of('consistency').length, 0, 'a clean check is not announced')
+
+  const cid = (await post('/publish', { ku: ku('file goes missing') })).json.cid
+  await fs.rm(`${KUS}/${cid}.json`)
+  assert.equal((await (await fetch(`${URL}/admin/consistency`)).json()).mismatches, 1)
+  const [event] = await c.until('consistency')
+  assert.deepEqual(strip(event), { type: 'consistency', source: 'check', mismatches: 1, db_only: 1, fs_only: 0, content_mismatch: 0 })
+  c.ws.close()
+
+  // State events are in the event log like KUs
+  const resumed = await connect(`?events=consistency&resume_from=${event.seq - 1}`)
+  await resumed.until('resumed')
+  assert.deepEqual(resumed.of('consistency'), [event])
+  resumed.ws.close()
+})
+
+test('events server: close() runs once, though closing the WS server calls it again', async () => {
+  const logs = []
+  const events = createEventsServer({ server: http.createServer(), onLog: (e) => logs.push(e) })
+  events.close({ reason: 'SIGTERM' })
+  await settle()
+  assert.deepEqual(logs.filter(l => l.evt === 'events_closed'), [{ evt: 'events_closed', reason: 'SIGTERM' }])
+})
+
+test('events state: a shutdown notice before the daemon closes connections', async () => {
+  const c = await connect('?events=shutdown')
+  const kus = await connect('?events=ku')
+  await settle()
+  const exited = new Promise(r => proc.once('exit', r))
+  proc.kill('SIGTERM')
+  await exited
+  await settle()
+  assert.deepEqual(strip(c.of('shutdown')[0]), { type: 'shutdown', reason: 'SIGTERM' })
+  assert.equal(c.closed?.reason, 'shutdown')
+  assert.equal(kus.of('shutdown').length, 0, 'filtered out like any other kind')
+  proc = null
+})
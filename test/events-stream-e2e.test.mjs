@@ -0,0 +1,162 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { TokenStore } from '../src/auth/token-store.mjs'
+
+const PORT   = 8896
+const DB     = './tmp-sse.db'
+const KUS    = './tmp-sse-kus'
+const LOGS   = './tmp-sse-logs'
+const TOKENS = './tmp-sse-tokens.json'
+const URL    = `http://localhost:${PORT}`
+let proc
+const tok = {}
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['sse']
+  }
+}
+
+async function post(p, body) {
+  const r = await fetch(URL + p, {
+    method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${tok.admin}` }, body: JSON.stringify(body)
+  })
+  return { status: r.status, json: await r.json() }
+}
+
+// Open an SSE stream and collect its events ({ id, event, data }) until close()
+async function openStream(path, headers = {}) {
+  const ac = new AbortController()
+  const r = await fetch(URL + path, { headers, signal: ac.signal })
+  const events = []
+  if (r.ok) {
+    (async () => {
+      const dec = new TextDecoder()
+      let buf = ''
+      try {
+        for await (const chunk of r.body) {
+          buf += dec.decode(chunk, { stream: true })
+          let i
+          while ((i = buf.indexOf('\n\n')) >= 0) {
+            const ev = {}
+            for (const line of buf.slice(0, i).split('\n')) {
+              const m = /^(\w+): ?(.*)$/.exec(line)
+              if (m) ev[m[1]] = m[2]
+            }
+            buf = buf.slice(i + 2)
+            if (ev.data) events.push({ id: ev.id ?? null, event: ev.event, data: JSON.parse(ev.data) })
+          }
+        }
+      } catch {}
+    })()
+  } else {
+    await r.body?.cancel()
+  }
+  return { status: r.status, headers: r.headers, events, close: () => ac.abort() }
+}
+
+async function waitFor(check, ms = 3000) {
+  const t0 = Date.now()
+  while (Date.now() - t0 < ms) {
+    const v = check()
+    if (v) return v
+    await new Promise(r => setTimeout(r, 25))
+  }
+  throw new Error('timed out')
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-sse-edges.db', './tmp-sse-outbox.db', './tmp-sse-webhooks.db', './tmp-sse-events.db', TOKENS]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  const store = new TokenStore(TOKENS)
+  tok.admin = store.issue({ scopes: ['admin'] }).token
+  tok.read = store.issue({ scopes: ['read'] }).token
+  tok.publish = store.issue({ scopes: ['publish'] }).token
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_AUTH: 'tokens', SGN_TOKENS_PATH: TOKENS
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('events stream: same auth as /events', async () => {
+  assert.equal((await openStream('/events/stream')).status, 401)
+  assert.equal((await openStream('/events/stream', { authorization: `Bearer ${tok.publish}` })).status, 403)
+  const s = await openStream(`/events/stream?access_token=${tok.read}`)
+  assert.equal(s.status, 200)
+  assert.match(s.headers.get('content-type'), /^text\/event-stream/)
+  s.close()
+})
+
+test('events stream: ku, edge and health events with ids, plus metrics', async () => {
+  const s = await openStream('/events/stream', { authorization: `Bearer ${tok.read}` })
+  const src = (await post('/publish', { ku: ku('stream src') })).json.cid
+  const dst = (await post('/publish', { ku: ku('stream dst') })).json.cid
+  await post('/edges', { src, dst, type: 'applies_to' })
+
+  await waitFor(() => s.events.some(e => e.event === 'edge') && s.events.some(e => e.event === 'health'))
+  const kus = s.events.filter(e => e.event === 'ku')
+  assert.deepEqual(kus.map(e => e.data), [{ type: 'ku', seq: Number(kus[0].id), cid: src }, { type: 'ku', seq: Number(kus[1].id), cid: dst }])
+  const edge = s.events.find(e => e.event === 'edge')
+  assert.deepEqual(edge.data, { type: 'edge', seq: Number(edge.id), src, dst, edge_type: 'applies_to' })
+  assert.ok(Number(kus[0].id) < Number(kus[1].id) && Number(kus[1].id) < Number(edge.id))
+  assert.equal(s.events.find(e => e.event === 'health').id, null)
+
+  const prom = await (await fetch(`${URL}/metrics?format=prom`, { headers: { authorization: `Bearer ${tok.admin}` } })).text()
+  assert.match(prom, /^sgn_sse_clients 1$/m)
+  assert.match(prom, /^sgn_namespace_sse_clients\{namespace="default"\} 1$/m)
+  assert.match(prom, /^sgn_net_delivered [1-9]/m)
+  s.close()
+  await new Promise(r => setTimeout(r, 100))
+  const after = await (await fetch(`${URL}/metrics?format=prom`, { headers: { authorization: `Bearer ${tok.admin}` } })).text()
+  assert.match(after, /^sgn_sse_clients 0$/m)
+})
+
+test('events stream: Last-Event-ID replays what was missed', async () => {
+  const first = await openStream('/events/stream', { authorization: `Bearer ${tok.read}` })
+  const a = (await post('/publish', { ku: ku('resume a') })).json.cid
+  const seen = await waitFor(() => first.events.find(e => e.event === 'ku' && e.data.cid === a))
+  first.close()
+
+  const b = (await post('/publish', { ku: ku('resume b') })).json.cid
+  const c = (await post('/publish', { ku: ku('resume c') })).json.cid
+  const resumed = await openStream('/events/stream', { authorization: `Bearer ${tok.read}`, 'last-event-id': seen.id })
+  await waitFor(() => resumed.events.filter(e => e.event === 'ku').length === 2)
+  assert.deepEqual(resumed.events.filter(e => e.event === 'ku').map(e => e.data.cid), [b, c])
+  resumed.close()
+
+  const byQuery = await openStream(`/events/stream?access_token=${tok.read}&last_event_id=${seen.id}`)
+  await waitFor(() => byQuery.events.filter(e => e.event === 'ku').length === 2)
+  byQuery.close()
+
+  const unknown = await openStream('/events/stream', { authorization: `Bearer ${tok.read}`, 'last-event-id': '999999' })
+  const gap = await waitFor(() => unknown.events.find(e => e.event === 'resume_gap'))
+  assert.deepEqual([gap.data.reason, gap.data.resume_from], ['unknown_seq', '999999'])
+  unknown.close()
+})
@@ -0,0 +1,157 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8886
+const DB   = './tmp-idem.db'
+const KUS  = './tmp-idem-kus'
+const LOGS = './tmp-idem-logs'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['idem']
+  }
+}
+
+async function post(p, body, headers = {}) {
+  const r = await fetch(URL + p, {
+    method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body)
+  })
+  return { status: r.status, headers: r.headers, json: await r.json() }
+}
+
+// Collect the ku events of /events/stream until close()
+async function watchKUs() {
+  const ac = new AbortController()
+  const r = await fetch(`${URL}/events/stream`, { signal: ac.signal })
+  const cids = []
+  ;(async () => {
+    const dec = new TextDecoder()
+    try {
+      for await (const chunk of r.body) {
+        for (const m of dec.decode(chunk, { stream: true }).matchAll(/^data: (\{"type":"ku".*)$/gm)) cids.push(JSON.parse(m[1]).cid)
+      }
+    } catch {}
+  })()
+  return { cids, close: () => ac.abort() }
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-idem-edges.db', './tmp-idem-outbox.db', './tmp-idem-webhooks.db', './tmp-idem-events.db', './tmp-idem-idempotency.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+async function start() {
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+}
+
+before(async () => {
+  await cleanup()
+  await start()
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('publish: a duplicate is not rewritten, re-enqueued or re-announced', async () => {
+  const watch = await watchKUs()
+  const first = await post('/publish', { ku: ku('dup note') })
+  assert.equal(first.json.dedup, false)
+  assert.equal(first.json.enqueued, true)
+  const file = join(KUS, `${first.json.cid}.json`)
+  const { mtimeMs } = await fs.stat(file)
+  await new Promise(r => setTimeout(r, 50))
+
+  const again = await post('/publish', { ku: ku('dup note') })
+  assert.equal(again.status, 200)
+  assert.deepEqual([again.json.cid, again.json.stored, again.json.dedup, again.json.enqueued], [first.json.cid, false, true, false])
+  assert.equal((await fs.stat(file)).mtimeMs, mtimeMs)
+
+  const batch = await post('/publish/batch', [{ ku: ku('dup note') }, { ku: ku('batch new') }])
+  assert.deepEqual(batch.json.results.map(r => r.dedup), [true, false])
+  assert.deepEqual([batch.json.stored, batch.json.dedup], [1, 1])
+
+  await new Promise(r => setTimeout(r, 200))
+  watch.close()
+  assert.deepEqual(watch.cids, [first.json.cid, batch.json.results[1].cid])
+})
+
+test('publish: If-None-Match: * fails instead of overwriting', async () => {
+  const created = await post('/publish', { ku: ku('conditional') }, { 'if-none-match': '*' })
+  assert.equal(created.status, 200)
+
+  const conflict = await post('/publish', { ku: ku('conditional') }, { 'if-none-match': '*' })
+  assert.equal(conflict.status, 412)
+  assert.equal(conflict.json.error, 'already_exists')
+  assert.equal(conflict.json.cid, created.json.cid)
+  assert.equal((await post('/publish', { ku: ku('conditional') }, { 'if-none-match': `"${created.json.cid}"` })).status, 412)
+  assert.equal((await post('/publish', { ku: ku('conditional') }, { 'if-none-match': '"bafyother"' })).json.dedup, true)
+
+  const batch = await post('/publish/batch', [{ ku: ku('conditional') }, { ku: ku('conditional 2') }], { 'if-none-match': '*' })
+  assert.deepEqual(batch.json.results.map(r => r.error), ['already_exists', null])
+
+  const rpc = await post('/rpc', { jsonrpc: '2.0', id: 1, method: 'publish', params: { ku: ku('conditional'), if_none_match: '*' } })
+  assert.equal(rpc.json.error.code, -32009)
+})
+
+test('publish: Idempotency-Key replays the first response', async () => {
+  const key = { 'idempotency-key': 'publish-once-1' }
+  const first = await post('/publish', { ku: ku('idempotent') }, key)
+  assert.equal(first.json.dedup, false)
+  assert.equal(first.headers.get('idempotent-replayed'), null)
+
+  const replay = await post('/publish', { ku: ku('idempotent') }, key)
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true')
+  assert.deepEqual(replay.json, first.json)
+
+  const reused = await post('/publish', { ku: ku('something else') }, key)
+  assert.equal(reused.status, 422)
+  assert.equal(reused.json.error, 'idempotency_key_reused')
+  assert.equal((await post('/publish/batch', [{ ku: ku('idempotent') }], key)).json.error, 'idempotency_key_reused')
+
+  assert.equal((await post('/publish', { ku: ku('idempotent') }, { 'idempotency-key': 'bad key' })).json.error, 'invalid_idempotency_key')
+
+  // Error responses are replayed too, except 5xx/429
+  const badKey = { 'idempotency-key': 'publish-once-2' }
+  assert.equal((await post('/publish', { ku: { type: 'nope' } }, badKey)).status, 422)
+  const badAgain = await post('/publish', { ku: { type: 'nope' } }, badKey)
+  assert.equal(badAgain.json.error, 'schema_invalid')
+  assert.equal(badAgain.headers.get('idempotent-replayed'), 'true')
+})
+
+test('publish: Idempotency-Key responses survive a daemon restart', async () => {
+  const key = { 'idempotency-key': 'publish-restart-1' }
+  const first = await post('/publish', { ku: ku('before restart') }, key)
+  assert.equal(first.json.stored, true)
+
+  const exited = new Promise(r => proc.once('exit', r))
+  proc.kill()
+  await exited
+  await start()
+
+  const replay = await post('/publish', { ku: ku('before restart') }, key)
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true')
+  assert.deepEqual(replay.json, first.json)
+  assert.equal((await post('/publish', { ku: ku('after restart') }, key)).json.error, 'idempotency_key_reused')
+})
@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createIdempotencyStore, createMemoryIdempotencyStore } from '../src/daemon/idempotency-store.mjs'
+
+const entry = (n, expires) => ({ fingerprint: `f${n}`, expires, result: { status: 200, body: { n } } })
+
+for (const [name, make] of [['sqlite', (dir, max) => createIdempotencyStore({ dbPath: join(dir, 'idem.db'), max })], ['memory', (dir, max) => createMemoryIdempotencyStore({ max })]]) {
+  test(`idempotency store (${name}): keeps at most max keys, dropping the oldest, and forgets expired ones`, () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sgn-idem-'))
+    const store = make(dir, () => 2)
+    try {
+      const now = Date.now()
+      store.set('a', entry(1, now + 60_000), now)
+      store.set('b', entry(2, now + 60_000), now + 1)
+      store.set('c', entry(3, now + 60_000), now + 2)
+      assert.equal(store.get('a', now + 3), null)
+      assert.deepEqual(store.get('b', now + 3).result.body, { n: 2 })
+      assert.equal(store.get('c', now + 3).fingerprint, 'f3')
+
+      store.set('d', entry(4, now + 10), now + 3)
+      assert.equal(store.get('d', now + 10), null)
+    } finally {
+      store.close()
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+}
+
+test('idempotency store (sqlite): entries are still there after reopening', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sgn-idem-'))
+  try {
+    const first = createIdempotencyStore({ dbPath: join(dir, 'idem.db') })
+    first.set('ns|key', entry(1, Date.now() + 60_000))
+    first.close()
+    const reopened = createIdempotencyStore({ dbPath: join(dir, 'idem.db') })
+    assert.deepEqual(reopened.get('ns|key').result, { status: 200, body: { n: 1 } })
+    reopened.close()
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,125 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import crypto from 'node:crypto'
+import { signKU_v1, keyIdFromPubPEM } from '../src/ku/sign_v1.mjs'
+
+const PORT  = 8887
+const DB    = './tmp-keys.db'
+const KUS   = './tmp-keys-kus'
+const LOGS  = './tmp-keys-logs'
+const KEYS  = './tmp-keys.json'
+const TRUST = './tmp-keys-trust.json'
+const URL   = `http://localhost:${PORT}`
+let proc
+
+function genKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  return {
+    pub: publicKey.export({ type: 'spki', format: 'pem' }),
+    priv: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  }
+}
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['keys']
+  }
+}
+
+async function req(method, p, body) {
+  const r = await fetch(URL + p, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-keys-edges.db', './tmp-keys-outbox.db', './tmp-keys-webhooks.db', './tmp-keys-events.db', KEYS, TRUST]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_KEYS_PATH: KEYS, SGN_TRUST_PATH: TRUST
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('keys: register, look up and delete', async () => {
+  const k = genKeys()
+  const key_id = await keyIdFromPubPEM(k.pub)
+
+  assert.equal((await req('POST', '/keys', { pub_pem: 'nope', owner: 'alice' })).json.error, 'invalid_pub_pem')
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey.export({ type: 'spki', format: 'pem' })
+  assert.equal((await req('POST', '/keys', { pub_pem: rsa, owner: 'alice' })).json.reason, 'not_ed25519')
+  assert.equal((await req('POST', '/keys', { pub_pem: k.pub })).json.error, 'invalid_owner')
+
+  const created = await req('POST', '/keys', { pub_pem: k.pub, owner: 'alice' })
+  assert.equal(created.status, 201)
+  assert.deepEqual([created.json.key.key_id, created.json.key.owner], [key_id, 'alice'])
+  const dup = await req('POST', '/keys', { pub_pem: k.pub, owner: 'bob' })
+  assert.equal(dup.status, 409)
+  assert.equal(dup.json.error, 'key_exists')
+
+  const got = await req('GET', `/keys/${key_id}`)
+  assert.equal(got.json.pub_pem, k.pub)
+  assert.equal(got.json.trusted, true)
+  assert.deepEqual((await req('GET', '/keys')).json.keys.map(e => e.key_id), [key_id])
+  assert.ok(JSON.parse(await fs.readFile(KEYS, 'utf8')).keys[key_id])
+
+  assert.equal((await req('DELETE', `/keys/${key_id}`)).status, 200)
+  assert.equal((await req('GET', `/keys/${key_id}`)).json.error, 'key_not_found')
+  assert.equal((await req('DELETE', `/keys/${key_id}`)).status, 404)
+})
+
+test('keys: verification resolves the key by sig.key_id', async () => {
+  const k = genKeys()
+  const signed = await signKU_v1(ku('registered signer'), k.priv, k.pub)
+
+  const unknown = await req('POST', '/verify', { ku: signed })
+  assert.equal(unknown.status, 400)
+  assert.equal(unknown.json.error, 'unknown_key')
+  assert.equal(unknown.json.key_id, signed.sig.key_id)
+
+  await req('POST', '/keys', { pub_pem: k.pub, owner: 'carol' })
+  const verified = await req('POST', '/verify', { ku: signed, pub_pem: '' })
+  assert.deepEqual([verified.json.ok, verified.json.trusted], [true, true])
+
+  // A stored KU can be verified by CID alone
+  const published = await req('POST', '/publish', { ku: signed, verify: true })
+  assert.deepEqual([published.status, published.json.verify.ok], [200, true])
+  assert.equal((await req('POST', '/verify', { cid: published.json.cid })).json.ok, true)
+  assert.equal((await req('POST', '/verify', { cid: 'bafymissing' })).status, 404)
+
+  const rpc = await req('POST', '/rpc', { jsonrpc: '2.0', id: 1, method: 'verify', params: { ku: signed } })
+  assert.equal(rpc.json.result.ok, true)
+
+  // Registration does not bypass trust: an enforce allowlist without the key still rejects it
+  await fs.writeFile(TRUST, JSON.stringify({ mode: 'enforce', allow: [] }))
+  const blocked = await req('POST', '/publish', { ku: await signKU_v1(ku('not allowlisted'), k.priv, k.pub), verify: true })
+  assert.equal(blocked.status, 403)
+  assert.equal(blocked.json.error, 'untrusted_key')
+  assert.equal((await req('GET', `/keys/${signed.sig.key_id}`)).json.trust_reason, 'not_in_allowlist')
+})
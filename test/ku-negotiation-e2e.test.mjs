@@ -0,0 +1,93 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import * as dagCbor from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+
+const PORT = 8876
+const DB   = './tmp-ku-negotiation.db'
+const KUS  = './tmp-ku-negotiation-kus'
+const URL  = `http://localhost:${PORT}`
+let proc, cid
+
+const ku = {
+  type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+  payload: { title: 'negotiated', severity: 'LOW' }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['neg']
+}
+
+const get = (accept, headers = {}) => fetch(`${URL}/ku/${cid}`, { headers: { ...(accept ? { accept } : {}), ...headers } })
+
+before(async () => {
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+  const r = await fetch(`${URL}/publish`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ ku }) })
+  cid = (await r.json()).cid
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('ku: dag-cbor bytes hash to the CID client-side', async () => {
+  const r = await get('application/vnd.ipld.dag-cbor')
+  assert.equal(r.status, 200)
+  assert.equal(r.headers.get('content-type'), 'application/vnd.ipld.dag-cbor')
+  const bytes = new Uint8Array(await r.arrayBuffer())
+  const local = CID.createV1(dagCbor.code, await sha256.digest(bytes))
+  assert.ok(local.equals(CID.parse(cid)))
+  assert.equal(dagCbor.decode(bytes).payload.title, 'negotiated')
+})
+
+test('ku: json is the default, dag-json on request, q-values respected', async () => {
+  const plain = await get()
+  assert.equal(plain.headers.get('content-type'), 'application/json')
+  assert.equal((await plain.json()).payload.title, 'negotiated')
+
+  const dj = await get('application/vnd.ipld.dag-json')
+  assert.equal(dj.headers.get('content-type'), 'application/vnd.ipld.dag-json')
+  assert.equal((await dj.json()).tags[0], 'neg')
+
+  const pref = await get('application/json;q=0.5, application/vnd.ipld.dag-cbor')
+  assert.equal(pref.headers.get('content-type'), 'application/vnd.ipld.dag-cbor')
+
+  const legacy = await fetch(`${URL}/ku/${cid}?view=dag-json`)
+  assert.equal(legacy.headers.get('content-type'), 'application/json')
+
+  const none = await get('text/html')
+  assert.equal(none.status, 406)
+  assert.equal((await none.json()).error, 'not_acceptable')
+})
+
+test('ku: strong ETag equal to the CID, immutable caching and 304', async () => {
+  const r = await get('application/vnd.ipld.dag-cbor')
+  assert.equal(r.headers.get('etag'), `"${cid}"`)
+  assert.match(r.headers.get('cache-control'), /immutable/)
+  assert.equal(r.headers.get('vary'), 'Accept')
+
+  const cached = await get('application/json', { 'if-none-match': `"other", "${cid}"` })
+  assert.equal(cached.status, 304)
+  assert.equal(cached.headers.get('etag'), `"${cid}"`)
+  assert.equal((await cached.text()), '')
+
+  assert.equal((await get(null, { 'if-none-match': '"bafyother"' })).status, 200)
+})
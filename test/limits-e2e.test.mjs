@@ -0,0 +1,119 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8875
+const DB   = './tmp-limits.db'
+const KUS  = './tmp-limits-kus'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+  }
+}
+
+// A signature nobody checked: its key_id is only a claim
+const forged = (title, key_id) => ({ ...ku(title), sig: { alg: 'ed25519', prehash: 'none', context: 'sgn-ku-v1', key_id, signature: 'AAAA' } })
+
+async function post(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: r.status, headers: r.headers, json: await r.json() }
+}
+
+before(async () => {
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS,
+      SGN_RATE_PUBLISH: '0.1:3', SGN_RATE_EDGES: '0.1:2', SGN_RATE_VERIFY: '0.1:2', SGN_QUOTA_KUS: '1'
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('limits: quota counts new KUs only, then the publish rate limit answers 429', async () => {
+  assert.equal((await post('/publish', { ku: ku('q1') })).status, 200)
+  const dup = await post('/publish', { ku: ku('q1') })
+  assert.equal(dup.status, 200)
+
+  // A made-up sig.key_id does not get a fresh quota: unverified KUs are charged to the address
+  const over = await post('/publish', { ku: forged('q2', 'fake1') })
+  assert.equal(over.status, 403)
+  assert.equal(over.json.error, 'quota_exceeded')
+  assert.equal(over.json.quota, 'kus')
+  assert.match(over.json.owner, /^ip:/)
+
+  const limited = await post('/publish', { ku: ku('q3') })
+  assert.equal(limited.status, 429)
+  assert.equal(limited.json.error, 'rate_limited')
+  assert.equal(limited.json.limited_by, 'ip')
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1)
+})
+
+test('limits: a batch takes one publish token per KU', async () => {
+  const r = await fetch(`${URL}/publish/batch`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify([{ ku: forged('b1', 'fake2') }, { ku: forged('b2', 'fake3') }])
+  })
+  // The address spent its bucket above; a batch is charged like that many single publishes
+  assert.equal(r.status, 429)
+  assert.equal((await r.json()).limited_by, 'ip')
+})
+
+test('limits: verify does not charge the bucket of a claimed key_id', async () => {
+  // One address spends its verify bucket on KUs claiming someone else's key...
+  for (let i = 0; i < 2; i++) assert.equal((await post('/verify', { ku: forged(`v${i}`, 'victim') })).status, 400)
+  assert.equal((await post('/verify', { ku: forged('v2', 'victim') })).json.limited_by, 'ip')
+  // ...and that key's bucket is still full for another address
+  const r = await fetch(`http://[::1]:${PORT}/verify`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ ku: forged('v3', 'victim') })
+  })
+  assert.equal(r.status, 400)
+  assert.equal((await r.json()).error, 'unknown_key')
+})
+
+test('limits: edges are limited independently of publish', async () => {
+  const edge = { src: 'bafylim1', dst: 'bafylim2', type: 'verifies' }
+  assert.equal((await post('/edges', edge)).status, 200)
+  assert.equal((await post('/edges', edge)).status, 200)
+  const r = await post('/edges', edge)
+  assert.equal(r.status, 429)
+  assert.ok(r.headers.get('retry-after'))
+})
+
+test('limits: usage and rejections visible in /metrics', async () => {
+  const snap = await fetch(`${URL}/metrics`).then(r => r.json())
+  assert.equal(snap.limits.rate_limited.publish, 2)
+  assert.equal(snap.limits.rate_limited.edges, 1)
+  assert.equal(snap.limits.quota_rejected, 1)
+  assert.equal(snap.limits.quota.limits.kus, 1)
+  const [usage] = Object.values(snap.limits.quota.usage)
+  assert.equal(usage.kus, 1)
+  assert.ok(usage.bytes > 0)
+
+  const prom = await fetch(`${URL}/metrics?format=prom`).then(r => r.text())
+  assert.match(prom, /^sgn_quota_kus\{namespace="default",owner="ip:[^"]+"\} 1$/m)
+  assert.match(prom, /^sgn_http_rate_limited_total\{route="publish"\} 2$/m)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRate, createRateLimiter, createQuotaTracker } from '../src/daemon/limits.mjs'
+
+test('limits: parseRate reads rate and optional burst', () => {
+  assert.deepEqual(parseRate('5'), { rate: 5, burst: 10 })
+  assert.deepEqual(parseRate('0.5:3'), { rate: 0.5, burst: 3 })
+  assert.equal(parseRate(''), null)
+  assert.equal(parseRate('0'), null)
+  assert.equal(parseRate(undefined), null)
+})
+
+test('limits: a request needs a token on every key and consumes none when refused', () => {
+  const rl = createRateLimiter({ rate: 1, burst: 2 })
+  assert.ok(rl.take(['ip:a', 'key_id:k']).ok)
+  assert.ok(rl.take(['ip:b', 'key_id:k']).ok)
+  const denied = rl.take(['ip:a', 'key_id:k'])
+  assert.equal(denied.ok, false)
+  assert.equal(denied.key, 'key_id:k')
+  assert.equal(denied.retryAfter, 1)
+  // ip:a was not charged by the refused request
+  assert.ok(rl.take(['ip:a']).ok)
+  assert.equal(rl.take(['ip:a']).ok, false)
+  assert.ok(createRateLimiter(null).take(['ip:a']).ok)
+})
+
+test('limits: a batch takes one token per item, and one bigger than the burst leaves the bucket in debt', () => {
+  const rl = createRateLimiter({ rate: 1, burst: 5 })
+  assert.ok(rl.take(['ip:a'], 3).ok)
+  const short = rl.take(['ip:a'], 3)
+  assert.equal(short.ok, false)
+  assert.equal(short.retryAfter, 1)
+  assert.ok(rl.take(['ip:a'], 2).ok)
+
+  assert.ok(rl.take(['ip:b'], 12).ok)
+  const debt = rl.take(['ip:b'])
+  assert.equal(debt.ok, false)
+  assert.equal(debt.retryAfter, 8)
+})
+
+test('limits: quotas on KU count and bytes per owner', () => {
+  const q = createQuotaTracker({ kus: 3, bytes: 100 })
+  q.add('key_id:k', 60)
+  assert.equal(q.check('key_id:k', 30), null)
+  assert.deepEqual(q.check('key_id:k', 50), { error: 'quota_exceeded', quota: 'bytes', limit: 100, used: 60 })
+  assert.equal(q.check('key_id:other', 50), null)
+  q.add('key_id:k', 10); q.add('key_id:k', 10)
+  assert.equal(q.check('key_id:k', 1).quota, 'kus')
+  q.add('key_id:k', -10, -1)
+  assert.deepEqual(q.usage('key_id:k'), { kus: 2, bytes: 70 })
+})
@@ -0,0 +1,89 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import https from 'node:https'
+import { mkdtempSync, rmSync, statSync, existsSync, readFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join, resolve, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { spawnSync, execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+import WebSocket, { WebSocketServer } from 'ws'
+import { startListeners, closeListeners, ensureDevCert } from '../src/daemon/listeners.mjs'
+
+const CLI = resolve(dirname(fileURLToPath(import.meta.url)), '../src/cli/sgn.mjs')
+const dir = mkdtempSync(join(tmpdir(), 'sgn-listeners-'))
+after(() => rmSync(dir, { recursive: true, force: true }))
+
+const handler = (req, res) => {
+  res.writeHead(200, { 'content-type': 'application/json' })
+  res.end(JSON.stringify({ ok: true, path: req.url }))
+}
+
+function get(mod, options) {
+  return new Promise((resolve, reject) => {
+    mod.get(options, (res) => {
+      let b = ''
+      res.on('data', c => b += c)
+      res.on('end', () => resolve({ status: res.statusCode, json: JSON.parse(b) }))
+    }).on('error', reject)
+  })
+}
+
+test('listeners: dev certificate is generated once and reused', () => {
+  const tls = join(dir, 'tls')
+  const first = ensureDevCert(tls)
+  assert.equal(first.created, true)
+  assert.equal(statSync(first.keyPath).mode & 0o777, 0o600)
+  const again = ensureDevCert(tls)
+  assert.equal(again.created, false)
+  assert.equal(again.certPath, first.certPath)
+})
+
+test('listeners: unix socket, TLS and WSS serve the same handler', async () => {
+  const socket = join(dir, 'run', 'sgn.sock')
+  const wss = new WebSocketServer({ noServer: true })
+  const cfg = {
+    http: { port: null, socket, socket_mode: '0600' },
+    tls: { port: 0, cert: null, key: null, self_signed: true, dir: join(dir, 'tls') }
+  }
+  const listeners = await startListeners(handler, cfg, {
+    onUpgrade: (req, sock, head) => wss.handleUpgrade(req, sock, head, (ws) => ws.send('hello'))
+  })
+  try {
+    assert.deepEqual(listeners.map(l => l.kind), ['unix', 'tls'])
+    assert.equal(statSync(socket).mode & 0o777, 0o600)
+    assert.deepEqual(await get(http, { socketPath: socket, path: '/health' }), { status: 200, json: { ok: true, path: '/health' } })
+
+    const tls = listeners[1]
+    const ca = readFileSync(tls.cert)
+    const port = tls.server.address().port
+    assert.equal((await get(https, { host: 'localhost', port, path: '/health', ca })).status, 200)
+    await assert.rejects(get(https, { host: 'localhost', port, path: '/health' }), /self-signed/)
+
+    const ws = new WebSocket(`wss://localhost:${port}/events`, { ca })
+    const msg = await new Promise((resolve, reject) => { ws.once('message', d => resolve(String(d))); ws.once('error', reject) })
+    assert.equal(msg, 'hello')
+    ws.close()
+
+    // Rejects on a non-zero exit
+    const cli = await promisify(execFile)(process.execPath, [CLI, 'daemon', 'health', '--socket', socket], { timeout: 10000 })
+    assert.match(cli.stdout, /"path":"\/health"/)
+  } finally {
+    await closeListeners(listeners)
+    wss.close()
+  }
+  assert.equal(existsSync(socket), false)
+})
+
+test('listeners: a stale socket file is replaced, a live one is refused', async () => {
+  const socket = join(dir, 'stale.sock')
+  // Leave a socket file behind without a server, as a crashed daemon would
+  spawnSync(process.execPath, ['-e', `require('net').createServer().listen(${JSON.stringify(socket)}, () => process.exit(0))`], { timeout: 10000 })
+  assert.equal(existsSync(socket), true)
+  const cfg = { http: { port: null, socket, socket_mode: '0660' }, tls: { port: null } }
+  const first = await startListeners(handler, cfg)
+  assert.equal(statSync(socket).mode & 0o777, 0o660)
+  await assert.rejects(startListeners(handler, cfg), /socket_in_use/)
+  await closeListeners(first)
+})
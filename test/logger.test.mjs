@@ -0,0 +1,65 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, readdirSync, readFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createLogger, withLogContext, listLogFiles, LOG_FILE } from '../src/daemon/logger.mjs'
+
+const root = mkdtempSync(join(tmpdir(), 'sgn-logger-'))
+after(() => rmSync(root, { recursive: true, force: true }))
+
+test('logger: levels, correlation fields and one canonical file', async () => {
+  const dir = join(root, 'levels')
+  const logger = createLogger({ dir, level: 'info' })
+  logger.log({ evt: 'noise', level: 'debug' })
+  logger.log({ evt: 'outside' })
+  await withLogContext({ request_id: 'req-1' }, async () => {
+    await new Promise(r => setTimeout(r, 5))
+    logger.log({ evt: 'inside', cid: 'bafyA' })
+  })
+  logger.configure({ level: 'debug' })
+  logger.log({ evt: 'noise', level: 'debug' })
+  logger.close()
+
+  const lines = readFileSync(join(dir, LOG_FILE), 'utf8').trim().split('\n').map(l => JSON.parse(l))
+  assert.deepEqual(lines.map(e => [e.evt, e.level, e.request_id]), [
+    ['outside', 'info', undefined], ['inside', 'info', 'req-1'], ['noise', 'debug', undefined]
+  ])
+  assert.ok(lines.every(e => typeof e.ts === 'number'))
+})
+
+test('logger: size rotation keeps the newest rotated files and queries span them', async () => {
+  const dir = join(root, 'rotate')
+  const logger = createLogger({ dir, max_bytes: 200, retain: 2 })
+  for (let i = 0; i < 20; i++) logger.log({ evt: i % 2 ? 'odd' : 'even', i, cid: i === 3 ? 'bafyThree' : null, pad: 'x'.repeat(60) })
+
+  const files = listLogFiles(dir)
+  assert.equal(files.length, 3) // two rotated + current
+  assert.equal(files.at(-1), join(dir, LOG_FILE))
+  assert.equal(readdirSync(dir).length, 3)
+
+  const odd = await logger.query({ evt: ['odd'] })
+  assert.ok(odd.entries.length > 0 && odd.entries.every(e => e.evt === 'odd'))
+  const is = odd.entries.map(e => e.i)
+  assert.deepEqual(is, [...is].sort((a, b) => a - b), 'oldest first across files')
+  assert.equal(odd.entries.at(-1).i, 19)
+
+  const limited = await logger.query({ limit: 2 })
+  assert.deepEqual(limited.entries.map(e => e.i), [18, 19])
+  assert.equal(limited.truncated, true)
+
+  assert.deepEqual((await logger.query({ since: Date.now() + 60000 })).entries, [])
+  logger.close()
+})
+
+test('logger: time rotation and cid matching', async () => {
+  const dir = join(root, 'time')
+  const logger = createLogger({ dir, rotate_hours: 1 / 3600 / 20 }) // 50ms
+  logger.log({ evt: 'publish', cid: 'bafyOne' })
+  await new Promise(r => setTimeout(r, 80))
+  logger.log({ evt: 'ku_tombstoned', cid: 'bafyTwo', tombstone: 'bafyOne' })
+  assert.equal(listLogFiles(dir).length, 2)
+  const journey = await logger.query({ cid: 'bafyOne' })
+  assert.deepEqual(journey.entries.map(e => e.evt), ['publish', 'ku_tombstoned'])
+  logger.close()
+})
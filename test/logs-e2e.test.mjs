@@ -0,0 +1,95 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { listLogFiles } from '../src/daemon/logger.mjs'
+
+const PORT = 8898
+const DB   = './tmp-logs.db'
+const KUS  = './tmp-logs-kus'
+const LOGS = './tmp-logs-logs'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['logs']
+  }
+}
+
+async function req(method, p, body, headers = {}) {
+  const r = await fetch(URL + p, { method, headers: { 'content-type': 'application/json', ...headers }, body: body && JSON.stringify(body) })
+  return { status: r.status, headers: r.headers, json: await r.json() }
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-logs-edges.db', './tmp-logs-outbox.db', './tmp-logs-webhooks.db', './tmp-logs-events.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_LOG_MAX_BYTES: '2048', SGN_LOG_RETAIN: '50'
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('logs: every entry a request writes carries its X-Request-Id', async () => {
+  const r = await req('POST', '/publish', { ku: ku('correlated') }, { 'x-request-id': 'trace-publish-1' })
+  assert.equal(r.status, 200)
+  assert.equal(r.headers.get('x-request-id'), 'trace-publish-1')
+
+  const got = (await req('GET', '/admin/logs?request_id=trace-publish-1')).json
+  const evts = got.entries.map(e => e.evt)
+  assert.ok(evts.includes('publish_stored') && evts.includes('publish'), evts.join(','))
+  assert.ok(got.entries.every(e => e.request_id === 'trace-publish-1' && e.level === 'info'))
+})
+
+test('logs: filters by cid, evt and since across rotated files', async () => {
+  const t0 = Date.now()
+  const cids = []
+  for (let i = 0; i < 15; i++) cids.push((await req('POST', '/publish', { ku: ku(`rotated ${i}`) })).json.cid)
+  assert.ok(listLogFiles(LOGS).length > 1, 'small max_bytes rotates the log')
+
+  const journey = (await req('GET', `/admin/logs?cid=${cids[0]}`)).json
+  assert.deepEqual(journey.entries.map(e => e.evt), ['publish_stored', 'publish'])
+
+  const publishes = (await req('GET', `/admin/logs?evt=publish&since=${t0}`)).json
+  assert.deepEqual(publishes.entries.map(e => e.cid), cids)
+
+  const both = (await req('GET', `/admin/logs?evt=publish,publish_stored&since=${t0}&limit=4`)).json
+  assert.equal(both.entries.length, 4)
+  assert.equal(both.matched, 30)
+  assert.equal(both.truncated, true)
+  assert.equal(both.entries.at(-1).cid, cids.at(-1))
+
+  assert.deepEqual((await req('GET', `/admin/logs?since=${new Date(Date.now() + 60000).toISOString()}`)).json.entries, [])
+})
+
+test('logs: rejects bad query parameters', async () => {
+  assert.equal((await req('GET', '/admin/logs?since=yesterday')).json.error, 'invalid_since')
+  assert.equal((await req('GET', '/admin/logs?level=loud')).json.error, 'invalid_level')
+  assert.equal((await req('GET', '/admin/logs?limit=0')).status, 400)
+})
@@ -0,0 +1,181 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { TokenStore } from '../src/auth/token-store.mjs'
+
+const PORT   = 8895
+const DB     = './tmp-ns.db'
+const KUS    = './tmp-ns-kus'
+const LOGS   = './tmp-ns-logs'
+const NSDIR  = './tmp-ns-namespaces'
+const TOKENS = './tmp-ns-tokens.json'
+const URL    = `http://localhost:${PORT}`
+let proc, WebSocket
+const tok = {}
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['ns']
+  }
+}
+
+async function req(method, p, token, body) {
+  const headers = { 'content-type': 'application/json' }
+  if (token) headers.authorization = `Bearer ${token}`
+  const r = await fetch(URL + p, { method, headers, body: body && JSON.stringify(body) })
+  const text = await r.text()
+  return { status: r.status, json: text && r.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text }
+}
+
+// Collect the `ku` events a client receives
+function listen(path, token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}${path}?access_token=${token}`)
+    const kus = []
+    ws.on('message', (buf) => { const m = JSON.parse(String(buf)); if (m.type === 'ku') kus.push(m.cid) })
+    ws.on('open', () => resolve({ ws, kus }))
+    ws.on('unexpected-response', (_req, res) => reject(new Error(`status ${res.statusCode}`)))
+    ws.on('error', () => {})
+  })
+}
+
+async function start() {
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS,
+      SGN_NAMESPACES_DIR: NSDIR, SGN_AUTH: 'tokens', SGN_TOKENS_PATH: TOKENS
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/live`); if (r.status === 204) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+}
+
+async function stop() {
+  const exited = new Promise(r => proc.once('exit', r))
+  proc.kill()
+  await exited
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-ns-edges.db', './tmp-ns-outbox.db', './tmp-ns-webhooks.db', './tmp-ns-events.db', TOKENS]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS, NSDIR]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  WebSocket = (await import('ws')).default
+  await cleanup()
+  const store = new TokenStore(TOKENS)
+  tok.admin = store.issue({ scopes: ['admin'] }).token
+  tok.teamA = store.issue({ scopes: ['admin'], namespace: 'team-a' }).token
+  tok.teamB = store.issue({ scopes: ['read', 'publish'], namespace: 'team-b' }).token
+  await start()
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('namespaces: admins create and list them; names are validated', async () => {
+  const created = await req('POST', '/admin/namespaces', tok.admin, { name: 'team-a' })
+  assert.equal(created.status, 201)
+  assert.equal(created.json.name, 'team-a')
+  assert.equal((await req('POST', '/admin/namespaces', tok.admin, { name: 'team-b' })).status, 201)
+
+  assert.equal((await req('POST', '/admin/namespaces', tok.admin, { name: 'team-a' })).json.error, 'namespace_exists')
+  assert.equal((await req('POST', '/admin/namespaces', tok.admin, { name: '../up' })).json.error, 'invalid_namespace')
+  assert.equal((await req('POST', '/admin/namespaces', tok.teamA, { name: 'team-c' })).json.error, 'namespace_forbidden')
+
+  const list = (await req('GET', '/admin/namespaces', tok.admin)).json.namespaces
+  assert.deepEqual(list.map(n => [n.name, n.default]), [['default', true], ['team-a', false], ['team-b', false]])
+  await fs.access(join(NSDIR, 'team-a', 'kus'))
+})
+
+test('namespaces: KUs, search and graph stay inside their namespace', async () => {
+  const a = await req('POST', '/ns/team-a/publish', tok.admin, { ku: ku('only in a') })
+  assert.equal(a.status, 200)
+  const cid = a.json.cid
+  await fs.access(join(NSDIR, 'team-a', 'kus', `${cid}.json`))
+
+  assert.equal((await req('GET', `/ns/team-a/ku/${cid}`, tok.admin)).status, 200)
+  assert.equal((await req('GET', `/ku/${cid}`, tok.admin)).status, 404)
+  assert.equal((await req('GET', `/ns/team-b/ku/${cid}`, tok.admin)).status, 404)
+  assert.equal((await req('GET', '/ns/team-a/search?q=only', tok.admin)).json.results.length, 1)
+  assert.equal((await req('GET', '/search?q=only', tok.admin)).json.results.length, 0)
+  assert.equal((await req('GET', '/ns/team-a/health', tok.admin)).json.ku_count, 1)
+
+  const rpc = await req('POST', '/ns/team-a/rpc', tok.admin, { jsonrpc: '2.0', id: 1, method: 'get', params: { cid } })
+  assert.equal(rpc.json.result.payload.title, 'only in a')
+
+  assert.equal((await req('GET', '/ns/nope/health', tok.admin)).json.error, 'namespace_not_found')
+  assert.equal((await req('GET', '/ns/team-a/metrics', tok.admin)).status, 404)
+})
+
+test('namespaces: a bound token selects its namespace and cannot leave it', async () => {
+  const b = await req('POST', '/publish', tok.teamB, { ku: ku('team b note') })
+  assert.equal(b.status, 200)
+  assert.equal((await req('GET', `/ns/team-b/ku/${b.json.cid}`, tok.admin)).status, 200)
+  assert.equal((await req('GET', `/ku/${b.json.cid}`, tok.teamB)).status, 200)
+
+  const other = await req('GET', '/ns/team-a/search?q=only', tok.teamB)
+  assert.equal(other.status, 403)
+  assert.equal(other.json.error, 'namespace_forbidden')
+  assert.equal((await req('GET', '/ns/default/health', tok.teamB)).status, 403)
+
+  // A namespace admin runs admin routes on its own namespace only
+  assert.equal((await req('GET', '/admin/consistency', tok.teamA)).json.total_db, 1)
+  assert.equal((await req('GET', '/admin/logs', tok.teamA)).json.error, 'namespace_forbidden')
+})
+
+test('namespaces: /events clients only receive their namespace', async () => {
+  const a = await listen('/ns/team-a/events', tok.admin)
+  const b = await listen('/events', tok.teamB)
+  await assert.rejects(listen('/ns/team-a/events', tok.teamB), /status 403/)
+
+  const cidA = (await req('POST', '/ns/team-a/publish', tok.admin, { ku: ku('event a') })).json.cid
+  const cidB = (await req('POST', '/publish', tok.teamB, { ku: ku('event b') })).json.cid
+  await new Promise(r => setTimeout(r, 200))
+  assert.deepEqual(a.kus, [cidA])
+  assert.deepEqual(b.kus, [cidB])
+
+  const prom = (await req('GET', '/metrics?format=prom', tok.admin)).json
+  assert.match(prom, /^sgn_namespace_kus_stored_total\{namespace="team-a"\} 2$/m)
+  assert.match(prom, /^sgn_namespace_kus_stored_total\{namespace="team-b"\} 2$/m)
+  assert.match(prom, /^sgn_namespace_ws_clients\{namespace="team-a"\} 1$/m)
+  a.ws.close(); b.ws.close()
+
+  const log = (await req('GET', `/admin/logs?evt=publish&cid=${cidA}`, tok.admin)).json.entries
+  assert.equal(log[0].namespace, 'team-a')
+})
+
+test('namespaces: reopened after a restart, deleted with their data', async () => {
+  await stop()
+  await start()
+  const cid = (await req('GET', '/ns/team-a/search?q=only', tok.admin)).json.results[0].cid
+  assert.equal((await req('GET', `/ns/team-a/ku/${cid}`, tok.admin)).status, 200)
+
+  const watcher = await listen('/ns/team-a/events', tok.admin)
+  const closed = new Promise(r => watcher.ws.once('close', r))
+  assert.equal((await req('DELETE', '/admin/namespaces/default', tok.admin)).json.error, 'namespace_protected')
+  const del = await req('DELETE', '/admin/namespaces/team-a', tok.admin)
+  assert.equal(del.status, 200)
+  await closed
+
+  await assert.rejects(fs.access(join(NSDIR, 'team-a')))
+  assert.equal((await req('GET', '/ns/team-a/health', tok.admin)).status, 404)
+  assert.equal((await req('DELETE', '/admin/namespaces/team-a', tok.admin)).status, 404)
+  assert.deepEqual((await req('GET', '/admin/namespaces', tok.admin)).json.namespaces.map(n => n.name), ['default', 'team-b'])
+})
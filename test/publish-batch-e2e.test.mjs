@@ -0,0 +1,102 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8872
+const DB   = './tmp-publish-batch.db'
+const KUS  = './tmp-publish-batch-kus'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.patch.migration', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title, description: 'batch', patch: '---', severity: 'LOW' },
+    parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['batch']
+  }
+}
+
+async function post(p, body, contentType = 'application/json') {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': contentType }, body })
+  return { status: r.status, json: await r.json() }
+}
+
+before(async () => {
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('publish/batch: JSON array returns per-item results, bad item does not fail batch', async () => {
+  const body = [{ ku: ku('b1') }, { ku: 'not-an-object' }, { ku: ku('b2') }, { ku: ku('b1') }]
+  const r = await post('/publish/batch', JSON.stringify(body))
+  assert.equal(r.status, 200)
+  assert.equal(r.json.total, 4)
+  assert.equal(r.json.stored, 2)
+  assert.equal(r.json.failed, 1)
+  const [a, bad, b, dup] = r.json.results
+  assert.ok(a.cid && a.stored && !a.dedup)
+  assert.equal(bad.error, 'invalid_ku')
+  assert.ok(b.cid && b.cid !== a.cid)
+  assert.equal(dup.cid, a.cid)
+  assert.equal(dup.dedup, true)
+  assert.equal(dup.stored, false, 'counted in dedup, not stored')
+  assert.equal(r.json.dedup, 1)
+
+  const got = await fetch(`${URL}/ku/${b.cid}`).then(x => x.json())
+  assert.equal(got.payload.title, 'b2')
+})
+
+test('publish/batch: NDJSON body, invalid line reported in place', async () => {
+  const lines = [JSON.stringify({ ku: ku('n1') }), '{ nope', JSON.stringify({ ku: ku('b2') })].join('\n')
+  const r = await post('/publish/batch', lines, 'application/x-ndjson')
+  assert.equal(r.status, 200)
+  assert.equal(r.json.results.length, 3)
+  assert.ok(r.json.results[0].stored)
+  assert.equal(r.json.results[1].error, 'invalid_json')
+  assert.equal(r.json.results[2].dedup, true)
+})
+
+test('publish/batch: empty body is rejected', async () => {
+  const r = await post('/publish/batch', '[]')
+  assert.equal(r.status, 400)
+  assert.equal(r.json.error, 'empty_batch')
+})
+
+test('publish: schema violations return 422 with field paths', async () => {
+  const bad = ku('s1')
+  delete bad.payload.patch
+  bad.tags = [1]
+  const r = await post('/publish', JSON.stringify({ ku: bad }))
+  assert.equal(r.status, 422)
+  assert.equal(r.json.error, 'schema_invalid')
+  assert.deepEqual(r.json.errors.map(e => e.path).sort(), ['payload.patch', 'tags[0]'])
+
+  const b = await post('/publish/batch', JSON.stringify([{ ku: bad }, { ku: ku('s2') }]))
+  assert.equal(b.status, 200)
+  assert.equal(b.json.results[0].error, 'schema_invalid')
+  assert.ok(b.json.results[0].errors.some(e => e.path === 'payload.patch'))
+  assert.ok(b.json.results[1].stored)
+})
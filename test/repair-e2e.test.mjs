@@ -0,0 +1,116 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import { computeCIDv1, cidToString } from '../src/ku/cid_v1.mjs'
+
+const PORT = 8880
+const DB   = './tmp-repair.db'
+const KUS  = './tmp-repair-kus'
+const LOGS = './tmp-repair-logs'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['repair']
+  }
+}
+
+async function req(method, p, body) {
+  const r = await fetch(URL + p, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+const publish = async (title) => (await req('POST', '/publish', { ku: ku(title) })).json.cid
+const file = (cid) => join(KUS, `${cid}.json`)
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-repair-edges.db', './tmp-repair-outbox.db', './tmp-repair-webhooks.db', './tmp-repair-events.db']) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('repair: reconciliation finds db_only, fs_only and content mismatches; dry run changes nothing', async () => {
+  // lost: unrecoverable once the outbox no longer holds it
+  const lost = await publish('lost')
+  await fs.rm(file(lost))
+  await req('POST', '/admin/drain')
+
+  const missing = await publish('missing')
+  await fs.rm(file(missing))
+  const corrupt = await publish('corrupt')
+  await fs.writeFile(file(corrupt), JSON.stringify(ku('tampered')))
+  const orphanKU = ku('orphan')
+  const orphan = cidToString(await computeCIDv1(orphanKU))
+  await fs.writeFile(file(orphan), JSON.stringify(orphanKU))
+  await fs.writeFile(file('bafy-garbage'), '{ nope')
+
+  const check = (await req('GET', '/admin/consistency')).json
+  assert.deepEqual(check.db_only.sort(), [lost, missing].sort())
+  assert.deepEqual(check.fs_only, [orphan])
+  assert.deepEqual(check.content_mismatch.map(m => [m.cid, m.reason, m.indexed]).sort(), [
+    ['bafy-garbage', 'unparseable', false],
+    [corrupt, 'hash_mismatch', true]
+  ].sort())
+  assert.equal(check.mismatches, 5)
+  assert.equal(check.consistent, false)
+
+  const dry = await req('POST', '/admin/repair', { dry_run: true })
+  assert.equal(dry.status, 200)
+  assert.equal(dry.json.dry_run, true)
+  const planned = Object.fromEntries(dry.json.actions.filter(a => a.action !== 'quarantine').map(a => [a.cid, a.action]))
+  assert.deepEqual(planned, { [orphan]: 'reindex', [missing]: 'rewrite', [corrupt]: 'rewrite', [lost]: 'unrecoverable' })
+  assert.equal(dry.json.actions.filter(a => a.action === 'quarantine').length, 2)
+  assert.equal((await req('GET', '/admin/consistency')).json.mismatches, 5)
+})
+
+test('repair: re-indexes orphans, quarantines corrupt files and rewrites missing ones', async () => {
+  const r = await req('POST', '/admin/repair?dry_run=0')
+  assert.equal(r.status, 200)
+  assert.equal(r.json.dry_run, false)
+  assert.deepEqual(r.json.after.db_only.length, 1)
+  assert.equal(r.json.after.fs_only.length + r.json.after.content_mismatch.length, 0)
+  assert.equal(r.json.actions.find(a => a.action === 'rewrite').source, 'outbox')
+
+  const quarantined = await fs.readdir(join(KUS, 'quarantine'))
+  assert.equal(quarantined.length, 2)
+  assert.ok(quarantined.some(f => f.startsWith('bafy-garbage.')))
+
+  const orphan = r.json.actions.find(a => a.action === 'reindex').cid
+  const found = (await req('GET', `/search?q=orphan`)).json.results.map(k => k.cid || k.id)
+  assert.ok(found.includes(orphan))
+  for (const a of r.json.actions.filter(a => a.action === 'rewrite')) {
+    const got = await fetch(`${URL}/ku/${a.cid}`)
+    assert.equal(got.headers.get('etag'), `"${a.cid}"`)
+  }
+
+  const log = await fs.readFile(join(LOGS, 'sgn-daemon.jsonl'), 'utf8')
+  const entries = log.trim().split('\n').map(l => JSON.parse(l)).filter(e => e.evt === 'repair_action' && e.dry_run === false)
+  assert.equal(entries.length, r.json.actions.length)
+})
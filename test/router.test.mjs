@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createRouter, HttpError, requestId, latency, cors, parseBody } from '../src/daemon/router.mjs'
+
+let server, URL
+const observed = []
+const logs = []
+
+before(async () => {
+  const router = createRouter({ onLog: (e) => logs.push(e), mount: '/ns/:namespace' })
+    .use(requestId())
+    .use(latency((route, ms, status) => observed.push({ route, status })))
+    .use(cors(() => ['https://app.test']))
+    .use(parseBody(() => 64))
+  router
+    .get('/items/:id', async (ctx) => ({ status: 200, body: { id: ctx.params.id, ...ctx.mount } }))
+    .post('/items', async (ctx) => ({ status: 201, body: ctx.body }), { body: 'json' })
+    .post('/raw', async (ctx) => ({ status: 200, body: { bytes: ctx.raw.length } }), { body: 'raw', maxBytes: 1024 })
+    .get('/teapot', async () => { throw new HttpError(418, 'teapot', { reason: 'short' }, { 'x-hint': 'stout' }) })
+    .get('/legacy', async () => ({ status: 409, body: { ok: false, reason: 'conflict' } }))
+    .get('/boom', async () => { throw new Error('kaboom') })
+    .get('/text', async () => ({ status: 200, body: 'hello\n', headers: { 'content-type': 'text/plain' } }))
+  server = http.createServer(router.handle)
+  await new Promise(r => server.listen(0, r))
+  URL = `http://localhost:${server.address().port}`
+})
+
+after(() => new Promise(r => server.close(r)))
+
+test('router: params, JSON bodies and request ids', async () => {
+  const r = await fetch(`${URL}/items/a%2Fb`)
+  assert.deepEqual(await r.json(), { id: 'a/b' })
+  assert.match(r.headers.get('x-request-id'), /^[0-9a-f-]{36}$/)
+
+  const created = await fetch(`${URL}/items`, { method: 'POST', body: '{"n":1}', headers: { 'x-request-id': 'req-42' } })
+  assert.equal(created.status, 201)
+  assert.deepEqual(await created.json(), { n: 1 })
+  assert.equal(created.headers.get('x-request-id'), 'req-42')
+  assert.equal((await (await fetch(`${URL}/text`)).text()), 'hello\n')
+})
+
+test('router: every error uses one envelope', async () => {
+  const missing = await fetch(`${URL}/nope`, { headers: { 'x-request-id': 'r1' } })
+  assert.equal(missing.status, 404)
+  assert.deepEqual(await missing.json(), { ok: false, error: 'not_found', request_id: 'r1' })
+
+  const wrongMethod = await fetch(`${URL}/items/1`, { method: 'POST' })
+  assert.equal(wrongMethod.status, 405)
+  assert.equal(wrongMethod.headers.get('allow'), 'GET')
+
+  const teapot = await fetch(`${URL}/teapot`, { headers: { 'x-request-id': 'r2' } })
+  assert.equal(teapot.headers.get('x-hint'), 'stout')
+  assert.deepEqual(await teapot.json(), { ok: false, error: 'teapot', reason: 'short', request_id: 'r2' })
+
+  assert.equal((await (await fetch(`${URL}/legacy`)).json()).error, 'conflict')
+
+  const boom = await fetch(`${URL}/boom`)
+  assert.equal(boom.status, 500)
+  assert.equal((await boom.json()).error, 'server_error')
+  assert.equal(logs.at(-1).evt, 'http_error')
+  assert.equal(logs.at(-1).route, 'GET /boom')
+})
+
+test('router: body limits and JSON parsing', async () => {
+  const bad = await fetch(`${URL}/items`, { method: 'POST', body: '{nope' })
+  assert.equal(bad.status, 400)
+  assert.equal((await bad.json()).error, 'invalid_json')
+
+  const big = await fetch(`${URL}/items`, { method: 'POST', body: JSON.stringify({ pad: 'x'.repeat(100) }) })
+  assert.equal(big.status, 413)
+  assert.deepEqual((await big.json()).max_bytes, 64)
+
+  const raw = await fetch(`${URL}/raw`, { method: 'POST', body: 'x'.repeat(500) })
+  assert.deepEqual(await raw.json(), { bytes: 500 })
+})
+
+test('router: CORS preflight for allowed origins only', async () => {
+  const preflight = await fetch(`${URL}/items`, {
+    method: 'OPTIONS', headers: { origin: 'https://app.test', 'access-control-request-method': 'POST' }
+  })
+  assert.equal(preflight.status, 204)
+  assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://app.test')
+  assert.equal(preflight.headers.get('access-control-allow-methods'), 'POST')
+
+  const simple = await fetch(`${URL}/items/1`, { headers: { origin: 'https://app.test' } })
+  assert.match(simple.headers.get('access-control-expose-headers'), /x-request-id/)
+  const other = await fetch(`${URL}/items/1`, { headers: { origin: 'https://evil.test' } })
+  assert.equal(other.headers.get('access-control-allow-origin'), null)
+})
+
+test('router: latency is observed per route name', async () => {
+  await fetch(`${URL}/items/7`)
+  await new Promise(r => setTimeout(r, 20))
+  const last = observed.filter(o => o.route === 'GET /items/:id').at(-1)
+  assert.deepEqual(last, { route: 'GET /items/:id', status: 200 })
+  assert.ok(observed.some(o => o.route === 'unmatched' && o.status === 404))
+})
+
+test('router: routes are reachable under the mount prefix', async () => {
+  const r = await fetch(`${URL}/ns/team-a/items/7`)
+  assert.deepEqual(await r.json(), { id: '7', namespace: 'team-a' })
+  assert.equal((await fetch(`${URL}/ns/team-a/nope`)).status, 404)
+  assert.equal((await fetch(`${URL}/ns/team-a`)).status, 404)
+  assert.equal((await fetch(`${URL}/ns/%E0%A4%A/items/1`)).status, 400)
+})
@@ -0,0 +1,105 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8873
+const DB   = './tmp-rpc.db'
+const KUS  = './tmp-rpc-kus'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+const ku = {
+  type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+  payload: { title: 'rpc note', description: 'via json-rpc' },
+  parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['rpc']
+}
+
+async function rpc(body) {
+  const r = await fetch(`${URL}/rpc`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: typeof body === 'string' ? body : JSON.stringify(body) })
+  return { status: r.status, json: r.status === 204 ? null : await r.json() }
+}
+const call = (method, params, id = 1) => rpc({ jsonrpc: '2.0', id, method, params })
+
+before(async () => {
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('rpc: publish, get and search round-trip', async () => {
+  const pub = await call('publish', { ku })
+  assert.equal(pub.status, 200)
+  assert.equal(pub.json.jsonrpc, '2.0')
+  assert.equal(pub.json.id, 1)
+  const cid = pub.json.result.cid
+  assert.ok(cid)
+
+  const got = await call('get', { cid }, 2)
+  assert.equal(got.json.result.payload.title, 'rpc note')
+
+  const found = await call('search', { tag: ['rpc'] }, 3)
+  assert.deepEqual(found.json.result.results.map(r => r.cid), [cid])
+})
+
+test('rpc: edges.add, edges.list, graph.traverse and trust.status', async () => {
+  const batch = await rpc([
+    { jsonrpc: '2.0', id: 'a', method: 'edges.add', params: { src: 'bafyrpc1', dst: 'bafyrpc2', type: 'verifies' } },
+    { jsonrpc: '2.0', id: 'b', method: 'edges.add', params: { src: 'bafyrpc2', dst: 'bafyrpc3', type: 'applies_to' } },
+  ])
+  assert.equal(batch.json.length, 2)
+  assert.ok(batch.json.every(r => r.result.stored))
+
+  const list = await call('edges.list', { cid: 'bafyrpc2', direction: 'in' })
+  assert.equal(list.json.result.edges[0].src, 'bafyrpc1')
+
+  const graph = await call('graph.traverse', { cid: 'bafyrpc1', depth: 2 })
+  assert.equal(graph.json.result.edges.length, 2)
+
+  const trust = await call('trust.status', { key_id: 'somekey' })
+  assert.equal(typeof trust.json.result.trusted, 'boolean')
+  assert.ok(trust.json.result.mode)
+})
+
+test('rpc: standard and typed error codes', async () => {
+  assert.equal((await rpc('{oops')).json.error.code, -32700)
+  assert.equal((await rpc({ id: 1, method: 'get' })).json.error.code, -32600)
+  assert.equal((await rpc([])).json.error.code, -32600)
+  assert.equal((await call('nope', {})).json.error.code, -32601)
+  assert.equal((await call('get', {})).json.error.code, -32602)
+  assert.equal((await call('get', ['bafymissing'])).json.error.code, -32602)
+  assert.equal((await call('get', { cid: 'bafymissing' })).json.error.code, -32004)
+  assert.equal((await call('edges.add', { src: 'a', dst: 'b', type: 'bogus' })).json.error.code, -32602)
+
+  const bad = await call('publish', { ku: { ...ku, payload: {} } })
+  assert.equal(bad.json.error.code, -32022)
+  assert.equal(bad.json.error.data.errors[0].path, 'payload.title')
+})
+
+test('rpc: notifications get no response', async () => {
+  const r = await rpc({ jsonrpc: '2.0', method: 'trust.status' })
+  assert.equal(r.status, 204)
+  const mixed = await rpc([{ jsonrpc: '2.0', method: 'trust.status' }, { jsonrpc: '2.0', id: 9, method: 'trust.status' }])
+  assert.deepEqual(mixed.json.map(r => r.id), [9])
+})
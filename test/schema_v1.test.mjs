@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateKU_v1 } from '../src/ku/schema_v1.mjs';
+import { signKU_v1 } from '../src/ku/sign_v1.mjs';
+import { generateKeyPairSync } from 'node:crypto';
+
+const base = (type, payload) => ({
+  type, schema_id: 'ku.v1', content_type: 'application/json', payload,
+  parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+});
+const paths = (ku) => validateKU_v1(ku).errors.map(e => e.path);
+
+await test('schema v1: valid KUs per type pass', async () => {
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  const priv = privateKey.export({ type: 'pkcs8', format: 'pem' }).toString();
+  const pub = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+  const migration = base('ku.patch.migration', { title: 'X', patch: '---', severity: 'LOW', confidence: 0.9 });
+  assert.equal(validateKU_v1(migration).valid, true);
+  assert.equal(validateKU_v1(await signKU_v1(migration, priv, pub)).valid, true);
+  assert.equal(validateKU_v1(base('ku.note', { title: 'n' })).valid, true);
+  assert.equal(validateKU_v1(base('ku.test', { title: 't', cmd: 'npm test' })).valid, true);
+  assert.equal(validateKU_v1(base('ku.receipt', { title: 'r', artifacts: [{ type: 'test.log', sha256: 'a'.repeat(64) }] })).valid, true);
+  assert.equal(validateKU_v1(base('ku.attestation.rotate_key', { prev_key_id: 'a', new_key_id: 'b', ts: Date.now(), prev_sig: 'sig' })).valid, true);
+  assert.equal(validateKU_v1(base('ku.tombstone', { target: 'bafyreiexample', reason: 'leak' })).valid, true);
+});
+
+await test('schema v1: errors point at failing field paths', () => {
+  assert.deepEqual(paths(base('ku.patch.migration', { title: 'X' })), ['payload.patch']);
+  assert.deepEqual(paths(base('ku.receipt', { title: 'r', artifacts: [{ type: 'log', sha256: 'nothex' }] })), ['payload.artifacts[0].sha256']);
+  assert.deepEqual(paths(base('ku.attestation.rotate_key', { prev_key_id: 'a', ts: 'soon', prev_sig: 'x' })), ['payload.new_key_id', 'payload.ts']);
+  assert.deepEqual(paths(base('ku.tombstone', { reason: 1 })), ['payload.target', 'payload.reason']);
+  assert.deepEqual(paths({ ...base('ku.note', { title: 'n', severity: 'urgent' }), tags: ['ok', 3] }), ['tags[1]', 'payload.severity']);
+});
+
+await test('schema v1: rejects unknown type, wrong schema_id, extra fields and partial sig', () => {
+  assert.deepEqual(paths(base('ku.unknown', { title: 'x' })), ['type']);
+  assert.deepEqual(paths({ ...base('ku.note', { title: 'x' }), schema_id: 'ku.v0' }), ['schema_id']);
+  assert.deepEqual(paths({ ...base('ku.note', { title: 'x' }), signatures: [] }), ['signatures']);
+  assert.deepEqual(paths({ ...base('ku.note', { title: 'x' }), sig: { key_id: 'k', signature: 's' } }), ['sig.alg', 'sig.prehash', 'sig.context']);
+  assert.equal(validateKU_v1(null).valid, false);
+});
@@ -0,0 +1,111 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+
+const PORT = 8871
+const DB   = './tmp-search.db'
+const KUS  = './tmp-search-kus'
+const URL  = `http://localhost:${PORT}`
+let proc
+
+async function jget(p) {
+  const r = await fetch(URL + p)
+  return { status: r.status, json: await r.json() }
+}
+async function jpost(p, body) {
+  const r = await fetch(URL + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+function ku(title, extra = {}) {
+  return {
+    type: extra.type || 'ku.patch.migration', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title, description: extra.description || '', patch: '---', severity: extra.severity || 'LOW', affectedSystems: extra.affected || [] },
+    parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: extra.tags || []
+  }
+}
+
+before(async () => {
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+  await jpost('/publish', { ku: ku('React 18 upgrade', { tags: ['react', 'frontend'], severity: 'HIGH', affected: ['web', 'browser'], description: 'createRoot migration' }) })
+  await jpost('/publish', { ku: ku('Node 20 upgrade', { tags: ['node'], affected: ['api'], description: 'fetch is global' }) })
+  await jpost('/publish', { ku: ku('Flaky test note', { type: 'ku.note', tags: ['react'], description: 'retry jsdom timers' }) })
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  for (const p of [DB, DB + '.backup']) { try { await fs.rm(p) } catch {} }
+  try { await fs.rm(KUS, { recursive: true }) } catch {}
+})
+
+test('search: filters by type, tag, severity and affected system', async () => {
+  let r = await jget('/search?type=ku.note')
+  assert.equal(r.status, 200)
+  assert.deepEqual(r.json.results.map(k => k.title), ['Flaky test note'])
+
+  r = await jget('/search?tag=react')
+  assert.equal(r.json.results.length, 2)
+
+  r = await jget('/search?tag=react&severity=high')
+  assert.deepEqual(r.json.results.map(k => k.title), ['React 18 upgrade'])
+
+  r = await jget('/search?affected=api')
+  assert.deepEqual(r.json.results.map(k => k.title), ['Node 20 upgrade'])
+})
+
+test('search: several tag or affected values must all match', async () => {
+  let r = await jget('/search?tag=react&tag=frontend')
+  assert.deepEqual(r.json.results.map(k => k.title), ['React 18 upgrade'])
+  r = await jget('/search?tag=react,node')
+  assert.equal(r.json.results.length, 0)
+
+  r = await jget('/search?affected=web&affected=browser')
+  assert.deepEqual(r.json.results.map(k => k.title), ['React 18 upgrade'])
+  r = await jget('/search?affected=web,api')
+  assert.equal(r.json.results.length, 0)
+})
+
+test('search: free text matches title and description', async () => {
+  const r = await jget('/search?q=createroot')
+  assert.equal(r.json.results.length, 1)
+  assert.ok(r.json.results[0].cid)
+})
+
+test('search: cursor pages through all results without repeats', async () => {
+  const seen = []
+  let cursor = null
+  do {
+    const r = await jget(`/search?limit=2${cursor ? `&cursor=${cursor}` : ''}`)
+    assert.equal(r.status, 200)
+    seen.push(...r.json.results.map(k => k.cid))
+    cursor = r.json.next_cursor
+  } while (cursor)
+  assert.equal(seen.length, 3)
+  assert.equal(new Set(seen).size, 3)
+})
+
+test('search: bad cursor and time range return 400', async () => {
+  assert.equal((await jget('/search?cursor=nope')).status, 400)
+  assert.equal((await jget('/search?since=yesterday-ish')).status, 400)
+  const future = Date.now() + 60_000
+  const r = await jget(`/search?since=${future}`)
+  assert.equal(r.json.results.length, 0)
+})
@@ -0,0 +1,161 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve, join } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CLI    = resolve(__dirname, '../src/cli/sgn.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn, execFile } from 'node:child_process'
+import { generateKeyPairSync } from 'node:crypto'
+import fs from 'node:fs/promises'
+import { signKU_v1, keyIdFromPubPEM } from '../src/ku/sign_v1.mjs'
+
+const PORT  = 8897
+const DB    = './tmp-tomb.db'
+const KUS   = './tmp-tomb-kus'
+const LOGS  = './tmp-tomb-logs'
+const TRUST = './tmp-tomb-trust.json'
+const WORK  = './tmp-tomb-keys'
+const URL   = `http://localhost:${PORT}`
+let proc
+
+function keypair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+  return { pub: publicKey.export({ type: 'spki', format: 'pem' }), priv: privateKey.export({ type: 'pkcs8', format: 'pem' }) }
+}
+const publisher = keypair()
+const stranger = keypair()
+const admin = keypair()
+
+function ku(title) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: ['tomb']
+  }
+}
+
+function tombstone(target, key, reason = 'leaked') {
+  const t = {
+    type: 'ku.tombstone', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { target, reason }, parents: [target], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+  }
+  return key ? signKU_v1(t, key.priv, key.pub) : t
+}
+
+async function req(method, p, body) {
+  const r = await fetch(URL + p, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) })
+  return { status: r.status, json: await r.json() }
+}
+
+async function publishSigned(title, key) {
+  const r = await req('POST', '/publish', { ku: await signKU_v1(ku(title), key.priv, key.pub), verify: true, pub_pem: key.pub })
+  return r.json.cid
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-tomb-edges.db', './tmp-tomb-outbox.db', './tmp-tomb-webhooks.db', './tmp-tomb-events.db', TRUST]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS, WORK]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  await fs.writeFile(TRUST, JSON.stringify({ mode: 'warn', allow: [await keyIdFromPubPEM(publisher.pub)], admins: [await keyIdFromPubPEM(admin.pub)] }))
+  await fs.mkdir(WORK, { recursive: true })
+  await fs.writeFile(join(WORK, 'admin.pem'), admin.priv)
+  await fs.writeFile(join(WORK, 'admin.pub'), admin.pub)
+  proc = spawn(process.execPath, [DAEMON], {
+    env: { ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS, SGN_TRUST_PATH: TRUST },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await cleanup()
+})
+
+test('tombstone: only the publisher key or a trust admin may retract', async () => {
+  const target = await publishSigned('secret', publisher)
+
+  const missing = await req('POST', '/publish', { ku: await tombstone('bafy-unknown', publisher), pub_pem: publisher.pub })
+  assert.equal(missing.status, 404)
+  assert.equal(missing.json.error, 'tombstone_target_not_found')
+
+  const unsigned = await req('POST', '/publish', { ku: tombstone(target) })
+  assert.equal(unsigned.status, 403)
+  assert.equal(unsigned.json.error, 'tombstone_unsigned')
+
+  const other = await req('POST', '/publish', { ku: await tombstone(target, stranger), pub_pem: stranger.pub })
+  assert.equal(other.status, 403)
+  assert.equal(other.json.error, 'tombstone_not_authorized')
+
+  const forged = await req('POST', '/publish', { ku: await tombstone(target, stranger), pub_pem: publisher.pub })
+  assert.equal(forged.json.error, 'tombstone_bad_signature')
+
+  assert.equal((await req('GET', `/ku/${target}`)).status, 200)
+})
+
+test('tombstone: an unchecked sig.key_id gives no right to retract', async () => {
+  // Signed by the stranger but published without verify, then with verify by a key that is not allowlisted
+  const unchecked = (await req('POST', '/publish', { ku: await signKU_v1(ku('first come'), stranger.priv, stranger.pub) })).json.cid
+  const untrusted = (await req('POST', '/publish', { ku: await signKU_v1(ku('untrusted'), stranger.priv, stranger.pub), verify: true, pub_pem: stranger.pub })).json.cid
+  for (const target of [unchecked, untrusted]) {
+    const r = await req('POST', '/publish', { ku: await tombstone(target, stranger), pub_pem: stranger.pub })
+    assert.equal(r.status, 403)
+    assert.equal(r.json.error, 'tombstone_not_authorized')
+  }
+  const found = (await req('GET', `/search?key_id=${await keyIdFromPubPEM(stranger.pub)}`)).json.results
+  assert.equal(found.length, 0)
+  assert.equal((await req('GET', `/search?key_id=${await keyIdFromPubPEM(publisher.pub)}`)).json.results.length > 0, true)
+})
+
+test('tombstone: the target is hidden, deleted and dropped from the outbox', async () => {
+  const target = await publishSigned('leaked credentials', publisher)
+  const neighbour = await publishSigned('neighbour', publisher)
+  assert.equal((await req('POST', '/edges', { src: neighbour, dst: target, type: 'applies_to' })).json.inserted, true)
+  assert.equal((await req('GET', `/graph/${neighbour}`)).json.edges.length, 1)
+
+  const r = await req('POST', '/publish', { ku: await tombstone(target, publisher), pub_pem: publisher.pub })
+  assert.equal(r.status, 200)
+  const tomb = r.json.cid
+
+  const gone = await req('GET', `/ku/${target}`)
+  assert.equal(gone.status, 410)
+  assert.equal(gone.json.tombstone, tomb)
+  await assert.rejects(fs.access(join(KUS, `${target}.json`)))
+
+  const found = (await req('GET', '/search?q=leaked')).json.results
+  assert.equal(found.length, 0)
+  assert.deepEqual((await req('GET', `/graph/${neighbour}?depth=2`)).json.edges, [])
+  assert.equal((await req('GET', `/graph/${target}`)).status, 410)
+
+  const again = await req('POST', '/publish', { ku: await signKU_v1(ku('leaked credentials'), publisher.priv, publisher.pub) })
+  assert.equal(again.status, 410)
+
+  const log = (await fs.readFile(join(LOGS, 'sgn-daemon.jsonl'), 'utf8')).trim().split('\n').map(l => JSON.parse(l))
+  const entry = log.find(e => e.evt === 'ku_tombstoned' && e.cid === target)
+  assert.equal(entry.tombstone, tomb)
+  assert.equal(entry.outbox_dropped, 1)
+
+  const check = (await req('GET', '/admin/consistency')).json
+  assert.equal(check.consistent, true)
+})
+
+test('tombstone: a trust admin retracts through the CLI', async () => {
+  const target = await publishSigned('admin cleanup', publisher)
+  const out = await new Promise((resolve) => {
+    execFile(process.execPath, [CLI, 'retract', target, '--priv', join(WORK, 'admin.pem'), '--pub', join(WORK, 'admin.pub'), '--reason', 'policy'],
+      { cwd: CWD, env: { ...process.env, SGN_HTTP_PORT: String(PORT) }, timeout: 10000 },
+      (err, stdout) => resolve({ code: err?.code ?? 0, stdout }))
+  })
+  assert.equal(out.code, 0)
+  assert.equal((await req('GET', `/ku/${target}`)).status, 410)
+})
@@ -0,0 +1,220 @@
+import { fileURLToPath } from 'node:url'
+import { dirname, resolve } from 'node:path'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname  = dirname(__filename)
+const DAEMON = resolve(__dirname, '../src/daemon/daemon.mjs')
+const CWD    = resolve(__dirname, '..')
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import { generateKeyPairSync } from 'node:crypto'
+import { signWebhook } from '../src/daemon/webhooks.mjs'
+import { signKU_v1, keyIdFromPubPEM } from '../src/ku/sign_v1.mjs'
+
+const PORT = 8894
+const DB   = './tmp-webhooks.db'
+const KUS  = './tmp-webhooks-kus'
+const LOGS = './tmp-webhooks-logs'
+const TRUST = './tmp-webhooks-trust.json'
+const URL  = `http://localhost:${PORT}`
+let proc, receiver, HOOK
+const received = [] // { path, headers, body }
+const failFirst = new Map() // path -> failures left
+const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+const key = { pub: publicKey.export({ type: 'spki', format: 'pem' }), priv: privateKey.export({ type: 'pkcs8', format: 'pem' }) }
+
+function ku(title, { tags = ['hooks'] } = {}) {
+  return {
+    type: 'ku.note', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { title }, parents: [], sources: [], tests: [], provenance: { agent_pubkey: null }, tags
+  }
+}
+
+async function req(method, p, body) {
+  const r = await fetch(URL + p, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) })
+  const text = await r.text()
+  return { status: r.status, json: r.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text }
+}
+
+async function waitFor(check, ms = 4000) {
+  const t0 = Date.now()
+  while (Date.now() - t0 < ms) {
+    const v = await check()
+    if (v) return v
+    await new Promise(r => setTimeout(r, 50))
+  }
+  throw new Error('timed out')
+}
+
+async function cleanup() {
+  for (const p of [DB, DB + '.backup', './tmp-webhooks-edges.db', './tmp-webhooks-outbox.db', './tmp-webhooks-webhooks.db', './tmp-webhooks-events.db', TRUST]) { try { await fs.rm(p) } catch {} }
+  for (const d of [KUS, LOGS]) { try { await fs.rm(d, { recursive: true }) } catch {} }
+}
+
+before(async () => {
+  await cleanup()
+  // The publisher key is allowlisted so it may retract its own KU
+  await fs.writeFile(TRUST, JSON.stringify({ mode: 'warn', allow: [await keyIdFromPubPEM(key.pub)] }))
+  receiver = http.createServer((rq, rs) => {
+    let body = ''
+    rq.on('data', (c) => { body += c })
+    rq.on('end', () => {
+      received.push({ path: rq.url, headers: rq.headers, body })
+      if (rq.url.startsWith('/hang')) return // never answered: the delivery times out
+      const left = failFirst.get(rq.url) || 0
+      if (left > 0) { failFirst.set(rq.url, left - 1); rs.writeHead(500); return rs.end() }
+      rs.writeHead(204); rs.end()
+    })
+  })
+  await new Promise(r => receiver.listen(0, '127.0.0.1', r))
+  HOOK = `http://127.0.0.1:${receiver.address().port}`
+  proc = spawn(process.execPath, [DAEMON], {
+    env: {
+      ...process.env, SGN_HTTP_PORT: String(PORT), SGN_DB: DB, SGN_KUS_DIR: KUS, SGN_LOGS_DIR: LOGS, SGN_TRUST_PATH: TRUST,
+      SGN_WEBHOOK_POLL_MS: '50', SGN_WEBHOOK_BACKOFF_MS: '100', SGN_WEBHOOK_MAX_ATTEMPTS: '3', SGN_WEBHOOK_TIMEOUT_MS: '1000'
+    },
+    stdio: ['ignore', 'ignore', 'inherit'], cwd: CWD,
+  })
+  const t0 = Date.now()
+  while (Date.now() - t0 < 4000) {
+    try { const r = await fetch(`${URL}/health`); if (r.ok) break } catch {}
+    await new Promise(r => setTimeout(r, 100))
+  }
+})
+
+after(async () => {
+  try { proc?.kill() } catch {}
+  await new Promise(r => receiver.close(r))
+  await cleanup()
+})
+
+test('webhooks: subscriptions are validated and listed without their secret', async () => {
+  assert.equal((await req('POST', '/subscriptions', { url: 'ftp://example.com' })).json.error, 'invalid_url')
+  assert.equal((await req('POST', '/subscriptions', { url: HOOK, events: ['nope'] })).json.field, 'events')
+  assert.equal((await req('POST', '/subscriptions', { url: HOOK, tags: 'x' })).json.error, 'invalid_filter')
+  assert.equal((await req('POST', '/subscriptions', { url: HOOK, secret: 'short' })).json.error, 'invalid_secret')
+
+  const created = await req('POST', '/subscriptions', { url: `${HOOK}/listed`, types: ['ku.test'] })
+  assert.equal(created.status, 201)
+  assert.match(created.json.subscription.secret, /^whsec_/)
+  const { id } = created.json.subscription
+
+  const listed = (await req('GET', '/subscriptions')).json.subscriptions
+  assert.deepEqual(listed.map(s => s.id), [id])
+  assert.equal(listed[0].secret, undefined)
+  assert.deepEqual((await req('GET', `/subscriptions/${id}`)).json.types, ['ku.test'])
+  assert.equal((await req('GET', '/subscriptions/sub_missing')).json.error, 'subscription_not_found')
+})
+
+test('webhooks: matching KUs are delivered with a verifiable signature', async () => {
+  const secret = 'receiver-shared-secret'
+  const tagged = (await req('POST', '/subscriptions', { url: `${HOOK}/tagged`, tags: ['alpha', 'beta'], secret })).json.subscription
+  await req('POST', '/subscriptions', { url: `${HOOK}/keyed`, key_ids: ['ed25519:nobody'] })
+
+  const cid = (await req('POST', '/publish', { ku: ku('alpha note', { tags: ['alpha'] }) })).json.cid
+  await req('POST', '/publish', { ku: ku('gamma note', { tags: ['gamma'] }) })
+
+  const hit = await waitFor(() => received.find(r => r.path === '/tagged'))
+  const body = JSON.parse(hit.body)
+  assert.equal(body.event, 'ku')
+  assert.equal(body.namespace, 'default')
+  assert.equal(body.subscription_id, tagged.id)
+  assert.equal(body.data.cid, cid)
+  assert.equal(body.data.ku.payload.title, 'alpha note')
+  assert.equal(hit.headers['x-sgn-event'], 'ku')
+  assert.equal(hit.headers['x-sgn-delivery'], body.id)
+  assert.equal(hit.headers['x-sgn-signature'], signWebhook(secret, hit.headers['x-sgn-timestamp'], hit.body))
+
+  await new Promise(r => setTimeout(r, 300))
+  assert.equal(received.filter(r => r.path === '/tagged').length, 1)
+  assert.equal(received.filter(r => r.path === '/keyed').length, 0)
+  assert.equal(received.filter(r => r.path === '/listed').length, 0)
+
+  const log = (await req('GET', `/subscriptions/${tagged.id}/deliveries`)).json.deliveries
+  assert.deepEqual(log.map(d => [d.status, d.http_status, d.cid, d.attempt]), [['delivered', 204, cid, 1]])
+})
+
+test('webhooks: failed deliveries are retried with backoff, then given up', async () => {
+  failFirst.set('/flaky', 2)
+  const flaky = (await req('POST', '/subscriptions', { url: `${HOOK}/flaky`, tags: ['flaky'] })).json.subscription
+  const dead = (await req('POST', '/subscriptions', { url: 'http://127.0.0.1:9/gone', tags: ['flaky'] })).json.subscription
+  assert.equal((await req('POST', '/publish', { ku: ku('flaky note', { tags: ['flaky'] }) })).status, 200)
+
+  const log = await waitFor(async () => {
+    const d = (await req('GET', `/subscriptions/${flaky.id}/deliveries`)).json.deliveries
+    return d[0]?.status === 'delivered' && d
+  })
+  assert.deepEqual(log.map(d => [d.attempt, d.status, d.http_status]).reverse(),
+    [[1, 'retrying', 500], [2, 'retrying', 500], [3, 'delivered', 204]])
+  assert.ok(log[0].at - log[2].at >= 100 + 400, 'backs off x4 between attempts')
+
+  const gone = await waitFor(async () => {
+    const d = (await req('GET', `/subscriptions/${dead.id}/deliveries`)).json.deliveries
+    return d[0]?.status === 'failed' && d
+  })
+  assert.equal(gone.length, 3)
+  assert.ok(gone[0].error)
+  assert.equal((await req('GET', `/subscriptions/${dead.id}`)).json.pending, 0)
+
+  const prom = (await req('GET', '/metrics?format=prom')).json
+  assert.match(prom, /^sgn_webhook_deliveries_total\{result="failed"\} 1$/m)
+  assert.match(prom, /^sgn_webhook_deliveries_total\{result="retry"\} 4$/m)
+})
+
+test('webhooks: edge events are opt-in; deleting a subscription stops deliveries', async () => {
+  const edges = (await req('POST', '/subscriptions', { url: `${HOOK}/edges`, events: ['edge'] })).json.subscription
+  const src = (await req('POST', '/publish', { ku: ku('edge src') })).json.cid
+  const dst = (await req('POST', '/publish', { ku: ku('edge dst') })).json.cid
+  assert.equal((await req('POST', '/edges', { src, dst, type: 'applies_to' })).status, 200)
+
+  const hit = await waitFor(() => received.find(r => r.path === '/edges'))
+  assert.deepEqual(JSON.parse(hit.body).data, { src, dst, edge_type: 'applies_to', publisher_key_id: null })
+  await new Promise(r => setTimeout(r, 200))
+  assert.equal(received.filter(r => r.path === '/edges').length, 1, 'KU events are not sent to an edge-only subscription')
+
+  assert.equal((await req('DELETE', `/subscriptions/${edges.id}`)).status, 200)
+  assert.equal((await req('DELETE', `/subscriptions/${edges.id}`)).status, 404)
+  await req('POST', '/edges', { src: dst, dst: src, type: 'applies_to' })
+  await new Promise(r => setTimeout(r, 300))
+  assert.equal(received.filter(r => r.path === '/edges').length, 1)
+})
+
+test('webhooks: a hanging endpoint does not hold up other subscriptions', async () => {
+  const slow = (await req('POST', '/subscriptions', { url: `${HOOK}/hang`, tags: ['slow'] })).json.subscription
+  await req('POST', '/subscriptions', { url: `${HOOK}/quick`, tags: ['slow'] })
+  const quick = () => received.filter(r => r.path === '/quick').length
+  // More than one poll's batch (20) is due for the hanging endpoint
+  const batch = Array.from({ length: 25 }, (_, i) => ({ ku: ku(`slow and quick ${i}`, { tags: ['slow'] }) }))
+  const t0 = Date.now()
+  assert.equal((await req('POST', '/publish/batch', batch)).status, 200)
+  await waitFor(() => quick() === 25)
+  assert.ok(Date.now() - t0 < 900, 'delivered before the hanging one times out (1000 ms)')
+  // Later polls do not wait for the run still stuck on the hanging endpoint
+  for (let i = 1; i <= 3; i++) {
+    const t1 = Date.now()
+    assert.equal((await req('POST', '/publish', { ku: ku(`quick again ${i}`, { tags: ['slow'] }) })).status, 200)
+    await waitFor(() => quick() === 25 + i)
+    assert.ok(Date.now() - t1 < 900, `event ${i} delivered within a poll or two`)
+  }
+  assert.equal(received.filter(r => r.path === '/hang').length, 1, 'still on its first delivery')
+  await req('DELETE', `/subscriptions/${slow.id}`)
+})
+
+test('webhooks: retracting a KU drops its queued deliveries', async () => {
+  const hook = (await req('POST', '/subscriptions', { url: `${HOOK}/hang-retract`, tags: ['retract'] })).json.subscription
+  const signed = await signKU_v1(ku('to retract', { tags: ['retract'] }), key.priv, key.pub)
+  const cid = (await req('POST', '/publish', { ku: signed, verify: true, pub_pem: key.pub })).json.cid
+  await waitFor(() => received.find(r => r.path === '/hang-retract')) // first attempt in flight
+
+  const tombstone = await signKU_v1({
+    type: 'ku.tombstone', schema_id: 'ku.v1', content_type: 'application/json',
+    payload: { target: cid, reason: 'leaked' }, parents: [cid], sources: [], tests: [], provenance: { agent_pubkey: null }, tags: []
+  }, key.priv, key.pub)
+  assert.equal((await req('POST', '/publish', { ku: tombstone, verify: true, pub_pem: key.pub })).status, 200)
+  assert.equal((await req('GET', `/subscriptions/${hook.id}`)).json.pending, 0)
+  await new Promise(r => setTimeout(r, 1500)) // past the timeout and the first backoff
+  assert.equal(received.filter(r => r.path === '/hang-retract').length, 1, 'not retried after the retraction')
+})
@@ -1,12 +1,35 @@
 import * as vscode from 'vscode'
 import http from 'node:http'
+import https from 'node:https'
+import { readFileSync } from 'node:fs'
 import WebSocket from 'ws'
 
+// Scoped API token for daemons running with SGN_AUTH=tokens
+function authHeaders(): Record<string, string> {
+  const token = vscode.workspace.getConfiguration().get<string>('sgn.apiToken')
+  return token ? { authorization: `Bearer ${token}` } : {}
+}
+
+// Daemon transport: sgn.socketPath (Unix domain socket) wins over sgn.daemonUrl; https URLs may
+// trust a self-signed certificate via sgn.tlsCaPath, or skip verification with sgn.tlsInsecure
+function transport(u: URL): { mod: typeof http | typeof https, options: Record<string, any> } {
+  const conf = vscode.workspace.getConfiguration()
+  const socketPath = conf.get<string>('sgn.socketPath')
+  if (socketPath) return { mod: http, options: { socketPath } }
+  const options: Record<string, any> = { hostname: u.hostname, port: u.port }
+  if (u.protocol !== 'https:' && u.protocol !== 'wss:') return { mod: http, options }
+  const ca = conf.get<string>('sgn.tlsCaPath')
+  if (ca) options.ca = readFileSync(ca)
+  if (conf.get<boolean>('sgn.tlsInsecure')) options.rejectUnauthorized = false
+  return { mod: https, options }
+}
+
 function postJSON(urlStr: string, body: any): Promise<any> {
   return new Promise((resolve, reject) => {
     const u = new URL(urlStr)
     const data = Buffer.from(JSON.stringify(body))
-    const req = http.request({ method: 'POST', hostname: u.hostname, port: u.port, path: u.pathname + u.search, headers: { 'content-type': 'application/json', 'content-length': data.length } }, res => {
+    const { mod, options } = transport(u)
+    const req = mod.request({ ...options, method: 'POST', path: u.pathname + u.search, headers: { 'content-type': 'application/json', 'content-length': data.length, ...authHeaders() } }, res => {
       const chunks: Buffer[] = []
       res.on('data', c => chunks.push(c))
       res.on('end', () => {
@@ -20,7 +43,8 @@ function postJSON(urlStr: string, body: any): Promise<any> {
 function getJSON(urlStr: string): Promise<any> {
   return new Promise((resolve, reject) => {
     const u = new URL(urlStr)
-    const req = http.request({ method: 'GET', hostname: u.hostname, port: u.port, path: u.pathname + u.search }, res => {
+    const { mod, options } = transport(u)
+    const req = mod.request({ ...options, method: 'GET', path: u.pathname + u.search, headers: authHeaders() }, res => {
       const chunks: Buffer[] = []
       res.on('data', c => chunks.push(c))
       res.on('end', () => {
@@ -71,7 +95,7 @@ export function activate(context: vscode.ExtensionContext) {
         break
       case 'Verify':
         try {
-          const res = await postJSON(`${base}/verify`, { ku: { cid }, pub_pem: '' })
+          const res = await postJSON(`${base}/verify`, { cid })
           const trusted = res.trusted ? ' (trusted)' : ''
           const reason = res.reason ? ` - ${res.reason}` : ''
           vscode.window.showInformationMessage(`Verify: ${res.ok ? 'OK' : 'FAIL'}${trusted}${reason}`)
@@ -88,19 +112,25 @@ export function activate(context: vscode.ExtensionContext) {
 
   // Subscribe to /events WS with backoff and jitter
   let reconnectAttempts = 0
+  // seq of the last ku/edge event received, per daemon: on reconnect the daemon replays what came after it
+  const seqKey = (base: string) => `sgn.lastEventSeq:${base}`
   
   function connectEvents() {
     const base = cfg()
     const path = vscode.workspace.getConfiguration().get<string>('sgn.eventsPath') || '/events'
     const bearer = vscode.workspace.getConfiguration().get<string>('sgn.eventsBearer')
-    const url = base.replace(/^http/, 'ws') + path
+    const socketPath = vscode.workspace.getConfiguration().get<string>('sgn.socketPath')
+    const lastSeq = context.globalState.get<number>(seqKey(base))
+    const resume = lastSeq != null ? `${path.includes('?') ? '&' : '?'}resume_from=${lastSeq}` : ''
+    const url = (socketPath ? `ws+unix://${socketPath}:${path}` : base.replace(/^http/, 'ws') + path) + resume
     
-    const headers: any = {}
+    const headers: any = authHeaders()
     if (bearer) {
       headers.Authorization = `Bearer ${bearer}`
     }
     
-    const ws = new WebSocket(url, { headers })
+    const { options } = transport(new URL(base))
+    const ws = new WebSocket(url, { headers, ca: options.ca, rejectUnauthorized: options.rejectUnauthorized })
     currentWS = ws
     
     ws.on('open', async () => {
@@ -120,6 +150,17 @@ export function activate(context: vscode.ExtensionContext) {
     ws.on('message', async (data) => {
       try {
         const msg = JSON.parse(String(data))
+        if (Number.isInteger(msg.seq)) context.globalState.update(seqKey(base), msg.seq)
+        if (msg.type === 'resume_gap') {
+          out.appendLine(`[events] resume_gap ${msg.reason}: resume_from ${msg.resume_from}, daemon holds ${msg.oldest_seq}..${msg.latest_seq}`)
+          if (msg.reason === 'aged_out') {
+            vscode.window.showWarningMessage(`SGN: some events were missed while disconnected (older than seq ${msg.oldest_seq})`)
+          } else {
+            context.globalState.update(seqKey(base), undefined) // e.g. the daemon's event log was reset
+          }
+        } else if (msg.type === 'resumed') {
+          out.appendLine(`[events] resumed from ${msg.resume_from}: ${msg.replayed} replayed`)
+        }
         if (msg.type === 'ku' && msg.cid) {
           lastKU = { cid: msg.cid, timestamp: Date.now() }
           updateStatusBar()
@@ -194,7 +235,7 @@ export function activate(context: vscode.ExtensionContext) {
           break
         case 'verify':
           try {
-            const res = await postJSON(`${cfg()}/verify`, { ku: { cid: lastKU.cid }, pub_pem: '' })
+            const res = await postJSON(`${cfg()}/verify`, { cid: lastKU.cid })
             const trusted = res.trusted ? ' (trusted)' : ''
             const reason = res.reason ? ` - ${res.reason}` : ''
             vscode.window.showInformationMessage(`Verify: ${res.ok ? 'OK' : 'FAIL'}${trusted}${reason}`)
@@ -215,7 +256,7 @@ export function activate(context: vscode.ExtensionContext) {
       let ku: any
       try { ku = JSON.parse(ed.document.getText()) } catch { vscode.window.showErrorMessage('Active file is not valid JSON'); return }
       const url = cfg() + '/publish'
-      const res = await postJSON(url, { ku, verify: true, pub_pem: '' })
+      const res = await postJSON(url, { ku, verify: true })
       if ((res as any).error) { vscode.window.showErrorMessage('Publish failed: ' + (res as any).error) }
       else { vscode.window.showInformationMessage('Published CID ' + (res as any).cid); out.appendLine('[publish] ' + JSON.stringify(res)) }
     }),
@@ -226,8 +267,8 @@ export function activate(context: vscode.ExtensionContext) {
       let ku: any
       try { ku = JSON.parse(ed.document.getText()) } catch { vscode.window.showErrorMessage('Active file is not valid JSON'); return }
       const url = cfg() + '/verify'
-      const res = await postJSON(url, { ku, pub_pem: '' })
-      if (!(res as any).ok) vscode.window.showErrorMessage('Verify FAIL: ' + ((res as any).reason || 'unknown'))
+      const res = await postJSON(url, { ku })
+      if (!(res as any).ok) vscode.window.showErrorMessage('Verify FAIL: ' + ((res as any).reason || (res as any).error || 'unknown'))
       else vscode.window.showInformationMessage('Verify OK' + ((res as any).trusted ? ' (trusted)' : ''))
       out.appendLine('[verify] ' + JSON.stringify(res))
     }),
@@ -254,7 +295,7 @@ export function activate(context: vscode.ExtensionContext) {
         return
       }
       try {
-        const res = await postJSON(`${cfg()}/verify`, { ku: { cid: lastKU.cid }, pub_pem: '' })
+        const res = await postJSON(`${cfg()}/verify`, { cid: lastKU.cid })
         const trusted = res.trusted ? ' (trusted)' : ''
         const reason = res.reason ? ` - ${res.reason}` : ''
         vscode.window.showInformationMessage(`Verify: ${res.ok ? 'OK' : 'FAIL'}${trusted}${reason}`)